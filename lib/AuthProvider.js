@@ -3,6 +3,7 @@
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import supabase from './supabase'; // Your regular Supabase client
 import { useAutoSignout } from './hooks/useAutoSignout';
+import { clearAccessToken } from './apiAuth';
 import { 
   getAutoSignoutSettings, 
   markAutoSignoutPromptSeen, 
@@ -174,6 +175,10 @@ export function AuthProvider({ children }) {
     const { data: authListener } = supabase.auth.onAuthStateChange(
       async (event, newSession) => {
         console.log('Auth event:', event, newSession);
+        // Covers both manual and automatic sign-outs
+        if (event === 'SIGNED_OUT') {
+          clearAccessToken();
+        }
         setSession(newSession);
         setUser(newSession?.user ?? null);
         setLoading(false);
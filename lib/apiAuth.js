@@ -0,0 +1,28 @@
+/**
+ * Access token for the API routes that check the signed-in session
+ * Sign-in returns it alongside the Supabase session; it's kept for the life
+ * of that session and dropped when Supabase reports a sign-out.
+ */
+
+const ACCESS_TOKEN_KEY = 'aeronotes_access_token';
+
+export const saveAccessToken = (token) => {
+  if (typeof window !== 'undefined' && token) {
+    localStorage.setItem(ACCESS_TOKEN_KEY, token);
+  }
+};
+
+export const clearAccessToken = () => {
+  if (typeof window !== 'undefined') {
+    localStorage.removeItem(ACCESS_TOKEN_KEY);
+  }
+};
+
+/**
+ * Headers that authenticate a fetch to those routes
+ * @returns {Object} Empty when signed in before tokens were kept, so the route answers 401
+ */
+export const authHeaders = () => {
+  const token = typeof window !== 'undefined' && localStorage.getItem(ACCESS_TOKEN_KEY);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
@@ -1,96 +1,141 @@
 import supabase from './supabase';
+import { createStorageConfig } from './core/config/storage.config';
+import {
+  resolveRetention,
+  getExpiryDate,
+  validateRetentionPolicies
+} from './core/utils/retention';
 
-const AUTO_DELETE_SETTINGS_TABLE = 'auto_delete_settings';
+const RETENTION_POLICIES_TABLE = 'retention_policies';
+const FILES_TABLE = 'files';
 
-/**
- * Fetch auto-delete settings for the current user
- * @returns {Promise<Object>} The user's auto-delete settings
- */
-export const fetchAutoDeleteSettings = async () => {
+const { autoDelete: { defaultRetention: DEFAULT_RETENTION } } = createStorageConfig();
+
+// Policies are read on every create/toggle; a short cache keeps that to one query per burst
+const POLICY_CACHE_TTL_MS = 60 * 1000;
+let policyCache = null;
+
+const getUserId = async () => {
   const { data: { user } } = await supabase.auth.getUser();
   if (!user) throw new Error('Not authenticated');
+  return user.id;
+};
+
+/**
+ * Fetch the current user's retention policies
+ * @returns {Promise<{policies: Array<Object>, defaults: Object<string, number>}>} Rules as stored, plus the app defaults in seconds
+ */
+export const fetchRetentionPolicies = async () => {
+  const userId = await getUserId();
+
+  if (policyCache && policyCache.userId === userId && Date.now() - policyCache.fetchedAt < POLICY_CACHE_TTL_MS) {
+    return { policies: policyCache.policies, defaults: DEFAULT_RETENTION };
+  }
 
   const { data, error } = await supabase
-    .from(AUTO_DELETE_SETTINGS_TABLE)
-    .select('*')
-    .eq('user_id', user.id)
-    .single();
+    .from(RETENTION_POLICIES_TABLE)
+    .select('id, content_type, match_type, match_value, expiry_seconds')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
 
-  if (error && error.code !== 'PGRST116') { // PGRST116 is the "no rows returned" error
-    console.error('Error fetching auto-delete settings:', error);
+  if (error) {
+    console.error('Error fetching retention policies:', error);
     throw error;
   }
 
-  // If no settings exist yet, return default values
-  if (!data) {
-    return {
-      document_timeout_seconds: 86400, // 24 hours
-      note_timeout_seconds: 3600,      // 1 hour
-      image_timeout_seconds: 43200,    // 12 hours
-    };
+  policyCache = { userId, policies: data, fetchedAt: Date.now() };
+  return { policies: data, defaults: DEFAULT_RETENTION };
+};
+
+/**
+ * Replace the current user's retention policies
+ * @param {Array<Object>} policies - Rules with content_type, match_type, match_value and expiry_seconds
+ * @returns {Promise<Array<Object>>} The saved rules
+ */
+export const updateRetentionPolicies = async (policies) => {
+  const userId = await getUserId();
+
+  const rows = policies.map(policy => ({
+    user_id: userId,
+    content_type: policy.content_type || null,
+    match_type: policy.match_type,
+    match_value: policy.match_type === 'default' ? null : policy.match_value?.trim(),
+    expiry_seconds: Number(policy.expiry_seconds),
+  }));
+
+  const problem = validateRetentionPolicies(rows);
+  if (problem) throw new Error(problem);
+
+  policyCache = null;
+
+  const { error: deleteError } = await supabase
+    .from(RETENTION_POLICIES_TABLE)
+    .delete()
+    .eq('user_id', userId);
+
+  if (deleteError) {
+    console.error('Error clearing retention policies:', deleteError);
+    throw deleteError;
+  }
+
+  if (rows.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from(RETENTION_POLICIES_TABLE)
+    .insert(rows)
+    .select('id, content_type, match_type, match_value, expiry_seconds');
+
+  if (error) {
+    console.error('Error saving retention policies:', error);
+    throw error;
   }
 
   return data;
 };
 
 /**
- * Update auto-delete settings for the current user
- * @param {Object} settings - The settings to update
- * @param {number} settings.document_timeout_seconds - Document timeout in seconds
- * @param {number} settings.note_timeout_seconds - Note timeout in seconds
- * @param {number} settings.image_timeout_seconds - Image timeout in seconds
- * @returns {Promise<Object>} The updated settings
+ * Convert the fractional-day durations the UI passes around into seconds
  */
-export const updateAutoDeleteSettings = async (settings) => {
-  const { data: { user } } = await supabase.auth.getUser();
-  if (!user) throw new Error('Not authenticated');
+export const daysToSeconds = (days) => (days > 0 ? Math.round(days * 24 * 60 * 60) : undefined);
+
+/**
+ * Resolve the expiry date of an auto-deleting item from the user's policies
+ * @param {Object} item
+ * @param {string} item.contentType - 'note' | 'image' | 'document'
+ * @param {string[]} [item.tags]
+ * @param {string} [item.category]
+ * @param {number} [item.requestedSeconds] - Explicit duration picked by the user
+ * @returns {Promise<string>} ISO timestamp
+ */
+export const resolveExpiryDate = async (item) => {
+  const { policies } = item.requestedSeconds > 0
+    ? { policies: [] }
+    : await fetchRetentionPolicies();
 
-  // First check if we have settings already
-  const { data: existingSettings } = await supabase
-    .from(AUTO_DELETE_SETTINGS_TABLE)
-    .select('id')
-    .eq('user_id', user.id)
+  const { seconds } = resolveRetention(policies, item, DEFAULT_RETENTION);
+  return getExpiryDate(seconds);
+};
+
+/**
+ * Resolve the expiry date of an existing file, matching its tags and category
+ */
+export const resolveFileExpiryDate = async (fileId, contentType, requestedSeconds) => {
+  if (requestedSeconds > 0) {
+    return resolveExpiryDate({ contentType, requestedSeconds });
+  }
+
+  const { data, error } = await supabase
+    .from(FILES_TABLE)
+    .select('tags, category')
+    .eq('id', fileId)
     .single();
 
-  if (existingSettings) {
-    // Update existing settings
-    const { data, error } = await supabase
-      .from(AUTO_DELETE_SETTINGS_TABLE)
-      .update({
-        document_timeout_seconds: settings.document_timeout_seconds,
-        note_timeout_seconds: settings.note_timeout_seconds,
-        image_timeout_seconds: settings.image_timeout_seconds,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('id', existingSettings.id)
-      .eq('user_id', user.id)
-      .select()
-      .single();
-
-    if (error) {
-      console.error('Error updating auto-delete settings:', error);
-      throw error;
-    }
-    return data;
-  } else {
-    // Insert new settings
-    const { data, error } = await supabase
-      .from(AUTO_DELETE_SETTINGS_TABLE)
-      .insert({
-        user_id: user.id,
-        document_timeout_seconds: settings.document_timeout_seconds,
-        note_timeout_seconds: settings.note_timeout_seconds,
-        image_timeout_seconds: settings.image_timeout_seconds,
-      })
-      .select()
-      .single();
-
-    if (error) {
-      console.error('Error creating auto-delete settings:', error);
-      throw error;
-    }
-    return data;
+  if (error) {
+    console.error('Error fetching file for retention:', error);
+    throw error;
   }
+
+  return resolveExpiryDate({ contentType, tags: data.tags || [], category: data.category });
 };
 
 /**
@@ -129,32 +174,36 @@ export const calculateRemainingTime = (item) => {
 };
 
 /**
- * Toggle auto-delete for a specific item
- * @param {string} table - The table name ('documents', 'notes', 'images')
+ * Toggle auto-delete for a note or file
+ * @param {string} table - 'notes' or 'files'
  * @param {string} id - The item ID
  * @param {boolean} autoDelete - The new auto-delete status
- * @param {number} [customTimeout] - Optional custom timeout in seconds
+ * @param {Object} [options]
+ * @param {string} [options.contentType] - Required for files: 'image' | 'document'
+ * @param {number} [options.customTimeout] - Explicit retention in seconds, overriding the user's policies
  * @returns {Promise<Object>} The updated item
  */
-export const toggleAutoDelete = async (table, id, autoDelete, customTimeout = null) => {
-  const { data: { user } } = await supabase.auth.getUser();
-  if (!user) throw new Error('Not authenticated');
+export const toggleAutoDelete = async (table, id, autoDelete, { contentType, customTimeout } = {}) => {
+  const userId = await getUserId();
 
   let expiry_date = null;
-  
   if (autoDelete) {
-    const timeoutSeconds = customTimeout ? customTimeout * 24 * 60 * 60 : 7 * 24 * 60 * 60; // Default to 7 days
-    expiry_date = new Date(Date.now() + timeoutSeconds * 1000).toISOString();
+    expiry_date = table === 'notes'
+      ? await resolveExpiryDate({ contentType: 'note', requestedSeconds: customTimeout })
+      : await resolveFileExpiryDate(id, contentType, customTimeout);
   }
 
+  // notes still carry the quoted camelCase column
+  const autoDeleteColumn = table === 'notes' ? 'autoDelete' : 'auto_delete';
+
   const { data, error } = await supabase
     .from(table)
     .update({ 
-      auto_delete: autoDelete,
+      [autoDeleteColumn]: autoDelete,
       expiry_date: expiry_date
     })
     .eq('id', id)
-    .eq('user_id', user.id) // Ensure user can only update their own items
+    .eq('user_id', userId) // Ensure user can only update their own items
     .select()
     .single();
     
@@ -166,8 +215,10 @@ export const toggleAutoDelete = async (table, id, autoDelete, customTimeout = nu
 };
 
 const autoDeleteService = {
-  fetchAutoDeleteSettings,
-  updateAutoDeleteSettings,
+  fetchRetentionPolicies,
+  updateRetentionPolicies,
+  resolveExpiryDate,
+  resolveFileExpiryDate,
   formatDuration,
   calculateRemainingTime,
   toggleAutoDelete,
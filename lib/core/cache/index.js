@@ -178,9 +178,12 @@ class MemoryCache {
    * Start cleanup routine
    */
   startCleanup() {
-    setInterval(() => {
+    const timer = setInterval(() => {
       this.cleanup();
     }, this.cleanupInterval);
+
+    // Don't keep a test run or script alive just for cleanup
+    timer.unref?.();
   }
 
   /**
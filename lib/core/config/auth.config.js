@@ -7,6 +7,18 @@ export const createAuthConfig = () => {
     // Session management
     session: {
       maxAge: 7 * 24 * 60 * 60, // 7 days in seconds
+      rememberMeMaxAge: 30 * 24 * 60 * 60, // 30 days in seconds
+      // Where sessions and revoked tokens live: 'supabase', 'redis' or 'memory' (tests, single process)
+      store: process.env.SESSION_STORE || 'supabase',
+      redis: {
+        // Redis-compatible REST endpoint (e.g. Upstash or a webdis-style proxy)
+        url: process.env.SESSION_REDIS_URL,
+        token: process.env.SESSION_REDIS_TOKEN,
+        keyPrefix: 'aeronotes:',
+      },
+      // Offline IP-range CSV (DB-IP Lite or IP2Location LITE) for the approximate
+      // location shown next to each signed-in device; without it none is shown
+      ipLocationDb: process.env.IP_LOCATION_DB || null,
       cookieName: 'aeronotes-session',
       sameSite: 'strict',
       secure: process.env.NODE_ENV === 'production',
@@ -14,18 +26,45 @@ export const createAuthConfig = () => {
     
     // PIN configuration
     pin: {
-      length: 4,
+      // Existing 4-digit PINs keep working; anyone can move to a longer one
+      minLength: 4,
+      maxLength: 8,
       attempts: {
         max: 5,
         lockoutMinutes: 30,
+        // Each repeat lockout lasts backoffMultiplier times longer, up to maxLockoutMinutes
+        backoffMultiplier: 2,
+        maxLockoutMinutes: 24 * 60,
+        windowMinutes: 60, // Failures older than this stop counting
+        perIp: {
+          max: 20, // One IP guessing across many accounts
+        },
+      },
+      // Self-service unlock by SMS code
+      unlock: {
+        otpLength: 6,
+        otpExpiryMinutes: 10,
+      },
+      // Self-service "Forgot PIN?": SMS code, then a short-lived token to set the new PIN
+      reset: {
+        otpLength: 6,
+        otpExpiryMinutes: 10,
+        tokenMinutes: 10,
       },
+      // Applied by lib/core/utils/pinPolicy.js on the server and in the forms
       validation: {
-        pattern: /^\d{4}$/,
+        pattern: /^\d+$/,
         blockedPatterns: [
           '0000', '1111', '2222', '3333', '4444',
           '5555', '6666', '7777', '8888', '9999',
-          '1234', '4321', '0123', '9876'
+          '1234', '4321', '0123', '9876',
+          // Popular PINs the repeat and sequence checks don't catch
+          '1004', '2000', '2580', '1122', '1313', '0852',
+          '112233', '123321', '11223344', '12344321'
         ],
+        rejectRepeats: true, // One digit, or a short run repeated (1212, 123123)
+        rejectSequences: true, // Steps of +1/-1 through the whole PIN (3456, 9876)
+        minDistinctDigits: 2,
       },
     },
     
@@ -46,6 +85,56 @@ export const createAuthConfig = () => {
       },
     },
     
+    // Optional second factor, checked after the PIN
+    mfa: {
+      totp: {
+        issuer: 'AeroNotes',
+        algorithm: 'sha1', // The one every authenticator app supports
+        digits: 6,
+        period: 30,
+        window: 1, // Time steps of clock drift accepted either side
+        challengeMinutes: 5, // How long a PIN-verified login waits for the code
+        recoveryCodes: {
+          count: 10,
+          length: 10,
+        },
+      },
+    },
+    
+    // Passkeys (WebAuthn) as an alternative to phone + PIN
+    webauthn: {
+      rpName: 'AeroNotes',
+      // Must be the site's domain (or a parent of it); passkeys are bound to it
+      rpId: process.env.WEBAUTHN_RP_ID || new URL(process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000').hostname,
+      origin: process.env.WEBAUTHN_ORIGIN || process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000',
+      // Passkeys must verify the user (biometric or device PIN) so they stand in for PIN + TOTP
+      userVerification: 'required',
+      challengeMinutes: 5,
+      maxCredentialsPerUser: 10,
+    },
+    
+    // Moving an account to a new phone number
+    phoneChange: {
+      otpLength: 6,
+      otpExpiryMinutes: 10,
+      requestHours: 24, // A started change must be finished within this
+      // Without the old number, the change completes only after this wait;
+      // the old number is told about it so its owner can cancel
+      lostNumberWaitDays: 7,
+    },
+    
+    // Alerts for sign-ins from a device or network the account hasn't used before
+    loginAlerts: {
+      enabled: process.env.LOGIN_ALERTS_ENABLED !== 'false',
+      // Also text the alert through the OTP provider (needs one that can send plain messages)
+      sms: process.env.LOGIN_ALERTS_SMS === 'true',
+      historySize: 50, // Past sessions compared against
+      ipv4PrefixLength: 24, // Addresses in the same /24 (IPv4) or /48 (IPv6) count as one network
+      ipv6PrefixLength: 48,
+      denyLinkHours: 72, // How long the "this wasn't me" link works
+      appUrl: process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000',
+    },
+    
     // Rate limiting
     rateLimiting: {
       login: {
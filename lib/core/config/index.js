@@ -14,6 +14,7 @@ import { createOTPConfig } from './otp.config.js';
  */
 export const createAppConfig = () => {
   const env = process.env.NODE_ENV || 'development';
+  const auth = createAuthConfig();
   
   return {
     env,
@@ -22,7 +23,7 @@ export const createAppConfig = () => {
     
     // Core configurations
     supabase: createClientConfig(),
-    auth: createAuthConfig(),
+    auth,
     storage: createStorageConfig(),
     otp: createOTPConfig(),
     
@@ -66,8 +67,9 @@ export const createAppConfig = () => {
         format: /^\+[1-9]\d{1,14}$/,
       },
       pin: {
-        length: 4,
-        format: /^\d{4}$/,
+        minLength: auth.pin.minLength,
+        maxLength: auth.pin.maxLength,
+        format: new RegExp(`^\\d{${auth.pin.minLength},${auth.pin.maxLength}}$`),
       },
       otp: {
         length: 6,
@@ -2,13 +2,39 @@
  * OTP Configuration
  */
 
+// "256, 254" -> ['256', '254']
+const parseCallingCodes = (value) => (value || '')
+  .split(',')
+  .map(code => code.trim().replace(/^\+/, ''))
+  .filter(Boolean);
+
 export const createOTPConfig = () => {
   const provider = process.env.OTP_PROVIDER || 'mock';
   
   return {
     // Provider selection
     provider,
-    fallbackProvider: 'mock',
+    // Tried after the chain; never the mock in production, where it would swallow codes
+    fallbackProvider: process.env.OTP_FALLBACK_PROVIDER
+      || (process.env.NODE_ENV === 'production' ? null : 'mock'),
+
+    // Failover along OTP_PROVIDER_CHAIN (see lib/otp/config.js)
+    failover: {
+      retryAttempts: 1, // Per provider, unless its config sets retryAttempts
+      backoffMs: 250, // Doubles with each retry
+      maxBackoffMs: 2000,
+      circuitBreaker: {
+        failureThreshold: 5, // Failed sends in a row before a provider is skipped
+        cooldownSeconds: 60,
+      },
+    },
+    
+    // Delivery channels; when the requested one fails everywhere, the others
+    // are tried in this order (email only when an address was given)
+    channels: {
+      default: 'sms',
+      fallback: ['sms', 'whatsapp', 'voice', 'email'],
+    },
     
     // OTP settings
     otp: {
@@ -22,8 +48,21 @@ export const createOTPConfig = () => {
     rateLimiting: {
       maxAttempts: 5,
       windowMinutes: 15,
-      cooldownMinutes: 5,
-      dailyLimit: 10,
+      // Send quotas, enforced by OTPQuotaService
+      cooldownMinutes: 5, // Between codes to one number
+      dailyLimit: 10, // Codes to one number per rolling 24 hours
+      perIp: {
+        max: 10,
+        windowMinutes: 60,
+      },
+      // Per calling code; pumping spreads sends over many numbers in one country
+      perCountry: {
+        max: 50,
+        windowMinutes: 60,
+        overrides: {
+          '256': 1000, // Home market
+        },
+      },
     },
     
     // Providers configuration
@@ -59,6 +98,23 @@ export const createOTPConfig = () => {
           retryAttempts: 3,
         },
       },
+      webhook: {
+        enabled: !!process.env.OTP_WEBHOOK_URL,
+        config: {
+          url: process.env.OTP_WEBHOOK_URL,
+          timeout: 10000,
+          retryAttempts: 2,
+        },
+      },
+      smtp: {
+        enabled: !!process.env.OTP_SMTP_HOST,
+        config: {
+          host: process.env.OTP_SMTP_HOST,
+          from: process.env.OTP_SMTP_FROM,
+          timeout: 10000,
+          retryAttempts: 1,
+        },
+      },
     },
     
     // Message templates
@@ -86,8 +142,9 @@ export const createOTPConfig = () => {
       phoneNumber: {
         required: true,
         format: /^\+[1-9]\d{1,14}$/,
-        blockedCountries: [], // ISO country codes
-        allowedCountries: [], // Empty = all allowed
+        // Calling codes without '+', e.g. OTP_ALLOWED_COUNTRY_CODES=256,254
+        blockedCountries: parseCallingCodes(process.env.OTP_BLOCKED_COUNTRY_CODES),
+        allowedCountries: parseCallingCodes(process.env.OTP_ALLOWED_COUNTRY_CODES), // Empty = all allowed
       },
       attempts: {
         maxPerPhone: 5,
@@ -49,9 +49,12 @@ export const createStorageConfig = () => {
     // Auto-delete configuration
     autoDelete: {
       enabled: true,
-      defaultExpiry: {
-        images: 30, // days
-        documents: 90, // days
+      // Seconds until an auto-deleting item expires when the user has no
+      // retention policy for it (see lib/core/utils/retention.js)
+      defaultRetention: {
+        note: 60 * 60, // 1 hour
+        image: 12 * 60 * 60, // 12 hours
+        document: 24 * 60 * 60, // 1 day
       },
       cleanupInterval: '0 2 * * *', // Daily at 2 AM
       gracePeriod: 7, // days before permanent deletion
@@ -86,6 +89,19 @@ export const createStorageConfig = () => {
       },
     },
     
+    // File version retention (the current version is never pruned)
+    versioning: {
+      maxVersionsPerFile: 10,
+      retentionDays: 90,
+    },
+    
+    // Document text extraction and previews
+    previews: {
+      textLength: 5000, // Characters of text kept for the inline preview
+      maxIndexedLength: 500000, // Characters of extracted text kept for search
+      csvPreviewRows: 50,
+    },
+    
     // Upload configuration
     upload: {
       chunkSize: 1024 * 1024, // 1MB chunks
@@ -93,14 +109,17 @@ export const createStorageConfig = () => {
       retryAttempts: 3,
       timeout: 30000, // 30 seconds
       progressCallback: true,
+      stagingBucket: 'upload-chunks', // Private bucket holding chunks until an upload is finalized
+      sessionTtlHours: 24,
     },
     
     // Metadata
     metadata: {
       extractExif: true,
+      stripSensitiveExif: true, // Drop GPS and device serials unless the uploader opts in
       generateThumbnails: true,
-      indexContent: false, // For search functionality
-      trackVersions: false,
+      indexContent: true, // Full-text search (SearchService)
+      trackVersions: true, // Note revisions and file versions
     },
   };
 }; 
\ No newline at end of file
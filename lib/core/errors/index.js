@@ -107,8 +107,26 @@ export class OTPError extends AppError {
  * Rate limiting error
  */
 export class RateLimitError extends AppError {
-  constructor(message = 'Rate limit exceeded', retryAfter = null) {
-    super(message, 429, 'RATE_LIMIT_EXCEEDED', { retryAfter });
+  constructor(message = 'Rate limit exceeded', retryAfter = null, retryAt = null) {
+    super(message, 429, 'RATE_LIMIT_EXCEEDED', { retryAfter, ...(retryAt && { retryAt }) });
+  }
+}
+
+/**
+ * Account locked after too many failed PIN attempts
+ */
+export class AccountLockedError extends AppError {
+  constructor(message = 'Too many failed attempts. Try again later.', retryAfter = null, lockedUntil = null) {
+    super(message, 423, 'ACCOUNT_LOCKED', { retryAfter, lockedUntil });
+  }
+}
+
+/**
+ * Sign-in refused until the PIN is changed (after "this wasn't me" on a sign-in alert)
+ */
+export class PinResetRequiredError extends AppError {
+  constructor(message = 'For your security, set a new PIN before signing in.') {
+    super(message, 403, 'PIN_RESET_REQUIRED');
   }
 }
 
@@ -276,7 +294,8 @@ export class ErrorHandler {
  */
 export const asyncHandler = (fn) => {
   return (req, res, next) => {
-    Promise.resolve(fn(req, res, next)).catch(next);
+    // Route handlers must hand their response back to Next.js
+    return Promise.resolve(fn(req, res, next)).catch(next);
   };
 };
 
@@ -285,5 +304,10 @@ export const asyncHandler = (fn) => {
  */
 export const sendErrorResponse = (NextResponse, error) => {
   const response = ErrorHandler.handleAPIError(error);
-  return NextResponse.json(response, { status: response.statusCode });
+  const retryAfter = response.error.details?.retryAfter;
+  
+  return NextResponse.json(response, {
+    status: response.statusCode,
+    ...(retryAfter && { headers: { 'Retry-After': String(retryAfter) } }),
+  });
 }; 
\ No newline at end of file
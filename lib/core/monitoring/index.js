@@ -163,6 +163,13 @@ export class MetricsCollector {
     this.counters.set(key, current + value);
   }
 
+  /**
+   * Read counter value
+   */
+  getCounter(name, labels = {}) {
+    return this.counters.get(this.getMetricKey(name, labels)) || 0;
+  }
+
   /**
    * Set gauge value
    */
@@ -259,7 +266,7 @@ export class MetricsCollector {
    * Start collecting system metrics
    */
   startCollectingSystemMetrics() {
-    setInterval(() => {
+    const timer = setInterval(() => {
       const memUsage = process.memoryUsage();
       
       // Memory metrics
@@ -281,6 +288,9 @@ export class MetricsCollector {
       });
       
     }, 30000); // Every 30 seconds
+
+    // Don't keep a test run or script alive just for sampling
+    timer.unref?.();
   }
 
   /**
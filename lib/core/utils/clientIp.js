@@ -0,0 +1,16 @@
+/**
+ * Client IP address from what the routes pass along
+ * Routes hand over the raw x-forwarded-for header (or x-real-ip). Each proxy
+ * appends the address it received the request from, so only the last hop was
+ * written by our own proxy; anything before it came from the client and can
+ * say anything, including a fresh address on every request.
+ */
+
+/**
+ * @param {string|null|undefined} forwardedFor - e.g. 'spoofed, 203.0.113.7'
+ * @returns {string|null} The last hop; null when there is none or it's 'unknown'
+ */
+export function clientIp(forwardedFor) {
+  const ip = forwardedFor?.split(',').pop().trim();
+  return ip && ip.toLowerCase() !== 'unknown' ? ip : null;
+}
@@ -0,0 +1,71 @@
+/**
+ * CSV parsing
+ * RFC 4180: quoted fields may contain delimiters, newlines and doubled quotes.
+ */
+
+/**
+ * Guess the delimiter from the first line (comma, semicolon or tab)
+ */
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? undefined : text.indexOf('\n'));
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Parse CSV text into rows
+ * @param {string} text - CSV contents
+ * @param {object} [options]
+ * @param {number} [options.maxRows] - Stop after this many rows (header included)
+ * @returns {{rows: string[][], truncated: boolean}}
+ */
+export function parseCsv(text, { maxRows = Infinity } = {}) {
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+
+      if (rows.length >= maxRows) {
+        return { rows, truncated: i < text.length - 1 };
+      }
+    } else {
+      field += char;
+    }
+  }
+
+  // Last line without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return { rows, truncated: false };
+}
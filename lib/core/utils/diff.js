@@ -0,0 +1,58 @@
+/**
+ * Line-based text diff
+ * Longest-common-subsequence over lines; good enough for note-sized text.
+ */
+
+/**
+ * Diff two texts line by line
+ * @returns {{changes: Array<{type: 'equal'|'added'|'removed', text: string}>, stats: {added: number, removed: number}}}
+ */
+export function diffLines(oldText = '', newText = '') {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+  const n = a.length;
+  const m = b.length;
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  const stats = { added: 0, removed: 0 };
+  let i = 0;
+  let j = 0;
+
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      changes.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      changes.push({ type: 'removed', text: a[i] });
+      stats.removed++;
+      i++;
+    } else {
+      changes.push({ type: 'added', text: b[j] });
+      stats.added++;
+      j++;
+    }
+  }
+
+  for (; i < n; i++) {
+    changes.push({ type: 'removed', text: a[i] });
+    stats.removed++;
+  }
+
+  for (; j < m; j++) {
+    changes.push({ type: 'added', text: b[j] });
+    stats.added++;
+  }
+
+  return { changes, stats };
+}
@@ -0,0 +1,129 @@
+/**
+ * Document text extraction
+ * Plain text and page count for the MIME types the documents bucket accepts.
+ * Server-only: depends on unpdf, mammoth and jszip.
+ */
+
+import { extractText, getDocumentProxy } from 'unpdf';
+import mammoth from 'mammoth';
+import JSZip from 'jszip';
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Legacy .doc is a binary format we have no parser for
+export const EXTRACTABLE_DOCUMENT_TYPES = [
+  'application/pdf',
+  DOCX_TYPE,
+  'text/plain',
+  'text/csv',
+  'application/rtf',
+];
+
+const decodeText = (buffer) => new TextDecoder('utf-8').decode(buffer).replace(/^\uFEFF/, '');
+
+async function extractPdf(buffer) {
+  const pdf = await getDocumentProxy(new Uint8Array(buffer));
+  const { totalPages, text } = await extractText(pdf, { mergePages: false });
+
+  return {
+    text: text.join('\n\n'),
+    firstPage: text[0] || '',
+    pageCount: totalPages,
+  };
+}
+
+async function extractDocx(buffer) {
+  const { value } = await mammoth.extractRawText({ buffer });
+
+  // Word records the page count it last laid out in docProps/app.xml
+  let pageCount = null;
+  try {
+    const zip = await JSZip.loadAsync(buffer);
+    const appXml = await zip.file('docProps/app.xml')?.async('string');
+    const pages = appXml?.match(/<Pages>(\d+)<\/Pages>/);
+    pageCount = pages ? parseInt(pages[1], 10) : null;
+  } catch {
+    // Page count is optional
+  }
+
+  return { text: value, pageCount };
+}
+
+/**
+ * Convert RTF to plain text
+ * Handles paragraphs, tabs, hex and unicode escapes, and skips destination
+ * groups (font/colour tables, \* extensions); formatting is dropped.
+ */
+function extractRtf(buffer) {
+  const source = new TextDecoder('latin1').decode(buffer);
+  const ignorable = ['fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer', 'listtable', 'listoverridetable'];
+  const stack = [];
+  let skip = false;
+  let text = '';
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '{') {
+      stack.push(skip);
+    } else if (char === '}') {
+      skip = stack.pop() ?? false;
+    } else if (char === '\\') {
+      const next = source[i + 1];
+
+      if (next === '\\' || next === '{' || next === '}') {
+        if (!skip) text += next;
+        i++;
+      } else if (next === '*') {
+        skip = true;
+        i++;
+      } else if (next === "'") {
+        if (!skip) text += String.fromCharCode(parseInt(source.substr(i + 2, 2), 16));
+        i += 3;
+      } else {
+        const match = /^([a-z]+)(-?\d+)? ?/i.exec(source.slice(i + 1, i + 40));
+        if (!match) continue;
+        const [whole, word, param] = match;
+        i += whole.length;
+
+        if (ignorable.includes(word)) {
+          skip = true;
+        } else if (!skip) {
+          if (word === 'par' || word === 'line') text += '\n';
+          else if (word === 'tab') text += '\t';
+          else if (word === 'u' && param) {
+            text += String.fromCharCode((parseInt(param, 10) + 65536) % 65536);
+            // Skip the ANSI fallback character that follows \uN
+            if (source[i + 1] === '?') i++;
+          }
+        }
+      }
+    } else if (!skip && char !== '\r' && char !== '\n') {
+      text += char;
+    }
+  }
+
+  return { text, pageCount: null };
+}
+
+/**
+ * Extract plain text from a document
+ * @param {Buffer} buffer - Document bytes
+ * @param {string} contentType - MIME type
+ * @returns {Promise<{text: string, firstPage?: string, pageCount: number|null}|null>} null for unsupported types
+ */
+export async function extractDocumentText(buffer, contentType) {
+  switch (contentType) {
+    case 'application/pdf':
+      return await extractPdf(buffer);
+    case DOCX_TYPE:
+      return await extractDocx(buffer);
+    case 'application/rtf':
+      return extractRtf(buffer);
+    case 'text/plain':
+    case 'text/csv':
+      return { text: decodeText(buffer), pageCount: null };
+    default:
+      return null;
+  }
+}
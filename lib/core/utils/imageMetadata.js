@@ -0,0 +1,105 @@
+/**
+ * Image metadata (EXIF)
+ * Reads the capture details we index and strips location and device
+ * identifiers before an image is stored. Server-only: depends on sharp.
+ */
+
+import sharp from 'sharp';
+import exifReader from 'exif-reader';
+import { RESIZABLE_IMAGE_TYPES } from './imageVariants.js';
+
+// Tags that tie a photo to a specific device or person
+const DEVICE_IDENTIFIER_TAGS = [
+  'BodySerialNumber',
+  'LensSerialNumber',
+  'CameraOwnerName',
+  'ImageUniqueID',
+  'MakerNote',
+];
+
+// Re-encoding quality when stripping; high enough that the loss isn't visible
+const STRIP_QUALITY = 92;
+
+const parseExif = (exif) => {
+  if (!exif) return null;
+
+  try {
+    return exifReader(exif);
+  } catch (error) {
+    console.warn('Unreadable EXIF block:', error.message);
+    return null;
+  }
+};
+
+const toIsoString = (value) =>
+  value instanceof Date && !isNaN(value.getTime()) ? value.toISOString() : null;
+
+/**
+ * Read capture details from an image
+ * @param {Buffer} source - Image bytes
+ * @returns {Promise<{capturedAt: string|null, width: number, height: number, orientation: number,
+ *   camera: {make: string, model: string, lens: string}|null, hasLocation: boolean,
+ *   hasDeviceIdentifiers: boolean}>}
+ */
+export async function readImageMetadata(source) {
+  const { width, height, orientation = 1, exif } = await sharp(source).metadata();
+  const tags = parseExif(exif) || {};
+  const image = tags.Image || {};
+  const photo = tags.Photo || {};
+
+  const camera = image.Make || image.Model
+    ? { make: image.Make?.trim(), model: image.Model?.trim(), lens: photo.LensModel?.trim() }
+    : null;
+
+  return {
+    capturedAt: toIsoString(photo.DateTimeOriginal) || toIsoString(image.DateTime),
+    width,
+    height,
+    orientation,
+    camera,
+    hasLocation: Object.keys(tags.GPSInfo || {}).length > 0,
+    hasDeviceIdentifiers: DEVICE_IDENTIFIER_TAGS.some(tag => photo[tag] || image[tag]),
+  };
+}
+
+/**
+ * Whether an image format can be stripped without changing its type
+ */
+export function canStripMetadata(contentType) {
+  return RESIZABLE_IMAGE_TYPES.includes(contentType);
+}
+
+/**
+ * Re-encode an image without GPS or device identifiers
+ * Orientation is baked into the pixels and the colour profile is kept;
+ * camera make/model and capture date survive, everything else is dropped.
+ * @param {Buffer} source - Image bytes
+ * @param {string} contentType - One of RESIZABLE_IMAGE_TYPES
+ * @param {object} details - Result of readImageMetadata for the same image
+ * @returns {Promise<Buffer>}
+ */
+export async function stripSensitiveMetadata(source, contentType, details) {
+  const ifd0 = {};
+  if (details.camera?.make) ifd0.Make = details.camera.make;
+  if (details.camera?.model) ifd0.Model = details.camera.model;
+
+  let pipeline = sharp(source).rotate().keepIccProfile();
+
+  if (Object.keys(ifd0).length > 0 || details.capturedAt) {
+    pipeline = pipeline.withExif({
+      IFD0: ifd0,
+      ...(details.capturedAt && {
+        IFD2: { DateTimeOriginal: details.capturedAt.slice(0, 19).replace('T', ' ').replace(/-/g, ':') },
+      }),
+    });
+  }
+
+  switch (contentType) {
+    case 'image/png':
+      return await pipeline.png().toBuffer();
+    case 'image/webp':
+      return await pipeline.webp({ quality: STRIP_QUALITY }).toBuffer();
+    default:
+      return await pipeline.jpeg({ quality: STRIP_QUALITY }).toBuffer();
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Image variant generation
+ * Resizes an uploaded image into the sizes listed in storage.config
+ * (cdn.transformations.images). Server-only: depends on sharp.
+ */
+
+import sharp from 'sharp';
+
+// Animated GIFs and SVGs are served as-is
+export const RESIZABLE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+export const VARIANT_CONTENT_TYPE = 'image/webp';
+
+/**
+ * Storage path of a variant, next to the original
+ * `u1/1700000000_photo.jpg` -> `u1/1700000000_photo_thumbnail.webp`
+ */
+export function getVariantPath(filePath, name) {
+  return `${filePath.replace(/\.[^./]+$/, '')}_${name}.webp`;
+}
+
+/**
+ * Resize an image into every configured size
+ * Images are scaled to fit inside width x height without upscaling, and
+ * EXIF orientation is applied so variants display the right way up.
+ * @param {Buffer} source - Original image bytes
+ * @param {Object<string, {width: number, height: number, quality: number}>} sizes
+ * @returns {Promise<Array<{name: string, buffer: Buffer, width: number, height: number, size: number}>>}
+ */
+export async function generateImageVariants(source, sizes) {
+  const variants = [];
+
+  for (const [name, { width, height, quality }] of Object.entries(sizes)) {
+    const { data, info } = await sharp(source)
+      .rotate()
+      .resize({ width, height, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality })
+      .toBuffer({ resolveWithObject: true });
+
+    variants.push({
+      name,
+      buffer: data,
+      width: info.width,
+      height: info.height,
+      size: info.size,
+    });
+  }
+
+  return variants;
+}
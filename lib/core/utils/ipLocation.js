@@ -0,0 +1,205 @@
+/**
+ * Approximate location from an IP address
+ * Looked up in an offline IP-range CSV (`auth.session.ipLocationDb`) so no
+ * address leaves the server. Understands the free DB-IP Lite files
+ * (ip-to-country or ip-to-city) and IP2Location LITE DB1/DB3. The country
+ * files are the better fit: city files run to millions of rows, all held in memory.
+ */
+
+import { readFile } from 'fs/promises';
+import { createAuthConfig } from '../config/auth.config.js';
+import { parseCsv } from './csv.js';
+import { clientIp } from './clientIp.js';
+
+// Loopback, private and link-local ranges, checked before the database
+const LOCAL_RANGES = [
+  /^127\./,
+  /^10\./,
+  /^192\.168\./,
+  /^172\.(1[6-9]|2\d|3[01])\./,
+  /^169\.254\./,
+  /^::1$/,
+  /^f[cd][0-9a-f]{2}:/i,
+  /^fe[89ab][0-9a-f]:/i,
+];
+
+const LOCAL_NETWORK = { countryCode: null, country: null, region: null, city: null, label: 'Local network' };
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+const countryName = (code) => {
+  try {
+    return regionNames.of(code);
+  } catch {
+    return code;
+  }
+};
+
+const ipv4ToBigInt = (ip) => ip.split('.').reduce((value, part) => (value << 8n) + BigInt(part), 0n);
+
+const ipv6ToBigInt = (ip) => {
+  const [head, tail = null] = ip.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail ? tail.split(':') : [];
+  const missing = tail === null ? 0 : 8 - headParts.length - tailParts.length;
+  const groups = [...headParts, ...Array(missing).fill('0'), ...tailParts];
+  return groups.reduce((value, group) => (value << 16n) + BigInt(parseInt(group || '0', 16)), 0n);
+};
+
+/**
+ * IPv4 and IPv6 live in separate tables so their numbers can't overlap
+ * @returns {{family: 4|6, value: bigint}|null}
+ */
+const toKey = (address) => {
+  const ip = address.trim().replace(/^::ffff:(?=\d+\.)/i, '');
+  if (/^\d+$/.test(ip)) {
+    // IP2Location numbers; anything above 32 bits is IPv6
+    const value = BigInt(ip);
+    return { family: value > 0xffffffffn ? 6 : 4, value };
+  }
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(ip)) {
+    return { family: 4, value: ipv4ToBigInt(ip) };
+  }
+  const ipv6 = ip.split('%')[0]; // Drop the zone, e.g. fe80::1%eth0
+  if (ipv6.includes(':') && /^[0-9a-f:]+$/i.test(ipv6)) {
+    return { family: 6, value: ipv6ToBigInt(ipv6) };
+  }
+  return null;
+};
+
+/**
+ * The network an address belongs to, e.g. its /24 or /48, as an opaque key
+ * Two addresses in the same network get the same key.
+ * @returns {string|null} null for missing or unparseable addresses
+ */
+export function networkPrefix(ipAddress, ipv4Bits = 24, ipv6Bits = 48) {
+  const ip = ipAddress?.split(',')[0].trim();
+  const key = ip && ip !== 'unknown' ? toKey(ip) : null;
+  if (!key) {
+    return null;
+  }
+
+  const bits = key.family === 4 ? ipv4Bits : ipv6Bits;
+  const hostBits = BigInt((key.family === 4 ? 32 : 128) - bits);
+  return `${key.family}:${(key.value >> hostBits).toString(16)}/${bits}`;
+}
+
+/**
+ * Column layout by field count:
+ *   3 - DB-IP country:     start, end, country code
+ *   4 - IP2Location DB1:   start, end, country code, country
+ *   6 - IP2Location DB3:   start, end, country code, country, region, city
+ *   8 - DB-IP city:        start, end, continent, country code, region, city, lat, lon
+ */
+const toLocation = (fields) => {
+  const [countryCode, region, city] = {
+    3: [fields[2], null, null],
+    4: [fields[2], null, null],
+    6: [fields[2], fields[4], fields[5]],
+    8: [fields[3], fields[4], fields[5]],
+  }[fields.length] || [];
+
+  // IP2Location marks unassigned ranges with "-", DB-IP with "ZZ"
+  if (!countryCode || countryCode === '-' || countryCode === 'ZZ') {
+    return null;
+  }
+
+  return { countryCode, region: region || null, city: city || null };
+};
+
+const splitLine = (line) => (line.includes('"') ? parseCsv(line).rows[0] : line.split(','));
+
+const searchTable = (table, value) => {
+  let low = 0;
+  let high = table.length - 1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    const range = table[middle];
+    if (value < range.start) {
+      high = middle - 1;
+    } else if (value > range.end) {
+      low = middle + 1;
+    } else {
+      return range.location;
+    }
+  }
+  return null;
+};
+
+let databasePromise = null;
+
+async function loadDatabase(path) {
+  const tables = { 4: [], 6: [] };
+  // Many ranges share a place; keep one object per place
+  const places = new Map();
+
+  const text = await readFile(path, 'utf8');
+  for (const line of text.split(/\r?\n/)) {
+    if (!line) continue;
+
+    const fields = splitLine(line);
+    const start = toKey(fields[0]);
+    const end = toKey(fields[1]);
+    const location = start && end && toLocation(fields);
+    if (!location) continue;
+
+    const placeKey = `${location.countryCode}|${location.region}|${location.city}`;
+    if (!places.has(placeKey)) {
+      places.set(placeKey, location);
+    }
+    tables[start.family].push({ start: start.value, end: end.value, location: places.get(placeKey) });
+  }
+
+  for (const table of Object.values(tables)) {
+    table.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+  }
+
+  console.log(`[IP_LOCATION] Loaded ${tables[4].length + tables[6].length} ranges from ${path}`);
+  return tables;
+}
+
+const getDatabase = () => {
+  const path = createAuthConfig().session.ipLocationDb;
+  if (!path) {
+    return null;
+  }
+
+  if (!databasePromise) {
+    databasePromise = loadDatabase(path).catch(error => {
+      // Don't retry a missing or broken file on every request
+      console.error('[IP_LOCATION] Could not load IP location database:', error.message);
+      return null;
+    });
+  }
+  return databasePromise;
+};
+
+/**
+ * @param {string} [ipAddress]
+ * @returns {Promise<{countryCode: string|null, country: string|null, region: string|null, city: string|null, label: string}|null>}
+ *   null when the address is unknown, not in the database, or no database is configured
+ */
+export async function lookupIpLocation(ipAddress) {
+  const ip = clientIp(ipAddress);
+  if (!ip) {
+    return null;
+  }
+
+  if (LOCAL_RANGES.some(range => range.test(ip.replace(/^::ffff:/i, '')))) {
+    return LOCAL_NETWORK;
+  }
+
+  const key = toKey(ip);
+  const database = key && await getDatabase();
+  const place = database && searchTable(database[key.family], key.value);
+  if (!place) {
+    return null;
+  }
+
+  const country = countryName(place.countryCode);
+  return {
+    ...place,
+    country,
+    label: [place.city, place.region !== place.city && place.region, country].filter(Boolean).join(', '),
+  };
+}
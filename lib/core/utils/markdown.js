@@ -0,0 +1,68 @@
+import MarkdownIt from 'markdown-it';
+
+/**
+ * Supported note formats
+ */
+export const NOTE_FORMATS = ['plain', 'markdown'];
+
+/**
+ * Markdown renderer
+ * Raw HTML is disabled so user input can never inject markup; markdown-it
+ * escapes it and rejects javascript:/vbscript:/data: link targets.
+ */
+const markdown = new MarkdownIt({
+  html: false,
+  linkify: true,
+  breaks: true,
+  typographer: false,
+});
+
+// Open links in a new tab without leaking the opener
+markdown.renderer.rules.link_open = (tokens, idx, options, env, self) => {
+  tokens[idx].attrSet('target', '_blank');
+  tokens[idx].attrSet('rel', 'noopener noreferrer nofollow');
+  return self.renderToken(tokens, idx, options);
+};
+
+// Render "- [ ] item" / "- [x] item" list entries as read-only checkboxes
+markdown.core.ruler.after('inline', 'task_lists', (state) => {
+  const tokens = state.tokens;
+
+  for (let i = 2; i < tokens.length; i++) {
+    const inline = tokens[i];
+    if (inline.type !== 'inline' || tokens[i - 2].type !== 'list_item_open') {
+      continue;
+    }
+
+    const match = /^\[([ xX])\]\s/.exec(inline.content);
+    const first = inline.children?.[0];
+    if (!match || !first || first.type !== 'text') {
+      continue;
+    }
+
+    const checkbox = new state.Token('html_inline', '', 0);
+    checkbox.content = `<input type="checkbox" disabled${match[1] === ' ' ? '' : ' checked'}> `;
+
+    first.content = first.content.slice(match[0].length);
+    inline.children.unshift(checkbox);
+    tokens[i - 2].attrJoin('class', 'task-list-item');
+  }
+});
+
+/**
+ * Render markdown source to sanitized HTML
+ */
+export function renderMarkdown(source) {
+  if (!source) {
+    return '';
+  }
+  return markdown.render(source);
+}
+
+/**
+ * Render note text for the given format
+ * Plain notes have no rendered form.
+ */
+export function renderNoteHtml(text, format = 'plain') {
+  return format === 'markdown' ? renderMarkdown(text) : null;
+}
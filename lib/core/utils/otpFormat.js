@@ -0,0 +1,89 @@
+/**
+ * One-time code format
+ * Length, character set and case handling for SMS codes, read from `otp` in
+ * otp.config.js. OTPService generates and checks codes with these rules and the
+ * code inputs use them to clean what is typed, so a switch to alphanumeric
+ * codes doesn't need the forms changing.
+ */
+
+import { createOTPConfig } from '../config/otp.config.js';
+
+const DIGITS = '0123456789';
+const UPPER = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const LOWER = 'abcdefghijklmnopqrstuvwxyz';
+
+export const MIN_OTP_LENGTH = 4;
+export const MAX_OTP_LENGTH = 8;
+
+/**
+ * The configured format
+ * @returns {{length: number, expiryMinutes: number, format: 'numeric'|'alphanumeric'|'alpha', caseInsensitive: boolean}}
+ */
+export function getOTPFormat() {
+  return createOTPConfig().otp;
+}
+
+/**
+ * Characters a generated code is drawn from
+ * Case-insensitive codes are generated in upper case only.
+ */
+export function otpAlphabet({ format, caseInsensitive } = getOTPFormat()) {
+  const letters = caseInsensitive ? UPPER : UPPER + LOWER;
+
+  switch (format) {
+    case 'alpha':
+      return letters;
+    case 'alphanumeric':
+      return DIGITS + letters;
+    default:
+      return DIGITS;
+  }
+}
+
+/**
+ * Canonical form of an entered code: spaces and dashes removed, upper-cased
+ * when case doesn't matter. Codes are hashed and compared in this form.
+ * @param {string} code
+ * @param {object} [policy] - Defaults to getOTPFormat()
+ * @returns {string}
+ */
+export function normalizeOTP(code, policy = getOTPFormat()) {
+  const cleaned = String(code ?? '').replace(/[\s-]/g, '');
+  return policy.caseInsensitive ? cleaned.toUpperCase() : cleaned;
+}
+
+/**
+ * What a code field keeps of the typed value: characters the format can
+ * contain, up to the longest code
+ * @param {string} value
+ * @param {object} [policy] - Defaults to getOTPFormat()
+ * @returns {string}
+ */
+export function sanitizeOTPInput(value, policy = getOTPFormat()) {
+  const alphabet = otpAlphabet(policy);
+  return normalizeOTP(value, policy)
+    .split('')
+    .filter(char => alphabet.includes(char))
+    .join('')
+    .slice(0, MAX_OTP_LENGTH);
+}
+
+/**
+ * Whether a code could have been generated under the policy
+ * @param {string} code - Already normalized
+ * @param {object} [policy] - Defaults to getOTPFormat()
+ */
+export function isValidOTPFormat(code, policy = getOTPFormat()) {
+  if (typeof code !== 'string' || code.length < MIN_OTP_LENGTH || code.length > MAX_OTP_LENGTH) {
+    return false;
+  }
+  const alphabet = otpAlphabet(policy);
+  return code.split('').every(char => alphabet.includes(char));
+}
+
+/**
+ * `inputMode` for a code field; phones show the number pad for numeric codes
+ */
+export function otpInputMode({ format } = getOTPFormat()) {
+  return format === 'numeric' ? 'numeric' : 'text';
+}
@@ -0,0 +1,37 @@
+/**
+ * Country calling code of an E.164 number
+ * Codes are prefix-free: 1 and 7 are the only one-digit codes, a fixed set
+ * of two-digit codes follows, and every other number starts with a
+ * three-digit code. That is enough to tell them apart without a full table.
+ */
+
+const ONE_DIGIT_CODES = new Set(['1', '7']);
+
+const TWO_DIGIT_CODES = new Set([
+  '20', '27',
+  '30', '31', '32', '33', '34', '36', '39',
+  '40', '41', '43', '44', '45', '46', '47', '48', '49',
+  '51', '52', '53', '54', '55', '56', '57', '58',
+  '60', '61', '62', '63', '64', '65', '66',
+  '81', '82', '84', '86',
+  '90', '91', '92', '93', '94', '95', '98',
+]);
+
+/**
+ * @param {string} phoneNumber - E.164, e.g. '+256772345678'
+ * @returns {string|null} Digits only, e.g. '256'; null for anything that isn't E.164
+ */
+export function callingCode(phoneNumber) {
+  if (!/^\+[1-9]\d{1,14}$/.test(phoneNumber || '')) {
+    return null;
+  }
+
+  const digits = phoneNumber.slice(1);
+  if (ONE_DIGIT_CODES.has(digits[0])) {
+    return digits[0];
+  }
+  if (TWO_DIGIT_CODES.has(digits.slice(0, 2))) {
+    return digits.slice(0, 2);
+  }
+  return digits.slice(0, 3);
+}
@@ -0,0 +1,110 @@
+/**
+ * PIN policy
+ * Length limits, the blocklist and the weak-pattern checks for PINs, read from
+ * `auth.pin` in auth.config.js. AuthService, the auth routes and the PIN forms
+ * all validate through here so the browser and the server agree.
+ */
+
+import { createAuthConfig } from '../config/auth.config.js';
+
+/**
+ * The configured policy
+ * @returns {{minLength: number, maxLength: number, blockedPatterns: string[], rejectRepeats: boolean, rejectSequences: boolean, minDistinctDigits: number}}
+ */
+export function getPinPolicy() {
+  const { minLength, maxLength, validation } = createAuthConfig().pin;
+  return { minLength, maxLength, ...validation };
+}
+
+/**
+ * Whether the PIN is one digit run repeated: 1111, 1212, 123123, 12341234
+ */
+export function isRepeatingPin(pin) {
+  for (let size = 1; size <= pin.length / 2; size++) {
+    if (pin.length % size === 0 && pin.slice(0, size).repeat(pin.length / size) === pin) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Whether every digit is one more (or one less) than the last: 3456, 98765
+ * 0 follows 9 so runs like 7890 count too.
+ */
+export function isSequentialPin(pin) {
+  const digits = pin.split('').map(Number);
+
+  return [1, 9].some(step =>
+    digits.every((digit, i) => i === 0 || digit === (digits[i - 1] + step) % 10)
+  );
+}
+
+/**
+ * Check a PIN against the policy
+ * @param {string} pin
+ * @param {object} [options]
+ * @param {string} [options.phoneNumber] - Rejects PINs taken from the end of the number
+ * @param {object} [policy] - Defaults to getPinPolicy()
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function checkPin(pin, { phoneNumber } = {}, policy = getPinPolicy()) {
+  const { minLength, maxLength } = policy;
+
+  if (!pin) {
+    return { valid: false, error: 'PIN is required' };
+  }
+
+  if (!/^\d+$/.test(pin)) {
+    return { valid: false, error: 'PIN must contain only digits' };
+  }
+
+  if (pin.length < minLength || pin.length > maxLength) {
+    return { valid: false, error: `PIN must be ${minLength} to ${maxLength} digits` };
+  }
+
+  if (policy.blockedPatterns.includes(pin)) {
+    return { valid: false, error: 'PIN is too common. Please choose a different PIN' };
+  }
+
+  if (policy.rejectRepeats && isRepeatingPin(pin)) {
+    return { valid: false, error: 'PIN can\'t be a repeated digit or pattern' };
+  }
+
+  if (policy.rejectSequences && isSequentialPin(pin)) {
+    return { valid: false, error: 'PIN can\'t be a run of consecutive digits' };
+  }
+
+  if (new Set(pin).size < policy.minDistinctDigits) {
+    return { valid: false, error: `PIN must use at least ${policy.minDistinctDigits} different digits` };
+  }
+
+  if (phoneNumber && phoneNumber.replace(/\D/g, '').endsWith(pin)) {
+    return { valid: false, error: 'PIN can\'t be the end of your phone number' };
+  }
+
+  return { valid: true };
+}
+
+export const PIN_STRENGTH_LABELS = ['Too weak', 'Weak', 'Fair', 'Good', 'Strong'];
+
+/**
+ * Rough strength of a PIN for the strength meter
+ * Any PIN the policy rejects scores 0; after that longer PINs and more
+ * distinct digits score higher.
+ * @returns {{score: number, label: string, valid: boolean, error?: string}} score 0-4
+ */
+export function getPinStrength(pin, options = {}, policy = getPinPolicy()) {
+  const check = checkPin(pin, options, policy);
+  if (!check.valid) {
+    return { score: 0, label: PIN_STRENGTH_LABELS[0], ...check };
+  }
+
+  const distinct = new Set(pin).size;
+  let score = 1;
+  if (pin.length >= 6) score++;
+  if (pin.length >= 8) score++;
+  if (distinct >= Math.min(pin.length, 4) && distinct >= pin.length * 0.6) score++;
+
+  return { score: Math.min(score, 4), label: PIN_STRENGTH_LABELS[Math.min(score, 4)], valid: true };
+}
@@ -0,0 +1,96 @@
+/**
+ * Retention policy resolution
+ * Decides how long an auto-deleting note, image or document lives. Shared by
+ * the browser services and the server services so both agree on expiry.
+ */
+
+export const RETENTION_CONTENT_TYPES = ['note', 'image', 'document'];
+
+export const RETENTION_MATCH_TYPES = ['default', 'tag', 'category'];
+
+/**
+ * Pick the expiry for an item
+ * Precedence: an explicit duration from the caller, then matching tag rules
+ * (the shortest wins when several tags match), then a category rule, then the
+ * user's default for the content type, then the app default.
+ * @param {Array<{content_type: string|null, match_type: string, match_value: string|null, expiry_seconds: number}>} policies - The user's rules
+ * @param {object} item
+ * @param {string} item.contentType - 'note' | 'image' | 'document'
+ * @param {string[]} [item.tags]
+ * @param {string} [item.category]
+ * @param {number} [item.requestedSeconds] - Duration chosen explicitly by the user
+ * @param {Object<string, number>} defaults - App defaults in seconds, keyed by content type
+ * @returns {{seconds: number, source: 'requested'|'tag'|'category'|'default'|'app'}}
+ */
+export function resolveRetention(policies = [], { contentType, tags = [], category, requestedSeconds }, defaults) {
+  if (requestedSeconds > 0) {
+    return { seconds: requestedSeconds, source: 'requested' };
+  }
+
+  // Rules without a content type apply to everything
+  const applicable = policies.filter(policy => !policy.content_type || policy.content_type === contentType);
+  const normalizedTags = tags.map(tag => tag.toLowerCase());
+
+  const tagMatches = applicable.filter(policy =>
+    policy.match_type === 'tag' && normalizedTags.includes(policy.match_value?.toLowerCase())
+  );
+  if (tagMatches.length > 0) {
+    return { seconds: Math.min(...tagMatches.map(policy => policy.expiry_seconds)), source: 'tag' };
+  }
+
+  const categoryMatch = category && applicable.find(policy =>
+    policy.match_type === 'category' && policy.match_value?.toLowerCase() === category.toLowerCase()
+  );
+  if (categoryMatch) {
+    return { seconds: categoryMatch.expiry_seconds, source: 'category' };
+  }
+
+  const defaultPolicy = applicable.find(policy => policy.match_type === 'default' && policy.content_type === contentType);
+  if (defaultPolicy) {
+    return { seconds: defaultPolicy.expiry_seconds, source: 'default' };
+  }
+
+  return { seconds: defaults[contentType], source: 'app' };
+}
+
+/**
+ * Expiry timestamp for a retention period starting now
+ * @returns {string} ISO timestamp
+ */
+export function getExpiryDate(seconds, from = new Date()) {
+  return new Date(from.getTime() + seconds * 1000).toISOString();
+}
+
+/**
+ * Check a set of rules before saving them
+ * @returns {string|null} The first problem found, or null when valid
+ */
+export function validateRetentionPolicies(policies) {
+  const seen = new Set();
+
+  for (const policy of policies) {
+    if (policy.content_type && !RETENTION_CONTENT_TYPES.includes(policy.content_type)) {
+      return `Unknown content type "${policy.content_type}"`;
+    }
+    if (!RETENTION_MATCH_TYPES.includes(policy.match_type)) {
+      return `Unknown rule type "${policy.match_type}"`;
+    }
+    if (policy.match_type === 'default' && !policy.content_type) {
+      return 'Default rules need a content type';
+    }
+    if (policy.match_type !== 'default' && !policy.match_value?.trim()) {
+      return `${policy.match_type === 'tag' ? 'Tag' : 'Category'} rules need a value`;
+    }
+    if (!Number.isInteger(policy.expiry_seconds) || policy.expiry_seconds <= 0) {
+      return 'Retention must be a positive number of seconds';
+    }
+
+    const key = [policy.content_type || '*', policy.match_type, policy.match_value?.trim().toLowerCase() || ''].join(':');
+    if (seen.has(key)) {
+      return 'Each rule can only be defined once';
+    }
+    seen.add(key);
+  }
+
+  return null;
+}
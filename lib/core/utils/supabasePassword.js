@@ -0,0 +1,24 @@
+/**
+ * Password for a user's Supabase auth account
+ * Nobody types it: it is derived from the phone number and APP_SECRET, so the
+ * server can sign the user in to Supabase once the PIN (or a passkey) checks
+ * out. Moving an account to a new number means setting the password for that number.
+ *
+ * The password goes out with every sign-in (`credentials`), so revoking access
+ * moves the user to the next version (user_profiles.supabase_password_version).
+ * Version 0 is the original derivation.
+ */
+
+import crypto from 'crypto';
+
+// IMPORTANT: Ensure APP_SECRET is set in your environment variables.
+const appSecret = process.env.APP_SECRET || 'default-fallback-secret-CHANGE-ME';
+if (appSecret === 'default-fallback-secret-CHANGE-ME') {
+  console.warn('WARNING: APP_SECRET is not set or is using the default. Please set a strong, unique secret in your environment variables.');
+}
+
+export function deriveSupabasePassword(phoneNumber, version = 0) {
+  return crypto.createHmac('sha256', appSecret)
+    .update(version ? `${phoneNumber}:${version}` : phoneNumber)
+    .digest('hex') + 'P!'; // Add complexity
+}
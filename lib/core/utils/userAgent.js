@@ -0,0 +1,85 @@
+/**
+ * User-agent parsing
+ * Enough to name a device in the session list ("Chrome 126 on Windows 10"),
+ * not feature detection. Order matters: Edge and Opera also say "Chrome",
+ * Chrome also says "Safari", and Android also says "Linux".
+ */
+
+const BROWSERS = [
+  ['Edge', /(?:Edg|EdgA|EdgiOS|Edge)\/([\d.]+)/],
+  ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari\//],
+];
+
+const WINDOWS_VERSIONS = {
+  '10.0': '10',
+  '6.3': '8.1',
+  '6.2': '8',
+  '6.1': '7',
+};
+
+const OPERATING_SYSTEMS = [
+  ['iPadOS', /iPad.*OS ([\d_]+)/],
+  ['iOS', /(?:iPhone|iPod).*OS ([\d_]+)/],
+  ['Android', /Android ([\d.]+)/],
+  ['ChromeOS', /CrOS \S+ ([\d.]+)/],
+  ['Windows', /Windows NT ([\d.]+)/, version => WINDOWS_VERSIONS[version] || null],
+  ['macOS', /Mac OS X ([\d_]+)/],
+  ['Linux', /Linux/],
+];
+
+const majorVersion = (version) => version?.split(/[._]/)[0] || null;
+
+const matchFirst = (userAgent, patterns) => {
+  for (const [name, pattern, mapVersion] of patterns) {
+    const match = userAgent.match(pattern);
+    if (match) {
+      const version = match[1] && (mapVersion ? mapVersion(match[1]) : majorVersion(match[1]));
+      return { name, version: version || null };
+    }
+  }
+  return { name: null, version: null };
+};
+
+/**
+ * @param {string} [userAgent]
+ * @returns {{browser: string|null, browserVersion: string|null, os: string|null, osVersion: string|null, deviceType: 'mobile'|'tablet'|'desktop'|null}}
+ */
+export function parseUserAgent(userAgent) {
+  if (!userAgent) {
+    return { browser: null, browserVersion: null, os: null, osVersion: null, deviceType: null };
+  }
+
+  const browser = matchFirst(userAgent, BROWSERS);
+  const os = matchFirst(userAgent, OPERATING_SYSTEMS);
+
+  let deviceType = 'desktop';
+  if (/iPad|Tablet/.test(userAgent) || (os.name === 'Android' && !/Mobile/.test(userAgent))) {
+    deviceType = 'tablet';
+  } else if (/Mobile|iPhone|iPod/.test(userAgent)) {
+    deviceType = 'mobile';
+  }
+
+  return {
+    browser: browser.name,
+    browserVersion: browser.version,
+    os: os.name,
+    // macOS has reported 10.15 since Big Sur, so that number means nothing
+    osVersion: os.name === 'macOS' ? null : os.version,
+    deviceType,
+  };
+}
+
+/**
+ * "Firefox 128 on Windows 10", "Safari on iOS 17", "Unknown browser"
+ */
+export function describeUserAgent(parsed) {
+  const browser = parsed.browser
+    ? [parsed.browser, parsed.browserVersion].filter(Boolean).join(' ')
+    : 'Unknown browser';
+  const os = parsed.os && [parsed.os, parsed.osVersion].filter(Boolean).join(' ');
+  return os ? `${browser} on ${os}` : browser;
+}
@@ -0,0 +1,41 @@
+/**
+ * Signed-in devices
+ * Each sign-in is a session; the access token from sign-in names the one
+ * that is this device.
+ */
+
+import { authHeaders } from './apiAuth';
+
+const request = async (path, method = 'GET') => {
+  const response = await fetch(path, {
+    method,
+    headers: authHeaders(),
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error?.message || 'Device request failed');
+  }
+
+  return data.data;
+};
+
+/**
+ * Active sessions, this device first
+ * @returns {Promise<Array<{sessionId: string, name: string, browser: string|null, os: string|null, deviceType: string|null, ipAddress: string|null, location: string|null, signedInAt: string, lastActivity: string, isCurrent: boolean}>>}
+ */
+export const fetchDevices = async () =>
+  (await request('/api/auth/sessions')).sessions;
+
+/**
+ * Sign one other device out
+ */
+export const revokeDevice = (sessionId) =>
+  request(`/api/auth/sessions/${encodeURIComponent(sessionId)}`, 'DELETE');
+
+/**
+ * Sign out everywhere except this device
+ * @returns {Promise<{revokedCount: number}>}
+ */
+export const revokeOtherDevices = () =>
+  request('/api/auth/sessions', 'DELETE');
@@ -1,10 +1,25 @@
 import supabase from './supabase';
+import { resolveExpiryDate, resolveFileExpiryDate, daysToSeconds } from './autoDeleteService';
 
 const FILES_TABLE = 'files';
 const DOCUMENTS_BUCKET = 'aeronotes-documents'; // Bucket for documents
 
-// Default expiry days for documents if auto-delete is on
-const DEFAULT_DOCUMENT_EXPIRY_DAYS = 7;
+/**
+ * Ask the server to extract the text of an uploaded document for its preview and search
+ */
+export const requestDocumentProcessing = async (id, userId) => {
+  const response = await fetch(`/api/files/${id}/preview`, {
+    method: 'POST',
+    headers: { 'x-user-id': userId },
+  });
+  const body = await response.json();
+
+  if (!response.ok) {
+    throw new Error(body.error?.message || 'Failed to process document');
+  }
+
+  return body.data.preview;
+};
 
 /**
  * Fetch all document-type files
@@ -12,8 +27,9 @@ const DEFAULT_DOCUMENT_EXPIRY_DAYS = 7;
 export const fetchDocuments = async () => {
   const { data, error } = await supabase
     .from(FILES_TABLE)
-    .select('id, file_name, content_type, created_at, updated_at, auto_delete, expiry_date, file_path, bucket_id')
+    .select('id, file_name, content_type, created_at, updated_at, auto_delete, expiry_date, file_path, bucket_id, text_preview, page_count')
     .eq('bucket_id', DOCUMENTS_BUCKET) // Filter by document bucket
+    .is('deleted_at', null)
     .order('updated_at', { ascending: false });
   
   if (error) {
@@ -60,7 +76,7 @@ export const createDocument = async (formData) => {
   const autoDelete = formData.get('autoDelete') === 'true';
   const expiryDays = formData.get('expiryDays') 
     ? parseInt(formData.get('expiryDays'), 10) 
-    : DEFAULT_DOCUMENT_EXPIRY_DAYS;
+    : undefined;
 
   if (!file) {
     throw new Error('No file provided for document upload.');
@@ -84,11 +100,9 @@ export const createDocument = async (formData) => {
   }
 
   // 2. Calculate expiry date if auto-delete is enabled
-  let expiryDate = null;
-  if (autoDelete) {
-    expiryDate = new Date();
-    expiryDate.setDate(expiryDate.getDate() + expiryDays);
-  }
+  const expiryDate = autoDelete
+    ? await resolveExpiryDate({ contentType: 'document', requestedSeconds: daysToSeconds(expiryDays) })
+    : null;
 
   // 3. Insert metadata into the files table
   const { data: dbData, error: dbError } = await supabase
@@ -102,7 +116,7 @@ export const createDocument = async (formData) => {
       auto_delete: autoDelete,
       expiry_date: expiryDate
     })
-    .select('id, file_name, content_type, created_at, updated_at, auto_delete, expiry_date, file_path, bucket_id')
+    .select('id, file_name, content_type, created_at, updated_at, auto_delete, expiry_date, file_path, bucket_id, text_preview, page_count')
     .single();
 
   if (dbError) {
@@ -112,6 +126,11 @@ export const createDocument = async (formData) => {
     throw dbError;
   }
 
+  // Text extraction runs in the background; the card shows its preview once it lands
+  requestDocumentProcessing(dbData.id, user.id).catch(error => {
+    console.error('Error processing document:', error);
+  });
+
   return {
     ...dbData,
     title: dbData.file_name,
@@ -137,7 +156,7 @@ export const updateDocument = async (id, updates) => {
     .update(validUpdates)
     .eq('id', id)
     .eq('bucket_id', DOCUMENTS_BUCKET)
-    .select('id, file_name, content_type, created_at, updated_at, auto_delete, expiry_date, file_path, bucket_id')
+    .select('id, file_name, content_type, created_at, updated_at, auto_delete, expiry_date, file_path, bucket_id, text_preview, page_count')
     .single();
   
   if (error) {
@@ -157,21 +176,12 @@ export const updateDocument = async (id, updates) => {
  * Toggle auto-delete for a document and set/clear its expiry date.
  * @param {string} id - The ID of the file record.
  * @param {boolean} autoDelete - The new auto_delete status.
- * @param {number} [expiryDays=DEFAULT_DOCUMENT_EXPIRY_DAYS] - Optional number of days for expiry if autoDelete is true.
+ * @param {number} [expiryDays] - Optional number of days for expiry if autoDelete is true; defaults to the user's retention policy.
  */
-export const toggleDocumentAutoDelete = async (id, autoDelete, expiryDays = DEFAULT_DOCUMENT_EXPIRY_DAYS) => {
-  let newExpiryDate = null;
-  if (autoDelete) {
-    newExpiryDate = new Date();
-    // Handle fractional days properly (e.g., 1/24 = 1 hour)
-    if (expiryDays < 1) {
-      // For fractional days, convert to seconds and add them
-      newExpiryDate.setSeconds(newExpiryDate.getSeconds() + expiryDays * 24 * 60 * 60);
-    } else {
-      // For whole days, use setDate
-      newExpiryDate.setDate(newExpiryDate.getDate() + expiryDays);
-    }
-  }
+export const toggleDocumentAutoDelete = async (id, autoDelete, expiryDays) => {
+  const newExpiryDate = autoDelete
+    ? await resolveFileExpiryDate(id, 'document', daysToSeconds(expiryDays))
+    : null;
   
   return updateDocument(id, { 
     auto_delete: autoDelete, 
@@ -180,49 +190,21 @@ export const toggleDocumentAutoDelete = async (id, autoDelete, expiryDays = DEFA
 };
 
 /**
- * Delete a document: removes from storage and from the 'files' table.
+ * Move a document to the trash.
+ * Storage objects stay in place until the document is purged (see trashService).
  * @param {string} id - The ID of the file record in the 'files' table.
  */
 export const deleteDocument = async (id) => {
-  // 1. Get the file record to find its path and bucket
-  const { data: fileRecord, error: fetchError } = await supabase
+  const { error } = await supabase
     .from(FILES_TABLE)
-    .select('file_path, bucket_id')
+    .update({ deleted_at: new Date().toISOString() })
     .eq('id', id)
-    .eq('bucket_id', DOCUMENTS_BUCKET)
-    .single();
+    .eq('bucket_id', DOCUMENTS_BUCKET);
 
-  if (fetchError) {
-    console.error('Error fetching document for deletion:', fetchError);
-    throw fetchError;
-  }
-
-  if (!fileRecord) {
-    throw new Error('Document not found.');
-  }
-
-  // 2. Delete the file from storage
-  const { error: storageError } = await supabase.storage
-    .from(fileRecord.bucket_id)
-    .remove([fileRecord.file_path]);
-
-  if (storageError) {
-    console.error('Error deleting document from storage:', storageError);
-    // Depending on policy, you might still want to delete the DB record or handle error differently
-    // For now, we'll throw, but this could leave an orphaned DB record.
-    throw storageError; 
-  }
-
-  // 3. Delete the metadata record from the files table
-  const { error: dbError } = await supabase
-    .from(FILES_TABLE)
-    .delete()
-    .eq('id', id);
-
-  if (dbError) {
-    console.error('Error deleting document metadata:', dbError);
-    throw dbError;
+  if (error) {
+    console.error('Error moving document to trash:', error);
+    throw error;
   }
   
-  return true; // Successfully deleted
+  return true;
 }; 
\ No newline at end of file
@@ -5,10 +5,12 @@ import {
   deleteDocument as deleteDocumentService,
   toggleDocumentAutoDelete as toggleDocumentAutoDeleteService,
 } from '../documentService'; // Adjust path as needed
+import { shouldUploadInChunks, uploadInChunks } from '../uploadService';
 
 export function useDocuments(enabled = true) {
   const [documents, setDocuments] = useState([]);
   const [isLoadingDocuments, setIsLoadingDocuments] = useState(enabled);
+  const [uploadProgress, setUploadProgress] = useState(null);
 
   const loadDocuments = useCallback(async () => {
     if (!enabled) {
@@ -43,12 +45,26 @@ export function useDocuments(enabled = true) {
       return;
     }
     try {
-      const newDocFromDb = await createDocumentService(formData);
-      setDocuments(prevDocs => [newDocFromDb, ...prevDocs]);
+      const file = formData.get('file');
+      let newDocFromDb;
+
+      if (file && shouldUploadInChunks(file)) {
+        // Large documents go up in resumable chunks; auto-delete is applied once the record exists
+        const storedFile = await uploadInChunks(file, { onProgress: setUploadProgress });
+        const autoDelete = formData.get('autoDelete') === 'true';
+        const expiryDays = formData.get('expiryDays') ? parseInt(formData.get('expiryDays'), 10) : undefined;
+        newDocFromDb = await toggleDocumentAutoDeleteService(storedFile.id, autoDelete, expiryDays);
+      } else {
+        newDocFromDb = await createDocumentService(formData);
+      }
+
+      setDocuments(prevDocs => [newDocFromDb, ...prevDocs.filter(d => d.id !== newDocFromDb.id)]);
       return newDocFromDb;
     } catch (error) {
       console.error("Error adding document in useDocuments:", error);
       throw error;
+    } finally {
+      setUploadProgress(null);
     }
   }, [enabled]);
 
@@ -117,6 +133,7 @@ export function useDocuments(enabled = true) {
   return {
     documents,
     isLoadingDocuments,
+    uploadProgress,
     addDocumentHandler: handleAddDocument,
     deleteDocumentHandler: handleDeleteDocument,
     toggleDocAutoDeleteHandler: handleToggleDocAutoDelete,
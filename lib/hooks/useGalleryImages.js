@@ -4,11 +4,14 @@ import {
   uploadImage as uploadGalleryImageService,
   deleteImage as deleteGalleryImageService,
   toggleImageAutoDelete as toggleImageAutoDeleteService,
+  updateImageMetadata as updateImageMetadataService,
 } from '../imageService'; // Adjust path as needed
+import { shouldUploadInChunks, uploadInChunks } from '../uploadService';
 
 export function useGalleryImages(enabled = true) {
   const [galleryImages, setGalleryImages] = useState([]);
   const [isLoadingGalleryImages, setIsLoadingGalleryImages] = useState(enabled);
+  const [uploadProgress, setUploadProgress] = useState(null);
 
   const loadGalleryImages = useCallback(async () => {
     if (!enabled) {
@@ -44,13 +47,26 @@ export function useGalleryImages(enabled = true) {
     }
     setIsLoadingGalleryImages(true); // Set loading true during upload
     try {
-      const newImageFromDb = await uploadGalleryImageService(file, altText, autoDelete, expiryDays);
-      setGalleryImages(prevImages => [newImageFromDb, ...prevImages].sort((a, b) => new Date(b.created_at) - new Date(a.created_at)));
+      let newImageFromDb;
+
+      if (shouldUploadInChunks(file)) {
+        // Large images go up in resumable chunks; alt text and auto-delete are applied once the record exists
+        const storedFile = await uploadInChunks(file, { onProgress: setUploadProgress });
+        if (altText) {
+          await updateImageMetadataService(storedFile.id, { alt: altText });
+        }
+        newImageFromDb = await toggleImageAutoDeleteService(storedFile.id, !!autoDelete, expiryDays);
+      } else {
+        newImageFromDb = await uploadGalleryImageService(file, altText, autoDelete, expiryDays);
+      }
+
+      setGalleryImages(prevImages => [newImageFromDb, ...prevImages.filter(img => img.id !== newImageFromDb.id)].sort((a, b) => new Date(b.created_at) - new Date(a.created_at)));
       return newImageFromDb;
     } catch (error) {
       console.error("Error uploading image in useGalleryImages:", error);
       throw error;
     } finally {
+      setUploadProgress(null);
       setIsLoadingGalleryImages(false); // Reset loading state
     }
   }, [enabled]);
@@ -119,6 +135,7 @@ export function useGalleryImages(enabled = true) {
   return {
     galleryImages,
     isLoadingGalleryImages,
+    uploadProgress,
     uploadImageHandler: handleImageUpload,
     deleteImageHandler: handleDeleteImage,
     toggleImageAutoDeleteHandler: handleToggleImageAutoDelete,
@@ -23,6 +23,7 @@ export function useNotes(enabled = true) {
         id: n.id,
         user_id: n.user_id,
         text: n.text,
+        format: n.format || 'plain',
         autoDelete: n.autoDelete,
         created_at: n.created_at,
         createdAt: new Date(n.created_at).getTime(),
@@ -57,6 +58,7 @@ export function useNotes(enabled = true) {
         id: newNoteFromDb.id,
         user_id: newNoteFromDb.user_id,
         text: newNoteFromDb.text,
+        format: newNoteFromDb.format || 'plain',
         autoDelete: newNoteFromDb.autoDelete,
         created_at: newNoteFromDb.created_at,
         createdAt: new Date(newNoteFromDb.created_at).getTime(),
@@ -94,6 +96,7 @@ export function useNotes(enabled = true) {
         id: updatedNoteFromDb.id,
         user_id: updatedNoteFromDb.user_id,
         text: updatedNoteFromDb.text,
+        format: updatedNoteFromDb.format || 'plain',
         autoDelete: updatedNoteFromDb.autoDelete,
         created_at: updatedNoteFromDb.created_at,
         createdAt: new Date(updatedNoteFromDb.created_at).getTime(),
@@ -77,7 +77,19 @@ export const useRealtimeSync = ({
   const handleFileUpdate = useCallback((payload) => {
     console.log('📄 Realtime UPDATE event for file:', payload);
     const updatedFile = payload.new;
-    if (updatedFile.user_id === userId && callbacksRef.current.onFileUpdated) {
+    if (updatedFile.user_id !== userId) return;
+
+    // Moving to or out of the trash is an update, but to the lists it is a delete/insert
+    const isListed = currentFilesRef.current.some(file => file.id === updatedFile.id);
+    if (updatedFile.deleted_at) {
+      if (isListed && callbacksRef.current.onFileDeleted) {
+        callbacksRef.current.onFileDeleted(updatedFile);
+      }
+    } else if (!isListed) {
+      if (callbacksRef.current.onFileAdded) {
+        callbacksRef.current.onFileAdded(updatedFile);
+      }
+    } else if (callbacksRef.current.onFileUpdated) {
       callbacksRef.current.onFileUpdated(updatedFile, payload.old);
     }
   }, [userId]);
@@ -116,7 +128,18 @@ export const useRealtimeSync = ({
   const handleNoteUpdate = useCallback((payload) => {
     console.log('📝 Realtime UPDATE event for note:', payload);
     const updatedNote = payload.new;
-    if (updatedNote.user_id === userId && callbacksRef.current.onNoteUpdated) {
+    if (updatedNote.user_id !== userId) return;
+
+    const isListed = currentNotesRef.current.some(note => note.id === updatedNote.id);
+    if (updatedNote.deleted_at) {
+      if (isListed && callbacksRef.current.onNoteDeleted) {
+        callbacksRef.current.onNoteDeleted(updatedNote);
+      }
+    } else if (!isListed) {
+      if (callbacksRef.current.onNoteAdded) {
+        callbacksRef.current.onNoteAdded(updatedNote);
+      }
+    } else if (callbacksRef.current.onNoteUpdated) {
       callbacksRef.current.onNoteUpdated(updatedNote, payload.old);
     }
   }, [userId]);
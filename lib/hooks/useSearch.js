@@ -0,0 +1,70 @@
+import { useState, useEffect, useRef } from 'react';
+
+const SEARCH_DEBOUNCE_MS = 300;
+const MIN_QUERY_LENGTH = 2;
+
+const EMPTY_RESULTS = { total: 0, groups: { notes: [], images: [], documents: [] } };
+
+export function useSearch(userId) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(EMPTY_RESULTS);
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    const trimmed = query.trim();
+
+    if (!userId || trimmed.length < MIN_QUERY_LENGTH) {
+      setResults(EMPTY_RESULTS);
+      setIsSearching(false);
+      setSearchError(null);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      // Drop any in-flight search for an older query
+      abortRef.current?.abort();
+      const controller = new AbortController();
+      abortRef.current = controller;
+
+      setIsSearching(true);
+      setSearchError(null);
+      try {
+        const response = await fetch(`/api/search?q=${encodeURIComponent(trimmed)}`, {
+          headers: { 'x-user-id': userId },
+          signal: controller.signal,
+        });
+        const body = await response.json();
+
+        if (!response.ok) {
+          throw new Error(body.error?.message || 'Search failed');
+        }
+
+        setResults(body.data);
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error("Error searching in useSearch:", error);
+        setSearchError(error.message);
+        setResults(EMPTY_RESULTS);
+      } finally {
+        if (abortRef.current === controller) {
+          setIsSearching(false);
+        }
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [query, userId]);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  return {
+    query,
+    setQuery,
+    results,
+    isSearching,
+    searchError,
+    clearSearch: () => setQuery(''),
+  };
+}
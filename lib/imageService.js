@@ -1,10 +1,39 @@
 import supabase from './supabase';
+import { resolveExpiryDate, resolveFileExpiryDate, daysToSeconds } from './autoDeleteService';
 
 const FILES_TABLE = 'files';
 const IMAGES_BUCKET = 'images'; // Bucket specifically for images
 
-// Default expiry days for images if auto-delete is on
-const DEFAULT_IMAGE_EXPIRY_DAYS = 30;
+/**
+ * Public URLs for the resized variants recorded on a files row
+ * Images without variants (not yet processed, GIF, SVG) get null and fall back to the original.
+ */
+const getVariantUrls = (img) => {
+  if (!img.variants) return null;
+
+  return Object.fromEntries(Object.entries(img.variants).map(([name, variant]) => [name, {
+    url: supabase.storage.from(img.bucket_id).getPublicUrl(variant.path).data.publicUrl,
+    width: variant.width,
+    height: variant.height,
+  }]));
+};
+
+/**
+ * Ask the server to generate thumbnail/medium/large variants for an uploaded image
+ */
+export const requestImageVariants = async (id, userId) => {
+  const response = await fetch(`/api/files/${id}/variants`, {
+    method: 'POST',
+    headers: { 'x-user-id': userId },
+  });
+  const body = await response.json();
+
+  if (!response.ok) {
+    throw new Error(body.error?.message || 'Failed to generate image variants');
+  }
+
+  return body.data.variants;
+};
 
 /**
  * Fetch all image-type files
@@ -12,8 +41,9 @@ const DEFAULT_IMAGE_EXPIRY_DAYS = 30;
 export const fetchImageMetadata = async () => {
   const { data, error } = await supabase
     .from(FILES_TABLE)
-    .select('id, file_name, content_type, created_at, updated_at, auto_delete, expiry_date, file_path, bucket_id, alt') // Assuming 'alt' is specific to images and you might add it to files table or handle differently
+    .select('id, file_name, content_type, created_at, updated_at, auto_delete, expiry_date, file_path, bucket_id, alt, variants') // Assuming 'alt' is specific to images and you might add it to files table or handle differently
     .eq('bucket_id', IMAGES_BUCKET) // Filter by image bucket
+    .is('deleted_at', null)
     .order('created_at', { ascending: false });
   
   if (error) {
@@ -38,6 +68,7 @@ export const fetchImageMetadata = async () => {
     return {
       ...img,
       url,
+      variants: getVariantUrls(img),
       isRecent
     };
   });
@@ -48,9 +79,9 @@ export const fetchImageMetadata = async () => {
  * @param {File} file - The image file to upload.
  * @param {string} [alt] - Alt text for the image.
  * @param {boolean} [autoDelete=false] - Whether to auto-delete the image.
- * @param {number} [expiryDays=DEFAULT_IMAGE_EXPIRY_DAYS] - Days until expiry if autoDelete is true.
+ * @param {number} [expiryDays] - Days until expiry if autoDelete is true; defaults to the user's retention policy.
  */
-export const uploadImage = async (file, alt, autoDelete = false, expiryDays = DEFAULT_IMAGE_EXPIRY_DAYS) => {
+export const uploadImage = async (file, alt, autoDelete = false, expiryDays) => {
   const { data: { user } } = await supabase.auth.getUser();
   if (!user) {
     console.error("User not authenticated");
@@ -75,18 +106,9 @@ export const uploadImage = async (file, alt, autoDelete = false, expiryDays = DE
   }
 
   // 2. Calculate expiry date
-  let expiryDate = null;
-  if (autoDelete) {
-    expiryDate = new Date();
-    // Handle fractional days properly (e.g., 1/24 = 1 hour)
-    if (expiryDays < 1) {
-      // For fractional days, convert to seconds and add them
-      expiryDate.setSeconds(expiryDate.getSeconds() + expiryDays * 24 * 60 * 60);
-    } else {
-      // For whole days, use setDate
-      expiryDate.setDate(expiryDate.getDate() + expiryDays);
-    }
-  }
+  const expiryDate = autoDelete
+    ? await resolveExpiryDate({ contentType: 'image', requestedSeconds: daysToSeconds(expiryDays) })
+    : null;
 
   // 3. Insert metadata into the files table
   // Consider adding an 'alt' column to your 'files' table or a generic metadata jsonb column 
@@ -103,7 +125,7 @@ export const uploadImage = async (file, alt, autoDelete = false, expiryDays = DE
       expiry_date: expiryDate,
       alt: alt
     })
-    .select('id, file_name, content_type, created_at, updated_at, auto_delete, expiry_date, file_path, bucket_id, alt')
+    .select('id, file_name, content_type, created_at, updated_at, auto_delete, expiry_date, file_path, bucket_id, alt, variants')
     .single();
 
   if (dbError) {
@@ -112,6 +134,11 @@ export const uploadImage = async (file, alt, autoDelete = false, expiryDays = DE
     throw dbError;
   }
 
+  // Variants are built in the background; until then the gallery shows the original
+  requestImageVariants(dbData.id, user.id).catch(error => {
+    console.error('Error generating image variants:', error);
+  });
+
   return {
     ...dbData,
     url: supabase.storage.from(dbData.bucket_id).getPublicUrl(dbData.file_path).data.publicUrl + `?cb=${Date.now()}`,
@@ -139,7 +166,7 @@ export const updateImageMetadata = async (id, updates) => {
     .update(validUpdates)
     .eq('id', id)
     .eq('bucket_id', IMAGES_BUCKET)
-    .select('id, file_name, content_type, created_at, updated_at, auto_delete, expiry_date, file_path, bucket_id, alt')
+    .select('id, file_name, content_type, created_at, updated_at, auto_delete, expiry_date, file_path, bucket_id, alt, variants')
     .single();
   
   if (error) {
@@ -150,6 +177,7 @@ export const updateImageMetadata = async (id, updates) => {
   return {
     ...data,
     url: supabase.storage.from(data.bucket_id).getPublicUrl(data.file_path).data.publicUrl,
+    variants: getVariantUrls(data),
     // alt should now be part of data due to the select statement
   };
 };
@@ -158,21 +186,12 @@ export const updateImageMetadata = async (id, updates) => {
  * Toggle auto-delete for an image and set/clear its expiry date.
  * @param {string} id - The ID of the file record.
  * @param {boolean} autoDelete - The new auto_delete status.
- * @param {number} [expiryDays=DEFAULT_IMAGE_EXPIRY_DAYS] - Optional number of days for expiry.
+ * @param {number} [expiryDays] - Optional number of days for expiry; defaults to the user's retention policy.
  */
-export const toggleImageAutoDelete = async (id, autoDelete, expiryDays = DEFAULT_IMAGE_EXPIRY_DAYS) => {
-  let newExpiryDate = null;
-  if (autoDelete) {
-    newExpiryDate = new Date();
-    // Handle fractional days properly (e.g., 1/24 = 1 hour)
-    if (expiryDays < 1) {
-      // For fractional days, convert to seconds and add them
-      newExpiryDate.setSeconds(newExpiryDate.getSeconds() + expiryDays * 24 * 60 * 60);
-    } else {
-      // For whole days, use setDate
-      newExpiryDate.setDate(newExpiryDate.getDate() + expiryDays);
-    }
-  }
+export const toggleImageAutoDelete = async (id, autoDelete, expiryDays) => {
+  const newExpiryDate = autoDelete
+    ? await resolveFileExpiryDate(id, 'image', daysToSeconds(expiryDays))
+    : null;
   
   return updateImageMetadata(id, { 
     auto_delete: autoDelete, 
@@ -182,43 +201,20 @@ export const toggleImageAutoDelete = async (id, autoDelete, expiryDays = DEFAULT
 
 
 /**
- * Delete an image: removes from storage and from the 'files' table.
+ * Move an image to the trash.
+ * Storage objects stay in place until the image is purged (see trashService).
  * @param {string} id - The ID of the file record in the 'files' table.
  */
 export const deleteImage = async (id) => {
-  const { data: fileRecord, error: fetchError } = await supabase
+  const { error } = await supabase
     .from(FILES_TABLE)
-    .select('file_path, bucket_id')
+    .update({ deleted_at: new Date().toISOString() })
     .eq('id', id)
-    .eq('bucket_id', IMAGES_BUCKET)
-    .single();
-
-  if (fetchError) {
-    console.error('Error fetching image for deletion:', fetchError);
-    throw fetchError;
-  }
-
-  if (!fileRecord) {
-    throw new Error('Image not found.');
-  }
-
-  const { error: storageError } = await supabase.storage
-    .from(fileRecord.bucket_id)
-    .remove([fileRecord.file_path]);
+    .eq('bucket_id', IMAGES_BUCKET);
 
-  if (storageError) {
-    console.error('Error deleting image from storage:', storageError);
-    throw storageError;
-  }
-
-  const { error: dbError } = await supabase
-    .from(FILES_TABLE)
-    .delete()
-    .eq('id', id);
-
-  if (dbError) {
-    console.error('Error deleting image metadata:', dbError);
-    throw dbError;
+  if (error) {
+    console.error('Error moving image to trash:', error);
+    throw error;
   }
   
   return true;
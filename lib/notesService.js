@@ -1,14 +1,15 @@
 import supabase from './supabase';
+import { resolveExpiryDate } from './autoDeleteService';
 
 // Table names
 const NOTES_TABLE = 'notes';
-const DEFAULT_NOTE_EXPIRY_HOURS = 1;
 
 // Fetch all notes
 export const fetchNotes = async () => {
   const { data, error } = await supabase
     .from(NOTES_TABLE)
     .select('*') // Selects all columns, including the new expiry_date and existing "autoDelete"
+    .is('deleted_at', null) // Trashed notes only show up in the Trash view
     .order('created_at', { ascending: false });
   
   if (error) {
@@ -22,53 +23,51 @@ export const fetchNotes = async () => {
 };
 
 // Create a new note
-export const createNote = async (text, autoDelete = true) => { // autoDelete defaults to true
+// format: 'plain' | 'markdown'
+// Goes through /api/notes so the server renders and sanitizes markdown and
+// records the first revision; expiry follows the user's retention policy there.
+export const createNote = async (text, autoDelete = true, format = 'plain') => { // autoDelete defaults to true
   const { data: { user } } = await supabase.auth.getUser();
   if (!user) {
     console.error("User not authenticated");
     throw new Error("User not authenticated");
   }
 
-  let expiryDate = null;
-  if (autoDelete) {
-    expiryDate = new Date();
-    expiryDate.setHours(expiryDate.getHours() + DEFAULT_NOTE_EXPIRY_HOURS);
+  const response = await fetch('/api/notes', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-user-id': user.id,
+    },
+    body: JSON.stringify({ text, autoDelete, format }),
+  });
+  const body = await response.json();
+
+  if (!response.ok) {
+    console.error('Error creating note:', body.error);
+    throw new Error(body.error?.message || 'Failed to create note');
   }
-  
-  const noteToInsert = { 
+
+  // Same shape as a row from fetchNotes
+  const { note } = body.data;
+  return {
+    id: note.id,
     user_id: user.id,
-    text: text,
-    "autoDelete": autoDelete, // Explicitly use quoted "autoDelete" to match DB schema if issues persist
-    created_at: new Date().toISOString(),
-    expiry_date: expiryDate ? expiryDate.toISOString() : null // Add expiry_date
+    text: note.text,
+    format: note.format,
+    autoDelete: note.autoDelete,
+    created_at: note.createdAt,
+    expiry_date: note.expiryDate,
   };
-
-  const { data, error } = await supabase
-    .from(NOTES_TABLE)
-    .insert([noteToInsert])
-    .select(); // Select all columns of the newly created note
-  
-  if (error) {
-    console.error('Error creating note:', error);
-    // Log the noteToInsert for debugging if there's an error
-    console.error('Note data that failed:', noteToInsert);
-    throw error;
-  }
-  
-  return data[0];
 };
 
 // Toggle auto-delete for a note
 export const toggleNoteAutoDelete = async (id, newAutoDeleteState) => {
-  let expiryDate = null;
-  if (newAutoDeleteState) {
-    expiryDate = new Date();
-    expiryDate.setHours(expiryDate.getHours() + DEFAULT_NOTE_EXPIRY_HOURS);
-  }
+  const expiryDate = newAutoDeleteState ? await resolveExpiryDate({ contentType: 'note' }) : null;
 
   const updatePayload = {
     "autoDelete": newAutoDeleteState, // Explicitly use quoted "autoDelete"
-    expiry_date: expiryDate ? expiryDate.toISOString() : null
+    expiry_date: expiryDate
     // DO NOT update created_at anymore
   };
 
@@ -87,11 +86,11 @@ export const toggleNoteAutoDelete = async (id, newAutoDeleteState) => {
   return data[0];
 };
 
-// Delete a note
+// Move a note to the trash (purged after the grace period, see trashService)
 export const deleteNote = async (id) => {
   const { error } = await supabase
     .from(NOTES_TABLE)
-    .delete()
+    .update({ deleted_at: new Date().toISOString() })
     .eq('id', id);
   
   if (error) {
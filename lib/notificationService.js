@@ -0,0 +1,40 @@
+/**
+ * In-app notifications, and the "this wasn't me" answer to a sign-in alert
+ */
+
+import { authHeaders } from './apiAuth';
+
+const request = async (path, method = 'GET', body) => {
+  const response = await fetch(path, {
+    method,
+    headers: {
+      ...authHeaders(),
+      ...(body && { 'Content-Type': 'application/json' }),
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error?.message || data.error || 'Notification request failed');
+  }
+
+  return data.data ?? data;
+};
+
+/**
+ * @returns {Promise<Array<{id: string, type: string, title: string, body: string|null, data: object, read: boolean, createdAt: string}>>}
+ */
+export const fetchNotifications = async ({ unreadOnly = false } = {}) =>
+  (await request(`/api/notifications${unreadOnly ? '?unread=true' : ''}`)).notifications;
+
+export const markNotificationRead = (id) =>
+  request(`/api/notifications/${encodeURIComponent(id)}`, 'PATCH');
+
+/**
+ * Sign out the session a login alert is about and require a new PIN
+ * @param {string} token - The alert's denyToken
+ * @returns {Promise<{message: string, sessionRevoked: boolean, pinResetRequired: boolean}>}
+ */
+export const denyLogin = (token) =>
+  request('/api/auth/login-alerts/deny', 'POST', { token });
@@ -1,3 +1,6 @@
+// Ways a code can reach the user; providers declare theirs in getSupportedChannels
+export const OTP_CHANNELS = ['sms', 'voice', 'whatsapp', 'email'];
+
 /**
  * Base abstract class for OTP providers
  * All OTP service providers should extend this class
@@ -11,9 +14,12 @@ export class BaseOTPProvider {
    * Send OTP to a phone number
    * @param {string} phoneNumber - E.164 formatted phone number
    * @param {string} otp - The OTP code to send
+   * @param {object} [options]
+   * @param {string} [options.channel] - One of getSupportedChannels() (default: 'sms')
+   * @param {string} [options.email] - Recipient for the email channel
    * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
    */
-  async sendOTP(phoneNumber, otp) {
+  async sendOTP(phoneNumber, otp, options = {}) {
     throw new Error('sendOTP method must be implemented by OTP provider');
   }
 
@@ -28,6 +34,42 @@ export class BaseOTPProvider {
     throw new Error('verifyOTP method must be implemented by OTP provider');
   }
 
+  /**
+   * Send a plain text message, such as a security alert, with no code in it
+   * Providers that can only deliver codes keep this default.
+   * @param {string} phoneNumber - E.164 formatted phone number
+   * @param {string} text - Message body
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendMessage(phoneNumber, text) {
+    return {
+      success: false,
+      error: `${this.getProviderName()} cannot send plain messages`
+    };
+  }
+
+  /**
+   * Text carrying a code; for voice the characters are read out one by one, twice
+   * @param {string} otp
+   * @param {string} [channel]
+   * @returns {string}
+   */
+  codeMessage(otp, channel = 'sms') {
+    if (channel === 'voice') {
+      const spoken = otp.split('').join(', ');
+      return `Your AeroNotes verification code is ${spoken}. Again, ${spoken}.`;
+    }
+    return `Your AeroNotes verification code is: ${otp}`;
+  }
+
+  /**
+   * Channels sendOTP can deliver on
+   * @returns {Array<string>} Subset of OTP_CHANNELS
+   */
+  getSupportedChannels() {
+    return ['sms'];
+  }
+
   /**
    * Get provider name for logging/debugging
    * @returns {string}
@@ -46,12 +88,13 @@ export class BaseOTPProvider {
 
   /**
    * Get supported features of this provider
-   * @returns {{serverSideVerification: boolean, deliveryStatus: boolean}}
+   * @returns {{serverSideVerification: boolean, deliveryStatus: boolean, messages: boolean}}
    */
   getSupportedFeatures() {
     return {
       serverSideVerification: false,
-      deliveryStatus: false
+      deliveryStatus: false,
+      messages: false
     };
   }
 } 
\ No newline at end of file
@@ -0,0 +1,89 @@
+/**
+ * Circuit breaker for one OTP provider
+ * After `failureThreshold` failed sends in a row the provider is skipped
+ * ("open") for `cooldownSeconds`. Then a single trial send is let through
+ * ("half_open"): success closes the circuit, failure opens it again.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit
+   * @param {number} [options.cooldownSeconds] - How long it stays open before a trial
+   * @param {() => number} [options.now] - Clock, replaceable in tests
+   */
+  constructor({ failureThreshold = 5, cooldownSeconds = 60, now = Date.now } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownSeconds * 1000;
+    this.now = now;
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+  }
+
+  /**
+   * Whether a send may go to this provider now
+   * Moving to half_open hands out the one trial; callers must report its outcome.
+   * @returns {boolean}
+   */
+  allowRequest() {
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'open') {
+      if (this.now() - this.openedAt < this.cooldownMs) {
+        return false;
+      }
+      this.state = 'half_open';
+    }
+
+    if (this.trialInFlight) {
+      return false;
+    }
+    this.trialInFlight = true;
+    return true;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * @param {string} [error] - Kept for the health report
+   */
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+    this.lastError = error || null;
+    this.lastFailureAt = this.now();
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = this.now();
+    }
+  }
+
+  isOpen() {
+    return this.state === 'open' && this.now() - this.openedAt < this.cooldownMs;
+  }
+
+  /**
+   * @returns {{state: string, consecutiveFailures: number, retryAt: string|null, lastError: string|null, lastFailureAt: string|null}}
+   */
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt ? new Date(this.lastFailureAt).toISOString() : null,
+    };
+  }
+}
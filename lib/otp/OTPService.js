@@ -1,19 +1,40 @@
+import crypto from 'crypto';
 import { OTPStorage } from './OTPStorage.js';
+import { CircuitBreaker } from './CircuitBreaker.js';
 import { MockOTPProvider } from './providers/MockOTPProvider.js';
 import { InfobipOTPProvider } from './providers/InfobipOTPProvider.js';
 import { TwilioOTPProvider } from './providers/TwilioOTPProvider.js';
+import { WebhookOTPProvider } from './providers/WebhookOTPProvider.js';
+import { SmtpOTPProvider } from './providers/SmtpOTPProvider.js';
+import { OTP_CHANNELS } from './BaseOTPProvider.js';
+import { createOTPConfig } from '../core/config/otp.config.js';
+import { getOTPFormat, otpAlphabet, normalizeOTP, isValidOTPFormat } from '../core/utils/otpFormat.js';
+import { metricsCollector } from '../core/monitoring/index.js';
+
+// The mock only logs codes, so in production it would swallow them
+const canFallBackToMock = () => process.env.NODE_ENV !== 'production';
 
 /**
  * OTP Service - Main service that manages OTP providers and operations
  * Provides a unified interface for sending and verifying OTPs
+ *
+ * Sends go down an ordered provider chain. Each provider is retried with
+ * backoff before the next one is tried, and one that keeps failing is skipped
+ * by its circuit breaker until its cooldown ends.
  */
 export class OTPService {
   static instance = null;
   
   constructor() {
     this.providers = new Map();
+    this.providerChain = [];
+    this.breakers = new Map(); // Survives re-initialization so health isn't forgotten
     this.activeProvider = null;
     this.initialized = false;
+
+    // Replaceable in tests
+    this.now = () => Date.now();
+    this.sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
   }
 
   /**
@@ -30,7 +51,7 @@ export class OTPService {
   /**
    * Initialize the OTP service with configuration
    * @param {Object} config - Configuration object
-   * @param {string} config.provider - Active provider name ('mock', 'infobip', 'twilio')
+   * @param {string} config.provider - Active provider name ('mock', 'infobip', 'twilio', 'webhook')
    * @param {Object} config.providers - Provider-specific configurations
    */
   async initialize(config) {
@@ -40,12 +61,11 @@ export class OTPService {
       // Register all available providers
       this.registerProviders(config.providers || {});
       
-      // Set active provider
-      await this.setActiveProvider(config.provider || 'mock');
+      this.setProviderChain(config.chain || [config.provider || 'mock']);
       
       this.initialized = true;
       
-      console.log(`✅ OTP Service initialized with provider: ${this.activeProvider?.getProviderName()}`);
+      console.log(`✅ OTP Service initialized with providers: ${this.providerChain.join(' → ')}`);
       
       return { success: true };
     } catch (error) {
@@ -60,21 +80,218 @@ export class OTPService {
    */
   registerProviders(providersConfig) {
     // Register Mock Provider
-    this.providers.set('mock', new MockOTPProvider(providersConfig.mock || {}));
+    this.registerProvider('mock', new MockOTPProvider(providersConfig.mock || {}));
     
     // Register Infobip Provider
     if (providersConfig.infobip) {
-      this.providers.set('infobip', new InfobipOTPProvider(providersConfig.infobip));
+      this.registerProvider('infobip', new InfobipOTPProvider(providersConfig.infobip));
     }
     
     // Register Twilio Provider
     if (providersConfig.twilio) {
-      this.providers.set('twilio', new TwilioOTPProvider(providersConfig.twilio));
+      this.registerProvider('twilio', new TwilioOTPProvider(providersConfig.twilio));
+    }
+    
+    // Register Webhook Provider
+    if (providersConfig.webhook) {
+      this.registerProvider('webhook', new WebhookOTPProvider(providersConfig.webhook));
+    }
+    
+    // Register SMTP Provider (email channel only)
+    if (providersConfig.smtp) {
+      this.registerProvider('smtp', new SmtpOTPProvider(providersConfig.smtp));
     }
     
     console.log(`📋 Registered ${this.providers.size} OTP providers:`, Array.from(this.providers.keys()));
   }
 
+  /**
+   * Add or replace a provider under a name the chain can refer to
+   * @param {string} name
+   * @param {BaseOTPProvider} provider
+   */
+  registerProvider(name, provider) {
+    this.providers.set(name, provider);
+  }
+
+  /**
+   * Set the order providers are tried in
+   * Unknown and unconfigured names are skipped; `fallbackProvider` from
+   * otp.config.js goes last. With nothing usable left the mock is used, as
+   * setActiveProvider does, except in production: there the chain stays
+   * empty and every send fails with 'No OTP provider available'.
+   * @param {Array<string>} names
+   */
+  setProviderChain(names) {
+    const { fallbackProvider } = createOTPConfig();
+    const chain = [];
+
+    for (const name of [...names, fallbackProvider].filter(Boolean)) {
+      const provider = this.providers.get(name);
+      if (chain.includes(name)) {
+        continue;
+      }
+      if (!provider) {
+        console.warn(`⚠️ OTP provider '${name}' is in the chain but not registered; skipping it.`);
+        continue;
+      }
+      if (!provider.isConfigured()) {
+        console.warn(`⚠️ OTP provider '${name}' is not properly configured; skipping it.`);
+        continue;
+      }
+      chain.push(name);
+    }
+
+    if (chain.length === 0) {
+      if (canFallBackToMock()) {
+        console.log('🔄 No usable OTP provider in the chain, falling back to mock provider...');
+        chain.push('mock');
+      } else {
+        console.error('❌ No usable OTP provider in the chain; codes cannot be sent until one is configured.');
+      }
+    }
+
+    this.providerChain = chain;
+    this.activeProvider = chain.length > 0 ? this.providers.get(chain[0]) : null;
+  }
+
+  getBreaker(name) {
+    if (!this.breakers.has(name)) {
+      const { failureThreshold, cooldownSeconds } = createOTPConfig().failover.circuitBreaker;
+      this.breakers.set(name, new CircuitBreaker({ failureThreshold, cooldownSeconds, now: () => this.now() }));
+    }
+    return this.breakers.get(name);
+  }
+
+  /**
+   * Send through the first provider in the chain that delivers
+   * @param {string} operation - 'otp' or 'message', for metrics
+   * @param {(provider: BaseOTPProvider) => Promise<object>} send
+   * @param {object} [options]
+   * @param {string} [options.requires] - Feature the provider must support, e.g. 'messages'
+   * @param {string} [options.channel] - Channel the provider must support
+   * @returns {Promise<{success: boolean, provider?: string, messageId?: string, error?: string, attempts?: Array<object>}>}
+   */
+  async deliver(operation, send, { requires, channel } = {}) {
+    const attempts = [];
+
+    for (const name of this.providerChain) {
+      const provider = this.providers.get(name);
+      if (requires && !provider.getSupportedFeatures()[requires]) {
+        continue;
+      }
+      if (channel && !provider.getSupportedChannels().includes(channel)) {
+        continue;
+      }
+
+      if (!this.getBreaker(name).allowRequest()) {
+        attempts.push({ provider: name, skipped: 'circuit_open' });
+        continue;
+      }
+
+      const result = await this.sendWithRetry(name, provider, operation, send);
+      if (result.success) {
+        if (attempts.length > 0) {
+          console.warn(`⚠️ OTP ${operation} delivered by ${name} after failover:`, attempts);
+        }
+        return { ...result, provider: name };
+      }
+      attempts.push({ provider: name, error: result.error });
+    }
+
+    return {
+      success: false,
+      error: attempts.length > 0
+        ? `All OTP providers failed: ${attempts.map(a => `${a.provider} (${a.error || a.skipped})`).join(', ')}`
+        : 'No OTP provider available',
+      attempts
+    };
+  }
+
+  /**
+   * One provider, retried with exponential backoff while its circuit allows
+   */
+  async sendWithRetry(name, provider, operation, send) {
+    const { failover, providers } = createOTPConfig();
+    const retryAttempts = provider.config?.retryAttempts
+      ?? providers[name]?.config?.retryAttempts
+      ?? failover.retryAttempts;
+    const breaker = this.getBreaker(name);
+    let result;
+
+    for (let attempt = 0; attempt <= retryAttempts; attempt++) {
+      if (attempt > 0) {
+        if (!breaker.allowRequest()) {
+          break;
+        }
+        await this.sleep(Math.min(failover.backoffMs * 2 ** (attempt - 1), failover.maxBackoffMs));
+      }
+
+      const startedAt = this.now();
+      try {
+        result = await send(provider);
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+      this.recordDelivery(name, operation, result.success, this.now() - startedAt);
+
+      if (result.success) {
+        breaker.recordSuccess();
+        break;
+      }
+      breaker.recordFailure(result.error);
+    }
+
+    metricsCollector.setGauge('otp_provider_circuit_open', { provider: name }, breaker.isOpen() ? 1 : 0);
+    return result;
+  }
+
+  recordDelivery(name, operation, success, durationMs) {
+    metricsCollector.incrementCounter('otp_deliveries_total', {
+      provider: name,
+      operation,
+      outcome: success ? 'success' : 'failure',
+    });
+    metricsCollector.recordHistogram('otp_delivery_duration_ms', { provider: name }, durationMs);
+  }
+
+  /**
+   * Send a code on the requested channel, then on the fallback channels in turn
+   * Each channel goes down the provider chain before the next one is tried.
+   * @returns {Promise<{success: boolean, channel?: string, provider?: string, messageId?: string, error?: string}>}
+   */
+  async deliverCode(phoneNumber, otp, { channel, email, fallback }) {
+    const order = fallback ? createOTPConfig().channels.fallback : [];
+    const channels = [channel, ...order.filter(other => other !== channel)]
+      .filter(other => other !== 'email' || email);
+    const failures = [];
+
+    for (const current of channels) {
+      const result = await this.deliver('otp', provider => provider.sendOTP(phoneNumber, otp, { channel: current, email }), {
+        channel: current
+      });
+
+      // No provider for the channel at all isn't a failed delivery
+      const outcome = result.success ? 'success' : result.attempts?.length ? 'failure' : 'unavailable';
+      metricsCollector.incrementCounter('otp_channel_sends_total', { channel: current, outcome });
+
+      if (result.success) {
+        if (current !== channel) {
+          console.warn(`⚠️ OTP sent by ${current} after ${channel} failed:`, failures);
+        }
+        return { ...result, channel: current };
+      }
+      if (outcome === 'failure') {
+        failures.push(`${current}: ${result.error}`);
+      }
+    }
+
+    return {
+      success: false,
+      error: failures.length > 0 ? failures.join('; ') : `No OTP provider can send by ${channel}`
+    };
+  }
+
   /**
    * Set the active provider
    * @param {string} providerName - Name of the provider to activate
@@ -90,7 +307,7 @@ export class OTPService {
       console.warn(`⚠️ Provider '${providerName}' is not properly configured. Check your environment variables.`);
       
       // Fall back to mock if the requested provider isn't configured
-      if (providerName !== 'mock') {
+      if (providerName !== 'mock' && canFallBackToMock()) {
         console.log('🔄 Falling back to mock provider...');
         this.activeProvider = this.providers.get('mock');
         return;
@@ -102,23 +319,31 @@ export class OTPService {
   }
 
   /**
-   * Generate OTP code
-   * @param {number} length - Length of the OTP (default: 4)
-   * @returns {string}
+   * Generate OTP code from a CSPRNG
+   * @param {number} [length] - Defaults to `otp.length` in otp.config.js
+   * @returns {string} Drawn from the configured format's characters
    */
-  generateOTP(length = 4) {
-    const min = Math.pow(10, length - 1);
-    const max = Math.pow(10, length) - 1;
-    return Math.floor(min + Math.random() * (max - min + 1)).toString();
+  generateOTP(length = getOTPFormat().length) {
+    const alphabet = otpAlphabet();
+    let otp = '';
+    for (let i = 0; i < length; i++) {
+      otp += alphabet[crypto.randomInt(alphabet.length)];
+    }
+    return otp;
   }
 
   /**
    * Send OTP to a phone number
    * @param {string} phoneNumber - E.164 formatted phone number
    * @param {Object} options - Options for sending OTP
-   * @param {number} options.length - OTP length (default: 4)
-   * @param {number} options.expiryMinutes - Expiry time in minutes (default: 10)
-   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   * @param {string} options.purpose - 'signup', 'reset', 'unlock' or 'phone_change'; the code only verifies for the same one
+   * @param {number} options.length - OTP length (default: `otp.length`)
+   * @param {number} options.expiryMinutes - Expiry time in minutes (default: `otp.expiryMinutes`)
+   * @param {string} [options.channel] - 'sms', 'voice', 'whatsapp' or 'email' (default: `channels.default`)
+   * @param {string} [options.email] - Address for the email channel
+   * @param {boolean} [options.fallback] - Try the other channels (`channels.fallback`) if this one fails (default: true)
+   * @returns {Promise<{success: boolean, channel?: string, provider?: string, messageId?: string, error?: string}>}
+   *   `channel` is the one that delivered, which may not be the one asked for
    */
   async sendOTP(phoneNumber, options = {}) {
     try {
@@ -126,10 +351,6 @@ export class OTPService {
         throw new Error('OTP Service not initialized. Call initialize() first.');
       }
 
-      if (!this.activeProvider) {
-        throw new Error('No active OTP provider configured.');
-      }
-
       // Validate phone number format
       if (!phoneNumber || !/^\+[1-9]\d{1,14}$/.test(phoneNumber)) {
         return {
@@ -138,27 +359,53 @@ export class OTPService {
         };
       }
 
-      const { length = 4, expiryMinutes = 10 } = options;
-      
-      // Generate OTP
+      const { otp: defaults, validation, channels } = createOTPConfig();
+      const {
+        purpose,
+        length = defaults.length,
+        expiryMinutes = defaults.expiryMinutes,
+        channel = channels.default,
+        email,
+        fallback = true
+      } = options;
+
+      if (!OTPStorage.PURPOSES.includes(purpose)) {
+        throw new Error(`Unknown OTP purpose: ${purpose}`);
+      }
+
+      if (!OTP_CHANNELS.includes(channel)) {
+        return {
+          success: false,
+          error: `Unknown OTP channel: ${channel}`
+        };
+      }
+
+      if (channel === 'email' && !email) {
+        return {
+          success: false,
+          error: 'An email address is required for the email channel'
+        };
+      }
+
       const otp = this.generateOTP(length);
       
-      console.log(`📤 Sending OTP to ${phoneNumber} via ${this.activeProvider.getProviderName()}`);
+      console.log(`📤 Sending ${purpose} OTP to ${phoneNumber} by ${channel}`);
       
-      // Send via provider
-      const sendResult = await this.activeProvider.sendOTP(phoneNumber, otp);
+      const sendResult = await this.deliverCode(phoneNumber, otp, { channel, email, fallback });
       
       if (!sendResult.success) {
         return sendResult;
       }
       
-      // Store OTP in database
-      const storeResult = await OTPStorage.storeOTP(
-        phoneNumber, 
-        otp, 
-        expiryMinutes, 
-        sendResult.messageId
-      );
+      // Store only the hash of the code
+      const storeResult = await OTPStorage.storeOTP(phoneNumber, otp, {
+        purpose,
+        expiryMinutes,
+        maxAttempts: validation.attempts.maxPerPhone,
+        messageId: sendResult.messageId,
+        provider: sendResult.provider,
+        channel: sendResult.channel
+      });
       
       if (!storeResult.success) {
         console.error('Failed to store OTP:', storeResult.error);
@@ -168,11 +415,11 @@ export class OTPService {
         };
       }
       
-      console.log(`✅ OTP sent and stored successfully for ${phoneNumber}`);
-      
       return {
         success: true,
-        messageId: sendResult.messageId
+        messageId: sendResult.messageId,
+        provider: sendResult.provider,
+        channel: sendResult.channel
       };
       
     } catch (error) {
@@ -188,9 +435,11 @@ export class OTPService {
    * Verify OTP code
    * @param {string} phoneNumber - E.164 formatted phone number
    * @param {string} otp - The OTP code to verify
-   * @returns {Promise<{success: boolean, error?: string}>}
+   * @param {Object} options
+   * @param {string} options.purpose - Must match the purpose it was sent with
+   * @returns {Promise<{success: boolean, expired?: boolean, attemptsExhausted?: boolean, error?: string}>}
    */
-  async verifyOTP(phoneNumber, otp) {
+  async verifyOTP(phoneNumber, otp, { purpose } = {}) {
     try {
       if (!this.initialized) {
         throw new Error('OTP Service not initialized. Call initialize() first.');
@@ -211,29 +460,33 @@ export class OTPService {
         };
       }
 
-      if (!/^\d{4,8}$/.test(otp)) {
+      if (!OTPStorage.PURPOSES.includes(purpose)) {
+        throw new Error(`Unknown OTP purpose: ${purpose}`);
+      }
+
+      const code = normalizeOTP(otp);
+      if (!isValidOTPFormat(code)) {
         return {
           success: false,
-          error: 'Invalid OTP format. Must be 4-8 digits.'
+          error: 'Invalid OTP format'
         };
       }
 
-      console.log(`🔍 Verifying OTP for ${phoneNumber}`);
+      console.log(`🔍 Verifying ${purpose} OTP for ${phoneNumber}`);
       
       // First, verify against our storage
-      const storageResult = await OTPStorage.verifyOTP(phoneNumber, otp);
+      const storageResult = await OTPStorage.verifyOTP(phoneNumber, code, { purpose });
       
       if (!storageResult.success) {
         return storageResult;
       }
       
-      // If provider supports server-side verification, also verify with provider
-      if (this.activeProvider.getSupportedFeatures().serverSideVerification) {
-        console.log('🔍 Performing additional server-side verification...');
-        
-        const providerResult = await this.activeProvider.verifyOTP(
+      // The provider that delivered the code may want to check it too
+      const provider = this.providers.get(storageResult.provider) || this.activeProvider;
+      if (provider?.getSupportedFeatures().serverSideVerification) {
+        const providerResult = await provider.verifyOTP(
           phoneNumber, 
-          otp, 
+          code, 
           storageResult.messageId
         );
         
@@ -242,8 +495,6 @@ export class OTPService {
         }
       }
       
-      console.log(`✅ OTP verified successfully for ${phoneNumber}`);
-      
       return { success: true };
       
     } catch (error) {
@@ -255,6 +506,38 @@ export class OTPService {
     }
   }
 
+  /**
+   * Send a plain text message (no code) through the first provider in the chain that can
+   * @param {string} phoneNumber - E.164 formatted phone number
+   * @param {string} text - Message body
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendMessage(phoneNumber, text) {
+    try {
+      if (!this.initialized) {
+        throw new Error('OTP Service not initialized. Call initialize() first.');
+      }
+
+      if (!phoneNumber || !/^\+[1-9]\d{1,14}$/.test(phoneNumber)) {
+        return {
+          success: false,
+          error: 'Invalid phone number format. Must be in E.164 format (+1234567890)'
+        };
+      }
+
+      return await this.deliver('message', provider => provider.sendMessage(phoneNumber, text), {
+        requires: 'messages'
+      });
+
+    } catch (error) {
+      console.error('Error sending message:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Get information about available providers
    * @returns {Array<Object>}
@@ -267,6 +550,55 @@ export class OTPService {
     }));
   }
 
+  /**
+   * Circuit state and delivery counts for each provider in the chain
+   * @returns {Array<Object>}
+   */
+  getProviderHealth() {
+    return this.providerChain.map(name => {
+      const succeeded = ['otp', 'message'].reduce((sum, operation) =>
+        sum + metricsCollector.getCounter('otp_deliveries_total', { provider: name, operation, outcome: 'success' }), 0);
+      const failed = ['otp', 'message'].reduce((sum, operation) =>
+        sum + metricsCollector.getCounter('otp_deliveries_total', { provider: name, operation, outcome: 'failure' }), 0);
+
+      const breaker = this.getBreaker(name);
+
+      return {
+        name,
+        channels: this.providers.get(name).getSupportedChannels(),
+        available: !breaker.isOpen(),
+        circuit: breaker.getState(),
+        deliveries: {
+          succeeded,
+          failed,
+          successRate: succeeded + failed > 0 ? succeeded / (succeeded + failed) : null,
+        },
+      };
+    });
+  }
+
+  /**
+   * 'degraded' while any provider in the chain is skipped, 'unhealthy' when all are
+   * @returns {{status: string, providerChain: Array<string>, providers: Array<Object>}}
+   */
+  healthCheck() {
+    const providers = this.getProviderHealth();
+    const open = providers.filter(provider => !provider.available).length;
+
+    let status = 'healthy';
+    if (!this.initialized || open === providers.length) {
+      status = 'unhealthy';
+    } else if (open > 0) {
+      status = 'degraded';
+    }
+
+    return {
+      status,
+      providerChain: this.providerChain,
+      providers,
+    };
+  }
+
   /**
    * Get current service status
    * @returns {Object}
@@ -277,6 +609,7 @@ export class OTPService {
     return {
       initialized: this.initialized,
       activeProvider: this.activeProvider?.getProviderName() || 'none',
+      providerChain: this.providerChain,
       providersCount: this.providers.size,
       storage: stats,
       providers: this.getProvidersInfo()
@@ -1,57 +1,95 @@
-import supabaseAdmin from '../supabaseAdmin';
+import crypto from 'crypto';
+import supabaseAdmin from '../supabaseAdmin.js';
+
+// Keyed so a leaked table alone isn't enough to brute-force the short codes
+const hashSecret = process.env.OTP_HASH_SECRET || process.env.APP_SECRET;
+if (!hashSecret) {
+  console.warn('WARNING: Neither OTP_HASH_SECRET nor APP_SECRET is set; one-time codes are hashed with their salt only.');
+}
 
 /**
  * OTP Storage service using Supabase
- * Handles storing and retrieving OTP codes with expiration
+ * Codes are never stored: each row holds a salted HMAC of the code together
+ * with the phone number and purpose, and how many wrong guesses it has had.
  */
 export class OTPStorage {
   static TABLE_NAME = 'otp_codes';
   static DEFAULT_EXPIRY_MINUTES = 10;
+  static DEFAULT_MAX_ATTEMPTS = 5;
+  static PURPOSES = ['signup', 'reset', 'unlock', 'phone_change'];
+
+  /**
+   * Hash of a normalized code, bound to where and what it was sent for
+   * @returns {string} hex
+   */
+  static hashCode(phoneNumber, purpose, otp, salt) {
+    return crypto.createHmac('sha256', hashSecret || salt)
+      .update(`${salt}:${phoneNumber}:${purpose}:${otp}`)
+      .digest('hex');
+  }
 
   /**
    * Store OTP code for a phone number
+   * Replaces any outstanding code for the same number and purpose.
    * @param {string} phoneNumber - E.164 formatted phone number
-   * @param {string} otp - The OTP code
-   * @param {number} expiryMinutes - Expiry time in minutes (default: 10)
-   * @param {string} messageId - Optional message ID from provider
+   * @param {string} otp - The OTP code, normalized
+   * @param {object} options
+   * @param {string} options.purpose - One of OTPStorage.PURPOSES
+   * @param {number} [options.expiryMinutes] - Expiry time in minutes (default: 10)
+   * @param {number} [options.maxAttempts] - Wrong guesses allowed before the code is discarded
+   * @param {string} [options.messageId] - Message ID from provider
+   * @param {string} [options.provider] - Name of the provider that delivered it
+   * @param {string} [options.channel] - How it was delivered: 'sms', 'voice', 'whatsapp' or 'email'
    * @returns {Promise<{success: boolean, error?: string}>}
    */
-  static async storeOTP(phoneNumber, otp, expiryMinutes = OTPStorage.DEFAULT_EXPIRY_MINUTES, messageId = null) {
+  static async storeOTP(phoneNumber, otp, {
+    purpose,
+    expiryMinutes = OTPStorage.DEFAULT_EXPIRY_MINUTES,
+    maxAttempts = OTPStorage.DEFAULT_MAX_ATTEMPTS,
+    messageId = null,
+    provider = null,
+    channel = 'sms',
+  } = {}) {
     try {
+      if (!this.PURPOSES.includes(purpose)) {
+        return { success: false, error: `Unknown OTP purpose: ${purpose}` };
+      }
+
       const expiryDate = new Date(Date.now() + expiryMinutes * 60 * 1000);
-      
-      // First, clean up any existing unverified OTPs for this phone number
-      console.log(`Cleaning up existing OTPs for ${phoneNumber}...`);
+      const salt = crypto.randomBytes(16).toString('hex');
+
       await supabaseAdmin
         .from(this.TABLE_NAME)
         .delete()
         .eq('phone_number', phoneNumber)
+        .eq('purpose', purpose)
         .eq('verified', false);
-      
+
       // Also clean up any expired OTPs globally
       await this.cleanupExpiredOTPs();
-      
-      // Insert new OTP record
-      console.log(`Inserting new OTP for ${phoneNumber}...`);
-      const { data, error } = await supabaseAdmin
+
+      const { error } = await supabaseAdmin
         .from(this.TABLE_NAME)
         .insert({
           phone_number: phoneNumber,
-          otp_code: otp,
+          purpose,
+          code_hash: this.hashCode(phoneNumber, purpose, otp, salt),
+          salt,
+          attempts: 0,
+          max_attempts: maxAttempts,
           expires_at: expiryDate.toISOString(),
           message_id: messageId,
+          provider,
+          channel,
           verified: false,
           created_at: new Date().toISOString()
-        })
-        .select()
-        .single();
+        });
 
       if (error) {
         console.error('Error storing OTP:', error);
         return { success: false, error: error.message };
       }
 
-      console.log(`✅ OTP stored successfully for ${phoneNumber}, ID: ${data.id}`);
       return { success: true };
     } catch (err) {
       console.error('Error in storeOTP:', err);
@@ -60,78 +98,78 @@ export class OTPStorage {
   }
 
   /**
-   * Retrieve and verify OTP code
+   * Check a code against the outstanding one for this number and purpose
+   * Each check uses up an attempt before comparing, so parallel guesses can't
+   * exceed the cap. A matching code is deleted and can't be used twice.
    * @param {string} phoneNumber - E.164 formatted phone number
-   * @param {string} otp - The OTP code to verify
-   * @returns {Promise<{success: boolean, expired?: boolean, messageId?: string, error?: string}>}
+   * @param {string} otp - The OTP code to verify, normalized
+   * @param {object} options
+   * @param {string} options.purpose - What the code was sent for
+   * @returns {Promise<{success: boolean, expired?: boolean, attemptsExhausted?: boolean, messageId?: string, provider?: string, error?: string}>}
    */
-  static async verifyOTP(phoneNumber, otp) {
+  static async verifyOTP(phoneNumber, otp, { purpose } = {}) {
     try {
-      console.log(`🔍 OTPStorage.verifyOTP called with: phone=${phoneNumber}, otp=${otp}`);
-      
-      // First clean up expired OTPs
-      await this.cleanupExpiredOTPs();
-      
       const { data, error } = await supabaseAdmin
         .from(this.TABLE_NAME)
-        .select('*')
+        .select('id, code_hash, salt, attempts, max_attempts, expires_at, message_id, provider')
         .eq('phone_number', phoneNumber)
+        .eq('purpose', purpose)
         .eq('verified', false)
-        .single();
+        .maybeSingle();
 
       if (error || !data) {
-        console.log(`❌ No OTP found for ${phoneNumber}:`, error);
         return { success: false, error: 'No valid OTP found for this phone number' };
       }
 
-      console.log(`📋 Found OTP record for ${phoneNumber}:`, {
-        stored_otp: data.otp_code,
-        stored_type: typeof data.otp_code,
-        input_otp: otp,
-        input_type: typeof otp,
-        expires_at: data.expires_at,
-        created_at: data.created_at
-      });
-
-      // Check if expired
-      const now = new Date();
-      const expiryDate = new Date(data.expires_at);
-      if (now > expiryDate) {
-        console.log(`⏰ OTP expired for ${phoneNumber}: now=${now.toISOString()}, expires=${expiryDate.toISOString()}`);
-        // Clean up expired OTP
-        await supabaseAdmin
-          .from(this.TABLE_NAME)
-          .delete()
-          .eq('phone_number', phoneNumber);
-        
+      if (new Date() > new Date(data.expires_at)) {
+        await this.deleteRecord(data.id);
         return { success: false, expired: true, error: 'OTP has expired' };
       }
 
-      // Ensure both values are strings for comparison
-      const storedOTP = String(data.otp_code).trim();
-      const inputOTP = String(otp).trim();
-      
-      console.log(`🔍 OTP comparison: stored="${storedOTP}" vs input="${inputOTP}" | match=${storedOTP === inputOTP}`);
+      if (data.attempts >= data.max_attempts) {
+        await this.deleteRecord(data.id);
+        return { success: false, attemptsExhausted: true, error: 'Too many incorrect codes. Request a new one' };
+      }
 
-      // Check if OTP matches
-      if (storedOTP !== inputOTP) {
-        console.log(`❌ OTP mismatch for ${phoneNumber}: stored="${storedOTP}" !== input="${inputOTP}"`);
+      // Claim the attempt; losing the race to another check counts as a miss
+      const { data: claimed } = await supabaseAdmin
+        .from(this.TABLE_NAME)
+        .update({ attempts: data.attempts + 1 })
+        .eq('id', data.id)
+        .eq('attempts', data.attempts)
+        .select('id')
+        .maybeSingle();
+
+      if (!claimed) {
         return { success: false, error: 'Invalid OTP code' };
       }
 
-      console.log(`✅ OTP match confirmed for ${phoneNumber}, deleting record...`);
+      const expected = Buffer.from(data.code_hash, 'hex');
+      const actual = Buffer.from(this.hashCode(phoneNumber, purpose, String(otp), data.salt), 'hex');
 
-      // Mark as verified and delete
-      await supabaseAdmin
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        if (data.attempts + 1 >= data.max_attempts) {
+          await this.deleteRecord(data.id);
+          return { success: false, attemptsExhausted: true, error: 'Too many incorrect codes. Request a new one' };
+        }
+        return { success: false, error: 'Invalid OTP code' };
+      }
+
+      // Only one request gets to delete the row
+      const { data: consumed } = await supabaseAdmin
         .from(this.TABLE_NAME)
         .delete()
-        .eq('phone_number', phoneNumber);
+        .eq('id', data.id)
+        .select('id');
 
-      console.log(`🗑️ OTP record deleted for ${phoneNumber}`);
+      if (!consumed?.length) {
+        return { success: false, error: 'No valid OTP found for this phone number' };
+      }
 
-      return { 
-        success: true, 
-        messageId: data.message_id 
+      return {
+        success: true,
+        messageId: data.message_id,
+        provider: data.provider
       };
     } catch (err) {
       console.error('Error in verifyOTP:', err);
@@ -139,6 +177,49 @@ export class OTPStorage {
     }
   }
 
+  /**
+   * Record a delivery receipt against the code it belongs to
+   * Only codes still marked 'sent' change, so a late or repeated receipt
+   * can't overwrite the first final answer.
+   * @param {string} provider - Registered provider name, as stored with the code
+   * @param {string} messageId - The provider's message ID
+   * @param {'delivered'|'failed'} status
+   * @param {string|null} [deliveryError]
+   * @returns {Promise<{success: boolean, updated?: number, error?: string}>}
+   */
+  static async updateDeliveryStatus(provider, messageId, status, deliveryError = null) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from(this.TABLE_NAME)
+        .update({
+          delivery_status: status,
+          delivery_error: deliveryError,
+          delivery_updated_at: new Date().toISOString()
+        })
+        .eq('provider', provider)
+        .eq('message_id', messageId)
+        .eq('delivery_status', 'sent')
+        .select('id');
+
+      if (error) {
+        console.error('Error updating OTP delivery status:', error);
+        return { success: false, error: error.message };
+      }
+
+      return { success: true, updated: data?.length || 0 };
+    } catch (err) {
+      console.error('Error in updateDeliveryStatus:', err);
+      return { success: false, error: err.message };
+    }
+  }
+
+  static async deleteRecord(id) {
+    await supabaseAdmin
+      .from(this.TABLE_NAME)
+      .delete()
+      .eq('id', id);
+  }
+
   /**
    * Clean up expired OTP codes
    * @param {string} phoneNumber - Optional: clean only for specific phone number
@@ -3,6 +3,8 @@
  * Reads environment variables and provides configuration for OTP providers
  */
 
+import { OTP_CHANNELS } from './BaseOTPProvider.js';
+
 /**
  * Get OTP service configuration from environment variables
  * @returns {Object} Configuration object for OTP service
@@ -14,6 +16,8 @@ export function getOTPConfig() {
   // Base configuration
   const config = {
     provider: provider,
+    // Providers to try in order, e.g. OTP_PROVIDER_CHAIN=twilio,infobip
+    chain: getProviderChain(provider),
     providers: {}
   };
 
@@ -43,9 +47,80 @@ export function getOTPConfig() {
     };
   }
 
+  // Webhook provider configuration (self-hosted or stand-in SMS gateways)
+  if (hasWebhookConfig()) {
+    config.providers.webhook = {
+      url: process.env.OTP_WEBHOOK_URL,
+      method: process.env.OTP_WEBHOOK_METHOD || 'POST',
+      headers: parseJsonEnv('OTP_WEBHOOK_HEADERS', {}),
+      bodyFormat: process.env.OTP_WEBHOOK_BODY_FORMAT || 'json',
+      body: parseJsonEnv('OTP_WEBHOOK_BODY', { to: '{phone}', message: '{message}' }),
+      messageTemplate: process.env.OTP_WEBHOOK_MESSAGE_TEMPLATE,
+      secret: process.env.OTP_WEBHOOK_SECRET,
+      callbackUrl: process.env.OTP_WEBHOOK_CALLBACK_URL,
+      timeout: Number(process.env.OTP_WEBHOOK_TIMEOUT_MS) || undefined,
+      channels: parseList(process.env.OTP_WEBHOOK_CHANNELS, ['sms']),
+      success: {
+        field: process.env.OTP_WEBHOOK_SUCCESS_FIELD || null,
+        value: process.env.OTP_WEBHOOK_SUCCESS_VALUE ?? null,
+        messageIdField: process.env.OTP_WEBHOOK_MESSAGE_ID_FIELD || 'id'
+      },
+      receipt: {
+        messageIdField: process.env.OTP_WEBHOOK_RECEIPT_ID_FIELD || 'messageId',
+        statusField: process.env.OTP_WEBHOOK_RECEIPT_STATUS_FIELD || 'status',
+        statusMap: parseJsonEnv('OTP_WEBHOOK_RECEIPT_STATUS_MAP', {})
+      }
+    };
+  }
+
+  // SMTP provider configuration (email channel)
+  if (hasSmtpConfig()) {
+    config.providers.smtp = {
+      host: process.env.OTP_SMTP_HOST,
+      port: process.env.OTP_SMTP_PORT,
+      secure: process.env.OTP_SMTP_SECURE ? process.env.OTP_SMTP_SECURE === 'true' : undefined,
+      user: process.env.OTP_SMTP_USER,
+      pass: process.env.OTP_SMTP_PASS,
+      from: process.env.OTP_SMTP_FROM
+    };
+  }
+
   return config;
 }
 
+/**
+ * "a, b" -> ['a', 'b']
+ */
+function parseList(value, fallback = []) {
+  const items = (value || '').split(',').map(item => item.trim()).filter(Boolean);
+  return items.length > 0 ? items : fallback;
+}
+
+/**
+ * Read a JSON environment variable
+ * @returns {*} The fallback when unset, null when it isn't valid JSON
+ */
+function parseJsonEnv(key, fallback) {
+  if (!process.env[key]) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(process.env[key]);
+  } catch (error) {
+    console.error(`${key} is not valid JSON:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Order in which providers are tried
+ * @param {string} provider - OTP_PROVIDER, used alone when no chain is set
+ * @returns {Array<string>}
+ */
+export function getProviderChain(provider = process.env.OTP_PROVIDER || 'mock') {
+  return [...new Set(parseList(process.env.OTP_PROVIDER_CHAIN, [provider]))];
+}
+
 /**
  * Check if Infobip configuration is available
  * @returns {boolean}
@@ -75,6 +150,22 @@ export function hasTwilioConfig() {
   return hasBasic && (hasSMS || hasVerify);
 }
 
+/**
+ * Check if webhook configuration is available
+ * @returns {boolean}
+ */
+export function hasWebhookConfig() {
+  return !!process.env.OTP_WEBHOOK_URL;
+}
+
+/**
+ * Check if SMTP configuration is available
+ * @returns {boolean}
+ */
+export function hasSmtpConfig() {
+  return !!(process.env.OTP_SMTP_HOST && process.env.OTP_SMTP_FROM);
+}
+
 /**
  * Get available providers based on configuration
  * @returns {Array<string>}
@@ -90,6 +181,14 @@ export function getAvailableProviders() {
     providers.push('twilio');
   }
   
+  if (hasWebhookConfig()) {
+    providers.push('webhook');
+  }
+  
+  if (hasSmtpConfig()) {
+    providers.push('smtp');
+  }
+  
   return providers;
 }
 
@@ -125,6 +224,31 @@ export function validateProviderConfig(providerName) {
       }
       break;
       
+    case 'webhook':
+      if (!process.env.OTP_WEBHOOK_URL) errors.push('OTP_WEBHOOK_URL is required');
+      for (const key of ['OTP_WEBHOOK_HEADERS', 'OTP_WEBHOOK_BODY', 'OTP_WEBHOOK_RECEIPT_STATUS_MAP']) {
+        if (parseJsonEnv(key, {}) === null) errors.push(`${key} must be a JSON object`);
+      }
+      if (!['json', 'form'].includes(process.env.OTP_WEBHOOK_BODY_FORMAT || 'json')) {
+        errors.push('OTP_WEBHOOK_BODY_FORMAT must be "json" or "form"');
+      }
+      if (process.env.OTP_WEBHOOK_SUCCESS_FIELD && process.env.OTP_WEBHOOK_SUCCESS_VALUE === undefined) {
+        errors.push('OTP_WEBHOOK_SUCCESS_VALUE is required with OTP_WEBHOOK_SUCCESS_FIELD');
+      }
+      if (process.env.OTP_WEBHOOK_CALLBACK_URL && !process.env.OTP_WEBHOOK_SECRET) {
+        errors.push('OTP_WEBHOOK_SECRET is required to accept delivery receipts');
+      }
+      for (const channel of parseList(process.env.OTP_WEBHOOK_CHANNELS)) {
+        if (!OTP_CHANNELS.includes(channel)) errors.push(`Unknown channel in OTP_WEBHOOK_CHANNELS: ${channel}`);
+      }
+      break;
+      
+    case 'smtp':
+      if (!process.env.OTP_SMTP_HOST) errors.push('OTP_SMTP_HOST is required');
+      if (!process.env.OTP_SMTP_FROM) errors.push('OTP_SMTP_FROM is required');
+      if (process.env.OTP_SMTP_USER && !process.env.OTP_SMTP_PASS) errors.push('OTP_SMTP_PASS is required with OTP_SMTP_USER');
+      break;
+      
     default:
       errors.push(`Unknown provider: ${providerName}`);
   }
@@ -145,16 +269,21 @@ export function getConfigSummary() {
   
   return {
     activeProvider: config.provider,
+    providerChain: config.chain,
     availableProviders,
     configured: {
       mock: true, // Always true
       infobip: hasInfobipConfig(),
-      twilio: hasTwilioConfig()
+      twilio: hasTwilioConfig(),
+      webhook: hasWebhookConfig(),
+      smtp: hasSmtpConfig()
     },
     validation: {
       mock: validateProviderConfig('mock'),
       infobip: hasInfobipConfig() ? validateProviderConfig('infobip') : { valid: false, errors: ['Not configured'] },
-      twilio: hasTwilioConfig() ? validateProviderConfig('twilio') : { valid: false, errors: ['Not configured'] }
+      twilio: hasTwilioConfig() ? validateProviderConfig('twilio') : { valid: false, errors: ['Not configured'] },
+      webhook: hasWebhookConfig() ? validateProviderConfig('webhook') : { valid: false, errors: ['Not configured'] },
+      smtp: hasSmtpConfig() ? validateProviderConfig('smtp') : { valid: false, errors: ['Not configured'] }
     }
   };
 }
@@ -243,6 +372,134 @@ export function getProviderEnvVars(providerName) {
         }
       ];
       
+    case 'webhook':
+      return [
+        {
+          key: 'OTP_PROVIDER',
+          description: 'Set to "webhook" to use your own HTTP SMS gateway',
+          required: false
+        },
+        {
+          key: 'OTP_WEBHOOK_URL',
+          description: 'Gateway URL; may use {phone}, {phoneDigits}, {message}, {otp}, {reference}, {callbackUrl} and {type}',
+          required: true
+        },
+        {
+          key: 'OTP_WEBHOOK_METHOD',
+          description: 'HTTP method (default: POST)',
+          required: false
+        },
+        {
+          key: 'OTP_WEBHOOK_HEADERS',
+          description: 'JSON object of request headers, e.g. {"Authorization":"Bearer ..."}',
+          required: false
+        },
+        {
+          key: 'OTP_WEBHOOK_BODY_FORMAT',
+          description: '"json" (default) or "form"',
+          required: false
+        },
+        {
+          key: 'OTP_WEBHOOK_BODY',
+          description: 'JSON object template for the body (default: {"to":"{phone}","message":"{message}"})',
+          required: false
+        },
+        {
+          key: 'OTP_WEBHOOK_MESSAGE_TEMPLATE',
+          description: 'Text of code messages (default: "Your AeroNotes verification code is: {otp}")',
+          required: false
+        },
+        {
+          key: 'OTP_WEBHOOK_SUCCESS_FIELD',
+          description: 'Response field that must equal OTP_WEBHOOK_SUCCESS_VALUE; without it any 2xx is a success',
+          required: false
+        },
+        {
+          key: 'OTP_WEBHOOK_SUCCESS_VALUE',
+          description: 'Expected value of OTP_WEBHOOK_SUCCESS_FIELD',
+          required: false
+        },
+        {
+          key: 'OTP_WEBHOOK_MESSAGE_ID_FIELD',
+          description: 'Response field holding the gateway message ID (default: id)',
+          required: false
+        },
+        {
+          key: 'OTP_WEBHOOK_SECRET',
+          description: 'HMAC key: signs requests and is required on delivery receipts',
+          required: false
+        },
+        {
+          key: 'OTP_WEBHOOK_CALLBACK_URL',
+          description: 'Where the gateway should post delivery receipts, i.e. https://<host>/api/otp/delivery',
+          required: false
+        },
+        {
+          key: 'OTP_WEBHOOK_RECEIPT_ID_FIELD',
+          description: 'Receipt field holding the message ID (default: messageId)',
+          required: false
+        },
+        {
+          key: 'OTP_WEBHOOK_RECEIPT_STATUS_FIELD',
+          description: 'Receipt field holding the status (default: status)',
+          required: false
+        },
+        {
+          key: 'OTP_WEBHOOK_RECEIPT_STATUS_MAP',
+          description: 'JSON object mapping extra gateway statuses to "delivered" or "failed"',
+          required: false
+        },
+        {
+          key: 'OTP_WEBHOOK_TIMEOUT_MS',
+          description: 'Request timeout in milliseconds (default: 10000)',
+          required: false
+        },
+        {
+          key: 'OTP_WEBHOOK_CHANNELS',
+          description: 'Channels the gateway delivers codes on, available as {channel} (default: sms)',
+          required: false
+        }
+      ];
+      
+    case 'smtp':
+      return [
+        {
+          key: 'OTP_PROVIDER_CHAIN',
+          description: 'Add "smtp" to the chain to send codes by email',
+          required: true
+        },
+        {
+          key: 'OTP_SMTP_HOST',
+          description: 'SMTP server, e.g. localhost for a local sink',
+          required: true
+        },
+        {
+          key: 'OTP_SMTP_PORT',
+          description: 'SMTP port (default: 587)',
+          required: false
+        },
+        {
+          key: 'OTP_SMTP_SECURE',
+          description: '"true" for TLS from the start (default: true on port 465)',
+          required: false
+        },
+        {
+          key: 'OTP_SMTP_USER',
+          description: 'SMTP username, if the server needs one',
+          required: false
+        },
+        {
+          key: 'OTP_SMTP_PASS',
+          description: 'SMTP password',
+          required: false
+        },
+        {
+          key: 'OTP_SMTP_FROM',
+          description: 'Sender, e.g. "AeroNotes <no-reply@example.com>"',
+          required: true
+        }
+      ];
+      
     default:
       return [];
   }
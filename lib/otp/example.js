@@ -50,6 +50,7 @@ async function exampleUsage() {
     const phoneNumber = '+1234567890'; // Example phone number
     
     const sendResult = await otpService.sendOTP(phoneNumber, {
+      purpose: 'signup',
       length: 6,
       expiryMinutes: 5
     });
@@ -70,7 +71,7 @@ async function exampleUsage() {
       // For mock provider, we can use any 6-digit code since it accepts all valid formats
       const mockOTP = config.activeProvider === 'mock' ? '123456' : 'REPLACE_WITH_ACTUAL_OTP';
       
-      const verifyResult = await otpService.verifyOTP(phoneNumber, mockOTP);
+      const verifyResult = await otpService.verifyOTP(phoneNumber, mockOTP, { purpose: 'signup' });
       
       if (verifyResult.success) {
         console.log('✅ OTP verified successfully');
@@ -143,12 +144,12 @@ async function errorHandlingExample() {
     
     // Test with invalid phone number
     console.log('Testing with invalid phone number...');
-    const invalidResult = await otpService.sendOTP('invalid-phone', { length: 6 });
+    const invalidResult = await otpService.sendOTP('invalid-phone', { purpose: 'signup', length: 6 });
     console.log('Invalid phone result:', invalidResult);
     
     // Test with invalid OTP
     console.log('\nTesting with invalid OTP...');
-    const invalidOTPResult = await otpService.verifyOTP('+1234567890', 'invalid');
+    const invalidOTPResult = await otpService.verifyOTP('+1234567890', 'invalid', { purpose: 'signup' });
     console.log('Invalid OTP result:', invalidOTPResult);
     
     // Test with expired OTP (this would require waiting or manipulating the database)
@@ -2,7 +2,7 @@ import { BaseOTPProvider } from '../BaseOTPProvider.js';
 
 /**
  * Infobip OTP Provider
- * Sends OTP codes via Infobip's 2FA API
+ * Sends OTP codes via Infobip's 2FA API, as SMS or as a voice call
  */
 export class InfobipOTPProvider extends BaseOTPProvider {
   constructor(config) {
@@ -21,14 +21,24 @@ export class InfobipOTPProvider extends BaseOTPProvider {
    * Send OTP via Infobip 2FA API
    * @param {string} phoneNumber - E.164 formatted phone number
    * @param {string} otp - The OTP code to send
+   * @param {object} [options]
+   * @param {string} [options.channel] - 'sms' or 'voice'
    * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
    */
-  async sendOTP(phoneNumber, otp) {
+  async sendOTP(phoneNumber, otp, { channel = 'sms' } = {}) {
     try {
+      if (!this.getSupportedChannels().includes(channel)) {
+        return {
+          success: false,
+          error: `Infobip cannot send codes by ${channel}`
+        };
+      }
+
       // Normalize phone number for Infobip (remove + prefix)
       const normalizedPhoneNumber = phoneNumber.replace(/^\+/, '');
       
-      const url = `${this.baseUrl}/2fa/2/pin`;
+      // The same PIN template can go out as a text or a call
+      const url = channel === 'voice' ? `${this.baseUrl}/2fa/2/pin/voice` : `${this.baseUrl}/2fa/2/pin`;
       const headers = new Headers();
       headers.append("Authorization", `App ${this.apiKey}`);
       headers.append("Content-Type", "application/json");
@@ -47,7 +57,7 @@ export class InfobipOTPProvider extends BaseOTPProvider {
         redirect: "follow"
       };
 
-      console.log(`📤 Infobip: Sending OTP to ${phoneNumber} via 2FA API`);
+      console.log(`📤 Infobip: Sending OTP to ${phoneNumber} via 2FA API (${channel})`);
       
       const response = await fetch(url, requestOptions);
       const responseText = await response.text();
@@ -151,6 +161,54 @@ export class InfobipOTPProvider extends BaseOTPProvider {
     }
   }
 
+  /**
+   * Send a plain text message via Infobip's SMS API, from the configured sender ID
+   * @param {string} phoneNumber - E.164 formatted phone number
+   * @param {string} text - Message body
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendMessage(phoneNumber, text) {
+    try {
+      const response = await fetch(`${this.baseUrl}/sms/2/text/advanced`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `App ${this.apiKey}`,
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify({
+          messages: [{
+            from: this.senderId,
+            destinations: [{ to: phoneNumber.replace(/^\+/, '') }],
+            text
+          }]
+        })
+      });
+
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        console.error('Infobip SMS API Error:', response.status, result);
+        return {
+          success: false,
+          error: result?.requestError?.serviceException?.text || `Infobip API error: ${response.status}`
+        };
+      }
+
+      return {
+        success: true,
+        messageId: result.messages?.[0]?.messageId
+      };
+
+    } catch (error) {
+      console.error('Error sending message via Infobip:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Check if provider is properly configured
    * @returns {boolean}
@@ -159,14 +217,22 @@ export class InfobipOTPProvider extends BaseOTPProvider {
     return !!(this.baseUrl && this.apiKey && this.applicationId && this.messageId);
   }
 
+  /**
+   * @returns {Array<string>}
+   */
+  getSupportedChannels() {
+    return ['sms', 'voice'];
+  }
+
   /**
    * Get supported features
-   * @returns {{serverSideVerification: boolean, deliveryStatus: boolean}}
+   * @returns {{serverSideVerification: boolean, deliveryStatus: boolean, messages: boolean}}
    */
   getSupportedFeatures() {
     return {
       serverSideVerification: true, // Infobip supports server-side verification
-      deliveryStatus: true
+      deliveryStatus: true,
+      messages: true
     };
   }
 
@@ -1,4 +1,4 @@
-import { BaseOTPProvider } from '../BaseOTPProvider.js';
+import { BaseOTPProvider, OTP_CHANNELS } from '../BaseOTPProvider.js';
 
 /**
  * Mock OTP Provider for development and testing
@@ -14,9 +14,10 @@ export class MockOTPProvider extends BaseOTPProvider {
    * Mock send OTP - just logs to console
    * @param {string} phoneNumber - E.164 formatted phone number
    * @param {string} otp - The OTP code to "send"
+   * @param {object} [options] - { channel, email }
    * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
    */
-  async sendOTP(phoneNumber, otp) {
+  async sendOTP(phoneNumber, otp, { channel = 'sms', email } = {}) {
     try {
       // Simulate network delay
       await new Promise(resolve => setTimeout(resolve, 500 + Math.random() * 1000));
@@ -36,7 +37,8 @@ export class MockOTPProvider extends BaseOTPProvider {
       console.log('\n' + '='.repeat(60));
       console.log('📱 MOCK OTP PROVIDER - SMS SIMULATION');
       console.log('='.repeat(60));
-      console.log(`📞 To: ${phoneNumber}`);
+      console.log(`📞 To: ${channel === 'email' ? email : phoneNumber}`);
+      console.log(`📡 Channel: ${channel}`);
       console.log(`🔐 OTP Code: ${otp}`);
       console.log(`📨 Message ID: ${messageId}`);
       console.log(`⏰ Timestamp: ${new Date().toISOString()}`);
@@ -55,6 +57,29 @@ export class MockOTPProvider extends BaseOTPProvider {
     }
   }
 
+  /**
+   * Mock send message - logs the text instead of sending it
+   * @param {string} phoneNumber - E.164 formatted phone number
+   * @param {string} text - Message body
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendMessage(phoneNumber, text) {
+    const messageId = `mock_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    console.log('\n' + '='.repeat(60));
+    console.log('📱 MOCK OTP PROVIDER - SMS SIMULATION');
+    console.log('='.repeat(60));
+    console.log(`📞 To: ${phoneNumber}`);
+    console.log(`💬 Message: ${text}`);
+    console.log(`📨 Message ID: ${messageId}`);
+    console.log('='.repeat(60) + '\n');
+
+    return {
+      success: true,
+      messageId
+    };
+  }
+
   /**
    * Mock verify OTP - always returns success for valid format
    * @param {string} phoneNumber - E.164 formatted phone number
@@ -68,7 +93,7 @@ export class MockOTPProvider extends BaseOTPProvider {
       await new Promise(resolve => setTimeout(resolve, 200 + Math.random() * 500));
       
       // Basic validation
-      if (!otp || !/^\d{4,8}$/.test(otp)) {
+      if (!otp || !/^[A-Za-z0-9]{4,8}$/.test(otp)) {
         return {
           success: false,
           error: 'Invalid OTP format'
@@ -96,14 +121,23 @@ export class MockOTPProvider extends BaseOTPProvider {
     return true;
   }
 
+  /**
+   * Mock "delivers" on every channel
+   * @returns {Array<string>}
+   */
+  getSupportedChannels() {
+    return [...OTP_CHANNELS];
+  }
+
   /**
    * Get supported features
-   * @returns {{serverSideVerification: boolean, deliveryStatus: boolean}}
+   * @returns {{serverSideVerification: boolean, deliveryStatus: boolean, messages: boolean}}
    */
   getSupportedFeatures() {
     return {
       serverSideVerification: true, // Mock supports verification
-      deliveryStatus: true
+      deliveryStatus: true,
+      messages: true
     };
   }
 
@@ -0,0 +1,74 @@
+import { OTP_CHANNELS } from '../BaseOTPProvider.js';
+import { MockOTPProvider } from './MockOTPProvider.js';
+
+/**
+ * Scripted OTP Provider for failover tests
+ * Each send takes the next outcome from `script` ('ok', 'fail' or 'throw'),
+ * then `then` once the script runs out. `channels` limits what it claims to
+ * deliver on (default: all). There is no delay and nothing is
+ * logged, so tests can walk OTPService through retries and circuit breaker
+ * trips step by step:
+ *
+ *   otpService.registerProvider('primary', new ScriptedOTPProvider({ script: ['fail', 'fail'] }));
+ *   otpService.registerProvider('backup', new ScriptedOTPProvider());
+ *   otpService.setProviderChain(['primary', 'backup']);
+ */
+export class ScriptedOTPProvider extends MockOTPProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = config.name || 'Scripted OTP Provider';
+    this.script = [...(config.script || [])];
+    this.then = config.then || 'ok';
+    this.channels = config.channels || [...OTP_CHANNELS];
+    this.sent = []; // { phoneNumber, body, channel, outcome } for every send attempted
+  }
+
+  async deliver(phoneNumber, body, channel = 'sms') {
+    const outcome = this.script.length > 0 ? this.script.shift() : this.then;
+    this.sent.push({ phoneNumber, body, channel, outcome });
+
+    if (outcome === 'throw') {
+      throw new Error(`${this.name} threw`);
+    }
+    if (outcome !== 'ok') {
+      return {
+        success: false,
+        error: `${this.name} failed (${outcome})`
+      };
+    }
+
+    return {
+      success: true,
+      messageId: `scripted_${this.sent.length}`
+    };
+  }
+
+  async sendOTP(phoneNumber, otp, { channel } = {}) {
+    return this.deliver(phoneNumber, otp, channel);
+  }
+
+  async sendMessage(phoneNumber, text) {
+    return this.deliver(phoneNumber, text);
+  }
+
+  async verifyOTP() {
+    return { success: true };
+  }
+
+  getSupportedChannels() {
+    return this.channels;
+  }
+
+  getProviderInfo() {
+    return {
+      ...super.getProviderInfo(),
+      name: this.name,
+      type: 'scripted',
+      config: {
+        remainingScript: [...this.script],
+        then: this.then,
+        channels: this.channels
+      }
+    };
+  }
+}
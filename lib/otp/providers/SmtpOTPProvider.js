@@ -0,0 +1,141 @@
+import nodemailer from 'nodemailer';
+import { BaseOTPProvider } from '../BaseOTPProvider.js';
+
+/**
+ * SMTP OTP Provider
+ * Delivers codes on the 'email' channel through any SMTP server: a mail
+ * relay in production, or a local sink such as Mailpit during development.
+ * The code is still stored against the phone number it was requested for.
+ */
+export class SmtpOTPProvider extends BaseOTPProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'SMTP Email Provider';
+
+    this.host = config.host;
+    this.port = Number(config.port) || 587;
+    this.secure = config.secure ?? this.port === 465;
+    this.user = config.user;
+    this.pass = config.pass;
+    this.from = config.from;
+    this.subject = config.subject || 'Your AeroNotes verification code';
+    this.transport = null;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = nodemailer.createTransport({
+        host: this.host,
+        port: this.port,
+        secure: this.secure,
+        auth: this.user ? { user: this.user, pass: this.pass } : undefined,
+        connectionTimeout: 10000
+      });
+    }
+    return this.transport;
+  }
+
+  /**
+   * Email the code
+   * @param {string} phoneNumber - E.164 number the code belongs to
+   * @param {string} otp - The OTP code to send
+   * @param {object} options
+   * @param {string} [options.channel] - Only 'email'
+   * @param {string} options.email - Recipient address
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendOTP(phoneNumber, otp, { channel = 'email', email } = {}) {
+    if (channel !== 'email') {
+      return {
+        success: false,
+        error: `SMTP provider cannot send codes by ${channel}`
+      };
+    }
+    if (!email) {
+      return {
+        success: false,
+        error: 'An email address is required for the email channel'
+      };
+    }
+
+    try {
+      const info = await this.getTransport().sendMail({
+        from: this.from,
+        to: email,
+        subject: this.subject,
+        text: `${this.codeMessage(otp)}\n\nIf you didn't ask for this code, you can ignore this email.`
+      });
+
+      console.log(`✅ SMTP: code emailed for ${phoneNumber}`, info.messageId);
+
+      return {
+        success: true,
+        messageId: info.messageId
+      };
+
+    } catch (error) {
+      console.error('Error sending OTP via SMTP:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Codes are checked against otp_codes
+   */
+  async verifyOTP() {
+    return {
+      success: false,
+      error: 'SMTP provider does not verify codes'
+    };
+  }
+
+  /**
+   * Check if provider is properly configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!(this.host && this.from);
+  }
+
+  /**
+   * @returns {Array<string>}
+   */
+  getSupportedChannels() {
+    return ['email'];
+  }
+
+  /**
+   * Get supported features
+   * Plain messages are addressed to phone numbers, so email can't take them.
+   * @returns {{serverSideVerification: boolean, deliveryStatus: boolean, messages: boolean}}
+   */
+  getSupportedFeatures() {
+    return {
+      serverSideVerification: false,
+      deliveryStatus: false,
+      messages: false
+    };
+  }
+
+  /**
+   * Get provider info for debugging
+   * @returns {{name: string, type: string, configured: boolean}}
+   */
+  getProviderInfo() {
+    return {
+      name: this.name,
+      type: 'smtp',
+      configured: this.isConfigured(),
+      config: {
+        host: this.host,
+        port: this.port,
+        secure: this.secure,
+        from: this.from,
+        authConfigured: !!this.user
+      }
+    };
+  }
+}
@@ -1,8 +1,14 @@
 import { BaseOTPProvider } from '../BaseOTPProvider.js';
 
+// Twilio Verify calls the voice channel 'call'
+const VERIFY_CHANNELS = { sms: 'sms', voice: 'call', whatsapp: 'whatsapp' };
+
+const escapeXml = (text) => text.replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`);
+
 /**
  * Twilio OTP Provider
- * Sends OTP codes via Twilio's SMS API
+ * Sends OTP codes via Twilio's SMS API, or by phone call through the Voice
+ * API. With a Verify service, Twilio sends the code itself by SMS, call or WhatsApp.
  */
 export class TwilioOTPProvider extends BaseOTPProvider {
   constructor(config) {
@@ -20,70 +26,156 @@ export class TwilioOTPProvider extends BaseOTPProvider {
    * Send OTP via Twilio SMS API
    * @param {string} phoneNumber - E.164 formatted phone number
    * @param {string} otp - The OTP code to send
+   * @param {object} [options]
+   * @param {string} [options.channel] - 'sms', 'voice' or, with Verify, 'whatsapp'
    * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
    */
-  async sendOTP(phoneNumber, otp) {
+  async sendOTP(phoneNumber, otp, { channel = 'sms' } = {}) {
     try {
+      if (!this.getSupportedChannels().includes(channel)) {
+        return {
+          success: false,
+          error: `Twilio cannot send codes by ${channel} in this mode`
+        };
+      }
+
       // If using Twilio Verify service
       if (this.serviceSid) {
-        return await this.sendOTPViaVerify(phoneNumber);
+        return await this.sendOTPViaVerify(phoneNumber, channel);
+      }
+
+      if (channel === 'voice') {
+        return await this.placeCall(phoneNumber, this.codeMessage(otp, 'voice'));
       }
 
       // Standard SMS API
-      const url = `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`;
-      
-      const formData = new URLSearchParams();
-      formData.append('To', phoneNumber);
-      formData.append('From', this.fromPhoneNumber);
-      formData.append('Body', `Your AeroNotes verification code is: ${otp}`);
+      return await this.sendSms(phoneNumber, this.codeMessage(otp));
 
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`,
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        body: formData
-      });
+    } catch (error) {
+      console.error('Error sending OTP via Twilio:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
 
-      const result = await response.json();
+  /**
+   * Send a plain text message via the SMS API (the Verify API only sends codes)
+   * @param {string} phoneNumber - E.164 formatted phone number
+   * @param {string} text - Message body
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendMessage(phoneNumber, text) {
+    if (!this.fromPhoneNumber) {
+      return {
+        success: false,
+        error: 'TWILIO_FROM_PHONE_NUMBER is required to send messages'
+      };
+    }
 
-      if (!response.ok) {
-        console.error('Twilio SMS API Error:', result);
-        return {
-          success: false,
-          error: result.message || `Twilio error: ${response.status}`
-        };
-      }
+    try {
+      return await this.sendSms(phoneNumber, text);
+    } catch (error) {
+      console.error('Error sending message via Twilio:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
 
-      console.log("✅ Twilio: SMS sent successfully", result.sid);
+  /**
+   * POST one message to the Messages API
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendSms(phoneNumber, body) {
+    const url = `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`;
+    
+    const formData = new URLSearchParams();
+    formData.append('To', phoneNumber);
+    formData.append('From', this.fromPhoneNumber);
+    formData.append('Body', body);
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: formData
+    });
+
+    const result = await response.json();
 
+    if (!response.ok) {
+      console.error('Twilio SMS API Error:', result);
       return {
-        success: true,
-        messageId: result.sid
+        success: false,
+        error: result.message || `Twilio error: ${response.status}`
       };
+    }
 
-    } catch (error) {
-      console.error('Error sending OTP via Twilio:', error);
+    console.log("✅ Twilio: SMS sent successfully", result.sid);
+
+    return {
+      success: true,
+      messageId: result.sid
+    };
+  }
+
+  /**
+   * Call the number and read the text out through the Voice API
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async placeCall(phoneNumber, text) {
+    const url = `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Calls.json`;
+
+    const formData = new URLSearchParams();
+    formData.append('To', phoneNumber);
+    formData.append('From', this.fromPhoneNumber);
+    formData.append('Twiml', `<Response><Say>${escapeXml(text)}</Say></Response>`);
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: formData
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      console.error('Twilio Voice API Error:', result);
       return {
         success: false,
-        error: error.message
+        error: result.message || `Twilio error: ${response.status}`
       };
     }
+
+    console.log("✅ Twilio: call placed", result.sid);
+
+    return {
+      success: true,
+      messageId: result.sid
+    };
   }
 
   /**
    * Send OTP via Twilio Verify API (generates OTP automatically)
    * @param {string} phoneNumber - E.164 formatted phone number
+   * @param {string} [channel] - 'sms', 'voice' or 'whatsapp'
    * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
    */
-  async sendOTPViaVerify(phoneNumber) {
+  async sendOTPViaVerify(phoneNumber, channel = 'sms') {
     try {
       const url = `https://verify.twilio.com/v2/Services/${this.serviceSid}/Verifications`;
       
       const formData = new URLSearchParams();
       formData.append('To', phoneNumber);
-      formData.append('Channel', 'sms');
+      formData.append('Channel', VERIFY_CHANNELS[channel]);
 
       const response = await fetch(url, {
         method: 'POST',
@@ -188,14 +280,23 @@ export class TwilioOTPProvider extends BaseOTPProvider {
     return hasBasicConfig && (hasSMSConfig || hasVerifyConfig);
   }
 
+  /**
+   * Verify sends on its own channels; the SMS API number can also place calls
+   * @returns {Array<string>}
+   */
+  getSupportedChannels() {
+    return this.serviceSid ? Object.keys(VERIFY_CHANNELS) : ['sms', 'voice'];
+  }
+
   /**
    * Get supported features
-   * @returns {{serverSideVerification: boolean, deliveryStatus: boolean}}
+   * @returns {{serverSideVerification: boolean, deliveryStatus: boolean, messages: boolean}}
    */
   getSupportedFeatures() {
     return {
       serverSideVerification: !!this.serviceSid, // Only with Verify API
-      deliveryStatus: true
+      deliveryStatus: true,
+      messages: !!this.fromPhoneNumber // Only with the SMS API
     };
   }
 
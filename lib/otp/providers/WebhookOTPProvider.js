@@ -0,0 +1,342 @@
+import crypto from 'crypto';
+import { BaseOTPProvider } from '../BaseOTPProvider.js';
+
+export const SIGNATURE_HEADER = 'X-AeroNotes-Signature';
+
+// Receipts older than this are refused, so a captured one can't be replayed later
+const RECEIPT_TOLERANCE_SECONDS = 300;
+
+// Gateway statuses -> otp_codes.delivery_status; anything else is ignored
+const DEFAULT_STATUS_MAP = {
+  delivered: 'delivered',
+  delivrd: 'delivered',
+  failed: 'failed',
+  undelivered: 'failed',
+  undeliv: 'failed',
+  rejected: 'failed',
+  rejectd: 'failed',
+  expired: 'failed',
+};
+
+/**
+ * Read a dot path such as 'data.id' out of a parsed response
+ */
+const getPath = (object, path) => path.split('.')
+  .reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+/**
+ * Replace {name} placeholders; unknown names are left as they are
+ */
+const fillTemplate = (template, variables, encode = (value) => value) =>
+  template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    (name in variables ? encode(String(variables[name])) : placeholder));
+
+const fillValues = (value, variables) => {
+  if (typeof value === 'string') {
+    return fillTemplate(value, variables);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => fillValues(item, variables));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillValues(item, variables)]));
+  }
+  return value;
+};
+
+/**
+ * Webhook OTP Provider
+ * Sends codes and messages through any HTTP SMS gateway, such as a
+ * self-hosted one or a local stand-in. The request URL, headers and body are
+ * templates over {phone}, {phoneDigits}, {message}, {otp}, {reference},
+ * {callbackUrl}, {type}, {channel} and {email}; `channels` lists the ones the gateway
+ * can deliver codes on. With a `secret`, every request carries an HMAC
+ * signature and delivery receipts at /api/otp/delivery must carry one too.
+ */
+export class WebhookOTPProvider extends BaseOTPProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = config.name || 'Webhook SMS Provider';
+
+    this.url = config.url;
+    this.method = (config.method || 'POST').toUpperCase();
+    // null means the template didn't parse (see isConfigured)
+    this.headers = config.headers === undefined ? {} : config.headers;
+    this.bodyFormat = config.bodyFormat || 'json';
+    this.body = config.body === undefined ? { to: '{phone}', message: '{message}' } : config.body;
+    this.messageTemplate = config.messageTemplate || 'Your AeroNotes verification code is: {otp}';
+    this.secret = config.secret;
+    this.callbackUrl = config.callbackUrl || '';
+    this.timeout = config.timeout || 10000;
+    this.channels = config.channels || ['sms'];
+
+    // How to tell an accepted request from a refused one
+    this.success = {
+      field: null, // Dot path into the JSON response; when unset any 2xx counts
+      value: null,
+      messageIdField: 'id',
+      errorField: 'error',
+      ...config.success
+    };
+
+    // Where to find things in a delivery receipt
+    this.receipt = {
+      messageIdField: 'messageId',
+      statusField: 'status',
+      errorField: 'error',
+      ...config.receipt,
+      statusMap: { ...DEFAULT_STATUS_MAP, ...config.receipt?.statusMap }
+    };
+  }
+
+  /**
+   * @param {string} phoneNumber - E.164 formatted phone number
+   * @param {string} otp - The OTP code to send
+   * @param {object} [options] - { channel, email }
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendOTP(phoneNumber, otp, { channel = 'sms', email = '' } = {}) {
+    if (!this.channels.includes(channel)) {
+      return {
+        success: false,
+        error: `Webhook gateway does not deliver by ${channel}`
+      };
+    }
+
+    return this.deliver(phoneNumber, {
+      type: 'otp',
+      channel,
+      email,
+      otp,
+      // A call reads the text out, so spell the code
+      message: channel === 'voice'
+        ? this.codeMessage(otp, 'voice')
+        : fillTemplate(this.messageTemplate, { otp })
+    });
+  }
+
+  /**
+   * @param {string} phoneNumber - E.164 formatted phone number
+   * @param {string} text - Message body
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendMessage(phoneNumber, text) {
+    return this.deliver(phoneNumber, { type: 'message', channel: 'sms', otp: '', message: text });
+  }
+
+  /**
+   * Codes are checked against otp_codes; the gateway only delivers them
+   */
+  async verifyOTP() {
+    return {
+      success: false,
+      error: 'Webhook provider does not verify codes'
+    };
+  }
+
+  /**
+   * Fill in the templates and call the gateway
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async deliver(phoneNumber, { type, channel, email = '', otp, message }) {
+    const reference = crypto.randomUUID();
+    const variables = {
+      phone: phoneNumber,
+      phoneDigits: phoneNumber.replace(/^\+/, ''),
+      message,
+      otp,
+      reference,
+      callbackUrl: this.callbackUrl,
+      type,
+      channel,
+      email
+    };
+
+    try {
+      const request = this.buildRequest(variables);
+      const response = await fetch(request.url, {
+        method: this.method,
+        headers: request.headers,
+        body: request.body,
+        signal: AbortSignal.timeout(this.timeout)
+      });
+
+      return this.readResponse(response, reference);
+
+    } catch (error) {
+      console.error('Error sending SMS via webhook:', error);
+      return {
+        success: false,
+        error: error.name === 'TimeoutError' ? `Webhook timed out after ${this.timeout}ms` : error.message
+      };
+    }
+  }
+
+  /**
+   * @returns {{url: string, headers: Object, body?: string}}
+   */
+  buildRequest(variables) {
+    const url = fillTemplate(this.url, variables, encodeURIComponent);
+    const headers = fillValues(this.headers, variables);
+    let body;
+
+    if (this.method !== 'GET' && this.method !== 'HEAD') {
+      const fields = fillValues(this.body, variables);
+      if (this.bodyFormat === 'form') {
+        body = new URLSearchParams(fields).toString();
+        headers['Content-Type'] ??= 'application/x-www-form-urlencoded';
+      } else {
+        body = JSON.stringify(fields);
+        headers['Content-Type'] ??= 'application/json';
+      }
+    }
+
+    if (this.secret) {
+      // Without a body the URL carries the message, so sign that instead
+      headers[SIGNATURE_HEADER] = this.sign(body ?? url);
+    }
+
+    return { url, headers, body };
+  }
+
+  /**
+   * Match the gateway's answer against `success`
+   * The gateway's own message ID is used when it returns one, otherwise our reference.
+   */
+  async readResponse(response, reference) {
+    const text = await response.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch (e) {
+      // Plain text answers are fine unless a success field has to be read
+    }
+
+    const fieldMatches = !this.success.field ||
+      (json != null && String(getPath(json, this.success.field)) === String(this.success.value));
+
+    if (!response.ok || !fieldMatches) {
+      console.error('Webhook SMS gateway refused the request:', response.status, text.slice(0, 500));
+      const error = json && getPath(json, this.success.errorField);
+      return {
+        success: false,
+        error: typeof error === 'string' && error ? error : `Webhook gateway error: ${response.status}`
+      };
+    }
+
+    const messageId = json && getPath(json, this.success.messageIdField);
+    return {
+      success: true,
+      messageId: messageId != null ? String(messageId) : reference
+    };
+  }
+
+  /**
+   * `t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.payload">`
+   */
+  sign(payload, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', this.secret)
+      .update(`${timestamp}.${payload}`)
+      .digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  /**
+   * Check a delivery receipt's signature header against its raw body
+   * @returns {boolean} false as well when no secret is configured
+   */
+  verifySignature(rawBody, header, now = Date.now()) {
+    if (!this.secret || !header) {
+      return false;
+    }
+
+    const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+    const timestamp = Number(parts.t);
+    if (!Number.isInteger(timestamp) || Math.abs(now / 1000 - timestamp) > RECEIPT_TOLERANCE_SECONDS) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(rawBody, timestamp));
+    const actual = Buffer.from(`t=${parts.t},v1=${parts.v1}`);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Pull the message ID and status out of a receipt, JSON or form encoded
+   * @returns {{messageId: string, status: 'delivered'|'failed', error: string|null}|null}
+   *   null when the receipt can't be read or its status isn't one we track
+   */
+  parseDeliveryReceipt(rawBody, contentType = '') {
+    let fields;
+    try {
+      fields = contentType.includes('application/x-www-form-urlencoded')
+        ? Object.fromEntries(new URLSearchParams(rawBody))
+        : JSON.parse(rawBody);
+    } catch (e) {
+      return null;
+    }
+
+    const messageId = getPath(fields, this.receipt.messageIdField);
+    const rawStatus = getPath(fields, this.receipt.statusField);
+    const status = rawStatus != null && this.receipt.statusMap[String(rawStatus).toLowerCase()];
+
+    if (messageId == null || !status) {
+      return null;
+    }
+
+    const error = getPath(fields, this.receipt.errorField);
+    return {
+      messageId: String(messageId),
+      status,
+      error: status === 'failed' && error != null ? String(error) : null
+    };
+  }
+
+  /**
+   * Check if provider is properly configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!(this.url && this.headers && this.body && ['json', 'form'].includes(this.bodyFormat));
+  }
+
+  /**
+   * @returns {Array<string>}
+   */
+  getSupportedChannels() {
+    return this.channels;
+  }
+
+  /**
+   * Get supported features
+   * @returns {{serverSideVerification: boolean, deliveryStatus: boolean, messages: boolean}}
+   */
+  getSupportedFeatures() {
+    return {
+      serverSideVerification: false,
+      deliveryStatus: !!this.secret,
+      messages: true
+    };
+  }
+
+  /**
+   * Get provider info for debugging
+   * @returns {{name: string, type: string, configured: boolean}}
+   */
+  getProviderInfo() {
+    return {
+      name: this.name,
+      type: 'webhook',
+      configured: this.isConfigured(),
+      config: {
+        url: this.url,
+        method: this.method,
+        bodyFormat: this.bodyFormat,
+        headerNames: Object.keys(this.headers || {}),
+        channels: this.channels,
+        callbackUrl: this.callbackUrl,
+        signed: !!this.secret
+      }
+    };
+  }
+}
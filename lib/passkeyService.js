@@ -0,0 +1,87 @@
+/**
+ * Passkeys (WebAuthn)
+ * The browser does the ceremony; the server issues the challenge and checks
+ * the signed response, so nothing here is trusted on its own.
+ */
+
+import { startRegistration, startAuthentication, browserSupportsWebAuthn } from '@simplewebauthn/browser';
+import { authHeaders } from './apiAuth';
+
+const request = async (path, method = 'GET', body) => {
+  const response = await fetch(path, {
+    method,
+    headers: {
+      ...authHeaders(),
+      ...(body && { 'Content-Type': 'application/json' }),
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    // Keep the code so the login form can react to PIN_RESET_REQUIRED
+    throw Object.assign(new Error(data.error?.message || data.error || 'Passkey request failed'), {
+      code: data.error?.code || data.code,
+    });
+  }
+
+  return data.data ?? data;
+};
+
+// The user closing the browser prompt isn't an error worth showing
+const isCancelled = (error) => error?.name === 'NotAllowedError' || error?.name === 'AbortError';
+
+export const isPasskeySupported = () => typeof window !== 'undefined' && browserSupportsWebAuthn();
+
+/**
+ * @returns {Promise<Array<{id: string, name: string, deviceType: string, backedUp: boolean, createdAt: string, lastUsedAt: string|null}>>}
+ */
+export const fetchPasskeys = async () =>
+  (await request('/api/auth/webauthn/credentials')).credentials;
+
+/**
+ * Create a passkey on this device and save it to the account
+ * @param {string} pin - The current PIN, asked for again before adding a way to sign in
+ * @param {string} [name]
+ * @returns {Promise<object|null>} The saved passkey, or null if the user cancelled
+ */
+export const registerPasskey = async (pin, name) => {
+  const { options, challengeId } = await request('/api/auth/webauthn/register/options', 'POST', { pin });
+
+  let response;
+  try {
+    response = await startRegistration({ optionsJSON: options });
+  } catch (error) {
+    if (isCancelled(error)) return null;
+    throw error;
+  }
+
+  const { credential } = await request('/api/auth/webauthn/register/verify', 'POST', {
+    challengeId,
+    response,
+    name,
+  });
+  return credential;
+};
+
+export const removePasskey = (id) =>
+  request(`/api/auth/webauthn/credentials/${id}`, 'DELETE');
+
+/**
+ * Sign in with any passkey saved for this site
+ * @returns {Promise<object|null>} Same shape as /api/auth/login-with-pin, or null if cancelled
+ */
+export const signInWithPasskey = async () => {
+  // An empty body still carries the JSON content type the route checks for
+  const { options, challengeId } = await request('/api/auth/webauthn/login/options', 'POST', {});
+
+  let response;
+  try {
+    response = await startAuthentication({ optionsJSON: options });
+  } catch (error) {
+    if (isCancelled(error)) return null;
+    throw error;
+  }
+
+  return await request('/api/auth/webauthn/login/verify', 'POST', { challengeId, response });
+};
@@ -0,0 +1,63 @@
+/**
+ * Moving the account to a new phone number
+ * The PIN starts it; codes texted to the old and the new number finish it.
+ */
+
+import { authHeaders } from './apiAuth';
+
+const request = async (path, method = 'GET', body) => {
+  const response = await fetch(path, {
+    method,
+    headers: {
+      ...authHeaders(),
+      ...(body && { 'Content-Type': 'application/json' }),
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error?.message || 'Phone number request failed');
+  }
+
+  return data.data;
+};
+
+/**
+ * @typedef {object} PhoneChange
+ * @property {string} status - 'pending' or 'completed'
+ * @property {string} newPhoneNumber
+ * @property {boolean} oldNumberLost
+ * @property {boolean} oldNumberVerified
+ * @property {boolean} newNumberVerified
+ * @property {string|null} availableAt - When a change without the old number may complete
+ * @property {boolean} readyToComplete
+ */
+
+/**
+ * @returns {Promise<PhoneChange|null>}
+ */
+export const fetchPhoneChange = async () =>
+  (await request('/api/user/phone')).change;
+
+/**
+ * @returns {Promise<PhoneChange>}
+ */
+export const startPhoneChange = async ({ pin, newPhoneNumber, oldNumberLost = false }) =>
+  (await request('/api/user/phone', 'POST', { pin, newPhoneNumber, oldNumberLost })).change;
+
+/**
+ * @param {'old'|'new'} target - Which number the code was texted to
+ * @returns {Promise<PhoneChange>} status is 'completed' once the last code is in
+ */
+export const verifyPhoneChangeCode = async (target, code) =>
+  (await request('/api/user/phone/verify', 'POST', { target, code })).change;
+
+export const completePhoneChange = async () =>
+  (await request('/api/user/phone/complete', 'POST')).change;
+
+export const resendPhoneChangeCodes = async () =>
+  (await request('/api/user/phone/resend', 'POST')).change;
+
+export const cancelPhoneChange = () =>
+  request('/api/user/phone', 'DELETE');
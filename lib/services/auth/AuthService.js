@@ -4,18 +4,27 @@
  */
 
 import { BaseService } from '../BaseService.js';
-import { BaseRepository } from '../../core/database/index.js';
+import { BaseRepository, db } from '../../core/database/index.js';
 import { 
   AuthenticationError, 
   AuthorizationError, 
   ValidationError,
   DatabaseError,
   ConfigurationError,
+  PinResetRequiredError,
+  AccountLockedError,
+  RateLimitError,
   ErrorHandler 
 } from '../../core/errors/index.js';
 import { getAuthConfig } from '../../core/config/index.js';
+import { checkPin } from '../../core/utils/pinPolicy.js';
+import { deriveSupabasePassword } from '../../core/utils/supabasePassword.js';
+import pinLockoutService from './PinLockoutService.js';
+import totpService from './TotpService.js';
+import DatabaseSessionService from './DatabaseSessionService.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 
 /**
  * User repository
@@ -137,9 +146,11 @@ export class AuthService extends BaseService {
 
   /**
    * Validate PIN format
+   * Only the shape is checked here: PINs set before the current policy must
+   * still be accepted at sign-in. New PINs go through validateNewPIN.
    */
   validatePIN(pin) {
-    const { pattern, blockedPatterns } = this.authConfig.pin.validation;
+    const { minLength, maxLength } = this.authConfig.pin;
     
     if (!pin) {
       throw new ValidationError('PIN is required', 'pin');
@@ -147,16 +158,20 @@ export class AuthService extends BaseService {
     
     ErrorHandler.validateFormat(
       pin,
-      pattern,
+      new RegExp(`^\\d{${minLength},${maxLength}}$`),
       'pin',
-      'PIN must be 4 digits'
+      `PIN must be ${minLength} to ${maxLength} digits`
     );
+  }
+
+  /**
+   * Validate a PIN being set, against the full PIN policy
+   */
+  validateNewPIN(pin, phoneNumber) {
+    const { valid, error } = checkPin(pin, { phoneNumber });
     
-    if (blockedPatterns.includes(pin)) {
-      throw new ValidationError(
-        'PIN is too common. Please choose a different PIN',
-        'pin'
-      );
+    if (!valid) {
+      throw new ValidationError(error, 'pin');
     }
   }
 
@@ -182,7 +197,7 @@ export class AuthService extends BaseService {
     // Validate inputs
     const normalizedPhone = this.normalizePhoneNumber(phoneNumber);
     this.validatePhoneNumber(normalizedPhone);
-    this.validatePIN(pin);
+    this.validateNewPIN(pin, normalizedPhone);
     
     // Check if user already exists
     const existingUser = await this.userRepository.findByPhone(normalizedPhone);
@@ -216,27 +231,136 @@ export class AuthService extends BaseService {
     };
   }
 
+  /**
+   * Check a PIN against the matching accounts with lockout enforced
+   * The attempt is counted before the PIN is compared, so locked accounts and
+   * IPs, and ones with no attempts left, are rejected up front.
+   * @param {Array<object>} users - Candidate user_profiles rows
+   * @param {string} pin
+   * @param {object} context - { ipAddress, userAgent }
+   * @returns {Promise<object|null>} The account the PIN belongs to
+   */
+  async verifyPINWithLockout(users, pin, context = {}) {
+    const userIds = users.map(user => user.id);
+    const claim = await pinLockoutService.claimAttempt({ userIds, ipAddress: context.ipAddress });
+    
+    for (const user of users) {
+      if (await this.verifyPIN(pin, user.pin_hash)) {
+        await pinLockoutService.recordSuccess(user.id, claim);
+        this.assertNoPinReset(user);
+        return user;
+      }
+    }
+    
+    await pinLockoutService.recordFailure(claim, context);
+    return null;
+  }
+
+  /**
+   * Refuse sign-in while the account waits for a new PIN
+   * @param {object} user - user_profiles row
+   */
+  assertNoPinReset(user) {
+    if (user.pin_reset_required) {
+      throw new PinResetRequiredError();
+    }
+  }
+
+  /**
+   * Make the next sign-in wait for a new PIN
+   * The current PIN is treated as known to someone else, so it stops working.
+   */
+  async requirePinReset(userId) {
+    const result = await this.userRepository.query(true)
+      .query.update({ pin_reset_required: true, updated_at: new Date().toISOString() })
+      .eq('id', userId);
+    
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+  }
+
+  /**
+   * Phone and password for the user's Supabase auth account
+   * @param {object} user - user_profiles row with phone_number and supabase_password_version
+   */
+  supabaseCredentials(user) {
+    return {
+      phone: user.phone_number,
+      password: deriveSupabasePassword(user.phone_number, user.supabase_password_version),
+    };
+  }
+
+  /**
+   * Stop the Supabase password handed out with earlier sign-ins
+   * The auth account moves to the next derived password; later sign-ins get
+   * that one.
+   */
+  async rotateSupabasePassword(userId) {
+    const result = await this.userRepository.query(true)
+      .query.select('phone_number, supabase_password_version')
+      .eq('id', userId)
+      .single();
+    
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+    
+    const version = result.data.supabase_password_version + 1;
+    const { error } = await db.getAdminClient().auth.admin.updateUserById(userId, {
+      password: deriveSupabasePassword(result.data.phone_number, version),
+    });
+    
+    if (error) {
+      throw new DatabaseError(error.message, error);
+    }
+    
+    await this.userRepository.updateUser(userId, {
+      supabase_password_version: version,
+      updated_at: new Date().toISOString(),
+    });
+  }
+
   /**
    * Authenticate user
+   * @param {object} [context] - { ipAddress, userAgent } for lockout tracking
    */
-  async authenticate(phoneNumber, pin) {
+  async authenticate(phoneNumber, pin, context = {}) {
     // Validate inputs
     const normalizedPhone = this.normalizePhoneNumber(phoneNumber);
     this.validatePhoneNumber(normalizedPhone);
     this.validatePIN(pin);
     
     // Find user
-    const user = await this.userRepository.findByPhone(normalizedPhone);
+    const candidate = await this.userRepository.findByPhone(normalizedPhone);
+    
+    // Unknown numbers still count against the IP
+    const user = await this.verifyPINWithLockout(candidate ? [candidate] : [], pin, context);
     if (!user) {
       throw new AuthenticationError('Invalid phone number or PIN');
     }
     
-    // Verify PIN
-    const isValidPIN = await this.verifyPIN(pin, user.pin_hash);
-    if (!isValidPIN) {
-      throw new AuthenticationError('Invalid phone number or PIN');
+    return this.completeSignIn(user);
+  }
+
+  /**
+   * Finish a PIN-verified sign-in
+   * Accounts with TOTP on get a short-lived challenge token instead of
+   * session tokens; completeMfaChallenge exchanges it for them.
+   */
+  completeSignIn(user) {
+    if (user.totp_enabled) {
+      return {
+        success: true,
+        mfaRequired: true,
+        challengeToken: this.generateMfaChallengeToken(user.id),
+      };
     }
     
+    return this.buildAuthResult(user);
+  }
+
+  buildAuthResult(user) {
     // Update last sign in
     // TODO: Add last_sign_in_at column to database first
     // await this.userRepository.updateUser(user.id, {
@@ -244,12 +368,13 @@ export class AuthService extends BaseService {
     //   updated_at: new Date().toISOString(),
     // });
 
-    // Generate tokens
+    // Generate tokens; the session ID doubles as the refresh token family
+    const sessionId = DatabaseSessionService.generateSessionId();
     const accessToken = this.generateJWTToken({
       id: user.id,
       phone: user.phone_number
-    });
-    const refreshToken = this.generateRefreshToken(user.id);
+    }, sessionId);
+    const refreshToken = this.generateRefreshToken(user.id, sessionId);
     
     return {
       success: true,
@@ -262,10 +387,66 @@ export class AuthService extends BaseService {
         role: 'user' // Default role since user_profiles doesn't have role field
       },
       accessToken,
-      refreshToken
+      refreshToken,
+      sessionId
     };
   }
 
+  /**
+   * Check the second step of sign-in for an account with TOTP on
+   * Takes an authenticator code or a recovery code. Wrong codes count towards
+   * the same lockout as wrong PINs.
+   * @param {string} challengeToken - From the PIN step
+   * @param {string} code
+   * @param {object} [context] - { ipAddress, userAgent }
+   * @returns {Promise<{user: object, method: 'totp'|'recovery'}>} The user_profiles row
+   */
+  async verifyMfaChallenge(challengeToken, code, context = {}) {
+    const userId = this.verifyMfaChallengeToken(challengeToken);
+    
+    const claim = await pinLockoutService.claimAttempt({ userIds: [userId], ipAddress: context.ipAddress });
+    
+    const method = await totpService.verifyCode(userId, code);
+    if (!method) {
+      await pinLockoutService.recordFailure(claim, context);
+      throw new AuthenticationError('Invalid authentication code');
+    }
+    await pinLockoutService.recordSuccess(userId, claim);
+    
+    const result = await this.userRepository.query(true)
+      .query.select('*')
+      .eq('id', userId)
+      .single();
+    
+    if (result.error) {
+      throw new AuthenticationError('User not found');
+    }
+    
+    // The challenge may predate a "this wasn't me" on another sign-in
+    this.assertNoPinReset(result.data);
+    
+    return { user: result.data, method };
+  }
+
+  /**
+   * Exchange a challenge token and code for session tokens
+   * @returns {Promise<object>} Same shape as a sign-in without TOTP, plus mfaMethod
+   */
+  async completeMfaChallenge(challengeToken, code, context = {}) {
+    const { user, method } = await this.verifyMfaChallenge(challengeToken, code, context);
+    return { ...this.buildAuthResult(user), mfaMethod: method };
+  }
+
+  /**
+   * Find a user profile by phone number, or null
+   */
+  async findUserByPhone(phoneNumber) {
+    const normalizedPhone = this.normalizePhoneNumber(phoneNumber);
+    this.validatePhoneNumber(normalizedPhone);
+    
+    return await this.userRepository.findByPhone(normalizedPhone);
+  }
+
   /**
    * Get user by ID
    */
@@ -275,7 +456,7 @@ export class AuthService extends BaseService {
     }
     
     const result = await this.userRepository.query(true)
-      .query.select('id, phone_number, email, phone_suffix, is_pin_set, created_at, updated_at')
+      .query.select('id, phone_number, email, phone_suffix, is_pin_set, totp_enabled, created_at, updated_at')
       .eq('id', userId)
       .single();
     
@@ -292,6 +473,7 @@ export class AuthService extends BaseService {
       email: result.data.email,
       phoneSuffix: result.data.phone_suffix,
       isPinSet: result.data.is_pin_set,
+      totpEnabled: Boolean(result.data.totp_enabled),
       createdAt: result.data.created_at,
       updatedAt: result.data.updated_at,
     };
@@ -299,15 +481,42 @@ export class AuthService extends BaseService {
 
   /**
    * Update user PIN
+   * The new PIN may be a different length, e.g. moving from 4 to 8 digits.
    */
-  async updatePIN(userId, currentPIN, newPIN) {
+  /**
+   * Ask for the current PIN again before a sensitive change
+   * Wrong guesses count towards the lockout like sign-in.
+   * @param {string} userId
+   * @param {string} pin
+   * @param {object} context - { ipAddress, userAgent }
+   */
+  async confirmPIN(userId, pin, context = {}) {
+    if (!pin) {
+      throw new ValidationError('Current PIN is required', 'pin');
+    }
+    
+    const user = await this.userRepository.query(true)
+      .query.select('pin_hash, pin_reset_required')
+      .eq('id', userId)
+      .single();
+    
+    if (user.error) {
+      throw new AuthenticationError('User not found');
+    }
+    
+    const verified = await this.verifyPINWithLockout([{ id: userId, ...user.data }], pin, context);
+    if (!verified) {
+      throw new AuthenticationError('Current PIN is incorrect');
+    }
+  }
+
+  async updatePIN(userId, currentPIN, newPIN, context = {}) {
     // Validate inputs
     this.validatePIN(currentPIN);
-    this.validatePIN(newPIN);
     
     // Get user
     const user = await this.userRepository.query(true)
-      .query.select('pin_hash')
+      .query.select('pin_hash, phone_number, pin_reset_required')
       .eq('id', userId)
       .single();
     
@@ -315,9 +524,18 @@ export class AuthService extends BaseService {
       throw new AuthenticationError('User not found');
     }
     
-    // Verify current PIN
-    const isValidPIN = await this.verifyPIN(currentPIN, user.data.pin_hash);
-    if (!isValidPIN) {
+    // The current PIN may be known to someone else; only a reset replaces it
+    this.assertNoPinReset(user.data);
+    
+    this.validateNewPIN(newPIN, user.data.phone_number);
+    
+    if (newPIN === currentPIN) {
+      throw new ValidationError('New PIN must be different from the current PIN', 'pin');
+    }
+    
+    // Verify current PIN (wrong guesses count towards the lockout like sign-in)
+    const verified = await this.verifyPINWithLockout([{ id: userId, ...user.data }], currentPIN, context);
+    if (!verified) {
       throw new AuthenticationError('Current PIN is incorrect');
     }
     
@@ -332,7 +550,81 @@ export class AuthService extends BaseService {
       updated_at: new Date().toISOString(),
     });
     
-    return { success: true };
+    return { success: true, pinLength: newPIN.length };
+  }
+
+  /**
+   * Token for setting a new PIN once the SMS code checked out, valid for pin.reset.tokenMinutes
+   * It carries a fingerprint of the current PIN hash, so it stops working as soon as any new PIN is set.
+   * @param {object} user - user_profiles row with id and pin_hash
+   */
+  generatePinResetToken(user) {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+      throw new ConfigurationError('JWT_SECRET not configured');
+    }
+    
+    return jwt.sign({ userId: user.id, type: 'pin_reset', pinRef: this.pinReference(user.pin_hash) }, secret, {
+      expiresIn: `${this.authConfig.pin.reset.tokenMinutes}m`,
+      issuer: this.authConfig.security.jwt.issuer,
+      algorithm: this.authConfig.security.jwt.algorithm,
+    });
+  }
+
+  pinReference(pinHash) {
+    return crypto.createHash('sha256').update(pinHash || '').digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Set a new PIN without the old one, using a token from generatePinResetToken
+   * Ends every session, Supabase sign-ins included, and clears any lockout
+   * and a pending forced reset.
+   * @param {object} [context] - { ipAddress, userAgent } for the audit log
+   * @returns {Promise<{success: boolean, pinLength: number, sessionsInvalidated: number}>}
+   */
+  async resetPIN(resetToken, newPIN, context = {}) {
+    const { valid, payload } = this.verifyJWTToken(resetToken);
+    if (!valid || payload.type !== 'pin_reset') {
+      throw new AuthenticationError('This PIN reset has expired. Request a new code');
+    }
+    
+    const result = await this.userRepository.query(true)
+      .query.select('id, pin_hash, phone_number, pin_reset_required')
+      .eq('id', payload.userId)
+      .single();
+    
+    // A used token no longer matches the PIN hash
+    if (result.error || payload.pinRef !== this.pinReference(result.data.pin_hash)) {
+      throw new AuthenticationError('This PIN reset has expired. Request a new code');
+    }
+    
+    const user = result.data;
+    this.validateNewPIN(newPIN, user.phone_number);
+    
+    if (user.pin_hash && await this.verifyPIN(newPIN, user.pin_hash)) {
+      throw new ValidationError('New PIN must be different from the current PIN', 'pin');
+    }
+    
+    await this.userRepository.updateUser(user.id, {
+      pin_hash: await this.hashPIN(newPIN),
+      pin_length: newPIN.length,
+      is_pin_set: true,
+      pin_reset_required: false,
+      updated_at: new Date().toISOString(),
+    });
+    
+    // Whoever knew the old PIN may be signed in somewhere, or kept the Supabase password
+    const sessionsInvalidated = await DatabaseSessionService.invalidateUserSessions(user.id);
+    await this.rotateSupabasePassword(user.id);
+    await pinLockoutService.unlockAccount(user.id, { method: 'pin_reset', ...context });
+    
+    await DatabaseSessionService.logAuditEvent(user.id, 'pin_reset', 'auth', {
+      method: 'otp',
+      sessions_invalidated: sessionsInvalidated,
+      was_required: user.pin_reset_required,
+    }, context.ipAddress, context.userAgent, true);
+    
+    return { success: true, pinLength: newPIN.length, sessionsInvalidated };
   }
 
   /**
@@ -403,10 +695,14 @@ export class AuthService extends BaseService {
   /**
    * Generate JWT token for user
    */
-  generateJWTToken(user) {
+  generateJWTToken(user, sessionId = null) {
     const payload = {
       userId: user.id,
       phone: user.phone,
+      type: 'access',
+      ...(sessionId && { sessionId }),
+      // A refresh within the same second must not reissue the token it replaces
+      jti: crypto.randomUUID(),
       iat: Math.floor(Date.now() / 1000),
     };
     
@@ -451,33 +747,148 @@ export class AuthService extends BaseService {
     }
   }
 
+  /**
+   * Token proving the PIN step passed, valid for mfa.totp.challengeMinutes
+   */
+  generateMfaChallengeToken(userId) {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+      throw new ConfigurationError('JWT_SECRET not configured');
+    }
+    
+    return jwt.sign({ userId, type: 'mfa_challenge' }, secret, {
+      expiresIn: `${this.authConfig.mfa.totp.challengeMinutes}m`,
+      issuer: this.authConfig.security.jwt.issuer,
+      algorithm: this.authConfig.security.jwt.algorithm,
+    });
+  }
+
+  /**
+   * @returns {string} The user ID the challenge was issued for
+   */
+  verifyMfaChallengeToken(token) {
+    const { valid, payload } = this.verifyJWTToken(token);
+    
+    if (!valid || payload.type !== 'mfa_challenge') {
+      throw new AuthenticationError('Sign-in expired. Enter your PIN again');
+    }
+    
+    return payload.userId;
+  }
+
   /**
    * Generate refresh token
+   * @param {string} userId
+   * @param {string} [familyId] - The session the token belongs to. Every rotation
+   *   stays in the family, so a replayed old token can revoke all of it.
    */
-  generateRefreshToken(userId) {
+  generateRefreshToken(userId, familyId = null) {
     const payload = {
       userId,
       type: 'refresh',
+      ...(familyId && { familyId }),
+      // Two tokens issued in the same second must still differ
+      jti: crypto.randomUUID(),
       iat: Math.floor(Date.now() / 1000),
     };
     
+    return jwt.sign(payload, this.getRefreshSecret(), { expiresIn: '30d' });
+  }
+
+  getRefreshSecret() {
     const secret = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
-    return jwt.sign(payload, secret, { expiresIn: '30d' });
+    if (!secret) {
+      throw new ConfigurationError('JWT_REFRESH_SECRET not configured');
+    }
+    return secret;
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair (rotation)
+   * Only the token the session currently holds is accepted, and it is
+   * replaced in the same step. A validly signed older token from the same
+   * family means it leaked or was replayed: the family is revoked.
+   * @param {string} refreshToken
+   * @param {object} [context] - { ipAddress, userAgent }
+   * @returns {Promise<{user: object, accessToken: string, refreshToken: string, sessionId: string}>}
+   */
+  async refreshSession(refreshToken, context = {}) {
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, this.getRefreshSecret());
+    } catch (error) {
+      throw new AuthenticationError('Invalid or expired refresh token');
+    }
+    
+    if (decoded.type !== 'refresh') {
+      throw new AuthenticationError('Invalid token type');
+    }
+    
+    if (await DatabaseSessionService.isTokenBlacklisted(refreshToken)) {
+      throw new AuthenticationError('Refresh token has been revoked');
+    }
+    
+    // Tokens from before families existed can only be matched by hash
+    const session = decoded.familyId
+      ? await DatabaseSessionService.getSessionRecord(decoded.familyId)
+      : await DatabaseSessionService.findSessionByRefreshToken(refreshToken);
+    
+    if (!session || session.userId !== decoded.userId) {
+      throw new AuthenticationError('Invalid or expired refresh token');
+    }
+    
+    const tokenExpiresAt = new Date(decoded.exp * 1000);
+    
+    if (!DatabaseSessionService.holdsRefreshToken(session, refreshToken)) {
+      await DatabaseSessionService.revokeTokenFamily(session, refreshToken, tokenExpiresAt, context);
+      throw new AuthenticationError('Refresh token was already used. Please sign in again');
+    }
+    
+    if (!session.isActive || new Date() > new Date(session.expiresAt)) {
+      throw new AuthenticationError('Session has ended. Please sign in again');
+    }
+    
+    const user = await this.getUserById(decoded.userId);
+    
+    const accessToken = this.generateJWTToken(user, session.sessionId);
+    const newRefreshToken = this.generateRefreshToken(user.id, session.sessionId);
+    
+    const rotated = await DatabaseSessionService.rotateRefreshToken(session.sessionId, refreshToken, {
+      accessToken,
+      refreshToken: newRefreshToken
+    });
+    
+    // Another request rotated this token first: the same token was used twice
+    if (!rotated) {
+      await DatabaseSessionService.revokeTokenFamily(session, refreshToken, tokenExpiresAt, context);
+      throw new AuthenticationError('Refresh token was already used. Please sign in again');
+    }
+    
+    return {
+      user,
+      accessToken,
+      refreshToken: newRefreshToken,
+      sessionId: session.sessionId
+    };
   }
 
   /**
    * Login with phone and PIN (supports full phone or last 4 digits)
+   * Lockouts are thrown rather than returned so routes can answer with Retry-After.
    */
-  async login(phoneOrLast4, pin) {
+  async login(phoneOrLast4, pin, context = {}) {
     try {
       // If input looks like last digits (1-4 digits), find user by phone suffix
       if (/^\d{1,4}$/.test(phoneOrLast4)) {
-        return await this.authenticateByLast4(phoneOrLast4, pin);
+        return await this.authenticateByLast4(phoneOrLast4, pin, context);
       } else {
         // Full phone number authentication
-        return await this.authenticate(phoneOrLast4, pin);
+        return await this.authenticate(phoneOrLast4, pin, context);
       }
     } catch (error) {
+      if (error instanceof AccountLockedError || error instanceof RateLimitError || error instanceof PinResetRequiredError) {
+        throw error;
+      }
       return {
         success: false,
         message: error.message
@@ -488,7 +899,7 @@ export class AuthService extends BaseService {
   /**
    * Authenticate using last 4 digits of phone and PIN
    */
-  async authenticateByLast4(last4Digits, pin) {
+  async authenticateByLast4(last4Digits, pin, context = {}) {
     // Validate inputs
     this.validatePIN(pin);
     
@@ -508,49 +919,17 @@ export class AuthService extends BaseService {
     
     const users = result.data || [];
     
-    if (users.length === 0) {
-      throw new AuthenticationError('Invalid credentials');
-    }
-    
     if (users.length > 1) {
       throw new AuthenticationError('Multiple users found with these digits. Please use full phone number.');
     }
     
-    const user = users[0];
-    
     // Verify PIN
-    const isValidPIN = await this.verifyPIN(pin, user.pin_hash);
-    if (!isValidPIN) {
+    const user = await this.verifyPINWithLockout(users, pin, context);
+    if (!user) {
       throw new AuthenticationError('Invalid credentials');
     }
     
-    // Update last sign in
-    // TODO: Add last_sign_in_at column to database first
-    // await this.userRepository.updateUser(user.id, {
-    //   last_sign_in_at: new Date().toISOString(),
-    //   updated_at: new Date().toISOString(),
-    // });
-
-    // Generate tokens
-    const accessToken = this.generateJWTToken({
-      id: user.id,
-      phone: user.phone_number
-    });
-    const refreshToken = this.generateRefreshToken(user.id);
-    
-    return {
-      success: true,
-      user: {
-        id: user.id,
-        phone: user.phone_number,
-        email: user.email,
-        isEmailVerified: !!user.email,
-        isPinSet: user.is_pin_set,
-        role: 'user' // Default role since user_profiles doesn't have role field
-      },
-      accessToken,
-      refreshToken
-    };
+    return this.completeSignIn(user);
   }
 }
 
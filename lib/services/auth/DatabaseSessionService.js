@@ -1,72 +1,80 @@
 /**
- * Database-Integrated Session Management Service
- * Writes to actual database tables: sessions, token_blacklist, audit_logs
+ * Session Management Service
+ * The one place sessions are created, looked up and revoked. Records live in
+ * the store chosen by `auth.session.store` (Supabase `sessions`/`token_blacklist`
+ * by default, Redis, or memory for tests); audit events always go to `audit_logs`.
  */
 
 import supabaseAdmin from '../../supabaseAdmin.js';
 import crypto from 'crypto';
-import {
-  ValidationError,
-  AuthenticationError
-} from '../../core/errors/index.js';
+import jwt from 'jsonwebtoken';
+import { getAuthConfig } from '../../core/config/index.js';
+import { createSessionStore } from './sessionStores/index.js';
+import { parseUserAgent, describeUserAgent } from '../../core/utils/userAgent.js';
+import { lookupIpLocation } from '../../core/utils/ipLocation.js';
+import { clientIp } from '../../core/utils/clientIp.js';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isExpired = (session) => new Date() > new Date(session.expiresAt);
+
+// Supabase access tokens carry the ID of their auth session
+const supabaseSessionId = (supabaseSession) =>
+  (supabaseSession?.access_token && jwt.decode(supabaseSession.access_token)?.session_id) || null;
 
 class DatabaseSessionService {
-  constructor() {
-    console.log('[DB_SESSION] Database session service initialized');
+  constructor(store = null) {
+    const { session: sessionConfig } = getAuthConfig();
+    this.sessionConfig = sessionConfig;
+    this.store = store || createSessionStore(sessionConfig.store, sessionConfig[sessionConfig.store]);
+    console.log(`[DB_SESSION] Session service initialized with ${this.store.getStoreName()}`);
+  }
+
+  /**
+   * Swap the backing store (tests use a MemorySessionStore)
+   */
+  useStore(store) {
+    this.store = store;
   }
 
   /**
-   * Create a new session in the database
+   * Create a new session
+   * Pass the Supabase session signed in alongside as `supabaseSession`, so
+   * revoking this session signs it out too.
+   * @returns {Promise<object>} The session record; `sessionId` goes in the cookie
    */
   async createSession(userId, sessionData = {}) {
     try {
-      const sessionId = this.generateSessionId();
       const now = new Date();
-      
-      // Create access and refresh token hashes for storage
-      const accessTokenHash = sessionData.accessToken ? 
-        crypto.createHash('sha256').update(sessionData.accessToken).digest('hex') : null;
-      const refreshTokenHash = sessionData.refreshToken ? 
-        crypto.createHash('sha256').update(sessionData.refreshToken).digest('hex') : null;
-
-      const session = {
-        id: sessionId,
-        user_id: userId,
-        access_token_hash: accessTokenHash,
-        refresh_token_hash: refreshTokenHash,
-        device_info: sessionData.deviceInfo || {},
-        ip_address: sessionData.ipAddress || null,
-        user_agent: sessionData.userAgent || null,
-        is_active: true,
-        expires_at: new Date(Date.now() + (sessionData.rememberMe ? 30 : 7) * 24 * 60 * 60 * 1000),
-        created_at: now,
-        updated_at: now
-      };
-
-      // Insert session into database
-      const { data, error } = await supabaseAdmin
-        .from('sessions')
-        .insert([session])
-        .select('*')
-        .single();
-
-      if (error) {
-        console.error('[DB_SESSION] Error creating session:', error);
-        throw new ValidationError('Failed to create session');
-      }
+      const maxAgeSeconds = sessionData.rememberMe
+        ? this.sessionConfig.rememberMeMaxAge
+        : this.sessionConfig.maxAge;
+
+      const session = await this.store.create({
+        // Callers that issue tokens before the session exists pick the ID up front
+        sessionId: sessionData.sessionId || this.generateSessionId(),
+        userId,
+        accessTokenHash: sessionData.accessToken ? hashToken(sessionData.accessToken) : null,
+        refreshTokenHash: sessionData.refreshToken ? hashToken(sessionData.refreshToken) : null,
+        deviceInfo: sessionData.deviceInfo || {},
+        ipAddress: clientIp(sessionData.ipAddress),
+        userAgent: sessionData.userAgent || null,
+        supabaseSessionId: supabaseSessionId(sessionData.supabaseSession),
+        isActive: true,
+        createdAt: now.toISOString(),
+        lastActivity: now.toISOString(),
+        expiresAt: new Date(now.getTime() + maxAgeSeconds * 1000).toISOString(),
+      });
 
       // Log session creation to audit logs
       await this.logAuditEvent(userId, 'session_created', 'session', {
-        session_id: sessionId,
+        session_id: session.sessionId,
         ip_address: sessionData.ipAddress,
         user_agent: sessionData.userAgent
       }, sessionData.ipAddress, sessionData.userAgent, true);
 
-      console.log(`[DB_SESSION] Created session ${sessionId} for user ${userId}`);
-      return {
-        sessionId,
-        ...data
-      };
+      console.log(`[DB_SESSION] Created session ${session.sessionId} for user ${userId}`);
+      return session;
     } catch (error) {
       console.error('[DB_SESSION] Error creating session:', error);
       throw error;
@@ -74,37 +82,24 @@ class DatabaseSessionService {
   }
 
   /**
-   * Get session by ID from database
+   * Get an active session by ID and record the activity
+   * @returns {Promise<object|null>} null when unknown, revoked or expired
    */
   async getSession(sessionId) {
     try {
-      const { data, error } = await supabaseAdmin
-        .from('sessions')
-        .select('*')
-        .eq('id', sessionId)
-        .eq('is_active', true)
-        .single();
-
-      if (error) {
-        if (error.code === 'PGRST116') { // No rows returned
-          return null;
-        }
-        throw error;
+      const session = sessionId && await this.store.get(sessionId);
+      if (!session || !session.isActive) {
+        return null;
       }
 
-      // Check if session is expired
-      if (new Date() > new Date(data.expires_at)) {
+      if (isExpired(session)) {
         await this.invalidateSession(sessionId);
         return null;
       }
 
-      // Update last activity
-      await supabaseAdmin
-        .from('sessions')
-        .update({ updated_at: new Date() })
-        .eq('id', sessionId);
-
-      return data;
+      // A revoke can land between the read and this write
+      const touched = await this.store.update(sessionId, { lastActivity: new Date().toISOString() });
+      return touched?.isActive ? touched : null;
     } catch (error) {
       console.error('[DB_SESSION] Error getting session:', error);
       return null;
@@ -112,55 +107,178 @@ class DatabaseSessionService {
   }
 
   /**
-   * Get all active sessions for a user
+   * Get all active sessions for a user, newest first
    */
   async getUserSessions(userId) {
     try {
-      const { data, error } = await supabaseAdmin
-        .from('sessions')
-        .select('*')
-        .eq('user_id', userId)
-        .eq('is_active', true)
-        .order('created_at', { ascending: false });
+      const sessions = await this.store.listByUser(userId);
+      return sessions
+        .filter(session => !isExpired(session))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    } catch (error) {
+      console.error('[DB_SESSION] Error getting user sessions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Recent sessions of a user, ended ones included, newest first
+   * How far back this reaches depends on the store (see `listByUser`).
+   */
+  async getSessionHistory(userId, limit = 50) {
+    return await this.store.listByUser(userId, { includeInactive: true, limit });
+  }
+
+  /**
+   * A session as the device list shows it, without token hashes
+   * Older sessions may only have the address and user agent in `deviceInfo`.
+   */
+  async describeSession(session, currentSessionId = null) {
+    const userAgent = session.userAgent || session.deviceInfo?.userAgent || null;
+    const ipAddress = clientIp(session.ipAddress || session.deviceInfo?.ipAddress);
+    const parsed = parseUserAgent(userAgent);
+
+    return {
+      sessionId: session.sessionId,
+      name: describeUserAgent(parsed),
+      browser: parsed.browser,
+      os: parsed.os,
+      deviceType: parsed.deviceType,
+      ipAddress,
+      location: (await lookupIpLocation(ipAddress))?.label || null,
+      signedInAt: session.deviceInfo?.loginTime || session.createdAt,
+      lastActivity: session.lastActivity,
+      isCurrent: Boolean(currentSessionId) && session.sessionId === currentSessionId,
+      isActive: session.isActive,
+    };
+  }
+
+  /**
+   * A session record as stored, revoked or not, without recording activity
+   * Refresh uses it to tell a reused token in a revoked family from an unknown one.
+   */
+  async getSessionRecord(sessionId) {
+    return await this.store.get(sessionId);
+  }
+
+  /**
+   * The active session a refresh token was issued to
+   * For refresh tokens issued without a family ID.
+   * @returns {Promise<object|null>}
+   */
+  async findSessionByRefreshToken(refreshToken) {
+    try {
+      const session = await this.store.findByRefreshTokenHash(hashToken(refreshToken));
+      return session && session.isActive && !isExpired(session) ? session : null;
+    } catch (error) {
+      console.error('[DB_SESSION] Error finding session by refresh token:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Whether this is the refresh token the session currently holds
+   */
+  holdsRefreshToken(session, refreshToken) {
+    return Boolean(session?.refreshTokenHash) && session.refreshTokenHash === hashToken(refreshToken);
+  }
+
+  /**
+   * Replace the session's tokens, but only if it still holds `currentRefreshToken`
+   * @returns {Promise<object|null>} null when another refresh got there first
+   */
+  async rotateRefreshToken(sessionId, currentRefreshToken, { accessToken, refreshToken }) {
+    return await this.store.swapRefreshToken(sessionId, hashToken(currentRefreshToken), {
+      accessTokenHash: hashToken(accessToken),
+      refreshTokenHash: hashToken(refreshToken),
+      lastActivity: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Shut down a refresh token family after one of its used tokens came back
+   * Whoever holds the newest token may be the thief or the owner, so the
+   * session ends for both: the presented token and the session's current
+   * token pair are blacklisted and the session is invalidated.
+   */
+  async revokeTokenFamily(presentedSession, presentedToken, presentedExpiresAt, context = {}) {
+    await this.blacklistToken(presentedToken, 'refresh', presentedExpiresAt);
+
+    // A racing refresh may have rotated since the caller read the session
+    let session = presentedSession;
+    try {
+      session = (await this.store.get(presentedSession.sessionId)) || presentedSession;
+
+      if (session.refreshTokenHash) {
+        await this.store.blacklist(session.refreshTokenHash, 'refresh', session.expiresAt);
+      }
+      if (session.accessTokenHash) {
+        await this.store.blacklist(session.accessTokenHash, 'access', session.expiresAt);
+      }
+    } catch (error) {
+      console.error('[DB_SESSION] Error blacklisting token family:', error);
+    }
+
+    if (session.isActive) {
+      await this.invalidateSession(session.sessionId);
+    }
+
+    await this.logAuditEvent(session.userId, 'refresh_token_reuse', 'security', {
+      session_id: session.sessionId,
+      family_revoked: session.isActive,
+    }, context.ipAddress, context.userAgent, false);
+
+    console.warn(`[DB_SESSION] Refresh token reuse in session ${session.sessionId}; family revoked`);
+  }
+
+  /**
+   * Sign the user out of Supabase auth sessions (see end_auth_sessions)
+   * @param {object} [options]
+   * @param {string[]} [options.only] - Just these Supabase session IDs
+   * @param {string} [options.keep] - Every session but this one
+   * @returns {Promise<number>} How many ended
+   */
+  async endSupabaseSessions(userId, { only = null, keep = null } = {}) {
+    try {
+      const { data, error } = await supabaseAdmin.rpc('end_auth_sessions', {
+        p_user_id: userId,
+        p_session_ids: only,
+        p_keep_session_id: keep,
+      });
 
       if (error) {
         throw error;
       }
-
-      return data || [];
+      return data || 0;
     } catch (error) {
-      console.error('[DB_SESSION] Error getting user sessions:', error);
-      return [];
+      console.error('[DB_SESSION] Error ending Supabase sessions:', error);
+      return 0;
     }
   }
 
   /**
-   * Invalidate a specific session
+   * Invalidate a specific session, and the Supabase session signed in with it
    */
   async invalidateSession(sessionId) {
     try {
-      const { data, error } = await supabaseAdmin
-        .from('sessions')
-        .update({ 
-          is_active: false, 
-          updated_at: new Date() 
-        })
-        .eq('id', sessionId)
-        .select('user_id')
-        .single();
+      const session = await this.store.update(sessionId, {
+        isActive: false,
+        lastActivity: new Date().toISOString(),
+      });
 
-      if (error) {
-        console.error('[DB_SESSION] Error invalidating session:', error);
+      if (!session) {
         return false;
       }
 
-      // Log session invalidation
-      if (data) {
-        await this.logAuditEvent(data.user_id, 'session_invalidated', 'session', {
-          session_id: sessionId
-        }, null, null, true);
+      if (session.supabaseSessionId) {
+        await this.endSupabaseSessions(session.userId, { only: [session.supabaseSessionId] });
       }
 
+      // Log session invalidation
+      await this.logAuditEvent(session.userId, 'session_invalidated', 'session', {
+        session_id: sessionId
+      }, null, null, true);
+
       console.log(`[DB_SESSION] Invalidated session ${sessionId}`);
       return true;
     } catch (error) {
@@ -170,27 +288,15 @@ class DatabaseSessionService {
   }
 
   /**
-   * Invalidate all sessions for a user
+   * Invalidate all sessions for a user, and their Supabase sessions
+   * Supabase sessions the app didn't link (older sign-ins, or the login form
+   * signing in itself) end too; only the one linked to the kept session stays.
    */
   async invalidateUserSessions(userId, exceptSessionId = null) {
     try {
-      let query = supabaseAdmin
-        .from('sessions')
-        .update({ is_active: false, updated_at: new Date() })
-        .eq('user_id', userId)
-        .eq('is_active', true);
-
-      if (exceptSessionId) {
-        query = query.neq('id', exceptSessionId);
-      }
-
-      const { data, error } = await query.select('id');
-
-      if (error) {
-        throw error;
-      }
-
-      const invalidatedCount = data ? data.length : 0;
+      const kept = exceptSessionId && await this.store.get(exceptSessionId);
+      const invalidatedCount = await this.store.deactivateUser(userId, exceptSessionId);
+      await this.endSupabaseSessions(userId, { keep: kept?.supabaseSessionId || null });
 
       // Log bulk session invalidation
       await this.logAuditEvent(userId, 'sessions_bulk_invalidated', 'session', {
@@ -211,22 +317,7 @@ class DatabaseSessionService {
    */
   async blacklistToken(token, tokenType, expiresAt) {
     try {
-      const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-
-      const { error } = await supabaseAdmin
-        .from('token_blacklist')
-        .insert([{
-          token_hash: tokenHash,
-          token_type: tokenType,
-          expires_at: expiresAt,
-          blacklisted_at: new Date()
-        }]);
-
-      if (error) {
-        console.error('[DB_SESSION] Error blacklisting token:', error);
-        return false;
-      }
-
+      await this.store.blacklist(hashToken(token), tokenType, expiresAt);
       console.log(`[DB_SESSION] Blacklisted ${tokenType} token`);
       return true;
     } catch (error) {
@@ -240,21 +331,7 @@ class DatabaseSessionService {
    */
   async isTokenBlacklisted(token) {
     try {
-      const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-
-      const { data, error } = await supabaseAdmin
-        .from('token_blacklist')
-        .select('id')
-        .eq('token_hash', tokenHash)
-        .gte('expires_at', new Date().toISOString())
-        .limit(1);
-
-      if (error) {
-        console.error('[DB_SESSION] Error checking token blacklist:', error);
-        return false;
-      }
-
-      return data && data.length > 0;
+      return await this.store.isBlacklisted(hashToken(token));
     } catch (error) {
       console.error('[DB_SESSION] Error checking token blacklist:', error);
       return false;
@@ -273,7 +350,7 @@ class DatabaseSessionService {
           action,
           resource,
           details: details || {},
-          ip_address: ipAddress,
+          ip_address: clientIp(ipAddress),
           user_agent: userAgent,
           success,
           created_at: new Date()
@@ -292,38 +369,7 @@ class DatabaseSessionService {
    */
   async getStats() {
     try {
-      // Get active sessions count
-      const { count: activeSessions } = await supabaseAdmin
-        .from('sessions')
-        .select('*', { count: 'exact', head: true })
-        .eq('is_active', true);
-
-      // Get total sessions count
-      const { count: totalSessions } = await supabaseAdmin
-        .from('sessions')
-        .select('*', { count: 'exact', head: true });
-
-      // Get blacklisted tokens count
-      const { count: blacklistedTokens } = await supabaseAdmin
-        .from('token_blacklist')
-        .select('*', { count: 'exact', head: true })
-        .gte('expires_at', new Date().toISOString());
-
-      // Get unique users with active sessions
-      const { data: uniqueUsers } = await supabaseAdmin
-        .from('sessions')
-        .select('user_id')
-        .eq('is_active', true);
-
-      const uniqueActiveUsers = uniqueUsers ? 
-        new Set(uniqueUsers.map(s => s.user_id)).size : 0;
-
-      return {
-        activeSessions: activeSessions || 0,
-        totalSessions: totalSessions || 0,
-        blacklistedTokens: blacklistedTokens || 0,
-        uniqueActiveUsers
-      };
+      return await this.store.getStats();
     } catch (error) {
       console.error('[DB_SESSION] Error getting stats:', error);
       return {
@@ -340,31 +386,9 @@ class DatabaseSessionService {
    */
   async cleanup() {
     try {
-      const now = new Date();
-
-      // Remove expired sessions
-      const { data: expiredSessions } = await supabaseAdmin
-        .from('sessions')
-        .delete()
-        .lt('expires_at', now.toISOString())
-        .select('id');
-
-      // Remove expired blacklisted tokens
-      const { data: expiredTokens } = await supabaseAdmin
-        .from('token_blacklist')
-        .delete()
-        .lt('expires_at', now.toISOString())
-        .select('id');
-
-      const expiredSessionsCount = expiredSessions ? expiredSessions.length : 0;
-      const expiredTokensCount = expiredTokens ? expiredTokens.length : 0;
-
-      console.log(`[DB_SESSION] Cleanup: Removed ${expiredSessionsCount} expired sessions and ${expiredTokensCount} expired tokens`);
-
-      return {
-        expiredSessions: expiredSessionsCount,
-        expiredTokens: expiredTokensCount
-      };
+      const result = await this.store.cleanup();
+      console.log(`[DB_SESSION] Cleanup: Removed ${result.expiredSessions} expired sessions and ${result.expiredTokens} expired tokens`);
+      return result;
     } catch (error) {
       console.error('[DB_SESSION] Error during cleanup:', error);
       return { expiredSessions: 0, expiredTokens: 0 };
@@ -381,4 +405,4 @@ class DatabaseSessionService {
 }
 
 // Export singleton instance
-export default new DatabaseSessionService(); 
\ No newline at end of file
+export default new DatabaseSessionService();
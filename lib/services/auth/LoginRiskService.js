@@ -0,0 +1,233 @@
+/**
+ * Login Risk Service
+ * Compares each new session with the account's recent sessions. A sign-in
+ * from a device or network the account hasn't used before raises an in-app
+ * notification, and optionally an SMS, carrying a "this wasn't me" link that
+ * ends that session and makes the account wait for a new PIN.
+ */
+
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { AuthenticationError, ConfigurationError } from '../../core/errors/index.js';
+import { getAuthConfig } from '../../core/config/index.js';
+import { parseUserAgent } from '../../core/utils/userAgent.js';
+import { networkPrefix } from '../../core/utils/ipLocation.js';
+import { OTPService } from '../../otp/OTPService.js';
+import { getOTPConfig } from '../../otp/config.js';
+import AuthService from './AuthService.js';
+import DatabaseSessionService from './DatabaseSessionService.js';
+import notificationService from '../notifications/NotificationService.js';
+
+const ALERT_TITLES = {
+  new_device: 'New device signed in',
+  new_network: 'Sign-in from a new network',
+};
+
+let otpService = null;
+
+async function getOTPServiceInstance() {
+  if (!otpService) {
+    otpService = OTPService.getInstance();
+    const initResult = await otpService.initialize(getOTPConfig());
+
+    if (!initResult.success) {
+      otpService = null;
+      throw new Error(`Failed to initialize OTP service: ${initResult.error}`);
+    }
+  }
+  return otpService;
+}
+
+/**
+ * Login risk service
+ */
+export class LoginRiskService {
+  constructor() {
+    this.authConfig = getAuthConfig();
+    this.alertConfig = this.authConfig.loginAlerts;
+  }
+
+  /**
+   * Browser, OS and device type, hashed; versions are left out so updates don't count as new devices
+   * @returns {string|null} null when the user agent says nothing useful
+   */
+  deviceFingerprint(userAgent) {
+    const { browser, os, deviceType } = parseUserAgent(userAgent);
+    if (!browser && !os) {
+      return null;
+    }
+    return crypto.createHash('sha256').update(`${browser}|${os}|${deviceType}`).digest('hex').slice(0, 16);
+  }
+
+  networkOf(ipAddress) {
+    return networkPrefix(ipAddress, this.alertConfig.ipv4PrefixLength, this.alertConfig.ipv6PrefixLength);
+  }
+
+  /**
+   * Compare a session with the user's earlier ones
+   * The first session an account ever has is not flagged; there is nothing to compare with.
+   * @param {string} userId
+   * @param {{sessionId: string, ipAddress?: string, userAgent?: string}} session
+   * @returns {Promise<{risk: 'none'|'medium'|'high', reasons: string[]}>}
+   */
+  async evaluateLogin(userId, session) {
+    const history = (await DatabaseSessionService.getSessionHistory(userId, this.alertConfig.historySize))
+      .filter(past => past.sessionId !== session.sessionId);
+
+    if (history.length === 0) {
+      return { risk: 'none', reasons: [] };
+    }
+
+    const fingerprint = this.deviceFingerprint(session.userAgent);
+    const network = this.networkOf(session.ipAddress);
+    const reasons = [];
+
+    if (fingerprint && !history.some(past => this.deviceFingerprint(past.userAgent || past.deviceInfo?.userAgent) === fingerprint)) {
+      reasons.push('new_device');
+    }
+    if (network && !history.some(past => this.networkOf(past.ipAddress || past.deviceInfo?.ipAddress) === network)) {
+      reasons.push('new_network');
+    }
+
+    return {
+      risk: reasons.length === 2 ? 'high' : reasons.length === 1 ? 'medium' : 'none',
+      reasons,
+    };
+  }
+
+  /**
+   * Evaluate a fresh sign-in and alert the user when it looks unfamiliar
+   * Never throws: a failing alert must not fail the sign-in.
+   * @param {string} userId
+   * @param {string} phoneNumber - Where the SMS alert goes
+   * @param {object} session - The record from DatabaseSessionService.createSession
+   * @param {object} [context] - { method } e.g. 'pin' or 'passkey'
+   * @returns {Promise<object|null>} The assessment, or null if it couldn't be made
+   */
+  async reviewLogin(userId, phoneNumber, session, { method = 'pin' } = {}) {
+    if (!this.alertConfig.enabled) {
+      return null;
+    }
+
+    try {
+      const assessment = await this.evaluateLogin(userId, session);
+      if (assessment.reasons.length === 0) {
+        return assessment;
+      }
+
+      const device = await DatabaseSessionService.describeSession(session);
+      const denyToken = this.generateDenyToken(userId, session.sessionId);
+      const place = [device.location && `near ${device.location}`, device.ipAddress && `(${device.ipAddress})`]
+        .filter(Boolean).join(' ');
+
+      await notificationService.notify(userId, {
+        type: 'login_alert',
+        title: ALERT_TITLES[assessment.reasons[0]],
+        body: `${device.name} signed in to your account${place ? ` ${place}` : ''}. If this wasn't you, sign it out and set a new PIN.`,
+        data: {
+          sessionId: session.sessionId,
+          risk: assessment.risk,
+          reasons: assessment.reasons,
+          method,
+          device: device.name,
+          location: device.location,
+          ipAddress: device.ipAddress,
+          denyToken,
+        },
+      });
+
+      await DatabaseSessionService.logAuditEvent(userId, 'login_alert', 'security', {
+        session_id: session.sessionId,
+        risk: assessment.risk,
+        reasons: assessment.reasons,
+        method,
+      }, session.ipAddress, session.userAgent, true);
+
+      if (this.alertConfig.sms && phoneNumber) {
+        await this.sendAlertSms(phoneNumber, device, denyToken);
+      }
+
+      return assessment;
+    } catch (error) {
+      console.error('[LOGIN_RISK] Error reviewing login:', error);
+      return null;
+    }
+  }
+
+  async sendAlertSms(phoneNumber, device, denyToken) {
+    const where = device.location ? ` near ${device.location}` : '';
+    const text = `AeroNotes: ${device.name} signed in to your account${where}. Not you? ${this.getDenyUrl(denyToken)}`;
+
+    try {
+      const service = await getOTPServiceInstance();
+      const result = await service.sendMessage(phoneNumber, text);
+      if (!result.success) {
+        console.error('[LOGIN_RISK] Failed to send sign-in alert SMS:', result.error);
+      }
+    } catch (error) {
+      console.error('[LOGIN_RISK] Failed to send sign-in alert SMS:', error);
+    }
+  }
+
+  getDenyUrl(denyToken) {
+    return `${this.alertConfig.appUrl.replace(/\/$/, '')}/security/not-me?token=${encodeURIComponent(denyToken)}`;
+  }
+
+  /**
+   * Token behind the "this wasn't me" link; names the session it can end
+   */
+  generateDenyToken(userId, sessionId) {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+      throw new ConfigurationError('JWT_SECRET not configured');
+    }
+
+    return jwt.sign({ userId, sessionId, type: 'login_alert' }, secret, {
+      expiresIn: `${this.alertConfig.denyLinkHours}h`,
+      issuer: this.authConfig.security.jwt.issuer,
+      algorithm: this.authConfig.security.jwt.algorithm,
+    });
+  }
+
+  /**
+   * "This wasn't me": end the reported session and require a new PIN
+   * The Supabase session signed in with it ends too, and the Supabase
+   * password handed out moves on.
+   * Safe to repeat; a second click finds the session already ended.
+   * @param {string} denyToken
+   * @param {object} [context] - { ipAddress, userAgent } of whoever clicked
+   * @returns {Promise<{sessionRevoked: boolean, pinResetRequired: boolean}>}
+   */
+  async denyLogin(denyToken, context = {}) {
+    const { valid, payload } = AuthService.verifyJWTToken(denyToken);
+    if (!valid || payload.type !== 'login_alert') {
+      throw new AuthenticationError('This link has expired. Sign in and check your devices in Preferences instead');
+    }
+
+    const { userId, sessionId } = payload;
+    const session = await DatabaseSessionService.getSessionRecord(sessionId);
+
+    let sessionRevoked = false;
+    if (session?.isActive && session.userId === userId) {
+      sessionRevoked = await DatabaseSessionService.invalidateSession(sessionId);
+    }
+
+    // Whoever signed in also got the Supabase password
+    await AuthService.rotateSupabasePassword(userId);
+    await AuthService.requirePinReset(userId);
+    await notificationService.markReadWhere(userId, { sessionId });
+
+    await DatabaseSessionService.logAuditEvent(userId, 'login_denied', 'security', {
+      session_id: sessionId,
+      session_revoked: sessionRevoked,
+    }, context.ipAddress, context.userAgent, true);
+
+    console.warn(`[LOGIN_RISK] User ${userId} reported session ${sessionId}; PIN reset required`);
+
+    return { sessionRevoked, pinResetRequired: true };
+  }
+}
+
+// Create and export default instance
+const loginRiskService = new LoginRiskService();
+export default loginRiskService;
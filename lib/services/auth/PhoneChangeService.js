@@ -0,0 +1,470 @@
+/**
+ * Phone Change Service
+ * Moves an account to a new phone number. The user confirms with their PIN
+ * and with SMS codes sent to both numbers. Someone who lost the old number
+ * skips its code and waits `auth.phoneChange.lostNumberWaitDays` instead,
+ * while the old number is told, so a stolen PIN alone can't take the account.
+ */
+
+import { BaseRepository, db } from '../../core/database/index.js';
+import {
+  AuthenticationError,
+  ValidationError,
+  NotFoundError,
+  DatabaseError,
+} from '../../core/errors/index.js';
+import { getAuthConfig } from '../../core/config/index.js';
+import { OTPService } from '../../otp/OTPService.js';
+import { getOTPConfig } from '../../otp/config.js';
+import AuthService from './AuthService.js';
+import DatabaseSessionService from './DatabaseSessionService.js';
+import otpQuotaService from '../otp/OTPQuotaService.js';
+import notificationService from '../notifications/NotificationService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Why complete_phone_change refused, in the user's terms
+const COMPLETION_ERRORS = {
+  not_pending: 'This phone number change is no longer in progress',
+  phone_taken: 'That phone number is already used by another account',
+  suffix_taken: 'Another account\'s number ends in the same four digits. Sign-in uses them, so choose a different number',
+  phone_changed: 'Your phone number changed while this request was open. Start again',
+};
+
+const lastFour = (phoneNumber) => phoneNumber.slice(-4);
+
+let otpService = null;
+
+async function getOTPServiceInstance() {
+  if (!otpService) {
+    otpService = OTPService.getInstance();
+    const initResult = await otpService.initialize(getOTPConfig());
+
+    if (!initResult.success) {
+      otpService = null;
+      throw new Error(`Failed to initialize OTP service: ${initResult.error}`);
+    }
+  }
+  return otpService;
+}
+
+/**
+ * Phone change request repository
+ */
+class PhoneChangeRepository extends BaseRepository {
+  constructor() {
+    super('phone_change_requests');
+  }
+
+  async findPending(userId) {
+    const result = await this.query(true)
+      .query.select('*')
+      .eq('user_id', userId)
+      .eq('status', 'pending')
+      .maybeSingle();
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data;
+  }
+
+  async insert(data) {
+    const result = await this.query(true)
+      .query.insert(data)
+      .select()
+      .single();
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data;
+  }
+
+  async update(id, changes) {
+    const result = await this.query(true)
+      .query.update(changes)
+      .eq('id', id)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data;
+  }
+
+  async cancelPending(userId) {
+    const result = await this.query(true)
+      .query.update({ status: 'cancelled' })
+      .eq('user_id', userId)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data.length;
+  }
+
+  async complete(id) {
+    const { data } = await db.executeQuery(client => client.rpc('complete_phone_change', {
+      p_request_id: id,
+    }), { useAdmin: true });
+
+    return data;
+  }
+}
+
+/**
+ * Phone change service
+ */
+export class PhoneChangeService {
+  constructor() {
+    this.changeRepository = new PhoneChangeRepository();
+    this.changeConfig = getAuthConfig().phoneChange;
+  }
+
+  /**
+   * What the client sees of a request; the full old number isn't repeated back
+   */
+  describeRequest(request) {
+    const waitOver = !request.available_at || new Date(request.available_at) <= new Date();
+
+    return {
+      id: request.id,
+      status: request.status,
+      newPhoneNumber: request.new_phone_number,
+      oldNumberLost: request.old_number_lost,
+      oldNumberVerified: Boolean(request.old_verified_at),
+      newNumberVerified: Boolean(request.new_verified_at),
+      availableAt: request.available_at,
+      expiresAt: request.expires_at,
+      readyToComplete: request.status === 'pending' && Boolean(request.new_verified_at) &&
+        (request.old_number_lost ? waitOver : Boolean(request.old_verified_at)),
+      completedAt: request.completed_at,
+    };
+  }
+
+  /**
+   * Another account using this number, or one ending in the same four digits
+   * @returns {Promise<'phone_taken'|'suffix_taken'|null>}
+   */
+  async findConflict(userId, phoneNumber) {
+    const result = await AuthService.userRepository.query(true)
+      .query.select('id, phone_number')
+      .or(`phone_number.eq."${phoneNumber}",phone_suffix.eq.${parseInt(lastFour(phoneNumber), 10)}`)
+      .neq('id', userId)
+      .limit(1);
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    const conflict = result.data[0];
+    if (!conflict) {
+      return null;
+    }
+    return conflict.phone_number === phoneNumber ? 'phone_taken' : 'suffix_taken';
+  }
+
+  /**
+   * The change in progress, or null; expired ones count as none
+   */
+  async getPendingChange(userId) {
+    const request = await this.changeRepository.findPending(userId);
+    if (!request || new Date(request.expires_at) <= new Date()) {
+      return null;
+    }
+    return request;
+  }
+
+  async requirePendingChange(userId) {
+    const request = await this.getPendingChange(userId);
+    if (!request) {
+      throw new NotFoundError('Phone number change');
+    }
+    return request;
+  }
+
+  /**
+   * Text a code, within the same send quotas as sign-up codes
+   * @throws {RateLimitError} when the number, IP or country has had too many
+   */
+  async sendCode(phoneNumber, context = {}) {
+    const quota = await otpQuotaService.reserveSend(phoneNumber, {
+      purpose: 'phone_change',
+      ipAddress: context.ipAddress,
+    });
+
+    const service = await getOTPServiceInstance();
+    const result = await service.sendOTP(phoneNumber, {
+      purpose: 'phone_change',
+      length: this.changeConfig.otpLength,
+      expiryMinutes: this.changeConfig.otpExpiryMinutes,
+    });
+
+    if (!result.success) {
+      await otpQuotaService.releaseSend(quota.reservationId);
+      throw new Error(`Failed to send verification code: ${result.error}`);
+    }
+  }
+
+  /**
+   * Start moving the account to a new number
+   * Replaces any change already in progress.
+   * @param {string} userId
+   * @param {object} options
+   * @param {string} options.pin - The current PIN
+   * @param {string} options.newPhoneNumber - E.164
+   * @param {boolean} [options.oldNumberLost] - Skip the old number's code and wait instead
+   * @param {object} [context] - { ipAddress, userAgent }
+   */
+  async startChange(userId, { pin, newPhoneNumber, oldNumberLost = false }, context = {}) {
+    AuthService.validatePIN(pin);
+
+    const result = await AuthService.userRepository.query(true)
+      .query.select('id, phone_number, pin_hash, pin_reset_required')
+      .eq('id', userId)
+      .single();
+
+    if (result.error) {
+      throw new AuthenticationError('User not found');
+    }
+
+    const user = result.data;
+
+    // Wrong PINs count towards the lockout like sign-in, and a PIN waiting
+    // to be reset is refused with PinResetRequiredError
+    const verified = await AuthService.verifyPINWithLockout([user], pin, context);
+    if (!verified) {
+      throw new AuthenticationError('PIN is incorrect');
+    }
+
+    const newPhone = AuthService.normalizePhoneNumber(newPhoneNumber || '');
+    AuthService.validatePhoneNumber(newPhone);
+
+    if (newPhone === user.phone_number) {
+      throw new ValidationError('That is already your phone number', 'newPhoneNumber');
+    }
+
+    const conflict = await this.findConflict(userId, newPhone);
+    if (conflict) {
+      throw new ValidationError(COMPLETION_ERRORS[conflict], 'newPhoneNumber');
+    }
+
+    await this.changeRepository.cancelPending(userId);
+
+    const now = Date.now();
+    const availableAt = oldNumberLost ? new Date(now + this.changeConfig.lostNumberWaitDays * DAY_MS) : null;
+    const request = await this.changeRepository.insert({
+      user_id: userId,
+      old_phone_number: user.phone_number,
+      new_phone_number: newPhone,
+      old_number_lost: oldNumberLost,
+      available_at: availableAt?.toISOString() || null,
+      // Leave time to finish once the wait is over
+      expires_at: new Date((availableAt?.getTime() || now) + this.changeConfig.requestHours * HOUR_MS).toISOString(),
+    });
+
+    await this.sendCode(newPhone, context);
+
+    if (oldNumberLost) {
+      await this.warnOldNumber(user, newPhone, availableAt);
+    } else {
+      await this.sendCode(user.phone_number, context);
+    }
+
+    await DatabaseSessionService.logAuditEvent(userId, 'phone_change_requested', 'security', {
+      request_id: request.id,
+      new_phone: newPhone,
+      old_number_lost: oldNumberLost,
+    }, context.ipAddress, context.userAgent, true);
+
+    return this.describeRequest(request);
+  }
+
+  /**
+   * Tell the old number (and the account) that a change without it has started
+   * Best effort: the old number may really be gone.
+   */
+  async warnOldNumber(user, newPhone, availableAt) {
+    const when = availableAt.toDateString();
+    const text = `AeroNotes: your account is set to move to a number ending ${lastFour(newPhone)} on ${when}. ` +
+      'If you didn\'t ask for this, sign in and cancel it in Preferences.';
+
+    try {
+      const service = await getOTPServiceInstance();
+      const result = await service.sendMessage(user.phone_number, text);
+      if (!result.success) {
+        console.error('[PHONE_CHANGE] Failed to warn old number:', result.error);
+      }
+    } catch (error) {
+      console.error('[PHONE_CHANGE] Failed to warn old number:', error);
+    }
+
+    try {
+      await notificationService.notify(user.id, {
+        type: 'phone_change',
+        title: 'Phone number change requested',
+        body: `Your account will move to the number ending ${lastFour(newPhone)} on ${when}. If this wasn't you, cancel it in Preferences and change your PIN.`,
+        data: { newPhoneSuffix: lastFour(newPhone), availableAt: availableAt.toISOString() },
+      });
+    } catch (error) {
+      console.error('[PHONE_CHANGE] Failed to create notification:', error);
+    }
+  }
+
+  /**
+   * Send the codes again, e.g. after one expired
+   */
+  async resendCodes(userId, context = {}) {
+    const request = await this.requirePendingChange(userId);
+
+    if (!request.new_verified_at) {
+      await this.sendCode(request.new_phone_number, context);
+    }
+    if (!request.old_number_lost && !request.old_verified_at) {
+      await this.sendCode(request.old_phone_number, context);
+    }
+
+    return this.describeRequest(request);
+  }
+
+  /**
+   * Check the code sent to one of the numbers; completes the change once everything is in
+   * @param {'old'|'new'} target - Which number the code was sent to
+   */
+  async verifyCode(userId, { target, code }, context = {}) {
+    if (target !== 'old' && target !== 'new') {
+      throw new ValidationError('target must be "old" or "new"', 'target');
+    }
+    if (!code) {
+      throw new ValidationError('Verification code is required', 'code');
+    }
+
+    const request = await this.requirePendingChange(userId);
+    if (target === 'old' && request.old_number_lost) {
+      throw new ValidationError('No code was sent to your old number', 'target');
+    }
+
+    const phoneNumber = target === 'old' ? request.old_phone_number : request.new_phone_number;
+    const service = await getOTPServiceInstance();
+    const otpResult = await service.verifyOTP(phoneNumber, code, { purpose: 'phone_change' });
+
+    if (!otpResult.success) {
+      await DatabaseSessionService.logAuditEvent(userId, 'phone_change_code_failed', 'security', {
+        request_id: request.id,
+        target,
+      }, context.ipAddress, context.userAgent, false);
+
+      throw new ValidationError(otpResult.error || 'Invalid or expired code', 'code');
+    }
+
+    const updated = await this.changeRepository.update(request.id, {
+      [target === 'old' ? 'old_verified_at' : 'new_verified_at']: new Date().toISOString(),
+    });
+    if (!updated) {
+      throw new NotFoundError('Phone number change');
+    }
+
+    const described = this.describeRequest(updated);
+    return described.readyToComplete ? this.completeChange(userId, context) : described;
+  }
+
+  /**
+   * Switch the account to the new number
+   * Supabase auth is updated first since it also refuses numbers in use; if
+   * the profile update then fails, auth is put back.
+   */
+  async completeChange(userId, context = {}) {
+    const request = await this.requirePendingChange(userId);
+
+    if (!this.describeRequest(request).readyToComplete) {
+      throw new ValidationError(request.new_verified_at && request.old_number_lost
+        ? `Your old number can't confirm this change, so it completes on ${new Date(request.available_at).toDateString()}`
+        : 'Enter the codes sent to both numbers first');
+    }
+
+    const oldPhone = request.old_phone_number;
+    const newPhone = request.new_phone_number;
+    await this.updateAuthUser(userId, newPhone);
+
+    let outcome;
+    try {
+      outcome = await this.changeRepository.complete(request.id);
+    } catch (error) {
+      outcome = null;
+      console.error('[PHONE_CHANGE] Error completing change:', error);
+    }
+
+    if (outcome !== 'ok') {
+      await this.updateAuthUser(userId, oldPhone).catch(error => {
+        console.error(`[PHONE_CHANGE] Could not restore auth phone for user ${userId}:`, error);
+      });
+
+      if (!COMPLETION_ERRORS[outcome]) {
+        throw new DatabaseError('Failed to change phone number');
+      }
+      throw new ValidationError(COMPLETION_ERRORS[outcome], 'newPhoneNumber');
+    }
+
+    await DatabaseSessionService.logAuditEvent(userId, 'phone_changed', 'security', {
+      request_id: request.id,
+      old_phone: oldPhone,
+      new_phone: newPhone,
+      verified_by: request.old_number_lost ? 'new_number_and_wait' : 'both_numbers',
+    }, context.ipAddress, context.userAgent, true);
+
+    console.log(`[PHONE_CHANGE] User ${userId} moved to the number ending ${lastFour(newPhone)}`);
+
+    return this.describeRequest({ ...request, status: 'completed', completed_at: new Date().toISOString() });
+  }
+
+  /**
+   * Point the Supabase auth user at a number, with the password derived from it
+   */
+  async updateAuthUser(userId, phoneNumber) {
+    const profile = await AuthService.userRepository.query(true)
+      .query.select('supabase_password_version')
+      .eq('id', userId)
+      .single();
+
+    if (profile.error) {
+      throw new DatabaseError(profile.error.message, profile.error);
+    }
+
+    const { error } = await db.getAdminClient().auth.admin.updateUserById(userId, {
+      phone: phoneNumber,
+      password: AuthService.supabaseCredentials({ ...profile.data, phone_number: phoneNumber }).password,
+      phone_confirm: true,
+    });
+
+    if (error) {
+      if (/already|exists|registered/i.test(error.message)) {
+        throw new ValidationError(COMPLETION_ERRORS.phone_taken, 'newPhoneNumber');
+      }
+      throw new DatabaseError(error.message, error);
+    }
+  }
+
+  async cancelChange(userId, context = {}) {
+    const cancelled = await this.changeRepository.cancelPending(userId);
+    if (!cancelled) {
+      throw new NotFoundError('Phone number change');
+    }
+
+    await DatabaseSessionService.logAuditEvent(userId, 'phone_change_cancelled', 'security', {},
+      context.ipAddress, context.userAgent, true);
+  }
+}
+
+// Create and export default instance
+const phoneChangeService = new PhoneChangeService();
+export default phoneChangeService;
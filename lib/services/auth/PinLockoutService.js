@@ -0,0 +1,266 @@
+/**
+ * PIN Lockout Service
+ * Counts failed PIN attempts per account and per client IP and locks either
+ * one out once it passes its limit. Each repeat lockout lasts longer; a
+ * successful login or an SMS unlock starts the account over.
+ */
+
+import { BaseRepository, db } from '../../core/database/index.js';
+import {
+  AccountLockedError,
+  RateLimitError,
+  DatabaseError
+} from '../../core/errors/index.js';
+import { getAuthConfig } from '../../core/config/index.js';
+import { clientIp } from '../../core/utils/clientIp.js';
+import DatabaseSessionService from './DatabaseSessionService.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Lockout repository
+ */
+class LockoutRepository extends BaseRepository {
+  constructor() {
+    super('auth_lockouts');
+  }
+
+  async find(scope, subject) {
+    const result = await this.query(true)
+      .query.select('*')
+      .eq('scope', scope)
+      .eq('subject', subject)
+      .maybeSingle();
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Count an attempt unless a lockout is running
+   * @returns {Promise<object>} The row with the new count, or unchanged while locked
+   */
+  async claim(scope, subject, windowMinutes) {
+    const { data } = await db.executeQuery(client => client.rpc('claim_auth_attempt', {
+      p_scope: scope,
+      p_subject: subject,
+      p_window: `${windowMinutes} minutes`,
+    }), { useAdmin: true });
+
+    return data[0];
+  }
+
+  async release(scope, subject) {
+    await db.executeQuery(client => client.rpc('release_auth_attempt', {
+      p_scope: scope,
+      p_subject: subject,
+    }), { useAdmin: true });
+  }
+
+  async lock(id, lockedUntil, lockoutCount) {
+    const result = await this.query(true)
+      .query.update({
+        failed_attempts: 0,
+        lockout_count: lockoutCount,
+        locked_until: lockedUntil,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', id);
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+  }
+
+  async reset(scope, subject) {
+    const result = await this.query(true)
+      .query.delete()
+      .eq('scope', scope)
+      .eq('subject', subject);
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+  }
+}
+
+/**
+ * PIN lockout service
+ */
+export class PinLockoutService {
+  constructor() {
+    this.lockoutRepository = new LockoutRepository();
+    this.attemptsConfig = getAuthConfig().pin.attempts;
+  }
+
+  /**
+   * How long the nth consecutive lockout lasts (n starts at 1)
+   */
+  getLockoutMinutes(lockoutCount) {
+    const { lockoutMinutes, backoffMultiplier, maxLockoutMinutes } = this.attemptsConfig;
+    return Math.min(lockoutMinutes * backoffMultiplier ** (lockoutCount - 1), maxLockoutMinutes);
+  }
+
+  /**
+   * Whole seconds until a lock ends, or 0 when it isn't active
+   */
+  getRetryAfter(record) {
+    if (!record?.locked_until) return 0;
+    return Math.max(0, Math.ceil((new Date(record.locked_until) - Date.now()) / 1000));
+  }
+
+  lockedError(scope, record) {
+    const retryAfter = this.getRetryAfter(record);
+    const minutes = Math.ceil(retryAfter / 60);
+
+    if (scope === 'ip') {
+      return new RateLimitError(
+        `Too many failed sign-in attempts from this network. Try again in ${minutes} minute(s).`,
+        retryAfter
+      );
+    }
+
+    return new AccountLockedError(
+      `Too many incorrect PINs. This account is locked for ${minutes} minute(s). You can unlock it now with a code sent by SMS.`,
+      retryAfter,
+      record.locked_until
+    );
+  }
+
+  /**
+   * Count an attempt before the PIN (or code) is checked
+   * The count goes up first, so parallel requests can't all get past the
+   * limit while their PINs are being compared. Hand the claim to
+   * recordFailure or recordSuccess once the answer is known.
+   * Every candidate account counts the attempt: a guess against a phone
+   * suffix shared by several accounts is a guess against each of them.
+   * @param {object} context
+   * @param {string[]} [context.userIds]
+   * @param {string} [context.ipAddress]
+   * @returns {Promise<{ipAddress: string|null, claims: Array<{scope: string, record: object, limit: number}>}>}
+   * @throws {AccountLockedError|RateLimitError} when the IP or an account is locked or out of attempts
+   */
+  async claimAttempt({ userIds = [], ipAddress: rawIp } = {}) {
+    const { max, windowMinutes, perIp } = this.attemptsConfig;
+    // Unknown clients aren't tracked by IP rather than all sharing one bucket
+    const ipAddress = clientIp(rawIp);
+    const subjects = [
+      ...userIds.map(userId => ({ scope: 'account', subject: userId, limit: max })),
+      ...(ipAddress ? [{ scope: 'ip', subject: ipAddress, limit: perIp.max }] : []),
+    ];
+    const claims = [];
+
+    for (const { scope, subject, limit } of subjects) {
+      const record = await this.lockoutRepository.claim(scope, subject, windowMinutes);
+      const locked = this.getRetryAfter(record) > 0;
+
+      if (locked || record.failed_attempts > limit) {
+        // Only the attempts that were counted go back
+        const counted = locked ? claims : [...claims, { scope, record }];
+        await this.releaseClaims(counted);
+
+        // Out of attempts while the attempt that used the last one is still
+        // being checked: that one will lock it for this long
+        throw this.lockedError(scope, locked ? record : {
+          locked_until: new Date(Date.now() + this.getLockoutMinutes(record.lockout_count + 1) * MINUTE_MS).toISOString(),
+        });
+      }
+
+      claims.push({ scope, record, limit });
+    }
+
+    return { ipAddress, claims };
+  }
+
+  async releaseClaims(claims) {
+    for (const { scope, record } of claims) {
+      await this.lockoutRepository.release(scope, record.subject);
+    }
+  }
+
+  /**
+   * Whether an account is locked right now
+   */
+  async getAccountLock(userId) {
+    const record = await this.lockoutRepository.find('account', userId);
+    const retryAfter = this.getRetryAfter(record);
+
+    return retryAfter > 0
+      ? { locked: true, retryAfter, lockedUntil: record.locked_until }
+      : { locked: false };
+  }
+
+  /**
+   * The claimed attempt failed: lock out whatever it took to its limit
+   * @param {object} claim - From claimAttempt
+   * @param {object} [context] - { userAgent }
+   * @throws {AccountLockedError|RateLimitError} when this attempt triggered a lockout
+   */
+  async recordFailure({ ipAddress, claims }, { userAgent } = {}) {
+    let lockout = null;
+
+    for (const { scope, record, limit } of claims) {
+      if (record.failed_attempts >= limit) {
+        const userId = scope === 'account' ? record.subject : null;
+        const error = await this.lock(scope, record, { userId, ipAddress, userAgent });
+        lockout = lockout || error;
+      }
+    }
+
+    if (lockout) {
+      throw lockout;
+    }
+  }
+
+  async lock(scope, record, { userId = null, ipAddress, userAgent }) {
+    const lockoutCount = record.lockout_count + 1;
+    const minutes = this.getLockoutMinutes(lockoutCount);
+    const lockedUntil = new Date(Date.now() + minutes * MINUTE_MS).toISOString();
+
+    await this.lockoutRepository.lock(record.id, lockedUntil, lockoutCount);
+
+    await DatabaseSessionService.logAuditEvent(userId, 'pin_lockout', 'auth', {
+      scope,
+      subject: record.subject,
+      failed_attempts: record.failed_attempts,
+      lockout_count: lockoutCount,
+      locked_until: lockedUntil,
+    }, ipAddress, userAgent, false);
+
+    return this.lockedError(scope, { locked_until: lockedUntil });
+  }
+
+  /**
+   * Successful login: the account starts over. The IP and any other candidate
+   * accounts only get this attempt back; earlier failures keep counting, so
+   * one good login can't launder guesses against other accounts.
+   * @param {string} userId
+   * @param {object} claim - From claimAttempt
+   */
+  async recordSuccess(userId, { claims }) {
+    await this.lockoutRepository.reset('account', userId);
+    await this.releaseClaims(claims.filter(({ scope, record }) =>
+      scope !== 'account' || record.subject !== userId));
+  }
+
+  /**
+   * Clear an account's lockout (SMS unlock)
+   */
+  async unlockAccount(userId, { method, ipAddress, userAgent } = {}) {
+    const record = await this.lockoutRepository.find('account', userId);
+    await this.lockoutRepository.reset('account', userId);
+
+    await DatabaseSessionService.logAuditEvent(userId, 'account_unlocked', 'auth', {
+      method,
+      was_locked: this.getRetryAfter(record) > 0,
+      lockout_count: record?.lockout_count || 0,
+    }, ipAddress, userAgent, true);
+  }
+}
+
+// Create and export default instance
+const pinLockoutService = new PinLockoutService();
+export default pinLockoutService;
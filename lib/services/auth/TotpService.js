@@ -0,0 +1,420 @@
+/**
+ * TOTP Service
+ * Optional authenticator-app second factor. Users enrol by scanning an
+ * otpauth:// QR code and confirming one code; they then get single-use
+ * recovery codes for when the phone with the app is lost.
+ */
+
+import crypto from 'crypto';
+import { BaseRepository } from '../../core/database/index.js';
+import {
+  ValidationError,
+  AuthenticationError,
+  ConfigurationError,
+  DatabaseError
+} from '../../core/errors/index.js';
+import { getAuthConfig } from '../../core/config/index.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  base32Encode
+} from '../../core/utils/totp.js';
+import DatabaseSessionService from './DatabaseSessionService.js';
+
+/**
+ * AES-256-GCM key for secrets at rest
+ * Falls back to APP_SECRET so existing deployments work without a new variable.
+ */
+const getEncryptionKey = () => {
+  const secret = process.env.TOTP_ENCRYPTION_KEY || process.env.APP_SECRET;
+  if (!secret) {
+    throw new ConfigurationError('TOTP_ENCRYPTION_KEY not configured');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes are typed by hand, so dashes, spaces and case don't matter
+const normalizeRecoveryCode = (code) => code.replace(/[\s-]/g, '').toUpperCase();
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * TOTP factor repository
+ */
+class TotpFactorRepository extends BaseRepository {
+  constructor() {
+    super('user_totp_factors');
+  }
+
+  async findByUserId(userId) {
+    const result = await this.query(true)
+      .query.select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data;
+  }
+
+  async upsert(userId, data) {
+    const result = await this.query(true)
+      .query.upsert({
+        user_id: userId,
+        ...data,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: 'user_id' });
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+  }
+
+  /**
+   * Record an accepted time step, unless it (or a later one) was already used
+   * @returns {Promise<boolean>} false when the code is a replay
+   */
+  async claimStep(userId, step) {
+    const result = await this.query(true)
+      .query.update({ last_used_step: step, updated_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .or(`last_used_step.is.null,last_used_step.lt.${step}`)
+      .select('user_id');
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data.length > 0;
+  }
+
+  async deleteByUserId(userId) {
+    const result = await this.query(true)
+      .query.delete()
+      .eq('user_id', userId);
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+  }
+}
+
+/**
+ * Recovery code repository
+ */
+class RecoveryCodeRepository extends BaseRepository {
+  constructor() {
+    super('totp_recovery_codes');
+  }
+
+  async replace(userId, codeHashes) {
+    await this.deleteByUserId(userId);
+
+    const result = await this.query(true)
+      .query.insert(codeHashes.map(codeHash => ({ user_id: userId, code_hash: codeHash })));
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+  }
+
+  async countUnused(userId) {
+    const result = await this.query(true)
+      .query.select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .is('used_at', null);
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.count || 0;
+  }
+
+  /**
+   * Mark a code used, only if it exists and hasn't been used yet
+   * @returns {Promise<boolean>}
+   */
+  async consume(userId, codeHash) {
+    const result = await this.query(true)
+      .query.update({ used_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('code_hash', codeHash)
+      .is('used_at', null)
+      .select('id');
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data.length > 0;
+  }
+
+  async deleteByUserId(userId) {
+    const result = await this.query(true)
+      .query.delete()
+      .eq('user_id', userId);
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+  }
+}
+
+/**
+ * Profile fields owned by this service
+ */
+class TotpProfileRepository extends BaseRepository {
+  constructor() {
+    super('user_profiles');
+  }
+
+  async findById(userId) {
+    const result = await this.query(true)
+      .query.select('id, phone_number, totp_enabled, totp_enabled_at')
+      .eq('id', userId)
+      .single();
+
+    if (result.error) {
+      if (result.error.code === 'PGRST116') {
+        throw new AuthenticationError('User not found');
+      }
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data;
+  }
+
+  async countByTotpEnabled(enabled) {
+    const result = await this.query(true)
+      .query.select('id', { count: 'exact', head: true })
+      .eq('totp_enabled', enabled);
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.count || 0;
+  }
+
+  async setTotpEnabled(userId, enabled) {
+    const now = new Date().toISOString();
+    const result = await this.query(true)
+      .query.update({
+        totp_enabled: enabled,
+        totp_enabled_at: enabled ? now : null,
+        updated_at: now,
+      })
+      .eq('id', userId);
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+  }
+}
+
+/**
+ * TOTP service
+ */
+export class TotpService {
+  constructor() {
+    this.factorRepository = new TotpFactorRepository();
+    this.recoveryCodeRepository = new RecoveryCodeRepository();
+    this.profileRepository = new TotpProfileRepository();
+    this.totpConfig = getAuthConfig().mfa.totp;
+  }
+
+  get totpOptions() {
+    const { algorithm, digits, period, window } = this.totpConfig;
+    return { algorithm, digits, period, window };
+  }
+
+  /**
+   * Whether TOTP is on, and how many recovery codes are left
+   */
+  async getStatus(userId) {
+    const profile = await this.profileRepository.findById(userId);
+
+    return {
+      enabled: Boolean(profile.totp_enabled),
+      enabledAt: profile.totp_enabled_at,
+      recoveryCodesRemaining: profile.totp_enabled
+        ? await this.recoveryCodeRepository.countUnused(userId)
+        : 0,
+    };
+  }
+
+  /**
+   * How many accounts have TOTP on (admin security stats)
+   */
+  async getAdoption() {
+    const [enabled, disabled] = await Promise.all([
+      this.profileRepository.countByTotpEnabled(true),
+      this.profileRepository.countByTotpEnabled(false),
+    ]);
+
+    return { enabled, total: enabled + disabled };
+  }
+
+  /**
+   * Start enrolment: a fresh secret that isn't active until confirmed
+   * Starting again before confirming replaces the pending secret.
+   * @returns {Promise<{secret: string, otpauthUri: string}>}
+   */
+  async beginEnrollment(userId) {
+    const profile = await this.profileRepository.findById(userId);
+    if (profile.totp_enabled) {
+      throw new ValidationError('Two-factor authentication is already on');
+    }
+
+    const secret = generateTotpSecret();
+    await this.factorRepository.upsert(userId, {
+      secret_encrypted: encryptSecret(secret),
+      confirmed_at: null,
+      last_used_step: null,
+    });
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: profile.phone_number,
+        issuer: this.totpConfig.issuer,
+        ...this.totpOptions,
+      }),
+    };
+  }
+
+  /**
+   * Finish enrolment with a code from the app
+   * @returns {Promise<{recoveryCodes: string[]}>} Shown to the user once; only hashes are kept
+   */
+  async confirmEnrollment(userId, code, context = {}) {
+    const factor = await this.factorRepository.findByUserId(userId);
+    if (!factor) {
+      throw new ValidationError('Start two-factor setup first');
+    }
+    if (factor.confirmed_at) {
+      throw new ValidationError('Two-factor authentication is already on');
+    }
+
+    if (!(await this.verifyTotpCode(userId, factor, code))) {
+      throw new ValidationError('Invalid code. Check the time on your phone and try again', 'code');
+    }
+
+    await this.factorRepository.upsert(userId, {
+      secret_encrypted: factor.secret_encrypted,
+      confirmed_at: new Date().toISOString(),
+    });
+    await this.profileRepository.setTotpEnabled(userId, true);
+    const recoveryCodes = await this.issueRecoveryCodes(userId);
+
+    await DatabaseSessionService.logAuditEvent(userId, 'totp_enabled', 'auth', {},
+      context.ipAddress, context.userAgent, true);
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Turn TOTP off; needs a current code or a recovery code
+   */
+  async disable(userId, code, context = {}) {
+    const method = await this.verifyCode(userId, code);
+    if (!method) {
+      throw new AuthenticationError('Invalid code');
+    }
+
+    await this.factorRepository.deleteByUserId(userId);
+    await this.recoveryCodeRepository.deleteByUserId(userId);
+    await this.profileRepository.setTotpEnabled(userId, false);
+
+    await DatabaseSessionService.logAuditEvent(userId, 'totp_disabled', 'auth', { method },
+      context.ipAddress, context.userAgent, true);
+
+    return { success: true };
+  }
+
+  /**
+   * Replace all recovery codes; needs a current code from the app
+   */
+  async regenerateRecoveryCodes(userId, code, context = {}) {
+    const factor = await this.getConfirmedFactor(userId);
+    if (!(await this.verifyTotpCode(userId, factor, code))) {
+      throw new AuthenticationError('Invalid code');
+    }
+
+    const recoveryCodes = await this.issueRecoveryCodes(userId);
+
+    await DatabaseSessionService.logAuditEvent(userId, 'totp_recovery_codes_regenerated', 'auth', {},
+      context.ipAddress, context.userAgent, true);
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Check a login code: an app code, or failing that a recovery code
+   * @returns {Promise<'totp'|'recovery'|null>}
+   */
+  async verifyCode(userId, code) {
+    if (!code) return null;
+
+    const factor = await this.getConfirmedFactor(userId);
+    const trimmed = String(code).trim();
+
+    if (trimmed.length === this.totpConfig.digits && /^\d+$/.test(trimmed)) {
+      return (await this.verifyTotpCode(userId, factor, trimmed)) ? 'totp' : null;
+    }
+
+    const consumed = await this.recoveryCodeRepository.consume(userId, hashRecoveryCode(trimmed));
+    return consumed ? 'recovery' : null;
+  }
+
+  async getConfirmedFactor(userId) {
+    const factor = await this.factorRepository.findByUserId(userId);
+    if (!factor?.confirmed_at) {
+      throw new ValidationError('Two-factor authentication is not on');
+    }
+    return factor;
+  }
+
+  async verifyTotpCode(userId, factor, code) {
+    const step = verifyTotp(decryptSecret(factor.secret_encrypted), code, this.totpOptions);
+    if (step === null) return false;
+
+    // A code is good once: a second use inside its window is rejected
+    return await this.factorRepository.claimStep(userId, step);
+  }
+
+  async issueRecoveryCodes(userId) {
+    const { count, length } = this.totpConfig.recoveryCodes;
+    const codes = Array.from({ length: count }, () => {
+      const raw = base32Encode(crypto.randomBytes(length)).slice(0, length);
+      return `${raw.slice(0, length / 2)}-${raw.slice(length / 2)}`;
+    });
+
+    await this.recoveryCodeRepository.replace(userId, codes.map(hashRecoveryCode));
+    return codes;
+  }
+}
+
+// Create and export default instance
+const totpService = new TotpService();
+export default totpService;
@@ -0,0 +1,402 @@
+/**
+ * WebAuthn Service
+ * Passkey registration and sign-in. Registration needs a signed-in user;
+ * sign-in is usernameless, so the passkey itself says which account it is.
+ */
+
+import {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} from '@simplewebauthn/server';
+import { BaseRepository } from '../../core/database/index.js';
+import {
+  ValidationError,
+  AuthenticationError,
+  NotFoundError,
+  DatabaseError,
+  PinResetRequiredError
+} from '../../core/errors/index.js';
+import { getAuthConfig } from '../../core/config/index.js';
+import DatabaseSessionService from './DatabaseSessionService.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const toBase64Url = (bytes) => Buffer.from(bytes).toString('base64url');
+const fromBase64Url = (value) => new Uint8Array(Buffer.from(value, 'base64url'));
+
+/**
+ * Credential repository
+ */
+class CredentialRepository extends BaseRepository {
+  constructor() {
+    super('webauthn_credentials');
+  }
+
+  async findAllForUser(userId) {
+    const result = await this.query(true)
+      .query.select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data;
+  }
+
+  async findByCredentialId(credentialId) {
+    const result = await this.query(true)
+      .query.select('*')
+      .eq('credential_id', credentialId)
+      .maybeSingle();
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data;
+  }
+
+  async insert(data) {
+    const result = await this.query(true)
+      .query.insert(data)
+      .select()
+      .single();
+
+    if (result.error) {
+      if (result.error.code === '23505') {
+        throw new ValidationError('This passkey is already registered');
+      }
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data;
+  }
+
+  async recordUse(id, counter) {
+    const result = await this.query(true)
+      .query.update({ counter, last_used_at: new Date().toISOString() })
+      .eq('id', id);
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+  }
+
+  async deleteForUser(id, userId) {
+    const result = await this.query(true)
+      .query.delete()
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select('id, name');
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data[0] || null;
+  }
+}
+
+/**
+ * Challenge repository
+ */
+class ChallengeRepository extends BaseRepository {
+  constructor() {
+    super('webauthn_challenges');
+  }
+
+  async create(data) {
+    const result = await this.query(true)
+      .query.insert(data)
+      .select('id')
+      .single();
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data.id;
+  }
+
+  /**
+   * Take a challenge out of the table; each one can be answered once
+   */
+  async consume(id, ceremony) {
+    const result = await this.query(true)
+      .query.delete()
+      .eq('id', id)
+      .eq('ceremony', ceremony)
+      .gt('expires_at', new Date().toISOString())
+      .select('*');
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data[0] || null;
+  }
+
+  async deleteExpired() {
+    const result = await this.query(true)
+      .query.delete()
+      .lt('expires_at', new Date().toISOString());
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+  }
+}
+
+/**
+ * User profile lookups for passkeys
+ */
+class PasskeyProfileRepository extends BaseRepository {
+  constructor() {
+    super('user_profiles');
+  }
+
+  async findById(userId) {
+    const result = await this.query(true)
+      .query.select('*')
+      .eq('id', userId)
+      .single();
+
+    if (result.error) {
+      if (result.error.code === 'PGRST116') {
+        throw new AuthenticationError('User not found');
+      }
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data;
+  }
+}
+
+/**
+ * WebAuthn service
+ */
+export class WebAuthnService {
+  constructor() {
+    this.credentialRepository = new CredentialRepository();
+    this.challengeRepository = new ChallengeRepository();
+    this.profileRepository = new PasskeyProfileRepository();
+    this.webauthnConfig = getAuthConfig().webauthn;
+  }
+
+  formatCredential(credential) {
+    return {
+      id: credential.id,
+      name: credential.name,
+      deviceType: credential.device_type,
+      backedUp: credential.backed_up,
+      createdAt: credential.created_at,
+      lastUsedAt: credential.last_used_at,
+    };
+  }
+
+  async saveChallenge(ceremony, challenge, userId = null) {
+    // Abandoned ceremonies leave rows behind; clear them out as new ones start
+    await this.challengeRepository.deleteExpired();
+
+    return await this.challengeRepository.create({
+      user_id: userId,
+      ceremony,
+      challenge,
+      expires_at: new Date(Date.now() + this.webauthnConfig.challengeMinutes * MINUTE_MS).toISOString(),
+    });
+  }
+
+  async takeChallenge(challengeId, ceremony) {
+    const challenge = challengeId && await this.challengeRepository.consume(challengeId, ceremony);
+    if (!challenge) {
+      throw new AuthenticationError('Passkey request expired. Please try again');
+    }
+    return challenge;
+  }
+
+  /**
+   * The user's registered passkeys
+   */
+  async listCredentials(userId) {
+    const credentials = await this.credentialRepository.findAllForUser(userId);
+    return credentials.map(credential => this.formatCredential(credential));
+  }
+
+  /**
+   * Options for navigator.credentials.create()
+   * @returns {Promise<{options: object, challengeId: string}>}
+   */
+  async getRegistrationOptions(userId) {
+    const { rpName, rpId, userVerification, maxCredentialsPerUser } = this.webauthnConfig;
+    const [profile, existing] = await Promise.all([
+      this.profileRepository.findById(userId),
+      this.credentialRepository.findAllForUser(userId),
+    ]);
+
+    if (existing.length >= maxCredentialsPerUser) {
+      throw new ValidationError(`You can register up to ${maxCredentialsPerUser} passkeys. Remove one first`);
+    }
+
+    const options = await generateRegistrationOptions({
+      rpName,
+      rpID: rpId,
+      userName: profile.phone_number,
+      userID: new TextEncoder().encode(userId),
+      attestationType: 'none',
+      excludeCredentials: existing.map(credential => ({
+        id: credential.credential_id,
+        transports: credential.transports,
+      })),
+      authenticatorSelection: {
+        // Discoverable, so sign-in doesn't need the phone number first
+        residentKey: 'required',
+        userVerification,
+      },
+    });
+
+    const challengeId = await this.saveChallenge('registration', options.challenge, userId);
+    return { options, challengeId };
+  }
+
+  /**
+   * Check the browser's answer to the registration options and store the passkey
+   */
+  async verifyRegistration(userId, challengeId, response, { name, ipAddress, userAgent } = {}) {
+    const challenge = await this.takeChallenge(challengeId, 'registration');
+    if (challenge.user_id !== userId) {
+      throw new AuthenticationError('Passkey request expired. Please try again');
+    }
+
+    const { rpId, origin, userVerification } = this.webauthnConfig;
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response,
+        expectedChallenge: challenge.challenge,
+        expectedOrigin: origin,
+        expectedRPID: rpId,
+        requireUserVerification: userVerification === 'required',
+      });
+    } catch (error) {
+      throw new ValidationError(`Passkey could not be verified: ${error.message}`);
+    }
+
+    if (!verification.verified) {
+      throw new ValidationError('Passkey could not be verified');
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp, aaguid } = verification.registrationInfo;
+    const saved = await this.credentialRepository.insert({
+      user_id: userId,
+      credential_id: credential.id,
+      public_key: toBase64Url(credential.publicKey),
+      counter: credential.counter,
+      transports: credential.transports || [],
+      device_type: credentialDeviceType,
+      backed_up: credentialBackedUp,
+      aaguid,
+      name: name?.trim().slice(0, 60) || 'Passkey',
+    });
+
+    await DatabaseSessionService.logAuditEvent(userId, 'passkey_registered', 'auth', {
+      credential_id: saved.id,
+      name: saved.name,
+      device_type: credentialDeviceType,
+    }, ipAddress, userAgent, true);
+
+    return this.formatCredential(saved);
+  }
+
+  /**
+   * Options for navigator.credentials.get(); no user needed up front
+   * @returns {Promise<{options: object, challengeId: string}>}
+   */
+  async getAuthenticationOptions() {
+    const { rpId, userVerification } = this.webauthnConfig;
+
+    const options = await generateAuthenticationOptions({
+      rpID: rpId,
+      userVerification,
+    });
+
+    const challengeId = await this.saveChallenge('authentication', options.challenge);
+    return { options, challengeId };
+  }
+
+  /**
+   * Check a passkey sign-in
+   * @returns {Promise<object>} The user_profiles row of the passkey's owner
+   */
+  async verifyAuthentication(challengeId, response, { ipAddress, userAgent } = {}) {
+    const challenge = await this.takeChallenge(challengeId, 'authentication');
+
+    const stored = response?.id && await this.credentialRepository.findByCredentialId(response.id);
+    if (!stored) {
+      throw new AuthenticationError('This passkey is not registered');
+    }
+
+    const { rpId, origin, userVerification } = this.webauthnConfig;
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge: challenge.challenge,
+        expectedOrigin: origin,
+        expectedRPID: rpId,
+        requireUserVerification: userVerification === 'required',
+        credential: {
+          id: stored.credential_id,
+          publicKey: fromBase64Url(stored.public_key),
+          counter: Number(stored.counter),
+          transports: stored.transports,
+        },
+      });
+    } catch (error) {
+      verification = { verified: false, error };
+    }
+
+    if (!verification.verified) {
+      await DatabaseSessionService.logAuditEvent(stored.user_id, 'passkey_login_failed', 'auth', {
+        credential_id: stored.id,
+        reason: verification.error?.message || 'Verification failed',
+      }, ipAddress, userAgent, false);
+      throw new AuthenticationError('Passkey sign-in failed');
+    }
+
+    await this.credentialRepository.recordUse(stored.id, verification.authenticationInfo.newCounter);
+
+    const profile = await this.profileRepository.findById(stored.user_id);
+
+    // A passkey may have been added from the session the user reported, so it waits for the new PIN too
+    if (profile.pin_reset_required) {
+      throw new PinResetRequiredError();
+    }
+
+    return profile;
+  }
+
+  /**
+   * Remove one of the user's passkeys
+   */
+  async deleteCredential(userId, credentialId, { ipAddress, userAgent } = {}) {
+    const deleted = await this.credentialRepository.deleteForUser(credentialId, userId);
+    if (!deleted) {
+      throw new NotFoundError('Passkey');
+    }
+
+    await DatabaseSessionService.logAuditEvent(userId, 'passkey_removed', 'auth', {
+      credential_id: deleted.id,
+      name: deleted.name,
+    }, ipAddress, userAgent, true);
+
+    return { id: deleted.id };
+  }
+}
+
+// Create and export default instance
+const webAuthnService = new WebAuthnService();
+export default webAuthnService;
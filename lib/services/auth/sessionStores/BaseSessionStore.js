@@ -0,0 +1,118 @@
+/**
+ * Base class for session stores
+ * DatabaseSessionService owns the session rules (expiry, auditing, token
+ * hashing); a store only keeps records. Every method is async so memory,
+ * Supabase and Redis backends are interchangeable.
+ *
+ * Session records are plain objects:
+ * {
+ *   sessionId, userId, accessTokenHash, refreshTokenHash, deviceInfo,
+ *   ipAddress, userAgent, supabaseSessionId, isActive, createdAt,
+ *   lastActivity, expiresAt
+ * }
+ * with dates as ISO strings. supabaseSessionId is the Supabase auth session
+ * signed in with it, if any.
+ */
+export class BaseSessionStore {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  /**
+   * @param {object} session - Complete session record
+   * @returns {Promise<object>} The stored record
+   */
+  async create(session) {
+    throw new Error('create method must be implemented by session store');
+  }
+
+  /**
+   * @returns {Promise<object|null>} The record, active or not, or null if unknown
+   */
+  async get(sessionId) {
+    throw new Error('get method must be implemented by session store');
+  }
+
+  /**
+   * @returns {Promise<object|null>} The session currently holding this refresh token
+   */
+  async findByRefreshTokenHash(refreshTokenHash) {
+    throw new Error('findByRefreshTokenHash method must be implemented by session store');
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.includeInactive] - Also return revoked and logged-out
+   *   sessions the store still keeps (sign-in history)
+   * @param {number} [options.limit] - Newest first when limited
+   * @returns {Promise<object[]>} The user's active sessions
+   */
+  async listByUser(userId, { includeInactive = false, limit = null } = {}) {
+    throw new Error('listByUser method must be implemented by session store');
+  }
+
+  /**
+   * @param {object} updates - Record fields to change
+   * @returns {Promise<object|null>} The updated record, or null if unknown
+   */
+  async update(sessionId, updates) {
+    throw new Error('update method must be implemented by session store');
+  }
+
+  /**
+   * Update an active session only if it still holds the expected refresh token
+   * Two refreshes racing with the same token must not both succeed.
+   * @returns {Promise<object|null>} The updated record, or null if the token had moved on
+   */
+  async swapRefreshToken(sessionId, expectedRefreshTokenHash, updates) {
+    throw new Error('swapRefreshToken method must be implemented by session store');
+  }
+
+  /**
+   * Mark every active session of a user inactive
+   * @returns {Promise<number>} How many were deactivated
+   */
+  async deactivateUser(userId, exceptSessionId = null) {
+    throw new Error('deactivateUser method must be implemented by session store');
+  }
+
+  /**
+   * @param {string} tokenHash - SHA-256 of the token
+   * @param {'access'|'refresh'} tokenType
+   * @param {Date|string} expiresAt - The token's own expiry; the entry can go after that
+   * @returns {Promise<boolean>}
+   */
+  async blacklist(tokenHash, tokenType, expiresAt) {
+    throw new Error('blacklist method must be implemented by session store');
+  }
+
+  /**
+   * @returns {Promise<boolean>}
+   */
+  async isBlacklisted(tokenHash) {
+    throw new Error('isBlacklisted method must be implemented by session store');
+  }
+
+  /**
+   * @returns {Promise<{activeSessions: number, totalSessions: number, blacklistedTokens: number, uniqueActiveUsers: number}>}
+   */
+  async getStats() {
+    throw new Error('getStats method must be implemented by session store');
+  }
+
+  /**
+   * Drop expired sessions and blacklist entries
+   * @returns {Promise<{expiredSessions: number, expiredTokens: number}>}
+   */
+  async cleanup() {
+    return { expiredSessions: 0, expiredTokens: 0 };
+  }
+
+  /**
+   * Store name for logging
+   * @returns {string}
+   */
+  getStoreName() {
+    return this.constructor.name;
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * In-memory session store
+ * For tests and single-process development. Everything is lost on restart
+ * and not shared between server instances.
+ */
+
+import { BaseSessionStore } from './BaseSessionStore.js';
+
+const isExpired = (expiresAt, now = Date.now()) => new Date(expiresAt).getTime() <= now;
+
+export class MemorySessionStore extends BaseSessionStore {
+  constructor(config = {}) {
+    super(config);
+    this.sessions = new Map(); // sessionId -> session record
+    this.userSessions = new Map(); // userId -> Set of sessionIds
+    this.blacklistedTokens = new Map(); // tokenHash -> { tokenType, expiresAt }
+
+    if (config.cleanupIntervalMs !== 0) {
+      this.startCleanupInterval(config.cleanupIntervalMs || 60 * 60 * 1000);
+    }
+  }
+
+  async create(session) {
+    this.sessions.set(session.sessionId, { ...session });
+
+    if (!this.userSessions.has(session.userId)) {
+      this.userSessions.set(session.userId, new Set());
+    }
+    this.userSessions.get(session.userId).add(session.sessionId);
+
+    return { ...session };
+  }
+
+  async get(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session ? { ...session } : null;
+  }
+
+  async findByRefreshTokenHash(refreshTokenHash) {
+    for (const session of this.sessions.values()) {
+      if (session.isActive && session.refreshTokenHash === refreshTokenHash) {
+        return { ...session };
+      }
+    }
+    return null;
+  }
+
+  async listByUser(userId, { includeInactive = false, limit = null } = {}) {
+    const sessionIds = this.userSessions.get(userId) || new Set();
+    const sessions = [...sessionIds]
+      .map(sessionId => this.sessions.get(sessionId))
+      .filter(session => session && (includeInactive || session.isActive))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(session => ({ ...session }));
+    return limit ? sessions.slice(0, limit) : sessions;
+  }
+
+  async update(sessionId, updates) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const updated = { ...session, ...updates };
+    this.sessions.set(sessionId, updated);
+    return { ...updated };
+  }
+
+  async swapRefreshToken(sessionId, expectedRefreshTokenHash, updates) {
+    const session = this.sessions.get(sessionId);
+    if (!session?.isActive || session.refreshTokenHash !== expectedRefreshTokenHash) {
+      return null;
+    }
+    return await this.update(sessionId, updates);
+  }
+
+  async deactivateUser(userId, exceptSessionId = null) {
+    let count = 0;
+    for (const session of await this.listByUser(userId)) {
+      if (session.sessionId !== exceptSessionId) {
+        await this.update(session.sessionId, { isActive: false, lastActivity: new Date().toISOString() });
+        count++;
+      }
+    }
+    return count;
+  }
+
+  async blacklist(tokenHash, tokenType, expiresAt) {
+    this.blacklistedTokens.set(tokenHash, {
+      tokenType,
+      expiresAt: new Date(expiresAt).toISOString(),
+    });
+    return true;
+  }
+
+  async isBlacklisted(tokenHash) {
+    const entry = this.blacklistedTokens.get(tokenHash);
+    return Boolean(entry) && !isExpired(entry.expiresAt);
+  }
+
+  async getStats() {
+    const now = Date.now();
+    const active = [...this.sessions.values()]
+      .filter(session => session.isActive && !isExpired(session.expiresAt, now));
+    const blacklisted = [...this.blacklistedTokens.values()]
+      .filter(entry => !isExpired(entry.expiresAt, now));
+
+    return {
+      activeSessions: active.length,
+      totalSessions: this.sessions.size,
+      blacklistedTokens: blacklisted.length,
+      uniqueActiveUsers: new Set(active.map(session => session.userId)).size,
+    };
+  }
+
+  async cleanup() {
+    const now = Date.now();
+    let expiredSessions = 0;
+    let expiredTokens = 0;
+
+    for (const [sessionId, session] of this.sessions.entries()) {
+      if (isExpired(session.expiresAt, now)) {
+        this.sessions.delete(sessionId);
+        const userSessions = this.userSessions.get(session.userId);
+        userSessions?.delete(sessionId);
+        if (userSessions?.size === 0) {
+          this.userSessions.delete(session.userId);
+        }
+        expiredSessions++;
+      }
+    }
+
+    for (const [tokenHash, entry] of this.blacklistedTokens.entries()) {
+      if (isExpired(entry.expiresAt, now)) {
+        this.blacklistedTokens.delete(tokenHash);
+        expiredTokens++;
+      }
+    }
+
+    return { expiredSessions, expiredTokens };
+  }
+
+  startCleanupInterval(intervalMs) {
+    const timer = setInterval(() => {
+      this.cleanup();
+    }, intervalMs);
+
+    // Don't keep a test run or script alive just for cleanup
+    timer.unref?.();
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * Redis session store
+ * Talks to any Redis-compatible server through a REST endpoint that takes a
+ * command as a JSON array (Upstash, or a proxy in front of Redis), so it works
+ * from serverless routes without a TCP client.
+ *
+ * Keys (under config.keyPrefix):
+ *   session:<id>        JSON session record, expiring with the session
+ *   user:<userId>       set of the user's session IDs
+ *   refresh:<hash>      session ID holding that refresh token
+ *   blacklist:<hash>    revoked token type, expiring with the token
+ *
+ * Updates run as one Lua script so a request that read the record earlier
+ * can't write it back over a revoke or a rotation.
+ */
+
+import { ConfigurationError, DatabaseError } from '../../../core/errors/index.js';
+import { BaseSessionStore } from './BaseSessionStore.js';
+
+// Merge ARGV[1] (JSON fields) into the record at KEYS[1] and move its refresh
+// index entry. With ARGV[2] set, only an active record holding that refresh
+// token hash is changed. ARGV[3] is the refresh key prefix, ARGV[4] a new
+// expiry in ms (empty keeps the TTL). Returns the record, or nil.
+const UPDATE_SCRIPT = `
+local value = redis.call('GET', KEYS[1])
+if not value then return nil end
+
+local session = cjson.decode(value)
+if ARGV[2] ~= '' and (session.isActive ~= true or session.refreshTokenHash ~= ARGV[2]) then
+  return nil
+end
+
+local previousHash = session.refreshTokenHash
+for field, fieldValue in pairs(cjson.decode(ARGV[1])) do
+  session[field] = fieldValue
+end
+
+local encoded = cjson.encode(session)
+if ARGV[4] ~= '' then
+  redis.call('SET', KEYS[1], encoded, 'PXAT', ARGV[4])
+else
+  redis.call('SET', KEYS[1], encoded, 'KEEPTTL')
+end
+
+local currentHash = session.refreshTokenHash
+if type(previousHash) == 'string' and (previousHash ~= currentHash or session.isActive ~= true) then
+  redis.call('DEL', ARGV[3] .. previousHash)
+end
+if session.isActive == true and type(currentHash) == 'string' and currentHash ~= previousHash then
+  local ttl = redis.call('PTTL', KEYS[1])
+  if ttl > 0 then
+    redis.call('SET', ARGV[3] .. currentHash, session.sessionId, 'PX', ttl)
+  else
+    redis.call('SET', ARGV[3] .. currentHash, session.sessionId)
+  end
+end
+
+return encoded
+`;
+
+export class RedisSessionStore extends BaseSessionStore {
+  constructor(config = {}) {
+    super(config);
+
+    if (!config.url || !config.token) {
+      throw new ConfigurationError('SESSION_REDIS_URL and SESSION_REDIS_TOKEN are required for the redis session store');
+    }
+
+    this.url = config.url.replace(/\/$/, '');
+    this.token = config.token;
+    this.prefix = config.keyPrefix || '';
+  }
+
+  key(...parts) {
+    return `${this.prefix}${parts.join(':')}`;
+  }
+
+  async post(path, body) {
+    const response = await fetch(`${this.url}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this.token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok || !data) {
+      throw new DatabaseError(`Redis request failed: ${data?.error || `HTTP ${response.status}`}`);
+    }
+    return data;
+  }
+
+  async command(...args) {
+    const data = await this.post('', args);
+    if (data.error) {
+      throw new DatabaseError(`Redis error: ${data.error}`);
+    }
+    return data.result;
+  }
+
+  async pipeline(commands) {
+    if (commands.length === 0) return [];
+
+    const results = await this.post('/pipeline', commands);
+    const failed = results.find(result => result.error);
+    if (failed) {
+      throw new DatabaseError(`Redis error: ${failed.error}`);
+    }
+    return results.map(result => result.result);
+  }
+
+  expiryArgs(expiresAt) {
+    return ['PXAT', String(new Date(expiresAt).getTime())];
+  }
+
+  async create(session) {
+    await this.pipeline([
+      ['SET', this.key('session', session.sessionId), JSON.stringify(session), ...this.expiryArgs(session.expiresAt)],
+      ['SADD', this.key('user', session.userId), session.sessionId],
+      ...(session.refreshTokenHash
+        ? [['SET', this.key('refresh', session.refreshTokenHash), session.sessionId, ...this.expiryArgs(session.expiresAt)]]
+        : []),
+    ]);
+
+    return { ...session };
+  }
+
+  async get(sessionId) {
+    const value = await this.command('GET', this.key('session', sessionId));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async findByRefreshTokenHash(refreshTokenHash) {
+    const sessionId = await this.command('GET', this.key('refresh', refreshTokenHash));
+    if (!sessionId) return null;
+
+    const session = await this.get(sessionId);
+    return session?.isActive && session.refreshTokenHash === refreshTokenHash ? session : null;
+  }
+
+  // Inactive sessions stay until their key expires, so history reaches back one session lifetime
+  async listByUser(userId, { includeInactive = false, limit = null } = {}) {
+    const userKey = this.key('user', userId);
+    const sessionIds = await this.command('SMEMBERS', userKey);
+    if (!sessionIds?.length) return [];
+
+    const values = await this.command('MGET', ...sessionIds.map(id => this.key('session', id)));
+
+    // Sessions that expired out of Redis are still listed in the set; drop them
+    const gone = sessionIds.filter((id, index) => !values[index]);
+    if (gone.length > 0) {
+      await this.command('SREM', userKey, ...gone);
+    }
+
+    const sessions = values
+      .filter(Boolean)
+      .map(value => JSON.parse(value))
+      .filter(session => includeInactive || session.isActive)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    return limit ? sessions.slice(0, limit) : sessions;
+  }
+
+  /**
+   * Run UPDATE_SCRIPT; only the given fields are sent, never a whole record
+   */
+  async applyUpdate(sessionId, updates, expectedRefreshTokenHash = '') {
+    const value = await this.command(
+      'EVAL',
+      UPDATE_SCRIPT,
+      '1',
+      this.key('session', sessionId),
+      JSON.stringify(updates),
+      expectedRefreshTokenHash,
+      this.key('refresh', ''),
+      updates.expiresAt ? String(new Date(updates.expiresAt).getTime()) : ''
+    );
+    return value ? JSON.parse(value) : null;
+  }
+
+  async update(sessionId, updates) {
+    return await this.applyUpdate(sessionId, updates);
+  }
+
+  async swapRefreshToken(sessionId, expectedRefreshTokenHash, updates) {
+    return await this.applyUpdate(sessionId, updates, expectedRefreshTokenHash);
+  }
+
+  async deactivateUser(userId, exceptSessionId = null) {
+    let count = 0;
+    for (const session of await this.listByUser(userId)) {
+      if (session.sessionId !== exceptSessionId) {
+        await this.update(session.sessionId, { isActive: false, lastActivity: new Date().toISOString() });
+        count++;
+      }
+    }
+    return count;
+  }
+
+  async blacklist(tokenHash, tokenType, expiresAt) {
+    if (new Date(expiresAt).getTime() <= Date.now()) {
+      return true; // Already unusable
+    }
+
+    await this.command('SET', this.key('blacklist', tokenHash), tokenType, ...this.expiryArgs(expiresAt));
+    return true;
+  }
+
+  async isBlacklisted(tokenHash) {
+    return (await this.command('EXISTS', this.key('blacklist', tokenHash))) === 1;
+  }
+
+  async scanKeys(pattern) {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.command('SCAN', cursor, 'MATCH', pattern, 'COUNT', '500');
+      keys.push(...batch);
+      cursor = String(next);
+    } while (cursor !== '0');
+    return keys;
+  }
+
+  async getStats() {
+    const [sessionKeys, blacklistKeys] = await Promise.all([
+      this.scanKeys(this.key('session', '*')),
+      this.scanKeys(this.key('blacklist', '*')),
+    ]);
+
+    const values = sessionKeys.length > 0 ? await this.command('MGET', ...sessionKeys) : [];
+    const active = values.filter(Boolean).map(value => JSON.parse(value)).filter(session => session.isActive);
+
+    return {
+      activeSessions: active.length,
+      totalSessions: sessionKeys.length,
+      blacklistedTokens: blacklistKeys.length,
+      uniqueActiveUsers: new Set(active.map(session => session.userId)).size,
+    };
+  }
+
+  // Keys carry their own expiry, so there is nothing to sweep
+}
@@ -0,0 +1,220 @@
+/**
+ * Supabase session store
+ * Sessions in the `sessions` table and revoked tokens in `token_blacklist`.
+ * The table has no separate last-activity column; `updated_at` serves as one.
+ */
+
+import supabaseAdmin from '../../../supabaseAdmin.js';
+import { DatabaseError } from '../../../core/errors/index.js';
+import { BaseSessionStore } from './BaseSessionStore.js';
+
+const toRecord = (row) => ({
+  sessionId: row.id,
+  userId: row.user_id,
+  accessTokenHash: row.access_token_hash,
+  refreshTokenHash: row.refresh_token_hash,
+  deviceInfo: row.device_info || {},
+  ipAddress: row.ip_address,
+  userAgent: row.user_agent,
+  supabaseSessionId: row.supabase_session_id,
+  isActive: row.is_active,
+  createdAt: row.created_at,
+  lastActivity: row.updated_at,
+  expiresAt: row.expires_at,
+});
+
+const COLUMNS = {
+  sessionId: 'id',
+  userId: 'user_id',
+  accessTokenHash: 'access_token_hash',
+  refreshTokenHash: 'refresh_token_hash',
+  deviceInfo: 'device_info',
+  ipAddress: 'ip_address',
+  userAgent: 'user_agent',
+  supabaseSessionId: 'supabase_session_id',
+  isActive: 'is_active',
+  createdAt: 'created_at',
+  lastActivity: 'updated_at',
+  expiresAt: 'expires_at',
+};
+
+const toRow = (fields) => Object.fromEntries(
+  Object.entries(fields)
+    .filter(([key]) => COLUMNS[key])
+    .map(([key, value]) => [COLUMNS[key], value])
+);
+
+const check = ({ data, error, count }) => {
+  if (error) {
+    throw new DatabaseError(error.message, error);
+  }
+  return count ?? data;
+};
+
+export class SupabaseSessionStore extends BaseSessionStore {
+  async create(session) {
+    const row = check(await supabaseAdmin
+      .from('sessions')
+      .insert([toRow(session)])
+      .select('*')
+      .single());
+
+    return toRecord(row);
+  }
+
+  async get(sessionId) {
+    const row = check(await supabaseAdmin
+      .from('sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .maybeSingle());
+
+    return row ? toRecord(row) : null;
+  }
+
+  async findByRefreshTokenHash(refreshTokenHash) {
+    const row = check(await supabaseAdmin
+      .from('sessions')
+      .select('*')
+      .eq('refresh_token_hash', refreshTokenHash)
+      .eq('is_active', true)
+      .maybeSingle());
+
+    return row ? toRecord(row) : null;
+  }
+
+  async listByUser(userId, { includeInactive = false, limit = null } = {}) {
+    let query = supabaseAdmin
+      .from('sessions')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (!includeInactive) {
+      query = query.eq('is_active', true);
+    }
+    if (limit) {
+      query = query.limit(limit);
+    }
+
+    const rows = check(await query);
+    return (rows || []).map(toRecord);
+  }
+
+  async update(sessionId, updates) {
+    const rows = check(await supabaseAdmin
+      .from('sessions')
+      .update(toRow(updates))
+      .eq('id', sessionId)
+      .select('*'));
+
+    return rows?.[0] ? toRecord(rows[0]) : null;
+  }
+
+  async swapRefreshToken(sessionId, expectedRefreshTokenHash, updates) {
+    const rows = check(await supabaseAdmin
+      .from('sessions')
+      .update(toRow(updates))
+      .eq('id', sessionId)
+      .eq('is_active', true)
+      .eq('refresh_token_hash', expectedRefreshTokenHash)
+      .select('*'));
+
+    return rows?.[0] ? toRecord(rows[0]) : null;
+  }
+
+  async deactivateUser(userId, exceptSessionId = null) {
+    let query = supabaseAdmin
+      .from('sessions')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('is_active', true);
+
+    if (exceptSessionId) {
+      query = query.neq('id', exceptSessionId);
+    }
+
+    const rows = check(await query.select('id'));
+    return rows ? rows.length : 0;
+  }
+
+  async blacklist(tokenHash, tokenType, expiresAt) {
+    check(await supabaseAdmin
+      .from('token_blacklist')
+      .upsert([{
+        token_hash: tokenHash,
+        token_type: tokenType,
+        expires_at: new Date(expiresAt).toISOString(),
+        blacklisted_at: new Date().toISOString()
+      }], { onConflict: 'token_hash', ignoreDuplicates: true }));
+
+    return true;
+  }
+
+  async isBlacklisted(tokenHash) {
+    const rows = check(await supabaseAdmin
+      .from('token_blacklist')
+      .select('id')
+      .eq('token_hash', tokenHash)
+      .gte('expires_at', new Date().toISOString())
+      .limit(1));
+
+    return Boolean(rows?.length);
+  }
+
+  async getStats() {
+    const now = new Date().toISOString();
+
+    const [activeSessions, totalSessions, blacklistedTokens, activeUsers] = await Promise.all([
+      supabaseAdmin
+        .from('sessions')
+        .select('*', { count: 'exact', head: true })
+        .eq('is_active', true)
+        .gt('expires_at', now)
+        .then(check),
+      supabaseAdmin
+        .from('sessions')
+        .select('*', { count: 'exact', head: true })
+        .then(check),
+      supabaseAdmin
+        .from('token_blacklist')
+        .select('*', { count: 'exact', head: true })
+        .gte('expires_at', now)
+        .then(check),
+      supabaseAdmin
+        .from('sessions')
+        .select('user_id')
+        .eq('is_active', true)
+        .gt('expires_at', now)
+        .then(check),
+    ]);
+
+    return {
+      activeSessions: activeSessions || 0,
+      totalSessions: totalSessions || 0,
+      blacklistedTokens: blacklistedTokens || 0,
+      uniqueActiveUsers: new Set((activeUsers || []).map(row => row.user_id)).size,
+    };
+  }
+
+  async cleanup() {
+    const now = new Date().toISOString();
+
+    const expiredSessions = check(await supabaseAdmin
+      .from('sessions')
+      .delete()
+      .lt('expires_at', now)
+      .select('id'));
+
+    const expiredTokens = check(await supabaseAdmin
+      .from('token_blacklist')
+      .delete()
+      .lt('expires_at', now)
+      .select('id'));
+
+    return {
+      expiredSessions: expiredSessions ? expiredSessions.length : 0,
+      expiredTokens: expiredTokens ? expiredTokens.length : 0,
+    };
+  }
+}
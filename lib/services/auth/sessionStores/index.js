@@ -0,0 +1,34 @@
+/**
+ * Session store selection
+ * `auth.session.store` (SESSION_STORE) picks the backend.
+ */
+
+import { ConfigurationError } from '../../../core/errors/index.js';
+import { MemorySessionStore } from './MemorySessionStore.js';
+import { SupabaseSessionStore } from './SupabaseSessionStore.js';
+import { RedisSessionStore } from './RedisSessionStore.js';
+
+const STORES = {
+  memory: MemorySessionStore,
+  supabase: SupabaseSessionStore,
+  redis: RedisSessionStore,
+};
+
+/**
+ * @param {string} name - 'memory', 'supabase' or 'redis'
+ * @param {object} [config] - Store options (the redis store needs url and token)
+ * @returns {import('./BaseSessionStore.js').BaseSessionStore}
+ */
+export const createSessionStore = (name, config = {}) => {
+  const Store = STORES[name];
+  if (!Store) {
+    throw new ConfigurationError(
+      `Unknown session store '${name}'. Available: ${Object.keys(STORES).join(', ')}`,
+      'SESSION_STORE'
+    );
+  }
+  return new Store(config);
+};
+
+export { BaseSessionStore } from './BaseSessionStore.js';
+export { MemorySessionStore, SupabaseSessionStore, RedisSessionStore };
@@ -0,0 +1,165 @@
+/**
+ * Document Service
+ * Extracts text and page counts from uploaded documents, stores a preview
+ * and feeds the extracted text into search.
+ */
+
+import { BaseService } from '../index.js';
+import { BaseRepository } from '../../core/database/index.js';
+import { db } from '../../core/database/index.js';
+import {
+  ValidationError,
+  NotFoundError,
+  StorageError
+} from '../../core/errors/index.js';
+import { getStorageConfig } from '../../core/config/index.js';
+import { extractDocumentText, EXTRACTABLE_DOCUMENT_TYPES } from '../../core/utils/documentText.js';
+import { parseCsv } from '../../core/utils/csv.js';
+
+/**
+ * Document files repository
+ */
+class DocumentFilesRepository extends BaseRepository {
+  constructor() {
+    super('files');
+  }
+}
+
+/**
+ * Document service
+ */
+export class DocumentService extends BaseService {
+  constructor() {
+    super('DocumentService');
+    this.fileRepository = new DocumentFilesRepository();
+    this.storageConfig = getStorageConfig();
+    this.previewConfig = this.storageConfig.previews;
+    this.client = null;
+  }
+
+  async onInitialize() {
+    this.client = db.getClient();
+  }
+
+  /**
+   * Whether text can be extracted from a MIME type
+   */
+  canExtract(contentType) {
+    return EXTRACTABLE_DOCUMENT_TYPES.includes(contentType);
+  }
+
+  /**
+   * Get a document row, accepting both files column layouts
+   */
+  async getDocumentFile(fileId, userId) {
+    const file = await this.fileRepository.findById(fileId, userId);
+
+    if (!file) {
+      throw new NotFoundError('File');
+    }
+
+    const contentType = file.file_type || file.content_type;
+    if (!this.storageConfig.buckets.documents.allowedMimeTypes.includes(contentType)) {
+      throw new ValidationError(`${contentType} files are not documents`, 'fileType', contentType);
+    }
+
+    return {
+      ...file,
+      bucketName: file.bucket_name || file.bucket_id,
+      contentType,
+    };
+  }
+
+  /**
+   * Extract text from a stored document and save the preview
+   * Unsupported formats (legacy .doc) are marked processed with no text.
+   */
+  async processDocument(fileId, userId) {
+    const file = await this.getDocumentFile(fileId, userId);
+
+    let extracted = null;
+    if (this.canExtract(file.contentType)) {
+      const { data, error } = await this.client.storage
+        .from(file.bucketName)
+        .download(file.file_path);
+
+      if (error) {
+        throw new StorageError(`Download failed: ${error.message}`, 'download');
+      }
+
+      try {
+        extracted = await extractDocumentText(Buffer.from(await data.arrayBuffer()), file.contentType);
+      } catch (error) {
+        // Encrypted or corrupt documents are kept, just without a preview
+        console.error(`Text extraction failed for ${file.file_name}:`, error);
+      }
+    }
+
+    const text = extracted?.text.trim() || null;
+    // PDFs preview their first page; everything else the start of the text
+    const previewSource = extracted?.firstPage?.trim() || text;
+
+    const updatedFile = await this.fileRepository.update(fileId, {
+      extracted_text: text?.slice(0, this.previewConfig.maxIndexedLength) ?? null,
+      text_preview: previewSource?.slice(0, this.previewConfig.textLength) ?? null,
+      page_count: extracted?.pageCount ?? null,
+      processed_at: new Date().toISOString(),
+    }, userId);
+
+    return this.formatPreview({ ...updatedFile, bucketName: file.bucketName, contentType: file.contentType });
+  }
+
+  /**
+   * Get the preview of a document, extracting it first if that never happened
+   */
+  async getPreview(fileId, userId) {
+    const file = await this.getDocumentFile(fileId, userId);
+
+    if (!file.processed_at) {
+      return await this.processDocument(fileId, userId);
+    }
+
+    return this.formatPreview(file);
+  }
+
+  /**
+   * Format a document preview for API responses
+   * CSVs additionally come back parsed as a table.
+   */
+  formatPreview(file) {
+    const preview = {
+      fileId: file.id,
+      fileName: file.file_name,
+      contentType: file.contentType,
+      supported: this.canExtract(file.contentType),
+      pageCount: file.page_count,
+      textPreview: file.text_preview,
+      truncated: (file.extracted_text?.length || 0) > (file.text_preview?.length || 0),
+      processedAt: file.processed_at,
+    };
+
+    if (file.contentType === 'text/csv' && file.extracted_text) {
+      const { rows, truncated } = parseCsv(file.extracted_text, { maxRows: this.previewConfig.csvPreviewRows + 1 });
+      const [columns = [], ...body] = rows;
+
+      preview.table = { columns, rows: body, truncated };
+    }
+
+    return preview;
+  }
+
+  /**
+   * Health check
+   */
+  async healthCheck() {
+    const baseHealth = await super.healthCheck();
+
+    return {
+      ...baseHealth,
+      features: {
+        extractableTypes: EXTRACTABLE_DOCUMENT_TYPES,
+        indexContent: this.storageConfig.metadata.indexContent,
+      },
+    };
+  }
+}
@@ -5,7 +5,7 @@
  */
 
 import { BaseService } from '../index.js';
-import { getStorageService } from '../index.js';
+import { getStorageService, getDocumentService } from '../index.js';
 import { BaseRepository } from '../../core/database/index.js';
 import { 
   ValidationError, 
@@ -13,6 +13,11 @@ import {
   FileUploadError 
 } from '../../core/errors/index.js';
 import { getConfig } from '../../core/config/index.js';
+import {
+  readImageMetadata,
+  canStripMetadata,
+  stripSensitiveMetadata
+} from '../../core/utils/imageMetadata.js';
 
 /**
  * File metadata repository
@@ -93,6 +98,8 @@ export class FileService extends BaseService {
     if (!this.storageService) {
       throw new Error('StorageService dependency not available');
     }
+    
+    this.documentService = getDocumentService();
   }
 
   /**
@@ -124,18 +131,59 @@ export class FileService extends BaseService {
 
   /**
    * Extract file metadata
+   * For JPEG/PNG/WebP images this reads EXIF (capture date, dimensions,
+   * orientation, camera) and, unless preserveExif is set, returns a copy of
+   * the file with GPS and device identifiers removed.
+   * @returns {Promise<{metadata: object, file: File}>} Metadata and the file to store
    */
-  extractFileMetadata(file) {
+  async extractFileMetadata(file, { preserveExif = false } = {}) {
     const isImage = file.type.startsWith('image/');
     const category = isImage ? 'image' : 'document';
     
-    return {
+    const metadata = {
       category,
       originalName: file.name,
       mimeType: file.type,
       isImage,
       extractedAt: new Date().toISOString(),
     };
+    
+    const { extractExif, stripSensitiveExif } = this.config.storage.metadata;
+    if (!isImage || !canStripMetadata(file.type) || (!extractExif && !stripSensitiveExif)) {
+      return { metadata, file };
+    }
+    
+    let source;
+    let details;
+    try {
+      source = Buffer.from(await file.arrayBuffer());
+      details = await readImageMetadata(source);
+    } catch (error) {
+      // A corrupt or mislabelled image is still stored, just without EXIF details
+      console.error(`Failed to read image metadata for ${file.name}:`, error);
+      return { metadata, file };
+    }
+    
+    const { hasLocation, hasDeviceIdentifiers, ...exif } = details;
+    const strip = stripSensitiveExif && !preserveExif && (hasLocation || hasDeviceIdentifiers);
+    
+    if (extractExif) {
+      metadata.exif = {
+        ...exif,
+        locationRemoved: strip && hasLocation,
+      };
+    }
+    
+    if (!strip) {
+      return { metadata, file };
+    }
+    
+    const stripped = await stripSensitiveMetadata(source, file.type, details);
+    
+    return {
+      metadata,
+      file: new File([stripped], file.name, { type: file.type, lastModified: file.lastModified }),
+    };
   }
 
   /**
@@ -147,6 +195,7 @@ export class FileService extends BaseService {
       tags = [], 
       description, 
       makePublic = false,
+      preserveExif = false,
       ...storageOptions 
     } = options;
     
@@ -156,8 +205,8 @@ export class FileService extends BaseService {
     // Determine bucket type
     const bucketType = this.getBucketType(file.type);
     
-    // Extract file metadata
-    const extractedMetadata = this.extractFileMetadata(file);
+    // Extract file metadata; images come back without GPS/device tags unless preserveExif is set
+    const { metadata: extractedMetadata, file: storedFile } = await this.extractFileMetadata(file, { preserveExif });
     
     // Prepare enhanced metadata
     const enhancedMetadata = {
@@ -171,7 +220,7 @@ export class FileService extends BaseService {
     
     // Upload using storage service
     const uploadedFile = await this.storageService.uploadFile(
-      file, 
+      storedFile, 
       userId, 
       bucketType,
       {
@@ -189,12 +238,24 @@ export class FileService extends BaseService {
       metadata: enhancedMetadata,
     });
     
+    // Documents get their text extracted for previews and search; a failure
+    // here leaves the upload intact and the preview is retried on first view
+    let preview = null;
+    if (bucketType === 'documents') {
+      try {
+        preview = await this.documentService.processDocument(uploadedFile.id, userId);
+      } catch (error) {
+        console.error(`Failed to process document ${uploadedFile.id}:`, error);
+      }
+    }
+    
     return {
       ...uploadedFile,
       category: enhancedMetadata.category,
       tags: enhancedMetadata.tags,
       description: enhancedMetadata.description,
       isPublic: enhancedMetadata.isPublic,
+      preview,
     };
   }
 
@@ -346,7 +407,7 @@ export class FileService extends BaseService {
   }
 
   /**
-   * Delete file (delegates to storage service)
+   * Move file to the trash (delegates to storage service)
    */
   async deleteFile(fileId, userId) {
     return await this.storageService.deleteFile(fileId, userId);
@@ -367,6 +428,27 @@ export class FileService extends BaseService {
     }));
   }
 
+  /**
+   * Get file versions (delegates to storage service)
+   */
+  async getFileVersions(fileId, userId) {
+    return await this.storageService.getFileVersions(fileId, userId);
+  }
+
+  /**
+   * Get a specific file version (delegates to storage service)
+   */
+  async getFileVersion(fileId, userId, version) {
+    return await this.storageService.getFileVersion(fileId, userId, version);
+  }
+
+  /**
+   * Generate resized image variants (delegates to storage service)
+   */
+  async generateImageVariants(fileId, userId) {
+    return await this.storageService.generateVariantsForFile(fileId, userId);
+  }
+
   /**
    * Get storage usage (delegates to storage service)
    */
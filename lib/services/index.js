@@ -10,6 +10,11 @@ import { StorageService } from './storage/StorageService.js';
 import { NotesService } from './notes/NotesService.js';
 import { FileService } from './files/FileService.js';
 import { UserService } from './user/UserService.js';
+import { SearchService } from './search/SearchService.js';
+import { UploadService } from './uploads/UploadService.js';
+import { DocumentService } from './documents/DocumentService.js';
+import { RetentionService } from './retention/RetentionService.js';
+import { TrashService } from './trash/TrashService.js';
 
 /**
  * Service registry
@@ -125,6 +130,11 @@ registry.register('storage', new StorageService());
 registry.register('notes', new NotesService());
 registry.register('files', new FileService());
 registry.register('user', new UserService());
+registry.register('search', new SearchService());
+registry.register('uploads', new UploadService());
+registry.register('documents', new DocumentService());
+registry.register('retention', new RetentionService());
+registry.register('trash', new TrashService());
 
 /**
  * Service access helpers
@@ -136,6 +146,11 @@ export const getStorageService = () => registry.get('storage');
 export const getNotesService = () => registry.get('notes');
 export const getFileService = () => registry.get('files');
 export const getUserService = () => registry.get('user');
+export const getSearchService = () => registry.get('search');
+export const getUploadService = () => registry.get('uploads');
+export const getDocumentService = () => registry.get('documents');
+export const getRetentionService = () => registry.get('retention');
+export const getTrashService = () => registry.get('trash');
 
 /**
  * Initialize all services
@@ -4,13 +4,18 @@
  */
 
 import { BaseService } from '../index.js';
-import { BaseRepository } from '../../core/database/index.js';
+import { getRetentionService } from '../index.js';
+import { BaseRepository, db } from '../../core/database/index.js';
 import { 
   ValidationError, 
   NotFoundError,
+  DatabaseError,
+  ConfigurationError,
   ErrorHandler 
 } from '../../core/errors/index.js';
-import { getConfig } from '../../core/config/index.js';
+import { getConfig, getStorageConfig } from '../../core/config/index.js';
+import { NOTE_FORMATS, renderNoteHtml } from '../../core/utils/markdown.js';
+import { diffLines } from '../../core/utils/diff.js';
 
 /**
  * Notes repository
@@ -23,7 +28,7 @@ class NotesRepository extends BaseRepository {
   async findByUserId(userId, options = {}) {
     const { includeExpired = false, orderBy = 'created_at', ascending = false } = options;
     
-    let query = this.query().selectForUser(userId);
+    let query = this.query().selectForUser(userId).is('deleted_at', null);
     
     if (!includeExpired) {
       const now = new Date().toISOString();
@@ -48,6 +53,8 @@ class NotesRepository extends BaseRepository {
     
     const result = await this.query(true)
       .query.select('*')
+      .eq('autoDelete', true)
+      .is('deleted_at', null)
       .not('expiry_date', 'is', null)
       .lt('expiry_date', now);
     
@@ -58,17 +65,51 @@ class NotesRepository extends BaseRepository {
     return result.data;
   }
 
-  async updateAutoDelete(noteId, userId, autoDelete) {
-    let expiryDate = null;
-    if (autoDelete) {
-      expiryDate = new Date();
-      expiryDate.setHours(expiryDate.getHours() + 1); // Default 1 hour expiry
+  async findTrashed(userId) {
+    const result = await this.query()
+      .selectForUser(userId)
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false });
+    
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
     }
+    
+    return result.data;
+  }
 
+  async findTrashedBefore(cutoff) {
+    const result = await this.query(true)
+      .query.select('id, user_id')
+      .lt('deleted_at', cutoff);
+    
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+    
+    return result.data;
+  }
+
+  async setDeletedAt(noteId, userId, deletedAt, extra = {}) {
+    const result = await this.query()
+      .updateForUser(userId, noteId, { deleted_at: deletedAt, ...extra })
+      .single();
+    
+    if (result.error) {
+      if (result.error.code === 'PGRST116') {
+        return null;
+      }
+      throw new DatabaseError(result.error.message, result.error);
+    }
+    
+    return result.data;
+  }
+
+  async updateAutoDelete(noteId, userId, autoDelete, expiryDate = null) {
     const result = await this.query()
       .updateForUser(userId, noteId, {
         autoDelete: autoDelete,
-        expiry_date: expiryDate ? expiryDate.toISOString() : null,
+        expiry_date: autoDelete ? expiryDate : null,
         updated_at: new Date().toISOString(),
       });
     
@@ -78,6 +119,61 @@ class NotesRepository extends BaseRepository {
     
     return result.data;
   }
+
+  /**
+   * Update the text and format and append the next revision, atomically
+   * @returns {Promise<object|null>} The updated note, or null if it's gone
+   */
+  async updateWithRevision(noteId, userId, { text, format, renderedHtml }) {
+    const { data } = await db.executeQuery(client => client.rpc('update_note_with_revision', {
+      p_note_id: noteId,
+      p_user_id: userId,
+      p_text: text,
+      p_format: format,
+      p_rendered_html: renderedHtml,
+    }), { useAdmin: true });
+    
+    return data?.[0] || null;
+  }
+}
+
+/**
+ * Note revisions repository
+ */
+class NoteRevisionsRepository extends BaseRepository {
+  constructor() {
+    super('note_revisions');
+  }
+
+  async findByNoteId(noteId, userId) {
+    const result = await this.query()
+      .selectForUser(userId)
+      .eq('note_id', noteId)
+      .order('revision', { ascending: false });
+    
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+    
+    return result.data;
+  }
+
+  async findRevision(noteId, userId, revision) {
+    const result = await this.query()
+      .selectForUser(userId)
+      .eq('note_id', noteId)
+      .eq('revision', revision)
+      .single();
+    
+    if (result.error) {
+      if (result.error.code === 'PGRST116') {
+        return null;
+      }
+      throw new DatabaseError(result.error.message, result.error);
+    }
+    
+    return result.data;
+  }
 }
 
 /**
@@ -87,10 +183,14 @@ export class NotesService extends BaseService {
   constructor() {
     super('NotesService');
     this.notesRepository = new NotesRepository();
+    this.revisionsRepository = new NoteRevisionsRepository();
     this.config = getConfig();
+    this.trackVersions = getStorageConfig().metadata.trackVersions;
   }
 
   async onInitialize() {
+    this.retentionService = getRetentionService();
+    
     // Validate notes configuration
     if (!this.config.features.enableAutoDelete) {
       console.warn('Auto-delete feature is disabled');
@@ -114,31 +214,56 @@ export class NotesService extends BaseService {
     }
   }
 
+  /**
+   * Validate note format
+   */
+  validateNoteFormat(format) {
+    if (!NOTE_FORMATS.includes(format)) {
+      throw new ValidationError(
+        `Note format must be one of: ${NOTE_FORMATS.join(', ')}`,
+        'format',
+        format
+      );
+    }
+  }
+
   /**
    * Create a new note
    */
   async createNote(userId, text, options = {}) {
     this.validateNoteText(text);
     
-    const { autoDelete = true, expiryHours = 1 } = options;
+    const { autoDelete = true, expiryHours, format = 'plain' } = options;
+    this.validateNoteFormat(format);
     
     let expiryDate = null;
     if (autoDelete && this.config.features.enableAutoDelete) {
-      expiryDate = new Date();
-      expiryDate.setHours(expiryDate.getHours() + expiryHours);
+      ({ expiryDate } = await this.retentionService.resolveExpiry(userId, {
+        contentType: 'note',
+        requestedSeconds: expiryHours ? expiryHours * 60 * 60 : undefined,
+      }));
     }
     
+    const noteText = text.trim();
     const noteData = {
-      text: text.trim(),
+      text: noteText,
+      format,
+      rendered_html: renderNoteHtml(noteText, format),
       autoDelete: autoDelete && this.config.features.enableAutoDelete,
-      expiry_date: expiryDate ? expiryDate.toISOString() : null,
+      expiry_date: expiryDate,
     };
     
     const note = await this.notesRepository.create(noteData, userId);
     
+    if (this.trackVersions) {
+      await this.recordFirstRevision(note, userId);
+    }
+    
     return {
       id: note.id,
       text: note.text,
+      format: note.format || 'plain',
+      renderedHtml: note.rendered_html,
       autoDelete: note.autoDelete,
       expiryDate: note.expiry_date,
       createdAt: note.created_at,
@@ -155,6 +280,8 @@ export class NotesService extends BaseService {
     return notes.map(note => ({
       id: note.id,
       text: note.text,
+      format: note.format || 'plain',
+      renderedHtml: note.rendered_html,
       autoDelete: note.autoDelete,
       expiryDate: note.expiry_date,
       createdAt: note.created_at,
@@ -169,7 +296,7 @@ export class NotesService extends BaseService {
   async getNote(noteId, userId) {
     const note = await this.notesRepository.findById(noteId, userId);
     
-    if (!note) {
+    if (!note || note.deleted_at) {
       throw new NotFoundError('Note');
     }
     
@@ -183,6 +310,8 @@ export class NotesService extends BaseService {
     return {
       id: note.id,
       text: note.text,
+      format: note.format || 'plain',
+      renderedHtml: note.rendered_html,
       autoDelete: note.autoDelete,
       expiryDate: note.expiry_date,
       createdAt: note.created_at,
@@ -192,18 +321,45 @@ export class NotesService extends BaseService {
 
   /**
    * Update note text
+   * Keeps the note's current format unless a new one is given.
    */
-  async updateNote(noteId, userId, text) {
+  async updateNote(noteId, userId, text, format = null) {
     this.validateNoteText(text);
     
-    const updatedNote = await this.notesRepository.update(noteId, {
-      text: text.trim(),
-      updated_at: new Date().toISOString(),
-    }, userId);
+    if (format) {
+      this.validateNoteFormat(format);
+    }
+    
+    const existingNote = await this.notesRepository.findById(noteId, userId);
+    if (!existingNote || existingNote.deleted_at) {
+      throw new NotFoundError('Note');
+    }
+    format = format || existingNote.format || 'plain';
+    
+    const noteText = text.trim();
+    const renderedHtml = renderNoteHtml(noteText, format);
+    
+    // With versioning on, the revision is numbered and written in the same
+    // transaction as the edit (notes from before versioning get their current
+    // content saved as revision 1 first)
+    const updatedNote = this.trackVersions
+      ? await this.notesRepository.updateWithRevision(noteId, userId, { text: noteText, format, renderedHtml })
+      : await this.notesRepository.update(noteId, {
+          text: noteText,
+          format,
+          rendered_html: renderedHtml,
+          updated_at: new Date().toISOString(),
+        }, userId);
+    
+    if (!updatedNote) {
+      throw new NotFoundError('Note');
+    }
     
     return {
       id: updatedNote.id,
       text: updatedNote.text,
+      format: updatedNote.format || 'plain',
+      renderedHtml: updatedNote.rendered_html,
       autoDelete: updatedNote.autoDelete,
       expiryDate: updatedNote.expiry_date,
       createdAt: updatedNote.created_at,
@@ -211,15 +367,116 @@ export class NotesService extends BaseService {
     };
   }
 
+  /**
+   * Save a new note's text and format as its first revision
+   */
+  async recordFirstRevision(note, userId) {
+    return await this.revisionsRepository.create({
+      note_id: note.id,
+      revision: 1,
+      text: note.text,
+      format: note.format || 'plain',
+    }, userId);
+  }
+
+  /**
+   * Ensure revision history is enabled
+   */
+  assertVersioningEnabled() {
+    if (!this.trackVersions) {
+      throw new ConfigurationError('Note versioning is disabled', 'storage.metadata.trackVersions');
+    }
+  }
+
+  /**
+   * List revisions for a note (newest first)
+   */
+  async getRevisions(noteId, userId) {
+    this.assertVersioningEnabled();
+    
+    const note = await this.notesRepository.findById(noteId, userId);
+    if (!note) {
+      throw new NotFoundError('Note');
+    }
+    
+    const revisions = await this.revisionsRepository.findByNoteId(noteId, userId);
+    
+    return revisions.map((revision, index) => ({
+      revision: revision.revision,
+      text: revision.text,
+      format: revision.format,
+      isCurrent: index === 0 && revision.text === note.text && revision.format === (note.format || 'plain'),
+      createdAt: revision.created_at,
+    }));
+  }
+
+  /**
+   * Get a single revision
+   */
+  async getRevision(noteId, userId, revision) {
+    this.assertVersioningEnabled();
+    
+    const revisionNumber = parseInt(revision);
+    if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+      throw new ValidationError('Revision must be a positive integer', 'revision', revision);
+    }
+    
+    const record = await this.revisionsRepository.findRevision(noteId, userId, revisionNumber);
+    if (!record) {
+      throw new NotFoundError(`Revision ${revisionNumber}`);
+    }
+    
+    return record;
+  }
+
+  /**
+   * Diff two revisions of a note
+   */
+  async diffRevisions(noteId, userId, fromRevision, toRevision) {
+    const from = await this.getRevision(noteId, userId, fromRevision);
+    const to = await this.getRevision(noteId, userId, toRevision);
+    
+    const { changes, stats } = diffLines(from.text, to.text);
+    
+    return {
+      from: from.revision,
+      to: to.revision,
+      formatChanged: from.format !== to.format,
+      changes,
+      stats,
+    };
+  }
+
+  /**
+   * Restore a revision
+   * Writes the old content back as a new revision so the restore itself can be undone.
+   */
+  async restoreRevision(noteId, userId, revision) {
+    const record = await this.getRevision(noteId, userId, revision);
+    
+    return await this.updateNote(noteId, userId, record.text, record.format);
+  }
+
   /**
    * Toggle auto-delete for a note
+   * The expiry comes from the user's retention policy unless expiryHours is given.
    */
-  async toggleAutoDelete(noteId, userId, autoDelete) {
-    const updatedNote = await this.notesRepository.updateAutoDelete(noteId, userId, autoDelete);
+  async toggleAutoDelete(noteId, userId, autoDelete, { expiryHours } = {}) {
+    let expiryDate = null;
+    if (autoDelete) {
+      ({ expiryDate } = await this.retentionService.resolveExpiry(userId, {
+        contentType: 'note',
+        requestedSeconds: expiryHours ? expiryHours * 60 * 60 : undefined,
+      }));
+    }
+    
+    const updatedNote = await this.notesRepository.updateAutoDelete(noteId, userId, autoDelete, expiryDate);
     
     return {
       id: updatedNote.id,
       text: updatedNote.text,
+      format: updatedNote.format || 'plain',
+      renderedHtml: updatedNote.rendered_html,
       autoDelete: updatedNote.autoDelete,
       expiryDate: updatedNote.expiry_date,
       updatedAt: updatedNote.updated_at,
@@ -227,43 +484,124 @@ export class NotesService extends BaseService {
   }
 
   /**
-   * Delete note
+   * Move a note to the trash
+   * It stays restorable until it is purged, either by the user or once the
+   * grace period runs out.
    */
   async deleteNote(noteId, userId) {
-    const success = await this.notesRepository.delete(noteId, userId);
+    const note = await this.notesRepository.findById(noteId, userId);
     
-    if (!success) {
+    if (!note || note.deleted_at) {
       throw new NotFoundError('Note');
     }
     
+    await this.notesRepository.setDeletedAt(noteId, userId, new Date().toISOString());
+    
     return { success: true };
   }
 
   /**
-   * Clean up expired notes
+   * Get a trashed note
+   */
+  async getTrashedNote(noteId, userId) {
+    const note = await this.notesRepository.findById(noteId, userId);
+    
+    if (!note || !note.deleted_at) {
+      throw new NotFoundError('Note in trash');
+    }
+    
+    return note;
+  }
+
+  /**
+   * List the user's trashed notes, most recently deleted first
+   */
+  async getTrashedNotes(userId) {
+    return await this.notesRepository.findTrashed(userId);
+  }
+
+  /**
+   * Take a note back out of the trash
+   * A note that already expired comes back without auto-delete, otherwise the
+   * next cleanup would send it straight back to the trash.
+   */
+  async restoreNote(noteId, userId) {
+    const note = await this.getTrashedNote(noteId, userId);
+    const hasExpired = note.expiry_date && new Date(note.expiry_date) < new Date();
+    
+    const restored = await this.notesRepository.setDeletedAt(noteId, userId, null, hasExpired
+      ? { autoDelete: false, expiry_date: null }
+      : {});
+    
+    return {
+      id: restored.id,
+      text: restored.text,
+      format: restored.format || 'plain',
+      renderedHtml: restored.rendered_html,
+      autoDelete: restored.autoDelete,
+      expiryDate: restored.expiry_date,
+      createdAt: restored.created_at,
+      updatedAt: restored.updated_at,
+    };
+  }
+
+  /**
+   * Permanently delete a trashed note (revisions cascade)
+   */
+  async purgeNote(noteId, userId) {
+    await this.getTrashedNote(noteId, userId);
+    await this.notesRepository.delete(noteId, userId);
+    
+    return { success: true };
+  }
+
+  /**
+   * Move expired auto-delete notes to the trash
    */
   async cleanupExpiredNotes() {
     const expiredNotes = await this.notesRepository.findExpiredNotes();
-    let deletedCount = 0;
+    const deletedAt = new Date().toISOString();
+    let trashedCount = 0;
     
     for (const note of expiredNotes) {
       try {
         await this.notesRepository.query(true)
-          .query.delete()
+          .query.update({ deleted_at: deletedAt })
           .eq('id', note.id);
-        deletedCount++;
+        trashedCount++;
       } catch (error) {
-        console.error(`Failed to delete expired note ${note.id}:`, error);
+        console.error(`Failed to trash expired note ${note.id}:`, error);
       }
     }
     
     return {
       success: true,
-      deletedCount,
+      trashedCount,
       totalExpired: expiredNotes.length,
     };
   }
 
+  /**
+   * Permanently delete notes that have been in the trash since before `cutoff`
+   */
+  async purgeTrashedNotes(cutoff) {
+    const notes = await this.notesRepository.findTrashedBefore(cutoff);
+    let purgedCount = 0;
+    
+    for (const note of notes) {
+      try {
+        await this.notesRepository.query(true)
+          .query.delete()
+          .eq('id', note.id);
+        purgedCount++;
+      } catch (error) {
+        console.error(`Failed to purge note ${note.id}:`, error);
+      }
+    }
+    
+    return purgedCount;
+  }
+
   /**
    * Get notes statistics for user
    */
@@ -312,6 +650,8 @@ export class NotesService extends BaseService {
           createNote: true,
           autoDelete: this.config.features.enableAutoDelete,
           cleanup: true,
+          formats: NOTE_FORMATS,
+          versioning: this.trackVersions,
         },
       };
     } catch (error) {
@@ -0,0 +1,145 @@
+/**
+ * Notification Service
+ * In-app notifications shown on the dashboard until the user dismisses them.
+ * Other services create them; the user can only list and mark them read.
+ */
+
+import { BaseRepository } from '../../core/database/index.js';
+import { NotFoundError, DatabaseError } from '../../core/errors/index.js';
+
+/**
+ * Notification repository
+ */
+class NotificationRepository extends BaseRepository {
+  constructor() {
+    super('notifications');
+  }
+
+  async insert(data) {
+    const result = await this.query(true)
+      .query.insert(data)
+      .select()
+      .single();
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data;
+  }
+
+  async findForUser(userId, { unreadOnly, limit }) {
+    let query = this.query(true)
+      .query.select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (unreadOnly) {
+      query = query.is('read_at', null);
+    }
+
+    const result = await query;
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data;
+  }
+
+  async markRead(id, userId) {
+    const result = await this.query(true)
+      .query.update({ read_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select();
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data[0] || null;
+  }
+
+  /**
+   * Mark read every unread notification whose data has these values
+   */
+  async markReadWhere(userId, dataMatch) {
+    const result = await this.query(true)
+      .query.update({ read_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .is('read_at', null)
+      .contains('data', dataMatch);
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+  }
+}
+
+/**
+ * Notification service
+ */
+export class NotificationService {
+  constructor() {
+    this.notificationRepository = new NotificationRepository();
+  }
+
+  formatNotification(notification) {
+    return {
+      id: notification.id,
+      type: notification.type,
+      title: notification.title,
+      body: notification.body,
+      data: notification.data || {},
+      read: Boolean(notification.read_at),
+      createdAt: notification.created_at,
+    };
+  }
+
+  /**
+   * @param {string} userId
+   * @param {{type: string, title: string, body?: string, data?: object}} notification
+   */
+  async notify(userId, { type, title, body = null, data = {} }) {
+    const notification = await this.notificationRepository.insert({
+      user_id: userId,
+      type,
+      title,
+      body,
+      data,
+    });
+    return this.formatNotification(notification);
+  }
+
+  /**
+   * The user's notifications, newest first
+   */
+  async listNotifications(userId, { unreadOnly = false, limit = 20 } = {}) {
+    const notifications = await this.notificationRepository.findForUser(userId, {
+      unreadOnly,
+      limit: Math.min(Math.max(Number(limit) || 20, 1), 100),
+    });
+    return notifications.map(notification => this.formatNotification(notification));
+  }
+
+  async markRead(userId, notificationId) {
+    const notification = await this.notificationRepository.markRead(notificationId, userId);
+    if (!notification) {
+      throw new NotFoundError('Notification');
+    }
+    return this.formatNotification(notification);
+  }
+
+  /**
+   * Dismiss the notifications about one thing, e.g. every alert for a session
+   */
+  async markReadWhere(userId, dataMatch) {
+    await this.notificationRepository.markReadWhere(userId, dataMatch);
+  }
+}
+
+// Create and export default instance
+const notificationService = new NotificationService();
+export default notificationService;
@@ -0,0 +1,134 @@
+/**
+ * OTP Quota Service
+ * Decides whether an SMS code may be sent: country allow/deny lists, a
+ * cooldown and rolling daily cap per number, and limits per client IP and per
+ * calling code. Every accepted request is recorded in `otp_send_requests`
+ * before the text goes out, so each answer can say when the next code is allowed.
+ */
+
+import { BaseRepository, db } from '../../core/database/index.js';
+import { RateLimitError, ValidationError, DatabaseError } from '../../core/errors/index.js';
+import { getOTPConfig } from '../../core/config/index.js';
+import { callingCode } from '../../core/utils/phoneCountry.js';
+import { clientIp } from '../../core/utils/clientIp.js';
+
+const REFUSALS = {
+  cooldown: 'Please wait before requesting another code.',
+  daily_limit: 'Too many codes have been sent to this number today.',
+  ip_limit: 'Too many codes have been requested from this network.',
+  country_limit: 'Codes to this country are temporarily limited.',
+};
+
+const interval = (minutes) => `${minutes} minutes`;
+
+/**
+ * Send request repository
+ */
+class SendRequestRepository extends BaseRepository {
+  constructor() {
+    super('otp_send_requests');
+  }
+
+  async reserve(params) {
+    const { data } = await db.executeQuery(client => client.rpc('reserve_otp_send', params), { useAdmin: true });
+    return data[0];
+  }
+
+  async remove(id) {
+    const result = await this.query(true)
+      .query.delete()
+      .eq('id', id);
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+  }
+}
+
+/**
+ * OTP quota service
+ */
+export class OTPQuotaService {
+  constructor() {
+    this.sendRequestRepository = new SendRequestRepository();
+    this.otpConfig = getOTPConfig();
+  }
+
+  /**
+   * Throw unless codes may be sent to this number's country
+   * @returns {string} The calling code
+   */
+  assertCountryAllowed(phoneNumber) {
+    const code = callingCode(phoneNumber);
+    if (!code) {
+      throw new ValidationError('Invalid phone number format', 'phoneNumber');
+    }
+
+    const { allowedCountries, blockedCountries } = this.otpConfig.validation.phoneNumber;
+    if (blockedCountries.includes(code) || (allowedCountries.length > 0 && !allowedCountries.includes(code))) {
+      throw new ValidationError(`Verification codes can't be sent to +${code} numbers`, 'phoneNumber');
+    }
+
+    return code;
+  }
+
+  /**
+   * Claim a send against every quota
+   * @param {string} phoneNumber - E.164
+   * @param {object} context
+   * @param {string} context.purpose - What the code is for, as in OTPService.sendOTP
+   * @param {string} [context.ipAddress]
+   * @returns {Promise<{reservationId: string, resendAt: string, retryAfter: number}>} When the next code to this number is allowed
+   * @throws {ValidationError} for a blocked country
+   * @throws {RateLimitError} with retryAfter (seconds) and retryAt when a quota is used up
+   */
+  async reserveSend(phoneNumber, { purpose, ipAddress } = {}) {
+    const code = this.assertCountryAllowed(phoneNumber);
+    const { cooldownMinutes, dailyLimit, perIp, perCountry } = this.otpConfig.rateLimiting;
+
+    const result = await this.sendRequestRepository.reserve({
+      p_phone: phoneNumber,
+      p_ip: clientIp(ipAddress),
+      p_calling_code: code,
+      p_purpose: purpose,
+      p_cooldown: interval(cooldownMinutes),
+      p_daily_limit: dailyLimit,
+      p_ip_limit: perIp.max,
+      p_ip_window: interval(perIp.windowMinutes),
+      p_country_limit: perCountry.overrides[code] ?? perCountry.max,
+      p_country_window: interval(perCountry.windowMinutes),
+    });
+
+    const retryAt = new Date(result.retry_at).toISOString();
+    const retryAfter = Math.max(1, Math.ceil((new Date(retryAt) - Date.now()) / 1000));
+
+    if (!result.allowed) {
+      if (result.reason !== 'cooldown') {
+        console.warn(`[OTP_QUOTA] Refused ${purpose} code to ${phoneNumber}: ${result.reason}`);
+      }
+      throw new RateLimitError(
+        `${REFUSALS[result.reason] || 'Too many codes requested.'} Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+        retryAfter,
+        retryAt
+      );
+    }
+
+    return { reservationId: result.request_id, resendAt: retryAt, retryAfter };
+  }
+
+  /**
+   * Give a reservation back when the text couldn't be sent, so a provider
+   * outage doesn't cost the user their cooldown and daily allowance
+   */
+  async releaseSend(reservationId) {
+    try {
+      await this.sendRequestRepository.remove(reservationId);
+    } catch (error) {
+      console.error('[OTP_QUOTA] Failed to release send reservation:', error);
+    }
+  }
+}
+
+// Create and export default instance
+const otpQuotaService = new OTPQuotaService();
+export default otpQuotaService;
@@ -37,12 +37,12 @@ export class OTPService extends BaseService {
   /**
    * Verify OTP
    */
-  async verifyOTP(phoneNumber, otp) {
+  async verifyOTP(phoneNumber, otp, options = {}) {
     if (!this.otpService) {
       throw new Error('OTP service not initialized');
     }
     
-    return await this.otpService.verifyOTP(phoneNumber, otp);
+    return await this.otpService.verifyOTP(phoneNumber, otp, options);
   }
 
   /**
@@ -0,0 +1,148 @@
+/**
+ * Retention Service
+ * Stores each user's retention policies and resolves the expiry date of
+ * auto-deleting notes and files against them.
+ */
+
+import { BaseService } from '../index.js';
+import { BaseRepository } from '../../core/database/index.js';
+import {
+  ValidationError,
+  DatabaseError
+} from '../../core/errors/index.js';
+import { getStorageConfig } from '../../core/config/index.js';
+import {
+  resolveRetention,
+  getExpiryDate,
+  validateRetentionPolicies
+} from '../../core/utils/retention.js';
+
+/**
+ * Retention policies repository
+ */
+class RetentionPoliciesRepository extends BaseRepository {
+  constructor() {
+    super('retention_policies');
+  }
+
+  async findByUser(userId) {
+    const result = await this.query()
+      .selectForUser(userId)
+      .order('created_at', { ascending: true });
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data;
+  }
+
+  async deleteAllForUser(userId) {
+    const result = await this.query()
+      .query.delete()
+      .eq('user_id', userId);
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+  }
+
+  async insertManyForUser(userId, policies) {
+    if (policies.length === 0) return [];
+
+    const result = await this.query()
+      .query.insert(policies.map(policy => ({ ...policy, user_id: userId })))
+      .select();
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data;
+  }
+}
+
+/**
+ * Retention service
+ */
+export class RetentionService extends BaseService {
+  constructor() {
+    super('RetentionService');
+    this.policiesRepository = new RetentionPoliciesRepository();
+    this.defaults = getStorageConfig().autoDelete.defaultRetention;
+  }
+
+  /**
+   * Format a policy for API responses
+   */
+  formatPolicy(policy) {
+    return {
+      id: policy.id,
+      contentType: policy.content_type,
+      matchType: policy.match_type,
+      matchValue: policy.match_value,
+      expirySeconds: policy.expiry_seconds,
+    };
+  }
+
+  /**
+   * Get a user's retention policies
+   */
+  async getPolicies(userId) {
+    const policies = await this.policiesRepository.findByUser(userId);
+
+    return {
+      policies: policies.map(policy => this.formatPolicy(policy)),
+      defaults: this.defaults,
+    };
+  }
+
+  /**
+   * Replace a user's retention policies
+   */
+  async updatePolicies(userId, policies) {
+    if (!Array.isArray(policies)) {
+      throw new ValidationError('Policies must be an array', 'policies');
+    }
+
+    const rows = policies.map(policy => ({
+      content_type: policy.contentType || null,
+      match_type: policy.matchType || 'default',
+      match_value: policy.matchValue?.trim() || null,
+      expiry_seconds: Number(policy.expirySeconds),
+    }));
+
+    const problem = validateRetentionPolicies(rows);
+    if (problem) {
+      throw new ValidationError(problem, 'policies');
+    }
+
+    await this.policiesRepository.deleteAllForUser(userId);
+    const saved = await this.policiesRepository.insertManyForUser(userId, rows);
+
+    return {
+      policies: saved.map(policy => this.formatPolicy(policy)),
+      defaults: this.defaults,
+    };
+  }
+
+  /**
+   * Resolve when an auto-deleting item expires
+   * @param {string} userId
+   * @param {object} item - { contentType, tags?, category?, requestedSeconds? }
+   * @returns {Promise<{expiryDate: string, seconds: number, source: string}>}
+   */
+  async resolveExpiry(userId, item) {
+    const policies = item.requestedSeconds > 0
+      ? []
+      : await this.policiesRepository.findByUser(userId);
+
+    const { seconds, source } = resolveRetention(policies, item, this.defaults);
+
+    return {
+      expiryDate: getExpiryDate(seconds),
+      seconds,
+      source,
+    };
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * Search Service
+ * Unified full-text search across notes, images and documents
+ */
+
+import { BaseService } from '../index.js';
+import { db } from '../../core/database/index.js';
+import {
+  ValidationError,
+  ConfigurationError
+} from '../../core/errors/index.js';
+import { getStorageConfig } from '../../core/config/index.js';
+
+// Highlight delimiters emitted by search_user_content (see migration)
+const HIGHLIGHT_START = '\u0001';
+const HIGHLIGHT_STOP = '\u0002';
+
+const SEARCH_TYPES = ['note', 'image', 'document'];
+
+const GROUP_NAMES = {
+  note: 'notes',
+  image: 'images',
+  document: 'documents',
+};
+
+/**
+ * Search service
+ */
+export class SearchService extends BaseService {
+  constructor() {
+    super('SearchService');
+    this.storageConfig = getStorageConfig();
+    this.client = null;
+  }
+
+  async onInitialize() {
+    this.client = db.getClient();
+
+    if (!this.storageConfig.metadata.indexContent) {
+      console.warn('Content indexing is disabled - search is unavailable');
+    }
+  }
+
+  /**
+   * Validate search input
+   */
+  validateSearch(query, types) {
+    if (!query || typeof query !== 'string' || query.trim().length < 2) {
+      throw new ValidationError('Search term must be at least 2 characters', 'q');
+    }
+
+    if (query.length > 200) {
+      throw new ValidationError('Search term cannot exceed 200 characters', 'q');
+    }
+
+    const invalidTypes = types.filter(type => !SEARCH_TYPES.includes(type));
+    if (invalidTypes.length > 0) {
+      throw new ValidationError(
+        `Invalid search types: ${invalidTypes.join(', ')}`,
+        'types',
+        invalidTypes
+      );
+    }
+  }
+
+  /**
+   * Build a to_tsquery expression from free text
+   * Terms are reduced to letters/digits so user input can't inject tsquery operators,
+   * and the last term is prefix-matched for search-as-you-type.
+   */
+  buildTsQuery(query) {
+    const terms = query.match(/[\p{L}\p{N}]+/gu) || [];
+
+    if (terms.length === 0) {
+      return null;
+    }
+
+    return terms
+      .map((term, index) => (index === terms.length - 1 ? `${term}:*` : term))
+      .join(' & ');
+  }
+
+  /**
+   * Split a ts_headline snippet into plain/highlighted segments
+   */
+  parseHighlights(snippet) {
+    if (!snippet) {
+      return [];
+    }
+
+    const segments = [];
+    let match = false;
+    let buffer = '';
+
+    for (const char of snippet) {
+      if (char === HIGHLIGHT_START || char === HIGHLIGHT_STOP) {
+        if (buffer) {
+          segments.push({ text: buffer, match });
+        }
+        buffer = '';
+        match = char === HIGHLIGHT_START;
+      } else {
+        buffer += char;
+      }
+    }
+
+    if (buffer) {
+      segments.push({ text: buffer, match });
+    }
+
+    return segments;
+  }
+
+  /**
+   * Format a search hit
+   */
+  formatHit(row) {
+    const hit = {
+      id: row.item_id,
+      type: row.item_type,
+      title: row.title,
+      highlights: this.parseHighlights(row.snippet),
+      rank: row.rank,
+      createdAt: row.created_at,
+    };
+
+    if (row.bucket_id && row.file_path) {
+      const { data } = this.client.storage
+        .from(row.bucket_id)
+        .getPublicUrl(row.file_path);
+      hit.url = data.publicUrl;
+    }
+
+    return hit;
+  }
+
+  /**
+   * Search user content
+   */
+  async search(userId, query, options = {}) {
+    const { types = SEARCH_TYPES, limit = 20 } = options;
+
+    if (!this.storageConfig.metadata.indexContent) {
+      throw new ConfigurationError('Content indexing is disabled', 'storage.metadata.indexContent');
+    }
+
+    this.validateSearch(query, types);
+
+    const groups = Object.fromEntries(types.map(type => [GROUP_NAMES[type], []]));
+    const tsQuery = this.buildTsQuery(query.trim());
+
+    if (!tsQuery) {
+      return { query, total: 0, groups };
+    }
+
+    const { data } = await db.executeQuery(client => client.rpc('search_user_content', {
+      p_user_id: userId,
+      p_query: tsQuery,
+      p_types: types,
+      p_limit: Math.min(Math.max(limit, 1), 50),
+    }));
+
+    const hits = (data || [])
+      .map(row => this.formatHit(row))
+      .sort((a, b) => b.rank - a.rank);
+
+    for (const hit of hits) {
+      groups[GROUP_NAMES[hit.type]].push(hit);
+    }
+
+    return {
+      query,
+      total: hits.length,
+      groups,
+    };
+  }
+
+  /**
+   * Health check
+   */
+  async healthCheck() {
+    const baseHealth = await super.healthCheck();
+
+    return {
+      ...baseHealth,
+      features: {
+        indexContent: this.storageConfig.metadata.indexContent,
+        types: SEARCH_TYPES,
+      },
+    };
+  }
+}
@@ -10,10 +10,18 @@ import {
   FileUploadError, 
   ValidationError,
   NotFoundError,
+  DatabaseError,
+  ConfigurationError,
   ErrorHandler 
 } from '../../core/errors/index.js';
 import { getStorageConfig, getSupabaseConfig } from '../../core/config/index.js';
 import { db } from '../../core/database/index.js';
+import {
+  RESIZABLE_IMAGE_TYPES,
+  VARIANT_CONTENT_TYPE,
+  generateImageVariants,
+  getVariantPath
+} from '../../core/utils/imageVariants.js';
 
 /**
  * File repository
@@ -36,13 +44,80 @@ class FileRepository extends BaseRepository {
     return result.data;
   }
 
-  async findExpiredFiles(days = 30) {
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - days);
+  async findLatestByName(fileName, bucketName, userId) {
+    const result = await this.query()
+      .selectForUser(userId)
+      .eq('file_name', fileName)
+      .eq('bucket_name', bucketName)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: false })
+      .limit(1);
+    
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+    
+    return result.data[0] || null;
+  }
+
+  async findExpiredFiles() {
+    const now = new Date().toISOString();
     
     const result = await this.query(true)
       .query.select('*')
-      .lt('created_at', cutoffDate.toISOString());
+      .eq('auto_delete', true)
+      .is('deleted_at', null)
+      .lt('expiry_date', now);
+    
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+    
+    return result.data;
+  }
+
+  /**
+   * Files that are not in the trash
+   */
+  async findActiveForUser(userId, options = {}) {
+    const { page, limit, orderBy = 'created_at', ascending = false } = options;
+    
+    let query = this.query().selectForUser(userId).is('deleted_at', null);
+    
+    if (orderBy) {
+      query = query.order(orderBy, { ascending });
+    }
+    
+    if (page && limit) {
+      query = query.range((page - 1) * limit, page * limit - 1);
+    }
+    
+    const result = await query;
+    
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+    
+    return result.data;
+  }
+
+  async findTrashed(userId) {
+    const result = await this.query()
+      .selectForUser(userId)
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false });
+    
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+    
+    return result.data;
+  }
+
+  async findTrashedBefore(cutoff) {
+    const result = await this.query(true)
+      .query.select('*')
+      .lt('deleted_at', cutoff);
     
     if (result.error) {
       throw new DatabaseError(result.error.message, result.error);
@@ -61,6 +136,81 @@ class FileRepository extends BaseRepository {
     
     return result.data;
   }
+
+  /**
+   * Point the file at a new object and record it as the next version
+   * Runs as one statement (add_file_version) with the file row locked, so
+   * concurrent uploads get distinct version numbers.
+   * @returns {Promise<object|null>} The updated file, or null if it's gone or trashed
+   */
+  async addVersion(fileId, userId, { filePath, fileSize, fileType, publicUrl, variants, metadata }) {
+    const { data } = await db.executeQuery(client => client.rpc('add_file_version', {
+      p_file_id: fileId,
+      p_user_id: userId,
+      p_file_path: filePath,
+      p_file_size: fileSize,
+      p_file_type: fileType,
+      p_public_url: publicUrl,
+      p_variants: variants,
+      p_metadata: metadata,
+    }), { useAdmin: true });
+    
+    return data?.[0] || null;
+  }
+}
+
+/**
+ * File versions repository
+ */
+class FileVersionsRepository extends BaseRepository {
+  constructor() {
+    super('file_versions');
+  }
+
+  async findByFileId(fileId, userId) {
+    const result = await this.query()
+      .selectForUser(userId)
+      .eq('file_id', fileId)
+      .order('version', { ascending: false });
+    
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+    
+    return result.data;
+  }
+
+  async findVersion(fileId, userId, version) {
+    const result = await this.query()
+      .selectForUser(userId)
+      .eq('file_id', fileId)
+      .eq('version', version)
+      .single();
+    
+    if (result.error) {
+      if (result.error.code === 'PGRST116') {
+        return null;
+      }
+      throw new DatabaseError(result.error.message, result.error);
+    }
+    
+    return result.data;
+  }
+
+  async findOlderThan(days) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - days);
+    
+    const result = await this.query(true)
+      .query.select('*, files!inner(current_version)')
+      .lt('created_at', cutoffDate.toISOString());
+    
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+    
+    return result.data;
+  }
 }
 
 /**
@@ -70,6 +220,7 @@ export class StorageService extends BaseService {
   constructor() {
     super('StorageService');
     this.fileRepository = new FileRepository();
+    this.versionsRepository = new FileVersionsRepository();
     this.storageConfig = getStorageConfig();
     this.supabaseConfig = getSupabaseConfig();
     this.client = null;
@@ -122,6 +273,50 @@ export class StorageService extends BaseService {
     }
   }
 
+  /**
+   * Put an object in a bucket and return its public URL
+   */
+  async uploadObject(file, filePath, bucketName, options = {}) {
+    const { error } = await this.client.storage
+      .from(bucketName)
+      .upload(filePath, file, {
+        cacheControl: this.storageConfig.cdn.cacheControl,
+        upsert: options.upsert || false,
+      });
+    
+    if (error) {
+      throw new StorageError(`Upload failed: ${error.message}`, 'upload');
+    }
+    
+    const { data: urlData } = this.client.storage
+      .from(bucketName)
+      .getPublicUrl(filePath);
+    
+    return urlData.publicUrl;
+  }
+
+  /**
+   * Find the file an upload should become a new version of
+   * An explicit `replaces` id wins; otherwise the latest file with the same name in the bucket.
+   */
+  async findVersionTarget(file, userId, bucketName, replaces) {
+    if (replaces) {
+      const target = await this.fileRepository.findById(replaces, userId);
+      
+      if (!target || target.deleted_at) {
+        throw new NotFoundError('File');
+      }
+      
+      if (target.bucket_name !== bucketName) {
+        throw new ValidationError('A new version must be the same kind of file as the one it replaces', 'replaces', replaces);
+      }
+      
+      return target;
+    }
+    
+    return await this.fileRepository.findLatestByName(file.name, bucketName, userId);
+  }
+
   /**
    * Upload file to storage
    */
@@ -130,26 +325,25 @@ export class StorageService extends BaseService {
       // Validate file
       this.validateFileUpload(file, bucketType);
       
+      const bucketName = this.storageConfig.buckets[bucketType].name;
+      
+      if (this.storageConfig.metadata.trackVersions) {
+        const target = await this.findVersionTarget(file, userId, bucketName, options.replaces);
+        
+        if (target) {
+          return await this.uploadFileVersion(target, file, userId, bucketType, options);
+        }
+      }
+      
       // Generate file path
       const filePath = this.generateFilePath(userId, file.name, bucketType);
-      const bucketName = this.storageConfig.buckets[bucketType].name;
       
       // Upload to Supabase Storage
-      const { data, error } = await this.client.storage
-        .from(bucketName)
-        .upload(filePath, file, {
-          cacheControl: this.storageConfig.cdn.cacheControl,
-          upsert: options.upsert || false,
-        });
+      const publicUrl = await this.uploadObject(file, filePath, bucketName, options);
       
-      if (error) {
-        throw new StorageError(`Upload failed: ${error.message}`, 'upload');
-      }
-      
-      // Get public URL
-      const { data: urlData } = this.client.storage
-        .from(bucketName)
-        .getPublicUrl(filePath);
+      const variants = bucketType === 'images'
+        ? await this.createImageVariants(file, file.type, filePath, bucketName)
+        : null;
       
       // Save file metadata to database
       const fileMetadata = {
@@ -158,8 +352,10 @@ export class StorageService extends BaseService {
         file_size: file.size,
         file_type: file.type,
         bucket_name: bucketName,
-        public_url: urlData.publicUrl,
+        public_url: publicUrl,
         upload_status: 'completed',
+        current_version: 1,
+        variants,
         metadata: {
           originalName: file.name,
           uploadedAt: new Date().toISOString(),
@@ -170,31 +366,354 @@ export class StorageService extends BaseService {
       
       const savedFile = await this.fileRepository.create(fileMetadata, userId);
       
-      return {
-        id: savedFile.id,
-        fileName: savedFile.file_name,
-        filePath: savedFile.file_path,
-        fileSize: savedFile.file_size,
-        fileType: savedFile.file_type,
-        publicUrl: savedFile.public_url,
-        uploadedAt: savedFile.created_at,
-      };
+      if (this.storageConfig.metadata.trackVersions) {
+        await this.recordFileVersion(savedFile, userId);
+      }
+      
+      return this.formatUploadedFile(savedFile);
       
     } catch (error) {
-      if (error instanceof FileUploadError || error instanceof ValidationError) {
+      if (error instanceof FileUploadError || error instanceof ValidationError || error instanceof NotFoundError) {
         throw error;
       }
       throw new StorageError(`Upload failed: ${error.message}`, 'upload');
     }
   }
 
+  /**
+   * Upload a new version of an existing file
+   * The file record keeps its id and points at the newest object; every
+   * object stays listed in file_versions until retention prunes it. If the
+   * version can't be recorded, the uploaded objects are removed again.
+   */
+  async uploadFileVersion(existingFile, file, userId, bucketType, options = {}) {
+    const bucketName = existingFile.bucket_name;
+    const filePath = this.generateFilePath(userId, file.name, bucketType);
+    const publicUrl = await this.uploadObject(file, filePath, bucketName, options);
+    
+    const variants = bucketType === 'images'
+      ? await this.createImageVariants(file, file.type, filePath, bucketName)
+      : null;
+    const uploadedPaths = [filePath, ...this.getVariantPaths({ variants })];
+    
+    let updatedFile;
+    try {
+      updatedFile = await this.fileRepository.addVersion(existingFile.id, userId, {
+        filePath,
+        fileSize: file.size,
+        fileType: file.type,
+        publicUrl,
+        variants,
+        metadata: {
+          ...options.metadata,
+          uploadedAt: new Date().toISOString(),
+        },
+      });
+    } catch (error) {
+      await this.removeUploadedObjects(bucketName, uploadedPaths);
+      throw error;
+    }
+    
+    // Trashed or deleted while uploading
+    if (!updatedFile) {
+      await this.removeUploadedObjects(bucketName, uploadedPaths);
+      throw new NotFoundError('File');
+    }
+    
+    await this.pruneFileVersions(updatedFile.id, userId);
+    
+    // Variants always follow the current version; older versions serve their original
+    const staleVariantPaths = this.getVariantPaths(existingFile);
+    if (staleVariantPaths.length > 0) {
+      await this.client.storage
+        .from(bucketName)
+        .remove(staleVariantPaths);
+    }
+    
+    return this.formatUploadedFile(updatedFile);
+  }
+
+  /**
+   * Remove objects of an upload that was never recorded
+   * Best effort: the upload has already failed, and this must not hide why.
+   */
+  async removeUploadedObjects(bucketName, paths) {
+    const { error } = await this.client.storage
+      .from(bucketName)
+      .remove(paths);
+    
+    if (error) {
+      console.error(`Failed to remove unrecorded upload ${paths[0]}:`, error);
+    }
+  }
+
+  /**
+   * Record the file's current object as a version
+   */
+  async recordFileVersion(file, userId) {
+    return await this.versionsRepository.create({
+      file_id: file.id,
+      version: file.current_version || 1,
+      bucket_id: file.bucket_name,
+      file_path: file.file_path,
+      file_size: file.file_size,
+      content_type: file.file_type,
+    }, userId);
+  }
+
+  /**
+   * Format an uploaded file record
+   */
+  formatUploadedFile(savedFile) {
+    return {
+      id: savedFile.id,
+      fileName: savedFile.file_name,
+      filePath: savedFile.file_path,
+      fileSize: savedFile.file_size,
+      fileType: savedFile.file_type,
+      publicUrl: savedFile.public_url,
+      variants: this.formatVariants(savedFile),
+      version: savedFile.current_version || 1,
+      uploadedAt: savedFile.created_at,
+    };
+  }
+
+  /**
+   * Build resized variants of an uploaded image
+   * Returns the value for the `variants` column, or null when the image type
+   * can't be resized or processing fails; a missing thumbnail never fails an upload.
+   */
+  async createImageVariants(source, fileType, filePath, bucketName) {
+    if (!this.storageConfig.metadata.generateThumbnails || !RESIZABLE_IMAGE_TYPES.includes(fileType)) {
+      return null;
+    }
+    
+    try {
+      const buffer = Buffer.from(await source.arrayBuffer());
+      const generated = await generateImageVariants(buffer, this.storageConfig.cdn.transformations.images);
+      const variants = {};
+      
+      for (const variant of generated) {
+        const variantPath = getVariantPath(filePath, variant.name);
+        
+        const { error } = await this.client.storage
+          .from(bucketName)
+          .upload(variantPath, variant.buffer, {
+            contentType: VARIANT_CONTENT_TYPE,
+            cacheControl: this.storageConfig.cdn.cacheControl,
+            upsert: true,
+          });
+        
+        if (error) {
+          throw new Error(error.message);
+        }
+        
+        variants[variant.name] = {
+          path: variantPath,
+          width: variant.width,
+          height: variant.height,
+          size: variant.size,
+        };
+      }
+      
+      return variants;
+    } catch (error) {
+      console.error(`Failed to generate image variants for ${filePath}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Storage paths of a file's variants
+   */
+  getVariantPaths(file) {
+    return Object.values(file.variants || {}).map(variant => variant.path);
+  }
+
+  /**
+   * Variants with public URLs, keyed by size name
+   */
+  formatVariants(file) {
+    if (!file.variants) {
+      return null;
+    }
+    
+    const bucketName = file.bucket_name || file.bucket_id;
+    
+    return Object.fromEntries(Object.entries(file.variants).map(([name, variant]) => [name, {
+      url: this.client.storage.from(bucketName).getPublicUrl(variant.path).data.publicUrl,
+      width: variant.width,
+      height: variant.height,
+    }]));
+  }
+
+  /**
+   * (Re)generate variants for a stored image
+   * Used for images the browser uploads straight to storage, and to backfill older images.
+   */
+  async generateVariantsForFile(fileId, userId) {
+    if (!this.storageConfig.metadata.generateThumbnails) {
+      throw new ConfigurationError('Thumbnail generation is disabled', 'storage.metadata.generateThumbnails');
+    }
+    
+    const file = await this.fileRepository.findById(fileId, userId);
+    
+    if (!file) {
+      throw new NotFoundError('File');
+    }
+    
+    // Rows written by the browser client use bucket_id/content_type
+    const bucketName = file.bucket_name || file.bucket_id;
+    const fileType = file.file_type || file.content_type;
+    
+    if (!RESIZABLE_IMAGE_TYPES.includes(fileType)) {
+      throw new ValidationError(`Variants cannot be generated for ${fileType} files`, 'fileType', fileType);
+    }
+    
+    const { data, error } = await this.client.storage
+      .from(bucketName)
+      .download(file.file_path);
+    
+    if (error) {
+      throw new StorageError(`Download failed: ${error.message}`, 'download');
+    }
+    
+    const variants = await this.createImageVariants(data, fileType, file.file_path, bucketName);
+    
+    if (!variants) {
+      throw new StorageError('Image processing failed', 'variants');
+    }
+    
+    const updatedFile = await this.fileRepository.update(fileId, {
+      variants,
+      updated_at: new Date().toISOString(),
+    }, userId);
+    
+    return {
+      id: updatedFile.id,
+      variants: this.formatVariants(updatedFile),
+    };
+  }
+
+  /**
+   * List versions of a file (newest first)
+   */
+  async getFileVersions(fileId, userId) {
+    const file = await this.fileRepository.findById(fileId, userId);
+    
+    if (!file) {
+      throw new NotFoundError('File');
+    }
+    
+    const versions = await this.versionsRepository.findByFileId(fileId, userId);
+    const currentVersion = file.current_version || 1;
+    
+    return versions.map(version => ({
+      version: version.version,
+      fileName: file.file_name,
+      fileSize: version.file_size,
+      fileType: version.content_type,
+      publicUrl: this.client.storage
+        .from(version.bucket_id)
+        .getPublicUrl(version.file_path).data.publicUrl,
+      isCurrent: version.version === currentVersion,
+      uploadedAt: version.created_at,
+    }));
+  }
+
+  /**
+   * Get a specific version of a file
+   */
+  async getFileVersion(fileId, userId, version) {
+    const versionNumber = parseInt(version);
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      throw new ValidationError('Version must be a positive integer', 'version', version);
+    }
+    
+    const file = await this.fileRepository.findById(fileId, userId);
+    
+    if (!file) {
+      throw new NotFoundError('File');
+    }
+    
+    const record = await this.versionsRepository.findVersion(fileId, userId, versionNumber);
+    
+    if (!record) {
+      throw new NotFoundError(`Version ${versionNumber}`);
+    }
+    
+    return {
+      id: file.id,
+      version: record.version,
+      fileName: file.file_name,
+      filePath: record.file_path,
+      bucketName: record.bucket_id,
+      fileSize: record.file_size,
+      fileType: record.content_type,
+      isCurrent: record.version === (file.current_version || 1),
+      uploadedAt: record.created_at,
+    };
+  }
+
+  /**
+   * Delete a version's object from storage
+   * Throws when storage refuses, so the caller keeps the version row and the
+   * next prune tries again rather than leaving the object orphaned.
+   */
+  async removeVersionObject(version) {
+    const { error } = await this.client.storage
+      .from(version.bucket_id)
+      .remove([version.file_path]);
+    
+    if (error) {
+      throw new StorageError(`Failed to remove ${version.file_path}: ${error.message}`, 'remove');
+    }
+  }
+
+  /**
+   * Remove version objects and records
+   * A version whose object couldn't be removed is kept and not counted.
+   */
+  async removeFileVersions(versions, userId) {
+    let removedCount = 0;
+    
+    for (const version of versions) {
+      try {
+        await this.removeVersionObject(version);
+        await this.versionsRepository.delete(version.id, userId);
+        removedCount++;
+      } catch (error) {
+        console.error(`Failed to prune version ${version.version} of file ${version.file_id}:`, error);
+      }
+    }
+    
+    return removedCount;
+  }
+
+  /**
+   * Apply version retention to one file
+   * Keeps the newest `maxVersionsPerFile` versions, drops anything past
+   * `retentionDays`, and never touches the current version.
+   */
+  async pruneFileVersions(fileId, userId) {
+    const { maxVersionsPerFile, retentionDays } = this.storageConfig.versioning;
+    const versions = await this.versionsRepository.findByFileId(fileId, userId);
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    
+    const expired = versions.filter((version, index) => index > 0 && (
+      index >= maxVersionsPerFile || new Date(version.created_at).getTime() < cutoff
+    ));
+    
+    return await this.removeFileVersions(expired, userId);
+  }
+
   /**
    * Get file by ID
    */
   async getFile(fileId, userId) {
     const file = await this.fileRepository.findById(fileId, userId);
     
-    if (!file) {
+    if (!file || file.deleted_at) {
       throw new NotFoundError('File');
     }
     
@@ -205,6 +724,8 @@ export class StorageService extends BaseService {
       fileSize: file.file_size,
       fileType: file.file_type,
       publicUrl: file.public_url,
+      variants: this.formatVariants(file),
+      version: file.current_version || 1,
       uploadedAt: file.created_at,
       metadata: file.metadata,
     };
@@ -214,7 +735,7 @@ export class StorageService extends BaseService {
    * Get all files for user
    */
   async getUserFiles(userId, options = {}) {
-    const files = await this.fileRepository.findAllForUser(userId, options);
+    const files = await this.fileRepository.findActiveForUser(userId, options);
     
     return files.map(file => ({
       id: file.id,
@@ -223,38 +744,117 @@ export class StorageService extends BaseService {
       fileSize: file.file_size,
       fileType: file.file_type,
       publicUrl: file.public_url,
+      variants: this.formatVariants(file),
+      version: file.current_version || 1,
       uploadedAt: file.created_at,
       metadata: file.metadata,
     }));
   }
 
   /**
-   * Delete file
+   * Move a file to the trash
+   * Storage objects are kept until the file is purged.
    */
   async deleteFile(fileId, userId) {
-    // Get file metadata
     const file = await this.fileRepository.findById(fileId, userId);
     
-    if (!file) {
+    if (!file || file.deleted_at) {
       throw new NotFoundError('File');
     }
     
+    await this.fileRepository.update(fileId, { deleted_at: new Date().toISOString() }, userId);
+    
+    return { success: true };
+  }
+
+  /**
+   * Get a trashed file
+   */
+  async getTrashedFile(fileId, userId) {
+    const file = await this.fileRepository.findById(fileId, userId);
+    
+    if (!file || !file.deleted_at) {
+      throw new NotFoundError('File in trash');
+    }
+    
+    return file;
+  }
+
+  /**
+   * List the user's trashed files, most recently deleted first
+   */
+  async getTrashedFiles(userId) {
+    return await this.fileRepository.findTrashed(userId);
+  }
+
+  /**
+   * Take a file back out of the trash
+   * Expired files come back without auto-delete so cleanup doesn't trash them again.
+   */
+  async restoreFile(fileId, userId) {
+    const file = await this.getTrashedFile(fileId, userId);
+    const hasExpired = file.expiry_date && new Date(file.expiry_date) < new Date();
+    
+    return await this.fileRepository.update(fileId, {
+      deleted_at: null,
+      ...(hasExpired && { auto_delete: false, expiry_date: null }),
+    }, userId);
+  }
+
+  /**
+   * Every storage object belonging to a file: original, variants and older versions
+   */
+  async getFileObjectPaths(file, useAdmin = false) {
+    const result = await this.versionsRepository.query(useAdmin)
+      .query.select('file_path')
+      .eq('file_id', file.id);
+    
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+    
+    return [...new Set([
+      file.file_path,
+      ...this.getVariantPaths(file),
+      ...result.data.map(version => version.file_path),
+    ])];
+  }
+
+  /**
+   * Permanently delete a file and its storage objects
+   * Version rows go with the file (cascade), so the row is only deleted once
+   * the objects are gone; otherwise nothing would point at them any more.
+   */
+  async removeFilePermanently(file, useAdmin = false) {
+    const filePaths = await this.getFileObjectPaths(file, useAdmin);
+    const client = useAdmin ? db.getAdminClient() : this.client;
+    
+    const { error } = await client.storage
+      .from(file.bucket_name || file.bucket_id)
+      .remove(filePaths);
+    
+    if (error) {
+      throw new StorageError(`Failed to remove objects of file ${file.id}: ${error.message}`, 'remove');
+    }
+    
+    const result = await this.fileRepository.query(useAdmin)
+      .query.delete()
+      .eq('id', file.id);
+    
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+  }
+
+  /**
+   * Permanently delete a trashed file
+   */
+  async purgeFile(fileId, userId) {
+    const file = await this.getTrashedFile(fileId, userId);
+    
     try {
-      // Delete from storage
-      const { error } = await this.client.storage
-        .from(file.bucket_name)
-        .remove([file.file_path]);
-      
-      if (error) {
-        console.error('Storage deletion error:', error);
-        // Continue with database deletion even if storage deletion fails
-      }
-      
-      // Delete from database
-      await this.fileRepository.delete(fileId, userId);
-      
+      await this.removeFilePermanently(file);
       return { success: true };
-      
     } catch (error) {
       throw new StorageError(`Delete failed: ${error.message}`, 'delete');
     }
@@ -316,43 +916,36 @@ export class StorageService extends BaseService {
   }
 
   /**
-   * Clean up expired files
+   * Move expired auto-delete files to the trash and prune old versions
    */
   async cleanupExpiredFiles() {
-    const { defaultExpiry } = this.storageConfig.autoDelete;
-    
     try {
-      // Get expired images
-      const expiredImages = await this.fileRepository.findExpiredFiles(defaultExpiry.images);
-      
-      // Get expired documents
-      const expiredDocuments = await this.fileRepository.findExpiredFiles(defaultExpiry.documents);
-      
-      const allExpiredFiles = [...expiredImages, ...expiredDocuments];
-      let deletedCount = 0;
+      // Expiry dates are set per item from the owner's retention policies
+      const allExpiredFiles = await this.fileRepository.findExpiredFiles();
+      const deletedAt = new Date().toISOString();
+      let trashedCount = 0;
       
       for (const file of allExpiredFiles) {
         try {
-          // Delete from storage
-          await this.client.storage
-            .from(file.bucket_name)
-            .remove([file.file_path]);
-          
-          // Delete from database
           await this.fileRepository.query(true)
-            .query.delete()
+            .query.update({ deleted_at: deletedAt })
             .eq('id', file.id);
           
-          deletedCount++;
+          trashedCount++;
         } catch (error) {
-          console.error(`Failed to delete expired file ${file.id}:`, error);
+          console.error(`Failed to trash expired file ${file.id}:`, error);
         }
       }
       
+      const prunedVersions = this.storageConfig.metadata.trackVersions
+        ? await this.cleanupExpiredVersions()
+        : 0;
+      
       return {
         success: true,
-        deletedCount,
+        trashedCount,
         totalExpired: allExpiredFiles.length,
+        prunedVersions,
       };
       
     } catch (error) {
@@ -360,6 +953,60 @@ export class StorageService extends BaseService {
     }
   }
 
+  /**
+   * Permanently delete files that have been in the trash since before `cutoff`
+   */
+  async purgeTrashedFiles(cutoff) {
+    const files = await this.fileRepository.findTrashedBefore(cutoff);
+    let purgedCount = 0;
+    
+    for (const file of files) {
+      try {
+        await this.removeFilePermanently(file, true);
+        purgedCount++;
+      } catch (error) {
+        console.error(`Failed to purge file ${file.id}:`, error);
+      }
+    }
+    
+    return purgedCount;
+  }
+
+  /**
+   * Prune versions past the retention window across all users
+   */
+  async cleanupExpiredVersions() {
+    const staleVersions = await this.versionsRepository.findOlderThan(
+      this.storageConfig.versioning.retentionDays
+    );
+    
+    let prunedCount = 0;
+    
+    for (const version of staleVersions) {
+      if (version.version === version.files.current_version) {
+        continue;
+      }
+      
+      try {
+        await this.removeVersionObject(version);
+        
+        const result = await this.versionsRepository.query(true)
+          .query.delete()
+          .eq('id', version.id);
+        
+        if (result.error) {
+          throw new DatabaseError(result.error.message, result.error);
+        }
+        
+        prunedCount++;
+      } catch (error) {
+        console.error(`Failed to prune version ${version.version} of file ${version.file_id}:`, error);
+      }
+    }
+    
+    return prunedCount;
+  }
+
   /**
    * Health check
    */
@@ -395,6 +1042,8 @@ export class StorageService extends BaseService {
           download: true,
           delete: true,
           cleanup: this.storageConfig.autoDelete.enabled,
+          versioning: this.storageConfig.metadata.trackVersions,
+          thumbnails: this.storageConfig.metadata.generateThumbnails,
         },
       };
       
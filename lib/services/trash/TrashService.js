@@ -0,0 +1,168 @@
+/**
+ * Trash Service
+ * Lists, restores and purges trashed notes and files. Deleting or expiring an
+ * item only sets `deleted_at`; items are purged for good once they have been
+ * in the trash for `autoDelete.gracePeriod` days.
+ */
+
+import { BaseService } from '../index.js';
+import { getNotesService, getStorageService } from '../index.js';
+import { ValidationError } from '../../core/errors/index.js';
+import { getStorageConfig } from '../../core/config/index.js';
+
+export const TRASH_ITEM_TYPES = ['note', 'image', 'document'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Trash service
+ */
+export class TrashService extends BaseService {
+  constructor() {
+    super('TrashService');
+    this.storageConfig = getStorageConfig();
+    this.gracePeriodDays = this.storageConfig.autoDelete.gracePeriod;
+  }
+
+  async onInitialize() {
+    this.notesService = getNotesService();
+    this.storageService = getStorageService();
+  }
+
+  /**
+   * When an item trashed at `deletedAt` will be purged
+   */
+  getPurgeDate(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + this.gracePeriodDays * DAY_MS).toISOString();
+  }
+
+  /**
+   * Validate a trash item type from a route parameter
+   */
+  validateType(type) {
+    if (!TRASH_ITEM_TYPES.includes(type)) {
+      throw new ValidationError(
+        `Type must be one of: ${TRASH_ITEM_TYPES.join(', ')}`,
+        'type',
+        type
+      );
+    }
+  }
+
+  /**
+   * Whether a trashed item got there by expiring rather than being deleted
+   */
+  wasExpired(item) {
+    return Boolean(item.expiry_date) && new Date(item.expiry_date) <= new Date(item.deleted_at);
+  }
+
+  formatNote(note) {
+    return {
+      type: 'note',
+      id: note.id,
+      title: note.text.slice(0, 80),
+      deletedAt: note.deleted_at,
+      purgeAt: this.getPurgeDate(note.deleted_at),
+      expired: this.wasExpired(note),
+    };
+  }
+
+  formatFile(file) {
+    const bucket = file.bucket_name || file.bucket_id;
+
+    return {
+      type: bucket === this.storageConfig.buckets.images.name ? 'image' : 'document',
+      id: file.id,
+      title: file.file_name,
+      fileType: file.file_type || file.content_type,
+      fileSize: file.file_size,
+      deletedAt: file.deleted_at,
+      purgeAt: this.getPurgeDate(file.deleted_at),
+      expired: this.wasExpired(file),
+    };
+  }
+
+  /**
+   * Everything in the user's trash, most recently deleted first
+   */
+  async getTrash(userId) {
+    const [notes, files] = await Promise.all([
+      this.notesService.getTrashedNotes(userId),
+      this.storageService.getTrashedFiles(userId),
+    ]);
+
+    const items = [
+      ...notes.map(note => this.formatNote(note)),
+      ...files.map(file => this.formatFile(file)),
+    ].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+
+    return {
+      items,
+      gracePeriodDays: this.gracePeriodDays,
+    };
+  }
+
+  /**
+   * Restore one item
+   */
+  async restore(type, id, userId) {
+    this.validateType(type);
+
+    if (type === 'note') {
+      await this.notesService.restoreNote(id, userId);
+    } else {
+      await this.storageService.restoreFile(id, userId);
+    }
+
+    return { type, id };
+  }
+
+  /**
+   * Permanently delete one item now
+   */
+  async purge(type, id, userId) {
+    this.validateType(type);
+
+    if (type === 'note') {
+      await this.notesService.purgeNote(id, userId);
+    } else {
+      await this.storageService.purgeFile(id, userId);
+    }
+
+    return { type, id };
+  }
+
+  /**
+   * Permanently delete everything in the user's trash
+   */
+  async emptyTrash(userId) {
+    const { items } = await this.getTrash(userId);
+    let purgedCount = 0;
+
+    for (const item of items) {
+      try {
+        await this.purge(item.type, item.id, userId);
+        purgedCount++;
+      } catch (error) {
+        console.error(`Failed to purge ${item.type} ${item.id}:`, error);
+      }
+    }
+
+    return { purgedCount, total: items.length };
+  }
+
+  /**
+   * Remove items whose grace period has run out, across all users
+   * Server-side counterpart of the purge pass in delete_expired_files().
+   */
+  async purgeExpired() {
+    const cutoff = new Date(Date.now() - this.gracePeriodDays * DAY_MS).toISOString();
+
+    const [notes, files] = await Promise.all([
+      this.notesService.purgeTrashedNotes(cutoff),
+      this.storageService.purgeTrashedFiles(cutoff),
+    ]);
+
+    return { notes, files };
+  }
+}
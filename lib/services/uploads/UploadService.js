@@ -0,0 +1,422 @@
+/**
+ * Upload Service
+ * Resumable chunked uploads: open a session, send numbered chunks in any
+ * order (and as often as needed), then finalize into a regular file.
+ */
+
+import { BaseService } from '../index.js';
+import { getFileService, getStorageService } from '../index.js';
+import { BaseRepository } from '../../core/database/index.js';
+import { db } from '../../core/database/index.js';
+import {
+  ValidationError,
+  NotFoundError,
+  StorageError,
+  DatabaseError,
+  FileUploadError
+} from '../../core/errors/index.js';
+import { getStorageConfig } from '../../core/config/index.js';
+
+/**
+ * Upload sessions repository
+ */
+class UploadSessionsRepository extends BaseRepository {
+  constructor() {
+    super('upload_sessions');
+  }
+
+  async findExpiredSessions() {
+    const result = await this.query(true)
+      .query.select('*')
+      .in('status', ['pending', 'assembling'])
+      .lt('expires_at', new Date().toISOString());
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Move a session on from `fromStatus`, only if it is still in it
+   * @returns {Promise<object|null>} The updated session, or null if another request moved it first
+   */
+  async transition(id, userId, fromStatus, updates) {
+    const result = await this.query()
+      .updateForUser(userId, id, { ...updates, updated_at: new Date().toISOString() })
+      .eq('status', fromStatus);
+
+    if (result.error) {
+      throw new DatabaseError(result.error.message, result.error);
+    }
+
+    return result.data[0] || null;
+  }
+}
+
+/**
+ * Upload service
+ */
+export class UploadService extends BaseService {
+  constructor() {
+    super('UploadService');
+    this.sessionsRepository = new UploadSessionsRepository();
+    this.storageConfig = getStorageConfig();
+    this.uploadConfig = this.storageConfig.upload;
+    this.stagingClient = null;
+  }
+
+  async onInitialize() {
+    this.fileService = getFileService();
+    this.storageService = getStorageService();
+
+    // Chunks live in a private bucket that only the server can reach
+    this.stagingClient = db.getAdminClient();
+
+    if (!this.stagingClient) {
+      console.warn('Service role key missing - resumable uploads are unavailable');
+    }
+  }
+
+  /**
+   * Storage path of a chunk
+   */
+  getChunkPath(session, index) {
+    return `${session.user_id}/${session.id}/${index}`;
+  }
+
+  /**
+   * Expected byte length of a chunk (the last one carries the remainder)
+   */
+  getExpectedChunkSize(session, index) {
+    if (index < session.total_chunks - 1) {
+      return session.chunk_size;
+    }
+    return session.file_size - session.chunk_size * (session.total_chunks - 1);
+  }
+
+  /**
+   * Format a session for API responses
+   */
+  formatSession(session, receivedChunks = []) {
+    const received = new Set(receivedChunks);
+    const missingChunks = [];
+
+    for (let index = 0; index < session.total_chunks; index++) {
+      if (!received.has(index)) {
+        missingChunks.push(index);
+      }
+    }
+
+    const bytesReceived = receivedChunks.reduce(
+      (total, index) => total + this.getExpectedChunkSize(session, index),
+      0
+    );
+
+    return {
+      uploadId: session.id,
+      fileName: session.file_name,
+      fileType: session.content_type,
+      fileSize: session.file_size,
+      chunkSize: session.chunk_size,
+      totalChunks: session.total_chunks,
+      receivedChunks: [...received].sort((a, b) => a - b),
+      missingChunks,
+      bytesReceived,
+      status: session.status,
+      fileId: session.file_id,
+      expiresAt: session.expires_at,
+      maxConcurrent: this.uploadConfig.maxConcurrent,
+      retryAttempts: this.uploadConfig.retryAttempts,
+      progressCallback: this.uploadConfig.progressCallback,
+    };
+  }
+
+  /**
+   * Get a live session or fail
+   */
+  async getActiveSession(uploadId, userId) {
+    const session = await this.sessionsRepository.findById(uploadId, userId);
+
+    if (!session) {
+      throw new NotFoundError('Upload session');
+    }
+
+    if (session.status === 'pending' && new Date(session.expires_at) < new Date()) {
+      throw new ValidationError('Upload session has expired', 'uploadId', uploadId);
+    }
+
+    return session;
+  }
+
+  /**
+   * List chunk indexes already stored for a session
+   */
+  async listReceivedChunks(session) {
+    const { data, error } = await this.stagingClient.storage
+      .from(this.uploadConfig.stagingBucket)
+      .list(`${session.user_id}/${session.id}`, { limit: session.total_chunks + 1 });
+
+    if (error) {
+      throw new StorageError(`Failed to list uploaded chunks: ${error.message}`, 'list');
+    }
+
+    return data
+      .map(object => parseInt(object.name, 10))
+      .filter(index => Number.isInteger(index) && index >= 0 && index < session.total_chunks);
+  }
+
+  /**
+   * Remove every staged chunk of a session
+   */
+  async removeChunks(session) {
+    const paths = Array.from({ length: session.total_chunks }, (_, index) => this.getChunkPath(session, index));
+
+    const { error } = await this.stagingClient.storage
+      .from(this.uploadConfig.stagingBucket)
+      .remove(paths);
+
+    if (error) {
+      console.error(`Failed to remove chunks for upload ${session.id}:`, error);
+    }
+  }
+
+  /**
+   * Start an upload session
+   */
+  async createSession(userId, details) {
+    const { fileName, fileType, fileSize, ...options } = details;
+
+    if (!fileName || typeof fileName !== 'string') {
+      throw new ValidationError('File name is required', 'fileName');
+    }
+
+    const size = Number(fileSize);
+    if (!Number.isInteger(size) || size <= 0) {
+      throw new ValidationError('File size must be a positive integer', 'fileSize', fileSize);
+    }
+
+    // Reject up front what the final upload would reject anyway
+    const bucketType = this.fileService.getBucketType(fileType || '');
+    this.storageService.validateFileUpload({ name: fileName, size, type: fileType }, bucketType);
+    this.fileService.validateFileMetadata(options);
+
+    const chunkSize = this.uploadConfig.chunkSize;
+    const expiresAt = new Date(Date.now() + this.uploadConfig.sessionTtlHours * 60 * 60 * 1000);
+
+    const session = await this.sessionsRepository.create({
+      file_name: fileName,
+      content_type: fileType,
+      file_size: size,
+      chunk_size: chunkSize,
+      total_chunks: Math.ceil(size / chunkSize),
+      options,
+      expires_at: expiresAt.toISOString(),
+    }, userId);
+
+    return this.formatSession(session);
+  }
+
+  /**
+   * Get session progress
+   */
+  async getSession(uploadId, userId) {
+    const session = await this.getActiveSession(uploadId, userId);
+
+    if (session.status === 'completed') {
+      return this.formatSession(session, Array.from({ length: session.total_chunks }, (_, index) => index));
+    }
+
+    const receivedChunks = await this.listReceivedChunks(session);
+
+    return this.formatSession(session, receivedChunks);
+  }
+
+  /**
+   * Store one chunk
+   * Re-sending a chunk overwrites it, so clients can retry blindly.
+   */
+  async receiveChunk(uploadId, userId, chunkIndex, data) {
+    const session = await this.getActiveSession(uploadId, userId);
+
+    if (session.status !== 'pending') {
+      throw new ValidationError('Upload session is already complete', 'uploadId', uploadId);
+    }
+
+    const index = parseInt(chunkIndex, 10);
+    if (!Number.isInteger(index) || index < 0 || index >= session.total_chunks) {
+      throw new ValidationError(
+        `Chunk index must be between 0 and ${session.total_chunks - 1}`,
+        'index',
+        chunkIndex
+      );
+    }
+
+    const expectedSize = this.getExpectedChunkSize(session, index);
+    if (data.byteLength !== expectedSize) {
+      throw new FileUploadError(
+        `Chunk ${index} must be ${expectedSize} bytes, received ${data.byteLength}`,
+        session.file_name,
+        data.byteLength
+      );
+    }
+
+    const { error } = await this.stagingClient.storage
+      .from(this.uploadConfig.stagingBucket)
+      .upload(this.getChunkPath(session, index), data, {
+        contentType: 'application/octet-stream',
+        upsert: true,
+      });
+
+    if (error) {
+      throw new StorageError(`Failed to store chunk ${index}: ${error.message}`, 'upload');
+    }
+
+    return {
+      uploadId: session.id,
+      index,
+      size: data.byteLength,
+    };
+  }
+
+  /**
+   * Assemble all chunks into a file and hand it to the file service
+   */
+  async completeSession(uploadId, userId) {
+    const session = await this.getActiveSession(uploadId, userId);
+
+    if (session.status === 'completed') {
+      return await this.fileService.getFile(session.file_id, userId);
+    }
+
+    const { missingChunks } = this.formatSession(session, await this.listReceivedChunks(session));
+    if (missingChunks.length > 0) {
+      throw new ValidationError(
+        `Upload is missing ${missingChunks.length} chunk(s)`,
+        'missingChunks',
+        missingChunks
+      );
+    }
+
+    // Only the request that claims the session assembles it
+    const claimed = await this.sessionsRepository.transition(session.id, userId, 'pending', { status: 'assembling' });
+    if (!claimed) {
+      const current = await this.sessionsRepository.findById(session.id, userId);
+      if (current?.status === 'completed') {
+        return await this.fileService.getFile(current.file_id, userId);
+      }
+      throw new ValidationError('Upload is already being completed', 'uploadId', uploadId);
+    }
+
+    let uploadedFile;
+    try {
+      uploadedFile = await this.assembleFile(session, userId);
+    } catch (error) {
+      // Let the client fix what's wrong and try again
+      await this.sessionsRepository.transition(session.id, userId, 'assembling', { status: 'pending' });
+      throw error;
+    }
+
+    await this.sessionsRepository.transition(session.id, userId, 'assembling', {
+      status: 'completed',
+      file_id: uploadedFile.id,
+    });
+
+    await this.removeChunks(session);
+
+    return uploadedFile;
+  }
+
+  /**
+   * Put the staged chunks together and upload the result as a file
+   */
+  async assembleFile(session, userId) {
+    const parts = [];
+    for (let index = 0; index < session.total_chunks; index++) {
+      const { data, error } = await this.stagingClient.storage
+        .from(this.uploadConfig.stagingBucket)
+        .download(this.getChunkPath(session, index));
+
+      if (error) {
+        throw new StorageError(`Failed to read chunk ${index}: ${error.message}`, 'download');
+      }
+
+      parts.push(await data.arrayBuffer());
+    }
+
+    const file = new File(parts, session.file_name, { type: session.content_type });
+
+    if (file.size !== session.file_size) {
+      throw new FileUploadError(
+        `Assembled file is ${file.size} bytes, expected ${session.file_size}`,
+        session.file_name,
+        file.size
+      );
+    }
+
+    return await this.fileService.uploadFile(file, userId, session.options);
+  }
+
+  /**
+   * Abort an upload and discard its chunks
+   */
+  async abortSession(uploadId, userId) {
+    const session = await this.sessionsRepository.findById(uploadId, userId);
+
+    if (!session) {
+      throw new NotFoundError('Upload session');
+    }
+
+    await this.removeChunks(session);
+    await this.sessionsRepository.delete(session.id, userId);
+
+    return { success: true };
+  }
+
+  /**
+   * Clean up abandoned sessions
+   */
+  async cleanupExpiredSessions() {
+    const expiredSessions = await this.sessionsRepository.findExpiredSessions();
+    let deletedCount = 0;
+
+    for (const session of expiredSessions) {
+      try {
+        await this.removeChunks(session);
+
+        await this.sessionsRepository.query(true)
+          .query.delete()
+          .eq('id', session.id);
+
+        deletedCount++;
+      } catch (error) {
+        console.error(`Failed to clean up upload session ${session.id}:`, error);
+      }
+    }
+
+    return {
+      success: true,
+      deletedCount,
+      totalExpired: expiredSessions.length,
+    };
+  }
+
+  /**
+   * Health check
+   */
+  async healthCheck() {
+    const baseHealth = await super.healthCheck();
+
+    return {
+      ...baseHealth,
+      status: this.stagingClient ? baseHealth.status : 'degraded',
+      features: {
+        resumable: !!this.stagingClient,
+        chunkSize: this.uploadConfig.chunkSize,
+        maxConcurrent: this.uploadConfig.maxConcurrent,
+        retryAttempts: this.uploadConfig.retryAttempts,
+      },
+    };
+  }
+}
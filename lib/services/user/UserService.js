@@ -157,9 +157,9 @@ export class UserService extends BaseService {
         profileVisible: false,
         shareUsageData: false,
       },
+      // Expiry durations live in retention policies (RetentionService)
       autoDelete: {
         enabled: true,
-        defaultExpiry: 1, // hours
       },
       fileUpload: {
         autoCompress: true,
@@ -231,6 +231,7 @@ export class UserService extends BaseService {
     return {
       id: user.id,
       phone: user.phone,
+      totpEnabled: user.totpEnabled,
       createdAt: user.createdAt,
       lastSignInAt: user.lastSignInAt,
       profile: {
@@ -324,8 +325,8 @@ export class UserService extends BaseService {
   /**
    * Update user PIN (delegates to auth service)
    */
-  async updatePIN(userId, currentPIN, newPIN) {
-    return await this.authService.updatePIN(userId, currentPIN, newPIN);
+  async updatePIN(userId, currentPIN, newPIN, context) {
+    return await this.authService.updatePIN(userId, currentPIN, newPIN, context);
   }
 
   /**
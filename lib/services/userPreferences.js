@@ -14,6 +14,7 @@ const defaultPreferences = {
     hasSeenPrompt: false
   },
   theme: 'system', // light, dark, system
+  pinLength: 4, // Number of PIN boxes shown at sign-in on this device
   notifications: {
     enabled: true,
     autoDelete: true
@@ -177,4 +178,23 @@ export const setUserTheme = (theme) => {
     ...currentPrefs,
     theme: theme
   });
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * Get the PIN length last used on this device
+ */
+export const getPinLength = () => {
+  const prefs = getUserPreferences();
+  return prefs.pinLength;
+};
+
+/**
+ * Remember the PIN length so sign-in shows the right number of boxes
+ */
+export const setPinLength = (pinLength) => {
+  const currentPrefs = getUserPreferences();
+  return saveUserPreferences({
+    ...currentPrefs,
+    pinLength
+  });
+};
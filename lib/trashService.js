@@ -0,0 +1,45 @@
+/**
+ * Trash
+ * Deleted and expired notes, images and documents wait here until they are
+ * purged. Purging has to remove every stored copy of a file (variants and
+ * older versions too), so these calls go through the server.
+ */
+
+const request = async (path, userId, method = 'GET') => {
+  const response = await fetch(path, {
+    method,
+    headers: { 'x-user-id': userId },
+  });
+  const body = await response.json();
+
+  if (!response.ok) {
+    throw new Error(body.error?.message || 'Trash request failed');
+  }
+
+  return body.data;
+};
+
+/**
+ * Fetch the user's trash
+ * @returns {Promise<{items: Array, gracePeriodDays: number}>}
+ */
+export const fetchTrash = (userId) => request('/api/trash', userId);
+
+/**
+ * Move an item back out of the trash
+ * @param {'note'|'image'|'document'} type
+ */
+export const restoreTrashItem = (type, id, userId) =>
+  request(`/api/trash/${type}/${id}/restore`, userId, 'POST');
+
+/**
+ * Permanently delete one item now
+ * @param {'note'|'image'|'document'} type
+ */
+export const purgeTrashItem = (type, id, userId) =>
+  request(`/api/trash/${type}/${id}`, userId, 'DELETE');
+
+/**
+ * Permanently delete everything in the trash
+ */
+export const emptyTrash = (userId) => request('/api/trash', userId, 'DELETE');
@@ -0,0 +1,56 @@
+/**
+ * Two-factor authentication (TOTP)
+ * Secrets and recovery codes never touch Supabase from the browser; these
+ * calls go through the server, which keeps them encrypted or hashed.
+ */
+
+import { authHeaders } from './apiAuth';
+
+const request = async (path, method = 'GET', body) => {
+  const response = await fetch(path, {
+    method,
+    headers: {
+      ...authHeaders(),
+      ...(body && { 'Content-Type': 'application/json' }),
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error?.message || 'Two-factor request failed');
+  }
+
+  return data.data;
+};
+
+/**
+ * @returns {Promise<{enabled: boolean, enabledAt: string|null, recoveryCodesRemaining: number}>}
+ */
+export const fetchTwoFactorStatus = () => request('/api/user/totp');
+
+/**
+ * Start enrolment with the current PIN
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ */
+export const beginTwoFactorSetup = (pin) => request('/api/user/totp', 'POST', { pin });
+
+/**
+ * Finish enrolment with the current PIN and the first code from the authenticator app
+ * @returns {Promise<{recoveryCodes: string[]}>}
+ */
+export const confirmTwoFactorSetup = (pin, code) =>
+  request('/api/user/totp/confirm', 'POST', { pin, code });
+
+/**
+ * Turn two-factor off with an authenticator or recovery code
+ */
+export const disableTwoFactor = (code) =>
+  request('/api/user/totp', 'DELETE', { code });
+
+/**
+ * Replace the recovery codes with the current PIN and an authenticator code
+ * @returns {Promise<{recoveryCodes: string[]}>}
+ */
+export const regenerateRecoveryCodes = (pin, code) =>
+  request('/api/user/totp/recovery-codes', 'POST', { pin, code });
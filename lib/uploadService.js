@@ -0,0 +1,164 @@
+import supabase from './supabase';
+import { createStorageConfig } from './core/config/storage.config';
+
+const { upload: UPLOAD_CONFIG } = createStorageConfig();
+
+// Upload sessions are remembered per file so a reload or a dropped
+// connection picks up where the last attempt stopped
+const SESSION_STORAGE_PREFIX = 'aeronotes-upload:';
+
+/**
+ * Files larger than one chunk go through the resumable protocol
+ */
+export const shouldUploadInChunks = (file) => file.size > UPLOAD_CONFIG.chunkSize;
+
+const getSessionKey = (userId, file) =>
+  `${SESSION_STORAGE_PREFIX}${userId}:${file.name}:${file.size}:${file.lastModified}`;
+
+const readSavedSession = (key) => {
+  try {
+    return window.localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+};
+
+const saveSession = (key, uploadId) => {
+  try {
+    if (uploadId) {
+      window.localStorage.setItem(key, uploadId);
+    } else {
+      window.localStorage.removeItem(key);
+    }
+  } catch {
+    // Storage may be unavailable (private mode); the upload still works, it just can't resume
+  }
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const requestJson = async (userId, path, options = {}) => {
+  const response = await fetch(path, {
+    ...options,
+    headers: { 'x-user-id': userId, ...options.headers },
+  });
+  const body = await response.json();
+
+  if (!response.ok) {
+    const error = new Error(body.error?.message || 'Upload request failed');
+    error.status = response.status;
+    throw error;
+  }
+
+  return body.data;
+};
+
+/**
+ * Find a resumable session for this file or start a new one
+ */
+const openSession = async (userId, file, sessionKey, options) => {
+  const savedUploadId = readSavedSession(sessionKey);
+
+  if (savedUploadId) {
+    try {
+      const { session } = await requestJson(userId, `/api/uploads/${savedUploadId}`);
+      if (session.status === 'pending') {
+        return session;
+      }
+    } catch (error) {
+      // Expired or unknown sessions just mean starting over
+      console.warn('Could not resume upload, starting a new one:', error.message);
+    }
+    saveSession(sessionKey, null);
+  }
+
+  const { session } = await requestJson(userId, '/api/uploads', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      fileName: file.name,
+      fileType: file.type,
+      fileSize: file.size,
+      ...options,
+    }),
+  });
+
+  saveSession(sessionKey, session.uploadId);
+  return session;
+};
+
+/**
+ * Send one chunk, retrying with exponential backoff
+ */
+const sendChunk = async (userId, file, session, index, signal) => {
+  const start = index * session.chunkSize;
+  const chunk = file.slice(start, Math.min(start + session.chunkSize, file.size));
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await requestJson(userId, `/api/uploads/${session.uploadId}/chunks/${index}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: chunk,
+        signal,
+      });
+      return chunk.size;
+    } catch (error) {
+      // Client errors (bad index, expired session) won't succeed on retry
+      const retryable = !error.status || error.status >= 500;
+      if (error.name === 'AbortError' || !retryable || attempt >= session.retryAttempts) {
+        throw error;
+      }
+      await wait(500 * 2 ** attempt);
+    }
+  }
+};
+
+/**
+ * Upload a file in chunks through /api/uploads
+ * @param {File} file - File to upload
+ * @param {object} [options]
+ * @param {function} [options.onProgress] - Called with { loaded, total, percent }
+ * @param {AbortSignal} [options.signal] - Cancels in-flight chunks; the session stays resumable
+ * @param {object} [options.metadata] - category, tags, description, makePublic, replaces
+ * @returns {Promise<object>} The stored file as returned by the files API
+ */
+export const uploadInChunks = async (file, { onProgress, signal, metadata = {} } = {}) => {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) {
+    throw new Error("User not authenticated");
+  }
+
+  const sessionKey = getSessionKey(user.id, file);
+  const session = await openSession(user.id, file, sessionKey, metadata);
+
+  let loaded = session.bytesReceived;
+  const reportProgress = () => {
+    if (onProgress && session.progressCallback) {
+      onProgress({ loaded, total: file.size, percent: Math.round((loaded / file.size) * 100) });
+    }
+  };
+  reportProgress();
+
+  // A fixed pool of workers drains the queue of chunks the server doesn't have yet
+  const queue = [...session.missingChunks];
+  const worker = async () => {
+    while (queue.length > 0) {
+      const index = queue.shift();
+      loaded += await sendChunk(user.id, file, session, index, signal);
+      reportProgress();
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(session.maxConcurrent, queue.length) }, worker)
+  );
+
+  const { file: storedFile } = await requestJson(user.id, `/api/uploads/${session.uploadId}/complete`, {
+    method: 'POST',
+    signal,
+  });
+
+  saveSession(sessionKey, null);
+  return storedFile;
+};
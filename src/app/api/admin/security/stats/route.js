@@ -4,7 +4,8 @@
  */
 
 import { NextResponse } from 'next/server';
-import SessionService from '../../../../../../lib/services/auth/SessionService.js';
+import DatabaseSessionService from '../../../../../../lib/services/auth/DatabaseSessionService.js';
+import totpService from '../../../../../../lib/services/auth/TotpService.js';
 import { requireAdmin } from '../../../middleware/auth.js';
 import { 
   ValidationError,
@@ -41,7 +42,7 @@ export async function GET(request) {
 
   try {
     // Get session statistics
-    const sessionStats = SessionService.getStats();
+    const sessionStats = await DatabaseSessionService.getStats();
     
     // Get current timestamp for calculations
     const now = new Date();
@@ -56,15 +57,20 @@ export async function GET(request) {
         total: sessionStats.totalSessions,
         active: sessionStats.activeSessions,
         inactive: sessionStats.totalSessions - sessionStats.activeSessions,
-        uniqueUsers: sessionStats.totalUsers,
-        averageSessionsPerUser: sessionStats.totalUsers > 0 ? 
-          (sessionStats.activeSessions / sessionStats.totalUsers).toFixed(2) : 0
+        uniqueUsers: sessionStats.uniqueActiveUsers,
+        averageSessionsPerUser: sessionStats.uniqueActiveUsers > 0 ? 
+          (sessionStats.activeSessions / sessionStats.uniqueActiveUsers).toFixed(2) : 0
       },
       
-      // Token metrics
+      // Token metrics (each active session holds one refresh token)
       tokens: {
-        blacklisted: sessionStats.blacklistedTokensCount,
-        refreshTokens: sessionStats.refreshTokensCount
+        blacklisted: sessionStats.blacklistedTokens,
+        refreshTokens: sessionStats.activeSessions
+      },
+      
+      // Second factor adoption (user_profiles.totp_enabled)
+      mfa: {
+        totp: await totpService.getAdoption()
       },
       
       // Security events (placeholder - would be from audit logs)
@@ -0,0 +1,39 @@
+/**
+ * "This wasn't me" for a sign-in alert
+ * POST /api/auth/login-alerts/deny - { token } from the alert link
+ *
+ * Needs no sign-in: the token in the link is the proof. It signs out the
+ * reported session and makes the account set a new PIN before signing in again.
+ */
+
+import { NextResponse } from 'next/server';
+import loginRiskService from '../../../../../../lib/services/auth/LoginRiskService.js';
+import { AuthenticationError } from '../../../../../../lib/core/errors/index.js';
+
+export async function POST(request) {
+  try {
+    const { token } = await request.json();
+
+    if (!token) {
+      return NextResponse.json({ error: 'token is required' }, { status: 400 });
+    }
+
+    const result = await loginRiskService.denyLogin(token, {
+      ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip'),
+      userAgent: request.headers.get('user-agent') || '',
+    });
+
+    return NextResponse.json({
+      message: 'The sign-in was ended. Set a new PIN to keep using your account.',
+      ...result,
+    });
+
+  } catch (error) {
+    if (error instanceof AuthenticationError) {
+      return NextResponse.json({ error: error.message }, { status: 401 });
+    }
+
+    console.error('Error denying sign-in:', error);
+    return NextResponse.json({ error: 'Internal server error', details: error.message }, { status: 500 });
+  }
+}
@@ -1,76 +1,130 @@
 import { NextResponse } from 'next/server';
 import supabaseAdmin from '../../../../../lib/supabaseAdmin'; // Fixed path
-import bcrypt from 'bcryptjs';
-import crypto from 'crypto';
+import AuthService from '../../../../../lib/services/auth/AuthService.js';
+import DatabaseSessionService from '../../../../../lib/services/auth/DatabaseSessionService.js';
+import loginRiskService from '../../../../../lib/services/auth/LoginRiskService.js';
+import { AccountLockedError, RateLimitError, AuthenticationError, PinResetRequiredError } from '../../../../../lib/core/errors/index.js';
+import { getPinPolicy } from '../../../../../lib/core/utils/pinPolicy.js';
+
+// Lockouts answer with the remaining time so the form can say how long to wait
+function lockoutResponse(lockError) {
+  const { retryAfter, lockedUntil } = lockError.details;
+  return NextResponse.json({
+    error: lockError.message,
+    code: lockError.code,
+    retryAfter,
+    lockedUntil,
+  }, {
+    status: lockError.statusCode,
+    headers: { 'Retry-After': String(retryAfter) },
+  });
+}
 
-// IMPORTANT: Ensure APP_SECRET is set in your environment variables.
-const appSecret = process.env.APP_SECRET || 'default-fallback-secret-CHANGE-ME';
-if (appSecret === 'default-fallback-secret-CHANGE-ME') {
-  console.warn('WARNING: APP_SECRET is not set or is using the default. Please set a strong, unique secret in your environment variables.');
+// Carries the code so the form can explain why the right PIN was refused
+function pinResetResponse(error) {
+  return NextResponse.json({ error: error.message, code: error.code }, { status: error.statusCode });
 }
 
-function deriveSupabasePassword(phoneNumber) {
-  return crypto.createHmac('sha256', appSecret)
-    .update(phoneNumber)
-    .digest('hex') + 'P!'; // Add complexity
+// Second step for accounts with TOTP on: { challengeToken, totpCode }
+async function verifyTotpStep(challengeToken, totpCode, context) {
+  if (!totpCode) {
+    return { response: NextResponse.json({ error: 'Authentication code is required' }, { status: 400 }) };
+  }
+
+  try {
+    const { user, method } = await AuthService.verifyMfaChallenge(challengeToken, totpCode, context);
+    return { user, method };
+  } catch (error) {
+    if (error instanceof AccountLockedError || error instanceof RateLimitError) {
+      return { response: lockoutResponse(error) };
+    }
+    if (error instanceof PinResetRequiredError) {
+      return { response: pinResetResponse(error) };
+    }
+    if (error instanceof AuthenticationError) {
+      return { response: NextResponse.json({ error: error.message }, { status: 401 }) };
+    }
+    throw error;
+  }
 }
 
 export async function POST(request) {
   try {
-    const { lastFourDigits, pin } = await request.json();
+    const { lastFourDigits, pin, challengeToken, totpCode } = await request.json();
 
-    if (!lastFourDigits || !pin) {
-      return NextResponse.json({ error: 'Last four digits of phone and PIN are required' }, { status: 400 });
-    }
+    const ipAddress = request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip');
+    const userAgent = request.headers.get('user-agent') || '';
 
-    if (lastFourDigits.length !== 4 || !/^\d{4}$/.test(lastFourDigits)) {
-        return NextResponse.json({ error: 'Invalid format for last four digits.' }, { status: 400 });
-    }
+    let authenticatedUser = null;
+    let mfaMethod = null;
 
-    if (pin.length < 4 || pin.length > 8 || !/^\d+$/.test(pin)) {
-        return NextResponse.json({ error: 'PIN must be a 4 to 8 digit number.' }, { status: 400 });
-    }
+    if (challengeToken) {
+      const step = await verifyTotpStep(challengeToken, totpCode, { ipAddress, userAgent });
+      if (step.response) {
+        return step.response;
+      }
+      authenticatedUser = step.user;
+      mfaMethod = step.method;
+    } else {
+      if (!lastFourDigits || !pin) {
+        return NextResponse.json({ error: 'Last four digits of phone and PIN are required' }, { status: 400 });
+      }
+
+      if (lastFourDigits.length !== 4 || !/^\d{4}$/.test(lastFourDigits)) {
+          return NextResponse.json({ error: 'Invalid format for last four digits.' }, { status: 400 });
+      }
 
-    // Find user profiles matching the last four digits
-    const { data: profiles, error: profileError } = await supabaseAdmin
-      .from('user_profiles')
-      .select('id, phone_number, pin_hash')
-      .eq('phone_suffix', lastFourDigits);
+      const { minLength, maxLength } = getPinPolicy();
+      if (pin.length < minLength || pin.length > maxLength || !/^\d+$/.test(pin)) {
+          return NextResponse.json({ error: `PIN must be a ${minLength} to ${maxLength} digit number.` }, { status: 400 });
+      }
 
-    if (profileError) {
-      console.error('Error fetching user profiles:', profileError);
-      return NextResponse.json({ error: 'Error fetching user profiles', details: profileError.message }, { status: 500 });
-    }
+      // Find user profiles matching the last four digits
+      const { data: profiles, error: profileError } = await supabaseAdmin
+        .from('user_profiles')
+        .select('id, phone_number, pin_hash, totp_enabled, pin_reset_required, supabase_password_version')
+        .eq('phone_suffix', lastFourDigits);
 
-    if (!profiles || profiles.length === 0) {
-      return NextResponse.json({ error: 'Invalid login credentials (no profile found)' }, { status: 401 });
-    }
+      if (profileError) {
+        console.error('Error fetching user profiles:', profileError);
+        return NextResponse.json({ error: 'Error fetching user profiles', details: profileError.message }, { status: 500 });
+      }
 
-    let authenticatedUser = null;
-    let userFullPhoneNumber = null;
-
-    for (const profile of profiles) {
-      const pinMatch = await bcrypt.compare(pin, profile.pin_hash);
-      if (pinMatch) {
-        authenticatedUser = profile; // We found our user
-        userFullPhoneNumber = profile.phone_number;
-        break;
+      try {
+        // Every profile sharing these digits counts the attempt; unknown digits still count against the IP
+        authenticatedUser = await AuthService.verifyPINWithLockout(profiles || [], pin, { ipAddress, userAgent });
+      } catch (lockError) {
+        if (lockError instanceof AccountLockedError || lockError instanceof RateLimitError) {
+          return lockoutResponse(lockError);
+        }
+        if (lockError instanceof PinResetRequiredError) {
+          return pinResetResponse(lockError);
+        }
+        throw lockError;
+      }
+
+      if (!authenticatedUser) {
+        return NextResponse.json({ error: 'Invalid login credentials' }, { status: 401 });
       }
-    }
 
-    if (!authenticatedUser || !userFullPhoneNumber) {
-      return NextResponse.json({ error: 'Invalid login credentials (PIN mismatch)' }, { status: 401 });
+      // PIN is right; accounts with TOTP on still need their code before getting a session
+      if (authenticatedUser.totp_enabled) {
+        return NextResponse.json({
+          message: 'Authentication code required',
+          mfaRequired: true,
+          challengeToken: AuthService.generateMfaChallengeToken(authenticatedUser.id),
+        });
+      }
     }
 
+    const userFullPhoneNumber = authenticatedUser.phone_number;
+
     // Generate the Supabase password for this user
-    const supabasePassword = deriveSupabasePassword(userFullPhoneNumber);
+    const credentials = AuthService.supabaseCredentials(authenticatedUser);
     
     try {
       // Try to sign in with Supabase using the derived password
-      const { data: signInData, error: signInError } = await supabaseAdmin.auth.signInWithPassword({
-        phone: userFullPhoneNumber, 
-        password: supabasePassword,
-      });
+      const { data: signInData, error: signInError } = await supabaseAdmin.auth.signInWithPassword(credentials);
 
       if (signInError) {
         console.error('Supabase sign-in error:', signInError);
@@ -81,16 +135,44 @@ export async function POST(request) {
           return NextResponse.json({ error: 'Sign in successful, but failed to return a session.'}, { status: 500 });
       }
 
+      // Track the sign-in like /api/auth/login does, so it shows under Devices
+      const { accessToken, refreshToken, sessionId } = AuthService.buildAuthResult(authenticatedUser);
+      const session = await DatabaseSessionService.createSession(authenticatedUser.id, {
+        sessionId,
+        ipAddress,
+        userAgent,
+        deviceInfo: {
+          userAgent,
+          ipAddress,
+          loginTime: new Date()
+        },
+        accessToken,
+        refreshToken,
+        supabaseSession: signInData.session
+      });
+
+      await DatabaseSessionService.logAuditEvent(authenticatedUser.id, 'login_success', 'auth', {
+        phone: userFullPhoneNumber,
+        session_id: session.sessionId,
+        method: 'pin',
+        mfa_method: mfaMethod
+      }, ipAddress, userAgent, true);
+
+      await loginRiskService.reviewLogin(authenticatedUser.id, userFullPhoneNumber, session, { method: 'pin' });
+
       // Return both session and credentials for fallback authentication
       return NextResponse.json({ 
           message: 'Login successful', 
           userId: authenticatedUser.id,
+          sessionId: session.sessionId,
+          accessToken,
           session: signInData.session,
           // Provide fallback credentials for mobile issues
-          credentials: {
-            phone: userFullPhoneNumber,
-            password: supabasePassword
-          }
+          credentials
+      }, {
+        headers: {
+          'Set-Cookie': `sessionId=${session.sessionId}; HttpOnly; Secure; SameSite=Strict; Path=/; Max-Age=604800`
+        }
       });
 
     } catch (error) {
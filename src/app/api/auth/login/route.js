@@ -1,11 +1,17 @@
 /**
  * User Login API Route
  * POST /api/auth/login
+ * Responds 423 (account) or 429 (IP) with Retry-After after too many wrong PINs
+ *
+ * Accounts with TOTP on sign in in two steps: phone + PIN returns
+ * { mfaRequired: true, challengeToken }, then { challengeToken, totpCode }
+ * (an authenticator or recovery code) returns the session.
  */
 
 import { NextResponse } from 'next/server';
 import AuthService from '../../../../../lib/services/auth/AuthService.js';
 import DatabaseSessionService from '../../../../../lib/services/auth/DatabaseSessionService.js';
+import loginRiskService from '../../../../../lib/services/auth/LoginRiskService.js';
 import { 
   ValidationError,
   AuthenticationError,
@@ -15,7 +21,7 @@ import {
 export async function POST(request) {
   try {
     const body = await request.json();
-    const { phoneNumber, phone, last4, pin, rememberMe = false } = body;
+    const { phoneNumber, phone, last4, pin, challengeToken, totpCode, rememberMe = false } = body;
 
     // Support multiple input formats:
     // 1. phoneNumber + pin (full phone)
@@ -24,7 +30,11 @@ export async function POST(request) {
     const phoneInput = phoneNumber || phone || last4;
 
     // Validate required fields
-    if (!phoneInput || !pin) {
+    if (challengeToken) {
+      if (!totpCode) {
+        throw new ValidationError('Authentication code is required');
+      }
+    } else if (!phoneInput || !pin) {
       throw new ValidationError('Phone number (or last 4 digits) and PIN are required');
     }
 
@@ -35,8 +45,11 @@ export async function POST(request) {
                      request.ip || 
                      'unknown';
 
-    // Authenticate user using phone/PIN
-    const authResult = await AuthService.login(phoneInput, pin);
+    // Authenticate user using phone/PIN (throws while the account or IP is locked out),
+    // or finish a sign-in that is waiting for its TOTP code
+    const authResult = challengeToken
+      ? await AuthService.completeMfaChallenge(challengeToken, totpCode, { ipAddress, userAgent })
+      : await AuthService.login(phoneInput, pin, { ipAddress, userAgent });
     
     if (!authResult.success) {
       // Log failed login attempt to audit logs
@@ -48,10 +61,22 @@ export async function POST(request) {
       throw new AuthenticationError(authResult.message || 'Invalid credentials');
     }
 
-    const { user, accessToken, refreshToken } = authResult;
+    if (authResult.mfaRequired) {
+      return NextResponse.json({
+        success: true,
+        message: 'Authentication code required',
+        data: {
+          mfaRequired: true,
+          challengeToken: authResult.challengeToken
+        }
+      });
+    }
+
+    const { user, accessToken, refreshToken, sessionId } = authResult;
 
     // Create session in database
     const session = await DatabaseSessionService.createSession(user.id, {
+      sessionId,
       ipAddress,
       userAgent,
       deviceInfo: {
@@ -66,12 +91,16 @@ export async function POST(request) {
 
     // Log successful login to audit logs
     await DatabaseSessionService.logAuditEvent(user.id, 'login_success', 'auth', {
-      phone: phoneInput,
-      session_id: session.sessionId
+      phone: phoneInput || user.phone,
+      session_id: session.sessionId,
+      mfa_method: authResult.mfaMethod || null
     }, ipAddress, userAgent, true);
 
     console.log(`[AUTH] Successful login for user ${user.id} from IP ${ipAddress}`);
 
+    // Alert the user if this device or network is new to the account
+    await loginRiskService.reviewLogin(user.id, user.phone, session, { method: 'pin' });
+
     // Return success response with security headers
     const response = NextResponse.json({
       success: true,
@@ -79,7 +108,7 @@ export async function POST(request) {
       data: {
         user: {
           id: user.id,
-          phone: phoneInput,
+          phone: phoneInput || user.phone,
           email: user.email,
           isEmailVerified: user.isEmailVerified,
           isPinSet: user.isPinSet,
@@ -38,6 +38,9 @@ export async function POST(request) {
       }
     }
 
+    // Sessions started by /api/auth/login are identified by the sessionId cookie
+    sessionId = sessionId || request.cookies.get('sessionId')?.value || null;
+
     // Try to get refresh token from request body
     try {
       const body = await request.json();
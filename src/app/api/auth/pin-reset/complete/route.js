@@ -0,0 +1,42 @@
+/**
+ * Set a new PIN with the token from /api/auth/pin-reset/verify
+ * Every session on every device is signed out.
+ */
+
+import { NextResponse } from 'next/server';
+import AuthService from '../../../../../../lib/services/auth/AuthService.js';
+import { ValidationError, AuthenticationError } from '../../../../../../lib/core/errors/index.js';
+
+export async function POST(request) {
+  try {
+    const { resetToken, newPin } = await request.json();
+
+    if (!resetToken || !newPin) {
+      return NextResponse.json({ error: 'Reset token and new PIN are required' }, { status: 400 });
+    }
+
+    const { pinLength } = await AuthService.resetPIN(resetToken, newPin, {
+      ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip'),
+      userAgent: request.headers.get('user-agent') || ''
+    });
+
+    return NextResponse.json({
+      message: 'Your PIN was changed and all devices were signed out. Sign in with your new PIN.',
+      pinLength
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    if (error instanceof AuthenticationError) {
+      return NextResponse.json({ error: error.message }, { status: 401 });
+    }
+
+    console.error('Error in PIN reset complete route:', error);
+    return NextResponse.json({ 
+      error: 'Internal server error while resetting PIN', 
+      details: error.message 
+    }, { status: 500 });
+  }
+}
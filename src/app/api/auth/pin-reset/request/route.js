@@ -0,0 +1,111 @@
+/**
+ * Request a code to reset a forgotten PIN: SMS by default, or `channel` voice, whatsapp or email
+ * Always answers the same way so it can't be used to find out which numbers
+ * have accounts.
+ */
+
+import { NextResponse } from 'next/server';
+import { OTPService } from '../../../../../../lib/otp/OTPService.js';
+import { getOTPConfig } from '../../../../../../lib/otp/config.js';
+import { OTP_CHANNELS } from '../../../../../../lib/otp/BaseOTPProvider.js';
+import AuthService from '../../../../../../lib/services/auth/AuthService.js';
+import DatabaseSessionService from '../../../../../../lib/services/auth/DatabaseSessionService.js';
+import { getAuthConfig } from '../../../../../../lib/core/config/index.js';
+import otpQuotaService from '../../../../../../lib/services/otp/OTPQuotaService.js';
+import { RateLimitError, ValidationError } from '../../../../../../lib/core/errors/index.js';
+
+// Initialize OTP service
+let otpService = null;
+
+async function getOTPServiceInstance() {
+  if (!otpService) {
+    otpService = OTPService.getInstance();
+    const config = getOTPConfig();
+    const initResult = await otpService.initialize(config);
+    
+    if (!initResult.success) {
+      throw new Error(`Failed to initialize OTP service: ${initResult.error}`);
+    }
+  }
+  return otpService;
+}
+
+// 429 with the time the next code may be requested
+function quotaResponse(error) {
+  const { retryAfter, retryAt } = error.details;
+  return NextResponse.json({
+    error: error.message,
+    code: error.code,
+    retryAfter,
+    resendAt: retryAt,
+  }, {
+    status: error.statusCode,
+    headers: { 'Retry-After': String(retryAfter) },
+  });
+}
+
+export async function POST(request) {
+  try {
+    const { phoneNumber, channel = 'sms' } = await request.json();
+
+    if (!phoneNumber) {
+      return NextResponse.json({ error: 'Phone number is required' }, { status: 400 });
+    }
+
+    if (!OTP_CHANNELS.includes(channel)) {
+      return NextResponse.json({ error: `channel must be one of ${OTP_CHANNELS.join(', ')}` }, { status: 400 });
+    }
+
+    // Quota first: unknown numbers are charged too, or a 429 would give away
+    // which ones have accounts
+    const quota = await otpQuotaService.reserveSend(AuthService.normalizePhoneNumber(phoneNumber), {
+      purpose: 'reset',
+      ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip'),
+    });
+
+    const user = await AuthService.findUserByPhone(phoneNumber);
+
+    if (user) {
+      const { otpLength, otpExpiryMinutes } = getAuthConfig().pin.reset;
+      const service = await getOTPServiceInstance();
+      const result = await service.sendOTP(user.phone_number, {
+        purpose: 'reset',
+        length: otpLength,
+        expiryMinutes: otpExpiryMinutes,
+        // Accounts without an address get a text, so the answer stays the same
+        channel: channel === 'email' && !user.email ? 'sms' : channel,
+        email: user.email || undefined
+      });
+
+      if (!result.success) {
+        console.error('Failed to send PIN reset OTP:', result.error);
+        await otpQuotaService.releaseSend(quota.reservationId);
+        return NextResponse.json({ error: 'Failed to send reset code' }, { status: 500 });
+      }
+
+      await DatabaseSessionService.logAuditEvent(user.id, 'pin_reset_requested', 'auth', {},
+        request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip'),
+        request.headers.get('user-agent') || '', true);
+    }
+
+    return NextResponse.json({
+      message: 'If this number has an account, a reset code has been sent',
+      resendAt: quota.resendAt,
+      retryAfter: quota.retryAfter
+    });
+
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      return quotaResponse(error);
+    }
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
+    console.error('Error in PIN reset request route:', error);
+    return NextResponse.json({ 
+      error: 'Internal server error while requesting reset code', 
+      details: error.message 
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Exchange the SMS code from /api/auth/pin-reset/request for a reset token
+ * The token is only good for /api/auth/pin-reset/complete, for pin.reset.tokenMinutes.
+ */
+
+import { NextResponse } from 'next/server';
+import { OTPService } from '../../../../../../lib/otp/OTPService.js';
+import { getOTPConfig } from '../../../../../../lib/otp/config.js';
+import AuthService from '../../../../../../lib/services/auth/AuthService.js';
+import DatabaseSessionService from '../../../../../../lib/services/auth/DatabaseSessionService.js';
+import { getAuthConfig } from '../../../../../../lib/core/config/index.js';
+import { ValidationError } from '../../../../../../lib/core/errors/index.js';
+
+// Initialize OTP service
+let otpService = null;
+
+async function getOTPServiceInstance() {
+  if (!otpService) {
+    otpService = OTPService.getInstance();
+    const config = getOTPConfig();
+    const initResult = await otpService.initialize(config);
+    
+    if (!initResult.success) {
+      throw new Error(`Failed to initialize OTP service: ${initResult.error}`);
+    }
+  }
+  return otpService;
+}
+
+export async function POST(request) {
+  try {
+    const { phoneNumber, otp } = await request.json();
+
+    if (!phoneNumber || !otp) {
+      return NextResponse.json({ error: 'Phone number and code are required' }, { status: 400 });
+    }
+
+    const user = await AuthService.findUserByPhone(phoneNumber);
+    if (!user) {
+      return NextResponse.json({ error: 'Invalid or expired code' }, { status: 400 });
+    }
+
+    const ipAddress = request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip');
+    const userAgent = request.headers.get('user-agent') || '';
+
+    const service = await getOTPServiceInstance();
+    const otpResult = await service.verifyOTP(user.phone_number, otp, { purpose: 'reset' });
+
+    if (!otpResult.success) {
+      await DatabaseSessionService.logAuditEvent(user.id, 'pin_reset_code_failed', 'auth', {},
+        ipAddress, userAgent, false);
+
+      return NextResponse.json({ 
+        error: otpResult.error || 'Invalid or expired code' 
+      }, { status: 400 });
+    }
+
+    return NextResponse.json({
+      message: 'Code verified. Choose a new PIN.',
+      resetToken: AuthService.generatePinResetToken(user),
+      expiresIn: getAuthConfig().pin.reset.tokenMinutes * 60
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
+    console.error('Error in PIN reset verify route:', error);
+    return NextResponse.json({ 
+      error: 'Internal server error while checking reset code', 
+      details: error.message 
+    }, { status: 500 });
+  }
+}
@@ -4,12 +4,9 @@
  */
 
 import { NextResponse } from 'next/server';
-import jwt from 'jsonwebtoken';
 import AuthService from '../../../../../lib/services/auth/AuthService.js';
-import SessionService from '../../../../../lib/services/auth/SessionService.js';
 import { 
   ValidationError,
-  AuthenticationError,
   sendErrorResponse 
 } from '../../../../../lib/core/errors/index.js';
 import { applySecurity } from '../../middleware/security.js';
@@ -38,51 +35,17 @@ export async function POST(request) {
       throw new ValidationError('Refresh token is required');
     }
 
-    // Validate refresh token with session service
-    const tokenData = SessionService.validateRefreshToken(refreshToken);
-    if (!tokenData) {
-      throw new AuthenticationError('Invalid or expired refresh token');
-    }
-
-    // Verify JWT refresh token
-    let decoded;
-    try {
-      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    } catch (jwtError) {
-      // Remove invalid token from session service
-      SessionService.revokeRefreshToken(refreshToken);
-      throw new AuthenticationError('Invalid refresh token');
-    }
-
-    // Verify token type
-    if (decoded.type !== 'refresh') {
-      throw new AuthenticationError('Invalid token type');
-    }
-
-    // Get user from AuthService
-    const user = await AuthService.getUserById(decoded.userId);
-    if (!user) {
-      // Remove token for non-existent user
-      SessionService.revokeRefreshToken(refreshToken);
-      throw new AuthenticationError('User not found');
-    }
-
-    // Update session activity
-    SessionService.updateSession(tokenData.sessionId, {
-      lastRefresh: new Date()
-    });
-
-    // Generate new tokens
-    const newAccessToken = AuthService.generateJWTToken(user);
-    const newRefreshToken = AuthService.generateRefreshToken(user.id);
+    const userAgent = request.headers.get('user-agent') || '';
+    const ipAddress = request.headers.get('x-forwarded-for') || 
+                     request.headers.get('x-real-ip') || 
+                     'unknown';
 
-    // Store new refresh token and revoke old one
-    SessionService.revokeRefreshToken(refreshToken);
-    const refreshTokenExpiry = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-    SessionService.storeRefreshToken(newRefreshToken, tokenData.sessionId, refreshTokenExpiry);
+    // Rotates the pair; replaying an already-used token revokes the whole session
+    const { user, accessToken: newAccessToken, refreshToken: newRefreshToken, sessionId } =
+      await AuthService.refreshSession(refreshToken, { ipAddress, userAgent });
 
     // Log token refresh
-    console.log(`[AUTH] Token refreshed for user ${user.id} in session ${tokenData.sessionId}`);
+    console.log(`[AUTH] Token refreshed for user ${user.id} in session ${sessionId}`);
 
     // Return new tokens
     return NextResponse.json({
@@ -99,7 +62,7 @@ export async function POST(request) {
         },
         accessToken: newAccessToken,
         refreshToken: newRefreshToken,
-        sessionId: tokenData.sessionId,
+        sessionId,
         expiresIn: 3600 // 1 hour
       }
     }, { status: 200 });
@@ -1,6 +1,11 @@
 import { NextResponse } from 'next/server';
 import { OTPService } from '../../../../../lib/otp/OTPService.js';
 import { getOTPConfig } from '../../../../../lib/otp/config.js';
+import otpQuotaService from '../../../../../lib/services/otp/OTPQuotaService.js';
+import { RateLimitError, ValidationError } from '../../../../../lib/core/errors/index.js';
+
+// There's no email address yet at sign-up
+const SIGNUP_CHANNELS = ['sms', 'voice', 'whatsapp'];
 
 // Initialize OTP service
 let otpService = null;
@@ -18,41 +23,72 @@ async function getOTPServiceInstance() {
   return otpService;
 }
 
+// Quota refusals say exactly when the next code may be requested
+function quotaResponse(error) {
+  const { retryAfter, retryAt } = error.details;
+  return NextResponse.json({
+    error: error.message,
+    code: error.code,
+    retryAfter,
+    resendAt: retryAt,
+  }, {
+    status: error.statusCode,
+    headers: { 'Retry-After': String(retryAfter) },
+  });
+}
+
 export async function POST(request) {
   try {
-    const { phoneNumber } = await request.json();
+    const { phoneNumber, channel = 'sms' } = await request.json();
 
     if (!phoneNumber) {
       return NextResponse.json({ error: 'Phone number is required' }, { status: 400 });
     }
 
+    if (!SIGNUP_CHANNELS.includes(channel)) {
+      return NextResponse.json({ error: `channel must be one of ${SIGNUP_CHANNELS.join(', ')}` }, { status: 400 });
+    }
+
     // Normalize phone number to E.164 format
     const normalizedPhoneNumber = phoneNumber.startsWith('+') ? phoneNumber : `+${phoneNumber}`;
     
+    const quota = await otpQuotaService.reserveSend(normalizedPhoneNumber, {
+      purpose: 'signup',
+      ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip'),
+    });
+
     // Get OTP service instance
     const service = await getOTPServiceInstance();
     
     // Send OTP
-    const result = await service.sendOTP(normalizedPhoneNumber, {
-      length: 4,
-      expiryMinutes: 10
-    });
+    const result = await service.sendOTP(normalizedPhoneNumber, { purpose: 'signup', channel });
 
     if (!result.success) {
       console.error('Failed to send OTP:', result.error);
+      await otpQuotaService.releaseSend(quota.reservationId);
       return NextResponse.json({ 
         error: result.error || 'Failed to send OTP' 
       }, { status: 500 });
     }
 
-    console.log(`✅ OTP sent successfully to ${normalizedPhoneNumber}`);
+    console.log(`✅ OTP sent successfully to ${normalizedPhoneNumber} by ${result.channel}`);
     
     return NextResponse.json({ 
       message: 'OTP sent successfully',
-      provider: (await service.getStatus()).activeProvider
+      provider: result.provider,
+      channel: result.channel,
+      resendAt: quota.resendAt,
+      retryAfter: quota.retryAfter
     });
 
   } catch (error) {
+    if (error instanceof RateLimitError) {
+      return quotaResponse(error);
+    }
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
     console.error('Error in send-otp route:', error);
     return NextResponse.json({ 
       error: 'Internal server error while sending OTP', 
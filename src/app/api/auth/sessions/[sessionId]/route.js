@@ -4,14 +4,15 @@
  */
 
 import { NextResponse } from 'next/server';
-import SessionService from '../../../../../../lib/services/auth/SessionService.js';
-import { authenticate } from '../../../middleware/auth.js';
-import { 
+import DatabaseSessionService from '../../../../../../lib/services/auth/DatabaseSessionService.js';
+import AuthService from '../../../../../../lib/services/auth/AuthService.js';
+import {
   ValidationError,
-  AuthenticationError,
-  sendErrorResponse 
+  NotFoundError,
+  sendErrorResponse
 } from '../../../../../../lib/core/errors/index.js';
 import { applySecurity } from '../../../middleware/security.js';
+import { authenticate } from '../../../middleware/auth.js';
 
 // Apply security middleware
 const securityOptions = {
@@ -21,6 +22,21 @@ const securityOptions = {
   }
 };
 
+/**
+ * The user's own active session, or NotFoundError
+ * Someone else's session is reported as not found rather than forbidden.
+ * Reads the stored record so looking at a session doesn't count as activity.
+ */
+const getOwnSession = async (sessionId, userId) => {
+  const session = await DatabaseSessionService.getSessionRecord(sessionId);
+
+  if (!session || session.userId !== userId || !session.isActive || new Date() > new Date(session.expiresAt)) {
+    throw new NotFoundError('Session not found or already expired');
+  }
+
+  return session;
+};
+
 /**
  * DELETE /api/auth/sessions/[sessionId]
  * Revoke a specific session
@@ -40,9 +56,8 @@ export async function DELETE(request, { params }) {
   }
 
   try {
-    const { sessionId } = params;
     const userId = request.user.id;
-    const currentSessionId = request.session?.sessionId;
+    const { sessionId } = params;
 
     // Validate session ID
     if (!sessionId) {
@@ -50,32 +65,25 @@ export async function DELETE(request, { params }) {
     }
 
     // Prevent users from revoking their current session via this endpoint
-    if (sessionId === currentSessionId) {
+    if (sessionId === request.session?.sessionId) {
       throw new ValidationError('Cannot revoke current session. Use logout endpoint instead.');
     }
 
-    // Get the session to verify ownership
-    const session = SessionService.getSession(sessionId);
-    
-    if (!session) {
-      throw new ValidationError('Session not found or already expired');
-    }
-
-    // Verify the session belongs to the authenticated user
-    if (session.userId !== userId) {
-      throw new AuthenticationError('You can only revoke your own sessions');
-    }
+    await getOwnSession(sessionId, userId);
 
     // Revoke the session
-    const success = SessionService.invalidateSession(sessionId);
-    
+    const success = await DatabaseSessionService.invalidateSession(sessionId);
+
     if (!success) {
       throw new ValidationError('Failed to revoke session');
     }
 
+    // The revoked device was also given the Supabase password at sign-in
+    await AuthService.rotateSupabasePassword(userId);
+
     // Log the action
-    const ipAddress = request.headers.get('x-forwarded-for') || 
-                     request.headers.get('x-real-ip') || 
+    const ipAddress = request.headers.get('x-forwarded-for') ||
+                     request.headers.get('x-real-ip') ||
                      'unknown';
     console.log(`[SESSIONS] User ${userId} revoked session ${sessionId} from IP ${ipAddress}`);
 
@@ -113,47 +121,21 @@ export async function GET(request, { params }) {
   }
 
   try {
-    const { sessionId } = params;
     const userId = request.user.id;
+    const { sessionId } = params;
 
     // Validate session ID
     if (!sessionId) {
       throw new ValidationError('Session ID is required');
     }
 
-    // Get the session
-    const session = SessionService.getSession(sessionId);
-    
-    if (!session) {
-      throw new ValidationError('Session not found or expired');
-    }
-
-    // Verify the session belongs to the authenticated user
-    if (session.userId !== userId) {
-      throw new AuthenticationError('You can only view your own sessions');
-    }
-
-    // Format session for response
-    const formattedSession = {
-      sessionId: session.sessionId,
-      createdAt: session.createdAt,
-      lastActivity: session.lastActivity,
-      ipAddress: session.ipAddress,
-      userAgent: session.userAgent,
-      deviceInfo: {
-        browser: extractBrowserInfo(session.userAgent),
-        os: extractOSInfo(session.userAgent),
-        device: extractDeviceInfo(session.userAgent)
-      },
-      isCurrent: session.sessionId === request.session?.sessionId,
-      isActive: session.isActive
-    };
+    const session = await getOwnSession(sessionId, userId);
 
     return NextResponse.json({
       success: true,
       message: 'Session details retrieved successfully',
       data: {
-        session: formattedSession
+        session: await DatabaseSessionService.describeSession(session, request.session?.sessionId)
       }
     }, { status: 200 });
 
@@ -162,39 +144,3 @@ export async function GET(request, { params }) {
     return sendErrorResponse(NextResponse, error);
   }
 }
-
-/**
- * Helper functions for parsing user agent
- */
-function extractBrowserInfo(userAgent) {
-  if (!userAgent) return 'Unknown';
-  
-  if (userAgent.includes('Chrome')) return 'Chrome';
-  if (userAgent.includes('Firefox')) return 'Firefox';
-  if (userAgent.includes('Safari') && !userAgent.includes('Chrome')) return 'Safari';
-  if (userAgent.includes('Edge')) return 'Edge';
-  if (userAgent.includes('Opera')) return 'Opera';
-  
-  return 'Unknown';
-}
-
-function extractOSInfo(userAgent) {
-  if (!userAgent) return 'Unknown';
-  
-  if (userAgent.includes('Windows')) return 'Windows';
-  if (userAgent.includes('Mac OS')) return 'macOS';
-  if (userAgent.includes('Linux')) return 'Linux';
-  if (userAgent.includes('Android')) return 'Android';
-  if (userAgent.includes('iOS')) return 'iOS';
-  
-  return 'Unknown';
-}
-
-function extractDeviceInfo(userAgent) {
-  if (!userAgent) return 'Unknown';
-  
-  if (userAgent.includes('Mobile')) return 'Mobile';
-  if (userAgent.includes('Tablet')) return 'Tablet';
-  
-  return 'Desktop';
-} 
\ No newline at end of file
@@ -1,17 +1,15 @@
 /**
  * Session Management API
  * Endpoints for managing user sessions
+ * The session the access token was issued for is this device.
  */
 
 import { NextResponse } from 'next/server';
-import SessionService from '../../../../../lib/services/auth/SessionService.js';
-import { authenticate } from '../../middleware/auth.js';
-import { 
-  ValidationError,
-  AuthenticationError,
-  sendErrorResponse 
-} from '../../../../../lib/core/errors/index.js';
+import DatabaseSessionService from '../../../../../lib/services/auth/DatabaseSessionService.js';
+import AuthService from '../../../../../lib/services/auth/AuthService.js';
+import { sendErrorResponse } from '../../../../../lib/core/errors/index.js';
 import { applySecurity } from '../../middleware/security.js';
+import { authenticate } from '../../middleware/auth.js';
 
 // Apply security middleware
 const securityOptions = {
@@ -41,31 +39,20 @@ export async function GET(request) {
 
   try {
     const userId = request.user.id;
-    
-    // Get all active sessions for the user
-    const sessions = SessionService.getUserSessions(userId);
-    
-    // Format sessions for response (remove sensitive data)
-    const formattedSessions = sessions.map(session => ({
-      sessionId: session.sessionId,
-      createdAt: session.createdAt,
-      lastActivity: session.lastActivity,
-      ipAddress: session.ipAddress,
-      userAgent: session.userAgent,
-      deviceInfo: {
-        browser: extractBrowserInfo(session.userAgent),
-        os: extractOSInfo(session.userAgent),
-        device: extractDeviceInfo(session.userAgent)
-      },
-      isCurrent: session.sessionId === request.session?.sessionId
-    }));
+    const currentSessionId = request.session?.sessionId;
+    const sessions = await DatabaseSessionService.getUserSessions(userId);
+
+    // This device first, then the most recently used
+    const devices = (await Promise.all(
+      sessions.map(session => DatabaseSessionService.describeSession(session, currentSessionId))
+    )).sort((a, b) => (b.isCurrent - a.isCurrent) || (new Date(b.lastActivity) - new Date(a.lastActivity)));
 
     return NextResponse.json({
       success: true,
       message: 'Sessions retrieved successfully',
       data: {
-        sessions: formattedSessions,
-        total: formattedSessions.length
+        sessions: devices,
+        total: devices.length
       }
     }, { status: 200 });
 
@@ -96,13 +83,16 @@ export async function DELETE(request) {
   try {
     const userId = request.user.id;
     const currentSessionId = request.session?.sessionId;
-    
+
     // Invalidate all sessions except the current one
-    const revokedCount = SessionService.invalidateUserSessions(userId, currentSessionId);
-    
+    const revokedCount = await DatabaseSessionService.invalidateUserSessions(userId, currentSessionId);
+
+    // Every one of them was also given the Supabase password at sign-in
+    await AuthService.rotateSupabasePassword(userId);
+
     // Log the action
-    const ipAddress = request.headers.get('x-forwarded-for') || 
-                     request.headers.get('x-real-ip') || 
+    const ipAddress = request.headers.get('x-forwarded-for') ||
+                     request.headers.get('x-real-ip') ||
                      'unknown';
     console.log(`[SESSIONS] User ${userId} revoked ${revokedCount} sessions from IP ${ipAddress}`);
 
@@ -120,39 +110,3 @@ export async function DELETE(request) {
     return sendErrorResponse(NextResponse, error);
   }
 }
-
-/**
- * Helper functions for parsing user agent
- */
-function extractBrowserInfo(userAgent) {
-  if (!userAgent) return 'Unknown';
-  
-  if (userAgent.includes('Chrome')) return 'Chrome';
-  if (userAgent.includes('Firefox')) return 'Firefox';
-  if (userAgent.includes('Safari') && !userAgent.includes('Chrome')) return 'Safari';
-  if (userAgent.includes('Edge')) return 'Edge';
-  if (userAgent.includes('Opera')) return 'Opera';
-  
-  return 'Unknown';
-}
-
-function extractOSInfo(userAgent) {
-  if (!userAgent) return 'Unknown';
-  
-  if (userAgent.includes('Windows')) return 'Windows';
-  if (userAgent.includes('Mac OS')) return 'macOS';
-  if (userAgent.includes('Linux')) return 'Linux';
-  if (userAgent.includes('Android')) return 'Android';
-  if (userAgent.includes('iOS')) return 'iOS';
-  
-  return 'Unknown';
-}
-
-function extractDeviceInfo(userAgent) {
-  if (!userAgent) return 'Unknown';
-  
-  if (userAgent.includes('Mobile')) return 'Mobile';
-  if (userAgent.includes('Tablet')) return 'Tablet';
-  
-  return 'Desktop';
-} 
\ No newline at end of file
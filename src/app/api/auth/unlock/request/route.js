@@ -0,0 +1,108 @@
+/**
+ * Request a code to unlock a PIN-locked account, by SMS unless `channel` says otherwise
+ * Always answers the same way so it can't be used to find out which numbers
+ * have accounts or are locked; a code is only sent when the account is locked.
+ */
+
+import { NextResponse } from 'next/server';
+import { OTPService } from '../../../../../../lib/otp/OTPService.js';
+import { getOTPConfig } from '../../../../../../lib/otp/config.js';
+import { OTP_CHANNELS } from '../../../../../../lib/otp/BaseOTPProvider.js';
+import AuthService from '../../../../../../lib/services/auth/AuthService.js';
+import pinLockoutService from '../../../../../../lib/services/auth/PinLockoutService.js';
+import { getAuthConfig } from '../../../../../../lib/core/config/index.js';
+import otpQuotaService from '../../../../../../lib/services/otp/OTPQuotaService.js';
+import { RateLimitError, ValidationError } from '../../../../../../lib/core/errors/index.js';
+
+// Initialize OTP service
+let otpService = null;
+
+async function getOTPServiceInstance() {
+  if (!otpService) {
+    otpService = OTPService.getInstance();
+    const config = getOTPConfig();
+    const initResult = await otpService.initialize(config);
+    
+    if (!initResult.success) {
+      throw new Error(`Failed to initialize OTP service: ${initResult.error}`);
+    }
+  }
+  return otpService;
+}
+
+// Send quota used up: tell the client when to try again
+function quotaResponse(error) {
+  const { retryAfter, retryAt } = error.details;
+  return NextResponse.json({
+    error: error.message,
+    code: error.code,
+    retryAfter,
+    resendAt: retryAt,
+  }, {
+    status: error.statusCode,
+    headers: { 'Retry-After': String(retryAfter) },
+  });
+}
+
+export async function POST(request) {
+  try {
+    const { phoneNumber, channel = 'sms' } = await request.json();
+
+    if (!phoneNumber) {
+      return NextResponse.json({ error: 'Phone number is required' }, { status: 400 });
+    }
+
+    if (!OTP_CHANNELS.includes(channel)) {
+      return NextResponse.json({ error: `channel must be one of ${OTP_CHANNELS.join(', ')}` }, { status: 400 });
+    }
+
+    // Every request counts against the quota, whether or not a code goes out,
+    // so a refusal says nothing about the account
+    const quota = await otpQuotaService.reserveSend(AuthService.normalizePhoneNumber(phoneNumber), {
+      purpose: 'unlock',
+      ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip'),
+    });
+
+    const user = await AuthService.findUserByPhone(phoneNumber);
+    const lock = user ? await pinLockoutService.getAccountLock(user.id) : { locked: false };
+
+    if (lock.locked) {
+      const { otpLength, otpExpiryMinutes } = getAuthConfig().pin.unlock;
+      const service = await getOTPServiceInstance();
+      const result = await service.sendOTP(user.phone_number, {
+        purpose: 'unlock',
+        length: otpLength,
+        expiryMinutes: otpExpiryMinutes,
+        // Accounts without an address get a text, so the answer stays the same
+        channel: channel === 'email' && !user.email ? 'sms' : channel,
+        email: user.email || undefined
+      });
+
+      if (!result.success) {
+        console.error('Failed to send unlock OTP:', result.error);
+        await otpQuotaService.releaseSend(quota.reservationId);
+        return NextResponse.json({ error: 'Failed to send unlock code' }, { status: 500 });
+      }
+    }
+
+    return NextResponse.json({
+      message: 'If this account is locked, an unlock code has been sent',
+      resendAt: quota.resendAt,
+      retryAfter: quota.retryAfter
+    });
+
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      return quotaResponse(error);
+    }
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
+    console.error('Error in unlock request route:', error);
+    return NextResponse.json({ 
+      error: 'Internal server error while requesting unlock code', 
+      details: error.message 
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * Unlock a PIN-locked account with the SMS code from /api/auth/unlock/request
+ */
+
+import { NextResponse } from 'next/server';
+import { OTPService } from '../../../../../../lib/otp/OTPService.js';
+import { getOTPConfig } from '../../../../../../lib/otp/config.js';
+import AuthService from '../../../../../../lib/services/auth/AuthService.js';
+import pinLockoutService from '../../../../../../lib/services/auth/PinLockoutService.js';
+import { ValidationError } from '../../../../../../lib/core/errors/index.js';
+
+// Initialize OTP service
+let otpService = null;
+
+async function getOTPServiceInstance() {
+  if (!otpService) {
+    otpService = OTPService.getInstance();
+    const config = getOTPConfig();
+    const initResult = await otpService.initialize(config);
+    
+    if (!initResult.success) {
+      throw new Error(`Failed to initialize OTP service: ${initResult.error}`);
+    }
+  }
+  return otpService;
+}
+
+export async function POST(request) {
+  try {
+    const { phoneNumber, otp } = await request.json();
+
+    if (!phoneNumber || !otp) {
+      return NextResponse.json({ error: 'Phone number and code are required' }, { status: 400 });
+    }
+
+    const user = await AuthService.findUserByPhone(phoneNumber);
+    if (!user) {
+      return NextResponse.json({ error: 'Invalid or expired code' }, { status: 400 });
+    }
+
+    const service = await getOTPServiceInstance();
+    const otpResult = await service.verifyOTP(user.phone_number, otp, { purpose: 'unlock' });
+
+    if (!otpResult.success) {
+      return NextResponse.json({ 
+        error: otpResult.error || 'Invalid or expired code' 
+      }, { status: 400 });
+    }
+
+    await pinLockoutService.unlockAccount(user.id, {
+      method: 'otp',
+      ipAddress: request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip'),
+      userAgent: request.headers.get('user-agent') || ''
+    });
+
+    return NextResponse.json({ message: 'Account unlocked. You can sign in with your PIN again.' });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
+    console.error('Error in unlock verify route:', error);
+    return NextResponse.json({ 
+      error: 'Internal server error while unlocking account', 
+      details: error.message 
+    }, { status: 500 });
+  }
+}
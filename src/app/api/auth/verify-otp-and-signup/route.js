@@ -1,9 +1,10 @@
 import { NextResponse } from 'next/server';
 import supabaseAdmin from '../../../../../lib/supabaseAdmin';
 import bcrypt from 'bcryptjs';
-import crypto from 'crypto';
 import { OTPService } from '../../../../../lib/otp/OTPService.js';
 import { getOTPConfig } from '../../../../../lib/otp/config.js';
+import { checkPin } from '../../../../../lib/core/utils/pinPolicy.js';
+import { deriveSupabasePassword } from '../../../../../lib/core/utils/supabasePassword.js';
 
 // Initialize OTP service
 let otpService = null;
@@ -21,20 +22,6 @@ async function getOTPServiceInstance() {
   return otpService;
 }
 
-// Function to derive a strong password for Supabase user (not used by end-user)
-// We use the phone number and a server-side secret to make it deterministic if needed, but unique per user.
-// IMPORTANT: Ensure APP_SECRET is set in your environment variables.
-const appSecret = process.env.APP_SECRET || 'default-fallback-secret-CHANGE-ME';
-if (appSecret === 'default-fallback-secret-CHANGE-ME') {
-  console.warn('WARNING: APP_SECRET is not set or is using the default. Please set a strong, unique secret in your environment variables.');
-}
-
-function deriveSupabasePassword(phoneNumber) {
-  return crypto.createHmac('sha256', appSecret)
-    .update(phoneNumber)
-    .digest('hex') + 'P!'; // Add complexity
-}
-
 export async function POST(request) {
   console.log("\n--- Verify OTP & Sign Up: Request received ---");
   try {
@@ -52,15 +39,16 @@ export async function POST(request) {
        return NextResponse.json({ error: 'Invalid phone number format.' }, { status: 400 });
     }
 
-    if (pin.length < 4 || pin.length > 8 || !/^\d+$/.test(pin)) {
-        console.error("Invalid PIN format");
-        return NextResponse.json({ error: 'PIN must be a 4 to 8 digit number.' }, { status: 400 });
+    const pinCheck = checkPin(pin, { phoneNumber: normalizedPhoneNumber });
+    if (!pinCheck.valid) {
+        console.error("PIN rejected by policy:", pinCheck.error);
+        return NextResponse.json({ error: pinCheck.error }, { status: 400 });
     }
 
     // Verify OTP using the new OTP service
     console.log("Verifying OTP...");
     const service = await getOTPServiceInstance();
-    const otpResult = await service.verifyOTP(normalizedPhoneNumber, otp);
+    const otpResult = await service.verifyOTP(normalizedPhoneNumber, otp, { purpose: 'signup' });
     
     if (!otpResult.success) {
       console.error("OTP verification failed:", otpResult.error);
@@ -140,6 +128,7 @@ export async function POST(request) {
         phone_number: normalizedPhoneNumber,
         phone_suffix: lastFourDigits,
         pin_hash: pinHash,
+        pin_length: pin.length,
         is_pin_set: true,
       });
 
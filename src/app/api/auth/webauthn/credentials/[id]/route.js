@@ -0,0 +1,39 @@
+/**
+ * Passkey API Route
+ * DELETE /api/auth/webauthn/credentials/[id] - Remove one of the signed-in user's passkeys
+ */
+
+import { NextResponse } from 'next/server';
+import webAuthnService from '../../../../../../../lib/services/auth/WebAuthnService.js';
+import { authenticate } from '../../../../middleware/auth.js';
+import {
+  sendErrorResponse,
+  asyncHandler
+} from '../../../../../../../lib/core/errors/index.js';
+
+export const DELETE = asyncHandler(async (req, { params }) => {
+  try {
+    const authMiddleware = authenticate({ required: true, validateSession: true });
+    const authResult = await authMiddleware(req, NextResponse, () => {});
+    if (authResult instanceof Response) {
+      return authResult;
+    }
+    const userId = req.user.id;
+
+    const { id } = params;
+    const result = await webAuthnService.deleteCredential(userId, id, {
+      ipAddress: req.headers.get('x-forwarded-for') || req.headers.get('x-real-ip'),
+      userAgent: req.headers.get('user-agent') || '',
+    });
+
+    return NextResponse.json({
+      success: true,
+      data: result,
+    });
+
+  } catch (error) {
+    console.error('Remove passkey error:', error);
+
+    return sendErrorResponse(NextResponse, error);
+  }
+});
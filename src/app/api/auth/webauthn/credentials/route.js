@@ -0,0 +1,35 @@
+/**
+ * Passkeys API Route
+ * GET /api/auth/webauthn/credentials - The signed-in user's passkeys
+ */
+
+import { NextResponse } from 'next/server';
+import webAuthnService from '../../../../../../lib/services/auth/WebAuthnService.js';
+import { authenticate } from '../../../middleware/auth.js';
+import {
+  sendErrorResponse,
+  asyncHandler
+} from '../../../../../../lib/core/errors/index.js';
+
+export const GET = asyncHandler(async (req) => {
+  try {
+    const authMiddleware = authenticate({ required: true, validateSession: true });
+    const authResult = await authMiddleware(req, NextResponse, () => {});
+    if (authResult instanceof Response) {
+      return authResult;
+    }
+    const userId = req.user.id;
+
+    const credentials = await webAuthnService.listCredentials(userId);
+
+    return NextResponse.json({
+      success: true,
+      data: { credentials },
+    });
+
+  } catch (error) {
+    console.error('List passkeys error:', error);
+
+    return sendErrorResponse(NextResponse, error);
+  }
+});
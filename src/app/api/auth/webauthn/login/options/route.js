@@ -0,0 +1,33 @@
+/**
+ * Passkey Sign-In Options API Route
+ * POST /api/auth/webauthn/login/options - Challenge for a usernameless passkey sign-in
+ */
+
+import { NextResponse } from 'next/server';
+import webAuthnService from '../../../../../../../lib/services/auth/WebAuthnService.js';
+import { applySecurity } from '../../../../middleware/security.js';
+
+// Every call stores a challenge, so anonymous callers are limited per IP
+const securityOptions = {
+  rateLimit: {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 30, // 30 sign-in attempts per window
+  }
+};
+
+export async function POST(request) {
+  const middlewareResult = await applySecurity(securityOptions)(request, NextResponse, () => {});
+  if (middlewareResult instanceof Response) {
+    return middlewareResult;
+  }
+
+  try {
+    const { options, challengeId } = await webAuthnService.getAuthenticationOptions();
+
+    return NextResponse.json({ options, challengeId });
+
+  } catch (error) {
+    console.error('Passkey sign-in options error:', error);
+    return NextResponse.json({ error: 'Failed to start passkey sign-in' }, { status: 500 });
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Passkey Sign-In API Route
+ * POST /api/auth/webauthn/login/verify - Check the passkey assertion and sign the user in
+ *
+ * Answers like /api/auth/login-with-pin ({ message, userId, session, credentials }),
+ * so the login form handles both the same way. Passkeys require user verification
+ * on the device, so accounts with TOTP on don't get the extra code step here.
+ */
+
+import { NextResponse } from 'next/server';
+import supabaseAdmin from '../../../../../../../lib/supabaseAdmin';
+import AuthService from '../../../../../../../lib/services/auth/AuthService.js';
+import DatabaseSessionService from '../../../../../../../lib/services/auth/DatabaseSessionService.js';
+import webAuthnService from '../../../../../../../lib/services/auth/WebAuthnService.js';
+import loginRiskService from '../../../../../../../lib/services/auth/LoginRiskService.js';
+import { AuthenticationError, PinResetRequiredError } from '../../../../../../../lib/core/errors/index.js';
+
+export async function POST(request) {
+  try {
+    const { challengeId, response } = await request.json();
+
+    if (!challengeId || !response) {
+      return NextResponse.json({ error: 'challengeId and response are required' }, { status: 400 });
+    }
+
+    const ipAddress = request.headers.get('x-forwarded-for') || request.headers.get('x-real-ip');
+    const userAgent = request.headers.get('user-agent') || '';
+
+    let user;
+    try {
+      user = await webAuthnService.verifyAuthentication(challengeId, response, { ipAddress, userAgent });
+    } catch (error) {
+      if (error instanceof PinResetRequiredError) {
+        return NextResponse.json({ error: error.message, code: error.code }, { status: error.statusCode });
+      }
+      if (error instanceof AuthenticationError) {
+        return NextResponse.json({ error: error.message }, { status: 401 });
+      }
+      throw error;
+    }
+
+    const credentials = AuthService.supabaseCredentials(user);
+    const { data: signInData, error: signInError } = await supabaseAdmin.auth.signInWithPassword(credentials);
+
+    if (signInError || !signInData?.session) {
+      console.error('Supabase sign-in error:', signInError);
+      return NextResponse.json({ error: 'Failed to sign in with Supabase', details: signInError?.message }, { status: 500 });
+    }
+
+    const { accessToken, refreshToken, sessionId } = AuthService.buildAuthResult(user);
+
+    const session = await DatabaseSessionService.createSession(user.id, {
+      sessionId,
+      ipAddress,
+      userAgent,
+      deviceInfo: {
+        userAgent,
+        ipAddress,
+        loginTime: new Date()
+      },
+      accessToken,
+      refreshToken,
+      supabaseSession: signInData.session
+    });
+
+    await DatabaseSessionService.logAuditEvent(user.id, 'login_success', 'auth', {
+      phone: user.phone_number,
+      session_id: session.sessionId,
+      method: 'passkey'
+    }, ipAddress, userAgent, true);
+
+    await loginRiskService.reviewLogin(user.id, user.phone_number, session, { method: 'passkey' });
+
+    return NextResponse.json({
+      message: 'Login successful',
+      userId: user.id,
+      sessionId: session.sessionId,
+      accessToken,
+      session: signInData.session,
+      credentials
+    }, {
+      headers: {
+        'Set-Cookie': `sessionId=${session.sessionId}; HttpOnly; Secure; SameSite=Strict; Path=/; Max-Age=604800`
+      }
+    });
+
+  } catch (error) {
+    console.error('Passkey login error:', error);
+    return NextResponse.json({ error: 'Internal server error', details: error.message }, { status: 500 });
+  }
+}
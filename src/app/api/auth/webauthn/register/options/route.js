@@ -0,0 +1,42 @@
+/**
+ * Passkey Registration Options API Route
+ * POST /api/auth/webauthn/register/options - Start adding a passkey to the signed-in account (needs the current PIN)
+ */
+
+import { NextResponse } from 'next/server';
+import webAuthnService from '../../../../../../../lib/services/auth/WebAuthnService.js';
+import AuthService from '../../../../../../../lib/services/auth/AuthService.js';
+import { authenticate } from '../../../../middleware/auth.js';
+import {
+  sendErrorResponse,
+  asyncHandler
+} from '../../../../../../../lib/core/errors/index.js';
+
+export const POST = asyncHandler(async (req) => {
+  try {
+    const authMiddleware = authenticate({ required: true, validateSession: true });
+    const authResult = await authMiddleware(req, NextResponse, () => {});
+    if (authResult instanceof Response) {
+      return authResult;
+    }
+    const userId = req.user.id;
+
+    const { pin } = await req.json();
+    await AuthService.confirmPIN(userId, pin, {
+      ipAddress: req.headers.get('x-forwarded-for') || req.headers.get('x-real-ip'),
+      userAgent: req.headers.get('user-agent') || '',
+    });
+
+    const { options, challengeId } = await webAuthnService.getRegistrationOptions(userId);
+
+    return NextResponse.json({
+      success: true,
+      data: { options, challengeId },
+    });
+
+  } catch (error) {
+    console.error('Passkey registration options error:', error);
+
+    return sendErrorResponse(NextResponse, error);
+  }
+});
@@ -0,0 +1,45 @@
+/**
+ * Passkey Registration API Route
+ * POST /api/auth/webauthn/register/verify - Save the passkey the browser just created
+ */
+
+import { NextResponse } from 'next/server';
+import webAuthnService from '../../../../../../../lib/services/auth/WebAuthnService.js';
+import { authenticate } from '../../../../middleware/auth.js';
+import {
+  ValidationError,
+  sendErrorResponse,
+  asyncHandler
+} from '../../../../../../../lib/core/errors/index.js';
+
+export const POST = asyncHandler(async (req) => {
+  try {
+    const authMiddleware = authenticate({ required: true, validateSession: true });
+    const authResult = await authMiddleware(req, NextResponse, () => {});
+    if (authResult instanceof Response) {
+      return authResult;
+    }
+    const userId = req.user.id;
+
+    const { challengeId, response, name } = await req.json();
+    if (!challengeId || !response) {
+      throw new ValidationError('challengeId and response are required');
+    }
+
+    const credential = await webAuthnService.verifyRegistration(userId, challengeId, response, {
+      name,
+      ipAddress: req.headers.get('x-forwarded-for') || req.headers.get('x-real-ip'),
+      userAgent: req.headers.get('user-agent') || '',
+    });
+
+    return NextResponse.json({
+      success: true,
+      data: { credential },
+    }, { status: 201 });
+
+  } catch (error) {
+    console.error('Passkey registration error:', error);
+
+    return sendErrorResponse(NextResponse, error);
+  }
+});
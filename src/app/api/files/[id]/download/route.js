@@ -1,6 +1,7 @@
 /**
  * File Download API Route
  * GET /api/files/[id]/download - Download specific file
+ * GET /api/files/[id]/download?version=N - Download an older version
  */
 
 import { getFileService } from '../../../../../../lib/services/index.js';
@@ -23,10 +24,13 @@ export const GET = asyncHandler(async (req, { params }) => {
     }
     
     const { id } = params;
+    const version = new URL(req.url).searchParams.get('version');
     
     // Get file metadata first
     const fileService = getFileService();
-    const file = await fileService.getFile(id, userId);
+    const file = version
+      ? await fileService.getFileVersion(id, userId, version)
+      : await fileService.getFile(id, userId);
     
     if (!file) {
       throw new NotFoundError('File');
@@ -37,7 +41,9 @@ export const GET = asyncHandler(async (req, { params }) => {
     
     // Determine bucket name from file metadata
     let bucketName;
-    if (file.fileType?.startsWith('image/')) {
+    if (file.bucketName) {
+      bucketName = file.bucketName;
+    } else if (file.fileType?.startsWith('image/')) {
       bucketName = 'images';
     } else {
       bucketName = 'aeronotes-documents';
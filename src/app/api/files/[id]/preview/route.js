@@ -0,0 +1,61 @@
+/**
+ * Document Preview API Route
+ * GET /api/files/[id]/preview - Text preview, page count and (for CSVs) a table of the first rows
+ * POST /api/files/[id]/preview - Re-extract the document text, e.g. after a direct upload to storage
+ */
+
+import { NextResponse } from 'next/server';
+import { getDocumentService } from '../../../../../../lib/services/index.js';
+import {
+  AuthenticationError,
+  sendErrorResponse,
+  asyncHandler
+} from '../../../../../../lib/core/errors/index.js';
+
+export const GET = asyncHandler(async (req, { params }) => {
+  try {
+    const userId = req.headers.get('x-user-id');
+    if (!userId) {
+      throw new AuthenticationError('Authentication required');
+    }
+
+    const { id } = params;
+
+    const documentService = getDocumentService();
+    const preview = await documentService.getPreview(id, userId);
+
+    return NextResponse.json({
+      success: true,
+      data: { preview },
+    });
+
+  } catch (error) {
+    console.error('Get document preview error:', error);
+
+    return sendErrorResponse(NextResponse, error);
+  }
+});
+
+export const POST = asyncHandler(async (req, { params }) => {
+  try {
+    const userId = req.headers.get('x-user-id');
+    if (!userId) {
+      throw new AuthenticationError('Authentication required');
+    }
+
+    const { id } = params;
+
+    const documentService = getDocumentService();
+    const preview = await documentService.processDocument(id, userId);
+
+    return NextResponse.json({
+      success: true,
+      data: { preview },
+    });
+
+  } catch (error) {
+    console.error('Process document error:', error);
+
+    return sendErrorResponse(NextResponse, error);
+  }
+});
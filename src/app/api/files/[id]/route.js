@@ -2,7 +2,7 @@
  * Individual File API Routes
  * GET /api/files/[id] - Get specific file
  * PUT /api/files/[id] - Update file metadata
- * DELETE /api/files/[id] - Delete file
+ * DELETE /api/files/[id] - Move file to the trash
  */
 
 import { getFileService } from '../../../../../lib/services/index.js';
@@ -114,7 +114,7 @@ export const DELETE = asyncHandler(async (req, { params }) => {
     return Response.json({
       success: true,
       data: {
-        message: 'File deleted successfully',
+        message: 'File moved to trash',
       },
     });
     
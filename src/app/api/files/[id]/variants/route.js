@@ -0,0 +1,36 @@
+/**
+ * Image Variants API Route
+ * POST /api/files/[id]/variants - Generate (or regenerate) thumbnail/medium/large variants
+ */
+
+import { NextResponse } from 'next/server';
+import { getFileService } from '../../../../../../lib/services/index.js';
+import {
+  AuthenticationError,
+  sendErrorResponse,
+  asyncHandler
+} from '../../../../../../lib/core/errors/index.js';
+
+export const POST = asyncHandler(async (req, { params }) => {
+  try {
+    const userId = req.headers.get('x-user-id');
+    if (!userId) {
+      throw new AuthenticationError('Authentication required');
+    }
+
+    const { id } = params;
+
+    const fileService = getFileService();
+    const result = await fileService.generateImageVariants(id, userId);
+
+    return NextResponse.json({
+      success: true,
+      data: result,
+    });
+
+  } catch (error) {
+    console.error('Generate image variants error:', error);
+
+    return sendErrorResponse(NextResponse, error);
+  }
+});
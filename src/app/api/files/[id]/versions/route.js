@@ -0,0 +1,36 @@
+/**
+ * File Versions API Route
+ * GET /api/files/[id]/versions - List stored versions of a file (newest first)
+ */
+
+import { NextResponse } from 'next/server';
+import { getFileService } from '../../../../../../lib/services/index.js';
+import {
+  AuthenticationError,
+  sendErrorResponse,
+  asyncHandler
+} from '../../../../../../lib/core/errors/index.js';
+
+export const GET = asyncHandler(async (req, { params }) => {
+  try {
+    const userId = req.headers.get('x-user-id');
+    if (!userId) {
+      throw new AuthenticationError('Authentication required');
+    }
+
+    const { id } = params;
+
+    const fileService = getFileService();
+    const versions = await fileService.getFileVersions(id, userId);
+
+    return NextResponse.json({
+      success: true,
+      data: { versions },
+    });
+
+  } catch (error) {
+    console.error('Get file versions error:', error);
+
+    return sendErrorResponse(NextResponse, error);
+  }
+});
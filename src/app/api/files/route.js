@@ -1,7 +1,7 @@
 /**
  * Files API Routes
  * GET /api/files - List user files
- * POST /api/files - Upload new file
+ * POST /api/files - Upload new file (or a new version of an existing one)
  */
 
 import { getFileService } from '../../../../lib/services/index.js';
@@ -80,6 +80,8 @@ export const POST = asyncHandler(async (req) => {
     const tags = formData.get('tags')?.split(',').filter(Boolean) || [];
     const description = formData.get('description');
     const makePublic = formData.get('makePublic') === 'true';
+    const replaces = formData.get('replaces') || undefined;
+    const preserveExif = formData.get('preserveExif') === 'true';
     
     if (!file) {
       throw new ValidationError('File is required');
@@ -95,13 +97,17 @@ export const POST = asyncHandler(async (req) => {
       tags,
       description,
       makePublic,
+      replaces,
+      preserveExif,
     });
     
     return Response.json({
       success: true,
       data: {
         file: uploadedFile,
-        message: 'File uploaded successfully',
+        message: uploadedFile.version > 1
+          ? `Uploaded version ${uploadedFile.version}`
+          : 'File uploaded successfully',
       },
     }, { status: 201 });
     
@@ -1,19 +1,42 @@
 /**
  * Health Check API Route
- * GET /api/health - Check system health
+ * GET /api/health - Check system health, including each OTP provider's circuit
  */
 
 import { 
   performHealthCheck,
   getServiceMetrics 
 } from '../../../../lib/services/index.js';
-import { 
-  sendErrorResponse,
-  asyncHandler 
-} from '../../../../lib/core/errors/index.js';
+import { sendErrorResponse } from '../../../../lib/core/errors/index.js';
 import { trackRequest } from '../../../../lib/core/monitoring/requestTracker.js';
+import { OTPService } from '../../../../lib/otp/OTPService.js';
+import { getOTPConfig } from '../../../../lib/otp/config.js';
+
+// Initialize OTP service
+let otpService = null;
+
+async function getOTPServiceInstance() {
+  if (!otpService) {
+    otpService = OTPService.getInstance();
+    const initResult = await otpService.initialize(getOTPConfig());
+
+    if (!initResult.success) {
+      otpService = null;
+      throw new Error(`Failed to initialize OTP service: ${initResult.error}`);
+    }
+  }
+  return otpService;
+}
+
+async function checkOTPProviders() {
+  try {
+    return (await getOTPServiceInstance()).healthCheck();
+  } catch (error) {
+    return { status: 'unhealthy', error: error.message };
+  }
+}
 
-export const GET = asyncHandler(async (req) => {
+export async function GET(req) {
   try {
     // Track this health check request
     trackRequest('/api/health', 'GET', 200);
@@ -23,6 +46,7 @@ export const GET = asyncHandler(async (req) => {
     
     // Perform health check on all services
     const healthStatus = await performHealthCheck();
+    const otpHealth = await checkOTPProviders();
     
     const response = {
       success: true,
@@ -30,6 +54,7 @@ export const GET = asyncHandler(async (req) => {
         status: 'healthy',
         timestamp: new Date().toISOString(),
         services: healthStatus,
+        otpProviders: otpHealth,
       },
     };
     
@@ -40,7 +65,7 @@ export const GET = asyncHandler(async (req) => {
     }
     
     // Determine overall status
-    const hasUnhealthyServices = Object.values(healthStatus).some(
+    const hasUnhealthyServices = otpHealth.status !== 'healthy' || Object.values(healthStatus).some(
       service => !service.healthy
     );
     
@@ -68,4 +93,4 @@ export const GET = asyncHandler(async (req) => {
       },
     }, { status: 503 });
   }
-}); 
\ No newline at end of file
+} 
\ No newline at end of file
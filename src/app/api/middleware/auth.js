@@ -4,7 +4,7 @@
  */
 
 import jwt from 'jsonwebtoken';
-import SessionService from '../../../../lib/services/auth/SessionService.js';
+import DatabaseSessionService from '../../../../lib/services/auth/DatabaseSessionService.js';
 import AuthService from '../../../../lib/services/auth/AuthService.js';
 import { 
   AuthenticationError,
@@ -42,8 +42,8 @@ export const verifyToken = async (token) => {
     // Verify JWT signature and expiration
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Check if token is blacklisted
-    if (decoded.jti && SessionService.isTokenBlacklisted(decoded.jti)) {
+    // Check if token is blacklisted (logout and revocation blacklist by token hash)
+    if (await DatabaseSessionService.isTokenBlacklisted(token)) {
       throw new AuthenticationError('Token has been revoked');
     }
     
@@ -77,7 +77,8 @@ export const getUserFromToken = async (decoded) => {
       throw new AuthenticationError('User not found');
     }
     
-    if (!user.isActive) {
+    // Only accounts that carry the flag can be deactivated
+    if (user.isActive === false) {
       throw new AuthenticationError('User account is deactivated');
     }
     
@@ -90,15 +91,22 @@ export const getUserFromToken = async (decoded) => {
   }
 };
 
+/**
+ * The session this request comes from: the `x-session-id` header, or the
+ * `sessionId` cookie set at sign-in
+ */
+export const getRequestSessionId = (request) =>
+  request.headers.get('x-session-id') || request.cookies?.get('sessionId')?.value || null;
+
 /**
  * Validate session if session ID is provided
  */
-export const validateSession = (sessionId, userId) => {
+export const validateSession = async (sessionId, userId) => {
   if (!sessionId) {
     return null; // Session validation is optional
   }
   
-  const session = SessionService.getSession(sessionId);
+  const session = await DatabaseSessionService.getSession(sessionId);
   
   if (!session) {
     throw new AuthenticationError('Invalid session');
@@ -142,12 +150,10 @@ export const authenticate = (options = {}) => {
       // Get user information
       const user = await getUserFromToken(decoded);
       
-      // Validate session if required
+      // Validate session if required; the token names the session it was issued for
       let session = null;
       if (shouldValidateSession) {
-        const sessionId = request.headers.get('x-session-id') || 
-                         request.cookies?.sessionId;
-        session = validateSession(sessionId, user.id);
+        session = await validateSession(decoded.sessionId || getRequestSessionId(request), user.id);
       }
       
       // Check role-based access
@@ -172,8 +178,8 @@ export const authenticate = (options = {}) => {
       request.session = session;
       request.tokenPayload = decoded;
       
-      // Add user ID header for logging
-      response.setHeader('X-User-ID', user.id);
+      // Add user ID header for logging (NextResponse has no setHeader)
+      response.setHeader?.('X-User-ID', user.id);
       
       // Log successful authentication
       console.log(`[AUTH] Authenticated user ${user.id} for ${request.method} ${request.url}`);
@@ -257,7 +263,7 @@ export const authRateLimit = (options = {}) => {
  */
 export const logoutAllSessions = async (userId, exceptSessionId = null) => {
   try {
-    const count = SessionService.invalidateUserSessions(userId, exceptSessionId);
+    const count = await DatabaseSessionService.invalidateUserSessions(userId, exceptSessionId);
     console.log(`[AUTH] Logged out ${count} sessions for user ${userId}`);
     return count;
   } catch (error) {
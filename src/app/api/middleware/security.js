@@ -8,6 +8,7 @@ import {
   AuthenticationError,
   sendErrorResponse 
 } from '../../../../lib/core/errors/index.js';
+import { clientIp } from '../../../../lib/core/utils/clientIp.js';
 
 /**
  * Request size validator
@@ -167,13 +168,11 @@ export const rateLimit = (options = {}) => {
     windowMs = 15 * 60 * 1000, // 15 minutes
     max = 100, // requests per window
     keyGenerator = (req) => {
-      // Use IP address or user ID for rate limiting
-      const ip = req.headers.get('x-forwarded-for') || 
-                 req.headers.get('x-real-ip') || 
-                 req.ip || 
+      // Requests run through here before authentication, so a user ID header
+      // would be the caller's to pick; key on the address our proxy saw
+      const ip = clientIp(req.headers.get('x-forwarded-for') || req.headers.get('x-real-ip')) ||
                  'unknown';
-      const userId = req.headers.get('x-user-id');
-      return userId ? `user:${userId}` : `ip:${ip}`;
+      return `ip:${ip}`;
     },
     skipSuccessfulRequests = false,
   } = options;
@@ -267,9 +266,9 @@ export const auditLog = () => {
     
     // Override response methods to log responses
     const originalJson = res.json;
-    res.json = function(data) {
+    res.json = (data, init) => {
       const duration = Date.now() - startTime;
-      const statusCode = res.statusCode || 200;
+      const statusCode = init?.status || 200;
       
       console.log(`[AUDIT] ${timestamp} - Response: ${statusCode} - Duration: ${duration}ms - User: ${userId}`);
       
@@ -278,7 +277,7 @@ export const auditLog = () => {
         console.log(`[SECURITY] Authentication/Authorization failure - User: ${userId} - IP: ${ip} - Endpoint: ${req.url}`);
       }
       
-      return originalJson.call(this, data);
+      return originalJson(data, init);
     };
     
     next();
@@ -300,17 +299,31 @@ export const applySecurity = (options = {}) => {
   ];
   
   return async (req, res, next) => {
-    let index = 0;
+    // Route handlers pass the NextResponse class, which has no per-request
+    // headers; collect them here and copy them onto any response sent early
+    const headers = new Headers();
+    const response = {
+      setHeader: (name, value) => headers.set(name, String(value)),
+      removeHeader: (name) => headers.delete(name),
+      json: (body, init) => {
+        const result = res.json(body, init);
+        headers.forEach((value, name) => result.headers.set(name, value));
+        return result;
+      },
+    };
     
-    const runNext = async () => {
-      if (index >= middlewares.length) {
-        return next();
+    // A middleware that answers the request returns its Response instead of calling next
+    for (const middleware of middlewares) {
+      let proceed = false;
+      const result = await middleware(req, response, () => { proceed = true; });
+      if (result instanceof Response) {
+        return result;
       }
-      
-      const middleware = middlewares[index++];
-      await middleware(req, res, runNext);
-    };
+      if (!proceed) {
+        return undefined;
+      }
+    }
     
-    await runNext();
+    return next();
   };
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,39 @@
+/**
+ * Note Revision Restore API Route
+ * POST /api/notes/[id]/revisions/[rev]/restore - Restore a note to an earlier revision
+ */
+
+import { NextResponse } from 'next/server';
+import { getNotesService } from '../../../../../../../../lib/services/index.js';
+import { 
+  AuthenticationError,
+  sendErrorResponse,
+  asyncHandler 
+} from '../../../../../../../../lib/core/errors/index.js';
+
+export const POST = asyncHandler(async (req, { params }) => {
+  try {
+    const userId = req.headers.get('x-user-id');
+    if (!userId) {
+      throw new AuthenticationError('Authentication required');
+    }
+    
+    const { id, rev } = params;
+    
+    const notesService = getNotesService();
+    const note = await notesService.restoreRevision(id, userId, rev);
+    
+    return NextResponse.json({
+      success: true,
+      data: {
+        note,
+        message: `Note restored to revision ${rev}`,
+      },
+    });
+    
+  } catch (error) {
+    console.error('Restore note revision error:', error);
+    
+    return sendErrorResponse(NextResponse, error);
+  }
+});
@@ -0,0 +1,44 @@
+/**
+ * Note Revision Diff API Route
+ * GET /api/notes/[id]/revisions/diff?from=1&to=3 - Line diff between two revisions
+ */
+
+import { NextResponse } from 'next/server';
+import { getNotesService } from '../../../../../../../lib/services/index.js';
+import { 
+  ValidationError,
+  AuthenticationError,
+  sendErrorResponse,
+  asyncHandler 
+} from '../../../../../../../lib/core/errors/index.js';
+
+export const GET = asyncHandler(async (req, { params }) => {
+  try {
+    const userId = req.headers.get('x-user-id');
+    if (!userId) {
+      throw new AuthenticationError('Authentication required');
+    }
+    
+    const { id } = params;
+    const url = new URL(req.url);
+    const from = url.searchParams.get('from');
+    const to = url.searchParams.get('to');
+    
+    if (!from || !to) {
+      throw new ValidationError('Both "from" and "to" revisions are required');
+    }
+    
+    const notesService = getNotesService();
+    const diff = await notesService.diffRevisions(id, userId, from, to);
+    
+    return NextResponse.json({
+      success: true,
+      data: { diff },
+    });
+    
+  } catch (error) {
+    console.error('Diff note revisions error:', error);
+    
+    return sendErrorResponse(NextResponse, error);
+  }
+});
@@ -0,0 +1,36 @@
+/**
+ * Note Revisions API Route
+ * GET /api/notes/[id]/revisions - List revisions for a note (newest first)
+ */
+
+import { NextResponse } from 'next/server';
+import { getNotesService } from '../../../../../../lib/services/index.js';
+import { 
+  AuthenticationError,
+  sendErrorResponse,
+  asyncHandler 
+} from '../../../../../../lib/core/errors/index.js';
+
+export const GET = asyncHandler(async (req, { params }) => {
+  try {
+    const userId = req.headers.get('x-user-id');
+    if (!userId) {
+      throw new AuthenticationError('Authentication required');
+    }
+    
+    const { id } = params;
+    
+    const notesService = getNotesService();
+    const revisions = await notesService.getRevisions(id, userId);
+    
+    return NextResponse.json({
+      success: true,
+      data: { revisions },
+    });
+    
+  } catch (error) {
+    console.error('Get note revisions error:', error);
+    
+    return sendErrorResponse(NextResponse, error);
+  }
+});
@@ -2,7 +2,7 @@
  * Individual Note API Routes
  * GET /api/notes/[id] - Get specific note
  * PUT /api/notes/[id] - Update note
- * DELETE /api/notes/[id] - Delete note
+ * DELETE /api/notes/[id] - Move note to the trash
  */
 
 import { getNotesService } from '../../../../../lib/services/index.js';
@@ -34,10 +34,7 @@ export const GET = asyncHandler(async (req, { params }) => {
   } catch (error) {
     console.error('Get note error:', error);
     
-    const errorResponse = sendErrorResponse(null, error);
-    return Response.json(errorResponse, { 
-      status: errorResponse.statusCode 
-    });
+    return sendErrorResponse(Response, error);
   }
 });
 
@@ -55,8 +52,8 @@ export const PUT = asyncHandler(async (req, { params }) => {
     
     // Handle different types of updates
     if (body.text !== undefined) {
-      // Update note text
-      const note = await notesService.updateNote(id, userId, body.text);
+      // Update note text (and optionally its format)
+      const note = await notesService.updateNote(id, userId, body.text, body.format);
       
       return Response.json({
         success: true,
@@ -65,9 +62,23 @@ export const PUT = asyncHandler(async (req, { params }) => {
           message: 'Note updated successfully',
         },
       });
+    } else if (body.format !== undefined) {
+      // Switch format, re-rendering the existing text
+      const existingNote = await notesService.getNote(id, userId);
+      const note = await notesService.updateNote(id, userId, existingNote.text, body.format);
+      
+      return Response.json({
+        success: true,
+        data: {
+          note,
+          message: 'Note format updated',
+        },
+      });
     } else if (body.autoDelete !== undefined) {
       // Toggle auto-delete
-      const note = await notesService.toggleAutoDelete(id, userId, body.autoDelete);
+      const note = await notesService.toggleAutoDelete(id, userId, body.autoDelete, {
+        expiryHours: body.expiryHours,
+      });
       
       return Response.json({
         success: true,
@@ -83,10 +94,7 @@ export const PUT = asyncHandler(async (req, { params }) => {
   } catch (error) {
     console.error('Update note error:', error);
     
-    const errorResponse = sendErrorResponse(null, error);
-    return Response.json(errorResponse, { 
-      status: errorResponse.statusCode 
-    });
+    return sendErrorResponse(Response, error);
   }
 });
 
@@ -105,16 +113,13 @@ export const DELETE = asyncHandler(async (req, { params }) => {
     return Response.json({
       success: true,
       data: {
-        message: 'Note deleted successfully',
+        message: 'Note moved to trash',
       },
     });
     
   } catch (error) {
     console.error('Delete note error:', error);
     
-    const errorResponse = sendErrorResponse(null, error);
-    return Response.json(errorResponse, { 
-      status: errorResponse.statusCode 
-    });
+    return sendErrorResponse(Response, error);
   }
 }); 
\ No newline at end of file
@@ -55,10 +55,7 @@ export const GET = asyncHandler(async (req) => {
     // Track error
     trackRequest('/api/notes', 'GET', error.statusCode || 500);
     
-    const errorResponse = sendErrorResponse(null, error);
-    return Response.json(errorResponse, { 
-      status: errorResponse.statusCode 
-    });
+    return sendErrorResponse(Response, error);
   }
 });
 
@@ -73,7 +70,7 @@ export const POST = asyncHandler(async (req) => {
       throw new AuthenticationError('Authentication required');
     }
     
-    const { text, autoDelete = true, expiryHours = 1 } = await req.json();
+    const { text, autoDelete = true, expiryHours, format = 'plain' } = await req.json();
     
     if (!text) {
       throw new ValidationError('Note text is required');
@@ -83,6 +80,7 @@ export const POST = asyncHandler(async (req) => {
     const note = await notesService.createNote(userId, text, {
       autoDelete,
       expiryHours,
+      format,
     });
     
     return Response.json({
@@ -99,9 +97,6 @@ export const POST = asyncHandler(async (req) => {
     // Track error
     trackRequest('/api/notes', 'POST', error.statusCode || 500);
     
-    const errorResponse = sendErrorResponse(null, error);
-    return Response.json(errorResponse, { 
-      status: errorResponse.statusCode 
-    });
+    return sendErrorResponse(Response, error);
   }
 }); 
\ No newline at end of file
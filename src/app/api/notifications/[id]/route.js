@@ -0,0 +1,32 @@
+/**
+ * Notification API
+ * PATCH /api/notifications/[id] - Mark a notification read
+ */
+
+import { NextResponse } from 'next/server';
+import notificationService from '../../../../../lib/services/notifications/NotificationService.js';
+import { authenticate } from '../../middleware/auth.js';
+import { sendErrorResponse, asyncHandler } from '../../../../../lib/core/errors/index.js';
+
+export const PATCH = asyncHandler(async (req, { params }) => {
+  try {
+    const authMiddleware = authenticate({ required: true, validateSession: true });
+    const authResult = await authMiddleware(req, NextResponse, () => {});
+    if (authResult instanceof Response) {
+      return authResult;
+    }
+    const userId = req.user.id;
+
+    const { id } = params;
+    const notification = await notificationService.markRead(userId, id);
+
+    return NextResponse.json({
+      success: true,
+      data: { notification },
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    return sendErrorResponse(NextResponse, error);
+  }
+});
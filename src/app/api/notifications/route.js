@@ -0,0 +1,36 @@
+/**
+ * Notifications API
+ * GET /api/notifications - The user's notifications, newest first
+ *   ?unread=true for unread ones only, ?limit=N (default 20, at most 100)
+ */
+
+import { NextResponse } from 'next/server';
+import notificationService from '../../../../lib/services/notifications/NotificationService.js';
+import { authenticate } from '../middleware/auth.js';
+import { sendErrorResponse, asyncHandler } from '../../../../lib/core/errors/index.js';
+
+export const GET = asyncHandler(async (req) => {
+  try {
+    const authMiddleware = authenticate({ required: true, validateSession: true });
+    const authResult = await authMiddleware(req, NextResponse, () => {});
+    if (authResult instanceof Response) {
+      return authResult;
+    }
+    const userId = req.user.id;
+
+    const { searchParams } = new URL(req.url);
+    const notifications = await notificationService.listNotifications(userId, {
+      unreadOnly: searchParams.get('unread') === 'true',
+      limit: searchParams.get('limit') || undefined,
+    });
+
+    return NextResponse.json({
+      success: true,
+      data: { notifications },
+    });
+
+  } catch (error) {
+    console.error('List notifications error:', error);
+    return sendErrorResponse(NextResponse, error);
+  }
+});
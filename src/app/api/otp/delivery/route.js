@@ -0,0 +1,50 @@
+/**
+ * OTP Delivery Receipt Route
+ * POST /api/otp/delivery - Delivery reports from the webhook SMS gateway
+ * Receipts must be signed with OTP_WEBHOOK_SECRET (X-AeroNotes-Signature over
+ * the raw body) and move the matching otp_codes row to 'delivered' or 'failed'.
+ */
+
+import { NextResponse } from 'next/server';
+import { getOTPConfig } from '../../../../../lib/otp/config.js';
+import { OTPStorage } from '../../../../../lib/otp/OTPStorage.js';
+import { WebhookOTPProvider, SIGNATURE_HEADER } from '../../../../../lib/otp/providers/WebhookOTPProvider.js';
+import { metricsCollector } from '../../../../../lib/core/monitoring/index.js';
+
+export async function POST(request) {
+  try {
+    const config = getOTPConfig().providers.webhook;
+    if (!config?.secret) {
+      return NextResponse.json({ error: 'Delivery receipts are not enabled' }, { status: 404 });
+    }
+
+    const provider = new WebhookOTPProvider(config);
+    const rawBody = await request.text();
+
+    if (!provider.verifySignature(rawBody, request.headers.get(SIGNATURE_HEADER))) {
+      return NextResponse.json({ error: 'Invalid signature' }, { status: 401 });
+    }
+
+    const receipt = provider.parseDeliveryReceipt(rawBody, request.headers.get('content-type') || '');
+    if (!receipt) {
+      // Interim statuses (queued, sent...) land here too; accept them so the gateway doesn't retry
+      return NextResponse.json({ received: true, updated: 0 });
+    }
+
+    const result = await OTPStorage.updateDeliveryStatus('webhook', receipt.messageId, receipt.status, receipt.error);
+    if (!result.success) {
+      return NextResponse.json({ error: 'Failed to record delivery receipt' }, { status: 500 });
+    }
+
+    metricsCollector.incrementCounter('otp_delivery_receipts_total', { provider: 'webhook', status: receipt.status });
+
+    return NextResponse.json({ received: true, updated: result.updated });
+
+  } catch (error) {
+    console.error('Error in OTP delivery receipt route:', error);
+    return NextResponse.json({
+      error: 'Internal server error while recording delivery receipt',
+      details: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * Search API Route
+ * GET /api/search - Full-text search across notes, images and documents
+ */
+
+import { NextResponse } from 'next/server';
+import { getSearchService } from '../../../../lib/services/index.js';
+import {
+  AuthenticationError,
+  sendErrorResponse,
+  asyncHandler
+} from '../../../../lib/core/errors/index.js';
+import { trackRequest } from '../../../../lib/core/monitoring/requestTracker.js';
+
+export const GET = asyncHandler(async (req) => {
+  try {
+    trackRequest('/api/search', 'GET', 200);
+
+    const userId = req.headers.get('x-user-id');
+    if (!userId) {
+      throw new AuthenticationError('Authentication required');
+    }
+
+    const url = new URL(req.url);
+    const query = url.searchParams.get('q') || '';
+    const types = url.searchParams.get('types')?.split(',').filter(Boolean);
+    const limit = parseInt(url.searchParams.get('limit')) || 20;
+
+    const searchService = getSearchService();
+    const results = await searchService.search(userId, query, {
+      ...(types && types.length > 0 ? { types } : {}),
+      limit,
+    });
+
+    return NextResponse.json({
+      success: true,
+      data: results,
+    });
+
+  } catch (error) {
+    console.error('Search error:', error);
+
+    trackRequest('/api/search', 'GET', error.statusCode || 500);
+
+    return sendErrorResponse(NextResponse, error);
+  }
+});
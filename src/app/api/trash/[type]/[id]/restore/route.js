@@ -0,0 +1,39 @@
+/**
+ * Trash Restore API Route
+ * POST /api/trash/[type]/[id]/restore - Move a trashed item back
+ */
+
+import { NextResponse } from 'next/server';
+import { getTrashService } from '../../../../../../../lib/services/index.js';
+import {
+  AuthenticationError,
+  sendErrorResponse,
+  asyncHandler
+} from '../../../../../../../lib/core/errors/index.js';
+
+export const POST = asyncHandler(async (req, { params }) => {
+  try {
+    const userId = req.headers.get('x-user-id');
+    if (!userId) {
+      throw new AuthenticationError('Authentication required');
+    }
+
+    const { type, id } = params;
+
+    const trashService = getTrashService();
+    const item = await trashService.restore(type, id, userId);
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        item,
+        message: 'Item restored',
+      },
+    });
+
+  } catch (error) {
+    console.error('Restore trash item error:', error);
+
+    return sendErrorResponse(NextResponse, error);
+  }
+});
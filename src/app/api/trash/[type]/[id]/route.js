@@ -0,0 +1,38 @@
+/**
+ * Trash Item API Route
+ * DELETE /api/trash/[type]/[id] - Permanently delete a trashed item now
+ */
+
+import { NextResponse } from 'next/server';
+import { getTrashService } from '../../../../../../lib/services/index.js';
+import {
+  AuthenticationError,
+  sendErrorResponse,
+  asyncHandler
+} from '../../../../../../lib/core/errors/index.js';
+
+export const DELETE = asyncHandler(async (req, { params }) => {
+  try {
+    const userId = req.headers.get('x-user-id');
+    if (!userId) {
+      throw new AuthenticationError('Authentication required');
+    }
+
+    const { type, id } = params;
+
+    const trashService = getTrashService();
+    await trashService.purge(type, id, userId);
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        message: 'Item permanently deleted',
+      },
+    });
+
+  } catch (error) {
+    console.error('Purge trash item error:', error);
+
+    return sendErrorResponse(NextResponse, error);
+  }
+});
@@ -0,0 +1,60 @@
+/**
+ * Trash API Route
+ * GET /api/trash - List trashed notes, images and documents
+ * DELETE /api/trash - Empty the trash (permanent)
+ */
+
+import { NextResponse } from 'next/server';
+import { getTrashService } from '../../../../lib/services/index.js';
+import {
+  AuthenticationError,
+  sendErrorResponse,
+  asyncHandler
+} from '../../../../lib/core/errors/index.js';
+
+export const GET = asyncHandler(async (req) => {
+  try {
+    const userId = req.headers.get('x-user-id');
+    if (!userId) {
+      throw new AuthenticationError('Authentication required');
+    }
+
+    const trashService = getTrashService();
+    const trash = await trashService.getTrash(userId);
+
+    return NextResponse.json({
+      success: true,
+      data: trash,
+    });
+
+  } catch (error) {
+    console.error('List trash error:', error);
+
+    return sendErrorResponse(NextResponse, error);
+  }
+});
+
+export const DELETE = asyncHandler(async (req) => {
+  try {
+    const userId = req.headers.get('x-user-id');
+    if (!userId) {
+      throw new AuthenticationError('Authentication required');
+    }
+
+    const trashService = getTrashService();
+    const result = await trashService.emptyTrash(userId);
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        ...result,
+        message: `Permanently deleted ${result.purgedCount} item(s)`,
+      },
+    });
+
+  } catch (error) {
+    console.error('Empty trash error:', error);
+
+    return sendErrorResponse(NextResponse, error);
+  }
+});
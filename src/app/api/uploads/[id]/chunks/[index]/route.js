@@ -0,0 +1,37 @@
+/**
+ * Upload Chunk API Route
+ * PUT /api/uploads/[id]/chunks/[index] - Store one chunk (raw bytes in the body)
+ */
+
+import { NextResponse } from 'next/server';
+import { getUploadService } from '../../../../../../../lib/services/index.js';
+import { 
+  AuthenticationError,
+  sendErrorResponse,
+  asyncHandler 
+} from '../../../../../../../lib/core/errors/index.js';
+
+export const PUT = asyncHandler(async (req, { params }) => {
+  try {
+    const userId = req.headers.get('x-user-id');
+    if (!userId) {
+      throw new AuthenticationError('Authentication required');
+    }
+    
+    const { id, index } = params;
+    const data = await req.arrayBuffer();
+    
+    const uploadService = getUploadService();
+    const chunk = await uploadService.receiveChunk(id, userId, index, data);
+    
+    return NextResponse.json({
+      success: true,
+      data: { chunk },
+    });
+    
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    
+    return sendErrorResponse(NextResponse, error);
+  }
+});
@@ -0,0 +1,39 @@
+/**
+ * Upload Completion API Route
+ * POST /api/uploads/[id]/complete - Assemble the chunks into a stored file
+ */
+
+import { NextResponse } from 'next/server';
+import { getUploadService } from '../../../../../../lib/services/index.js';
+import { 
+  AuthenticationError,
+  sendErrorResponse,
+  asyncHandler 
+} from '../../../../../../lib/core/errors/index.js';
+
+export const POST = asyncHandler(async (req, { params }) => {
+  try {
+    const userId = req.headers.get('x-user-id');
+    if (!userId) {
+      throw new AuthenticationError('Authentication required');
+    }
+    
+    const { id } = params;
+    
+    const uploadService = getUploadService();
+    const file = await uploadService.completeSession(id, userId);
+    
+    return NextResponse.json({
+      success: true,
+      data: {
+        file,
+        message: 'File uploaded successfully',
+      },
+    }, { status: 201 });
+    
+  } catch (error) {
+    console.error('Complete upload error:', error);
+    
+    return sendErrorResponse(NextResponse, error);
+  }
+});
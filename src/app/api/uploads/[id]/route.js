@@ -0,0 +1,61 @@
+/**
+ * Upload Session API Routes
+ * GET /api/uploads/[id] - Upload progress (received and missing chunks)
+ * DELETE /api/uploads/[id] - Abort an upload and discard its chunks
+ */
+
+import { NextResponse } from 'next/server';
+import { getUploadService } from '../../../../../lib/services/index.js';
+import { 
+  AuthenticationError,
+  sendErrorResponse,
+  asyncHandler 
+} from '../../../../../lib/core/errors/index.js';
+
+export const GET = asyncHandler(async (req, { params }) => {
+  try {
+    const userId = req.headers.get('x-user-id');
+    if (!userId) {
+      throw new AuthenticationError('Authentication required');
+    }
+    
+    const { id } = params;
+    
+    const uploadService = getUploadService();
+    const session = await uploadService.getSession(id, userId);
+    
+    return NextResponse.json({
+      success: true,
+      data: { session },
+    });
+    
+  } catch (error) {
+    console.error('Get upload session error:', error);
+    
+    return sendErrorResponse(NextResponse, error);
+  }
+});
+
+export const DELETE = asyncHandler(async (req, { params }) => {
+  try {
+    const userId = req.headers.get('x-user-id');
+    if (!userId) {
+      throw new AuthenticationError('Authentication required');
+    }
+    
+    const { id } = params;
+    
+    const uploadService = getUploadService();
+    await uploadService.abortSession(id, userId);
+    
+    return NextResponse.json({
+      success: true,
+      data: { message: 'Upload aborted' },
+    });
+    
+  } catch (error) {
+    console.error('Abort upload error:', error);
+    
+    return sendErrorResponse(NextResponse, error);
+  }
+});
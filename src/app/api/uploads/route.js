@@ -0,0 +1,45 @@
+/**
+ * Upload Sessions API Route
+ * POST /api/uploads - Start a resumable upload session
+ */
+
+import { NextResponse } from 'next/server';
+import { getUploadService } from '../../../../lib/services/index.js';
+import { 
+  AuthenticationError,
+  sendErrorResponse,
+  asyncHandler 
+} from '../../../../lib/core/errors/index.js';
+
+export const POST = asyncHandler(async (req) => {
+  try {
+    const userId = req.headers.get('x-user-id');
+    if (!userId) {
+      throw new AuthenticationError('Authentication required');
+    }
+    
+    const body = await req.json();
+    
+    const uploadService = getUploadService();
+    const session = await uploadService.createSession(userId, {
+      fileName: body.fileName,
+      fileType: body.fileType,
+      fileSize: body.fileSize,
+      category: body.category,
+      tags: body.tags,
+      description: body.description,
+      makePublic: body.makePublic,
+      replaces: body.replaces,
+    });
+    
+    return NextResponse.json({
+      success: true,
+      data: { session },
+    }, { status: 201 });
+    
+  } catch (error) {
+    console.error('Start upload error:', error);
+    
+    return sendErrorResponse(NextResponse, error);
+  }
+});
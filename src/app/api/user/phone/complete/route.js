@@ -0,0 +1,36 @@
+/**
+ * Phone Number Change Completion API Route
+ * POST /api/user/phone/complete - Finish a change once its waiting period is over
+ * (changes confirmed from both numbers complete on their own)
+ */
+
+import { NextResponse } from 'next/server';
+import phoneChangeService from '../../../../../../lib/services/auth/PhoneChangeService.js';
+import { authenticate } from '../../../middleware/auth.js';
+import { sendErrorResponse, asyncHandler } from '../../../../../../lib/core/errors/index.js';
+
+export const POST = asyncHandler(async (req) => {
+  try {
+    const authMiddleware = authenticate({ required: true, validateSession: true });
+    const authResult = await authMiddleware(req, NextResponse, () => {});
+    if (authResult instanceof Response) {
+      return authResult;
+    }
+    const userId = req.user.id;
+
+    const change = await phoneChangeService.completeChange(userId, {
+      ipAddress: req.headers.get('x-forwarded-for') || req.headers.get('x-real-ip'),
+      userAgent: req.headers.get('user-agent') || '',
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: 'Phone number changed',
+      data: { change },
+    });
+
+  } catch (error) {
+    console.error('Complete phone change error:', error);
+    return sendErrorResponse(NextResponse, error);
+  }
+});
@@ -0,0 +1,34 @@
+/**
+ * Phone Number Change Resend API Route
+ * POST /api/user/phone/resend - Text the codes that haven't been entered yet again
+ */
+
+import { NextResponse } from 'next/server';
+import phoneChangeService from '../../../../../../lib/services/auth/PhoneChangeService.js';
+import { authenticate } from '../../../middleware/auth.js';
+import { sendErrorResponse, asyncHandler } from '../../../../../../lib/core/errors/index.js';
+
+export const POST = asyncHandler(async (req) => {
+  try {
+    const authMiddleware = authenticate({ required: true, validateSession: true });
+    const authResult = await authMiddleware(req, NextResponse, () => {});
+    if (authResult instanceof Response) {
+      return authResult;
+    }
+    const userId = req.user.id;
+
+    const change = await phoneChangeService.resendCodes(userId, {
+      ipAddress: req.headers.get('x-forwarded-for') || req.headers.get('x-real-ip'),
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: 'Codes sent again',
+      data: { change },
+    });
+
+  } catch (error) {
+    console.error('Resend phone change codes error:', error);
+    return sendErrorResponse(NextResponse, error);
+  }
+});
@@ -0,0 +1,103 @@
+/**
+ * Phone Number Change API Route
+ * GET    /api/user/phone - The change in progress, or null
+ * POST   /api/user/phone - Start moving the account to a new number
+ * DELETE /api/user/phone - Cancel the change in progress
+ *
+ * A change needs the PIN, then the codes texted to the old and the new number
+ * (POST /api/user/phone/verify). Users who lost the old number send
+ * `oldNumberLost: true` and finish with POST /api/user/phone/complete after
+ * the waiting period.
+ */
+
+import { NextResponse } from 'next/server';
+import phoneChangeService from '../../../../../lib/services/auth/PhoneChangeService.js';
+import { authenticate } from '../../middleware/auth.js';
+import {
+  ValidationError,
+  sendErrorResponse,
+  asyncHandler
+} from '../../../../../lib/core/errors/index.js';
+
+const requestContext = (req) => ({
+  ipAddress: req.headers.get('x-forwarded-for') || req.headers.get('x-real-ip'),
+  userAgent: req.headers.get('user-agent') || '',
+});
+
+export const GET = asyncHandler(async (req) => {
+  try {
+    const authMiddleware = authenticate({ required: true, validateSession: true });
+    const authResult = await authMiddleware(req, NextResponse, () => {});
+    if (authResult instanceof Response) {
+      return authResult;
+    }
+    const userId = req.user.id;
+
+    const change = await phoneChangeService.getPendingChange(userId);
+
+    return NextResponse.json({
+      success: true,
+      data: { change: change && phoneChangeService.describeRequest(change) },
+    });
+
+  } catch (error) {
+    console.error('Get phone change error:', error);
+    return sendErrorResponse(NextResponse, error);
+  }
+});
+
+export const POST = asyncHandler(async (req) => {
+  try {
+    const authMiddleware = authenticate({ required: true, validateSession: true });
+    const authResult = await authMiddleware(req, NextResponse, () => {});
+    if (authResult instanceof Response) {
+      return authResult;
+    }
+    const userId = req.user.id;
+
+    const { pin, newPhoneNumber, oldNumberLost = false } = await req.json();
+    if (!pin || !newPhoneNumber) {
+      throw new ValidationError('PIN and new phone number are required');
+    }
+
+    const change = await phoneChangeService.startChange(userId, {
+      pin,
+      newPhoneNumber,
+      oldNumberLost: oldNumberLost === true,
+    }, requestContext(req));
+
+    return NextResponse.json({
+      success: true,
+      message: oldNumberLost
+        ? 'Enter the code sent to your new number'
+        : 'Enter the codes sent to your old and new numbers',
+      data: { change },
+    });
+
+  } catch (error) {
+    console.error('Start phone change error:', error);
+    return sendErrorResponse(NextResponse, error);
+  }
+});
+
+export const DELETE = asyncHandler(async (req) => {
+  try {
+    const authMiddleware = authenticate({ required: true, validateSession: true });
+    const authResult = await authMiddleware(req, NextResponse, () => {});
+    if (authResult instanceof Response) {
+      return authResult;
+    }
+    const userId = req.user.id;
+
+    await phoneChangeService.cancelChange(userId, requestContext(req));
+
+    return NextResponse.json({
+      success: true,
+      message: 'Phone number change cancelled',
+    });
+
+  } catch (error) {
+    console.error('Cancel phone change error:', error);
+    return sendErrorResponse(NextResponse, error);
+  }
+});
@@ -0,0 +1,39 @@
+/**
+ * Phone Number Change Verification API Route
+ * POST /api/user/phone/verify - { target: 'old' | 'new', code }
+ *
+ * The change completes as soon as the last required code is in; the response's
+ * `change.status` is then 'completed'.
+ */
+
+import { NextResponse } from 'next/server';
+import phoneChangeService from '../../../../../../lib/services/auth/PhoneChangeService.js';
+import { authenticate } from '../../../middleware/auth.js';
+import { sendErrorResponse, asyncHandler } from '../../../../../../lib/core/errors/index.js';
+
+export const POST = asyncHandler(async (req) => {
+  try {
+    const authMiddleware = authenticate({ required: true, validateSession: true });
+    const authResult = await authMiddleware(req, NextResponse, () => {});
+    if (authResult instanceof Response) {
+      return authResult;
+    }
+    const userId = req.user.id;
+
+    const { target, code } = await req.json();
+
+    const change = await phoneChangeService.verifyCode(userId, { target, code }, {
+      ipAddress: req.headers.get('x-forwarded-for') || req.headers.get('x-real-ip'),
+      userAgent: req.headers.get('user-agent') || '',
+    });
+
+    return NextResponse.json({
+      success: true,
+      data: { change },
+    });
+
+  } catch (error) {
+    console.error('Verify phone change error:', error);
+    return sendErrorResponse(NextResponse, error);
+  }
+});
@@ -0,0 +1,48 @@
+/**
+ * User PIN API Route
+ * PUT /api/user/pin - Change the PIN, optionally to a longer one
+ */
+
+import { NextResponse } from 'next/server';
+import { getUserService } from '../../../../../lib/services/index.js';
+import { authenticate } from '../../middleware/auth.js';
+import {
+  ValidationError,
+  sendErrorResponse,
+  asyncHandler
+} from '../../../../../lib/core/errors/index.js';
+
+export const PUT = asyncHandler(async (req) => {
+  try {
+    const authMiddleware = authenticate({ required: true, validateSession: true });
+    const authResult = await authMiddleware(req, NextResponse, () => {});
+    if (authResult instanceof Response) {
+      return authResult;
+    }
+    const userId = req.user.id;
+
+    const { currentPin, newPin } = await req.json();
+    if (!currentPin || !newPin) {
+      throw new ValidationError('Current PIN and new PIN are required');
+    }
+
+    const userService = getUserService();
+    const result = await userService.updatePIN(userId, currentPin, newPin, {
+      ipAddress: req.headers.get('x-forwarded-for') || req.headers.get('x-real-ip'),
+      userAgent: req.headers.get('user-agent') || '',
+    });
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        pinLength: result.pinLength,
+        message: 'PIN updated successfully',
+      },
+    });
+
+  } catch (error) {
+    console.error('Update PIN error:', error);
+
+    return sendErrorResponse(NextResponse, error);
+  }
+});
@@ -0,0 +1,48 @@
+/**
+ * TOTP Recovery Codes API Route
+ * POST /api/user/totp/recovery-codes - Replace all recovery codes (needs the current PIN and a code from the app)
+ */
+
+import { NextResponse } from 'next/server';
+import totpService from '../../../../../../lib/services/auth/TotpService.js';
+import AuthService from '../../../../../../lib/services/auth/AuthService.js';
+import { authenticate } from '../../../middleware/auth.js';
+import {
+  ValidationError,
+  sendErrorResponse,
+  asyncHandler
+} from '../../../../../../lib/core/errors/index.js';
+
+export const POST = asyncHandler(async (req) => {
+  try {
+    const authMiddleware = authenticate({ required: true, validateSession: true });
+    const authResult = await authMiddleware(req, NextResponse, () => {});
+    if (authResult instanceof Response) {
+      return authResult;
+    }
+    const userId = req.user.id;
+
+    const { pin, code } = await req.json();
+    if (!code) {
+      throw new ValidationError('Authentication code is required', 'code');
+    }
+
+    const context = {
+      ipAddress: req.headers.get('x-forwarded-for') || req.headers.get('x-real-ip'),
+      userAgent: req.headers.get('user-agent') || '',
+    };
+    await AuthService.confirmPIN(userId, pin, context);
+
+    const { recoveryCodes } = await totpService.regenerateRecoveryCodes(userId, code, context);
+
+    return NextResponse.json({
+      success: true,
+      data: { recoveryCodes },
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+
+    return sendErrorResponse(NextResponse, error);
+  }
+});
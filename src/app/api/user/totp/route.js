@@ -0,0 +1,99 @@
+/**
+ * Two-Factor (TOTP) API Route
+ * GET /api/user/totp - Whether TOTP is on and how many recovery codes are left
+ * POST /api/user/totp - Start enrolment (needs the current PIN); returns the secret and otpauth URI for the QR code
+ * DELETE /api/user/totp - Turn TOTP off (needs an authenticator or recovery code)
+ */
+
+import { NextResponse } from 'next/server';
+import totpService from '../../../../../lib/services/auth/TotpService.js';
+import AuthService from '../../../../../lib/services/auth/AuthService.js';
+import { authenticate } from '../../middleware/auth.js';
+import {
+  ValidationError,
+  sendErrorResponse,
+  asyncHandler
+} from '../../../../../lib/core/errors/index.js';
+
+export const GET = asyncHandler(async (req) => {
+  try {
+    const authMiddleware = authenticate({ required: true, validateSession: true });
+    const authResult = await authMiddleware(req, NextResponse, () => {});
+    if (authResult instanceof Response) {
+      return authResult;
+    }
+    const userId = req.user.id;
+
+    const status = await totpService.getStatus(userId);
+
+    return NextResponse.json({
+      success: true,
+      data: status,
+    });
+
+  } catch (error) {
+    console.error('Get TOTP status error:', error);
+
+    return sendErrorResponse(NextResponse, error);
+  }
+});
+
+export const POST = asyncHandler(async (req) => {
+  try {
+    const authMiddleware = authenticate({ required: true, validateSession: true });
+    const authResult = await authMiddleware(req, NextResponse, () => {});
+    if (authResult instanceof Response) {
+      return authResult;
+    }
+    const userId = req.user.id;
+
+    const { pin } = await req.json();
+    await AuthService.confirmPIN(userId, pin, {
+      ipAddress: req.headers.get('x-forwarded-for') || req.headers.get('x-real-ip'),
+      userAgent: req.headers.get('user-agent') || '',
+    });
+
+    const enrollment = await totpService.beginEnrollment(userId);
+
+    return NextResponse.json({
+      success: true,
+      data: enrollment,
+    });
+
+  } catch (error) {
+    console.error('Begin TOTP enrolment error:', error);
+
+    return sendErrorResponse(NextResponse, error);
+  }
+});
+
+export const DELETE = asyncHandler(async (req) => {
+  try {
+    const authMiddleware = authenticate({ required: true, validateSession: true });
+    const authResult = await authMiddleware(req, NextResponse, () => {});
+    if (authResult instanceof Response) {
+      return authResult;
+    }
+    const userId = req.user.id;
+
+    const { code } = await req.json();
+    if (!code) {
+      throw new ValidationError('Authentication code is required', 'code');
+    }
+
+    await totpService.disable(userId, code, {
+      ipAddress: req.headers.get('x-forwarded-for') || req.headers.get('x-real-ip'),
+      userAgent: req.headers.get('user-agent') || '',
+    });
+
+    return NextResponse.json({
+      success: true,
+      data: { message: 'Two-factor authentication turned off' },
+    });
+
+  } catch (error) {
+    console.error('Disable TOTP error:', error);
+
+    return sendErrorResponse(NextResponse, error);
+  }
+});
@@ -1,211 +1,239 @@
 "use client";
 
 import { useState, useEffect } from 'react';
-import { fetchAutoDeleteSettings, updateAutoDeleteSettings, formatDuration } from '../../../lib/autoDeleteService';
+import { fetchRetentionPolicies, updateRetentionPolicies, formatDuration } from '../../../lib/autoDeleteService';
 
+const CONTENT_TYPES = [
+  { value: 'note', label: 'Notes' },
+  { value: 'image', label: 'Images' },
+  { value: 'document', label: 'Documents' },
+];
+
+// Predefined retention options in seconds
+const DURATION_OPTIONS = [
+  { label: '10 minutes', value: 600 },
+  { label: '1 hour', value: 3600 },
+  { label: '12 hours', value: 43200 },
+  { label: '1 day', value: 86400 },
+  { label: '3 days', value: 259200 },
+  { label: '7 days', value: 604800 },
+  { label: '30 days', value: 2592000 },
+  { label: '90 days', value: 7776000 },
+];
+
+const selectClassName = "rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 text-sm";
+
+const DurationSelect = ({ value, onChange, emptyLabel, disabled }) => (
+  <select
+    value={value ?? ''}
+    onChange={(e) => onChange(e.target.value === '' ? null : parseInt(e.target.value, 10))}
+    disabled={disabled}
+    className={selectClassName}
+  >
+    {emptyLabel && <option value="">{emptyLabel}</option>}
+    {DURATION_OPTIONS.map((option) => (
+      <option key={option.value} value={option.value}>
+        {option.label}
+      </option>
+    ))}
+    {value && !DURATION_OPTIONS.some(option => option.value === value) && (
+      <option value={value}>{formatDuration(value)} (custom)</option>
+    )}
+  </select>
+);
+
+/**
+ * Retention policy editor
+ * One default per content type plus optional rules that match items by tag or
+ * file category. Tag rules beat category rules, which beat the defaults.
+ */
 export default function AutoDeleteSettings() {
-  const [settings, setSettings] = useState({
-    document_timeout_seconds: 86400, // 24 hours default
-    note_timeout_seconds: 3600,      // 1 hour default
-    image_timeout_seconds: 43200,    // 12 hours default
-  });
+  const [appDefaults, setAppDefaults] = useState({});
+  const [defaults, setDefaults] = useState({});
+  const [rules, setRules] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [isSaving, setIsSaving] = useState(false);
-  const [isOpen, setIsOpen] = useState(false);
   const [saveMessage, setSaveMessage] = useState('');
 
   useEffect(() => {
-    const loadSettings = async () => {
+    const loadPolicies = async () => {
       try {
-        const data = await fetchAutoDeleteSettings();
-        setSettings(data);
+        const { policies, defaults: fallback } = await fetchRetentionPolicies();
+        setAppDefaults(fallback);
+        setDefaults(Object.fromEntries(
+          policies
+            .filter(policy => policy.match_type === 'default')
+            .map(policy => [policy.content_type, policy.expiry_seconds])
+        ));
+        setRules(policies.filter(policy => policy.match_type !== 'default'));
       } catch (error) {
-        console.error('Error loading auto-delete settings:', error);
+        console.error('Error loading retention policies:', error);
       } finally {
         setIsLoading(false);
       }
     };
 
-    if (isOpen) {
-      loadSettings();
-    }
-  }, [isOpen]);
+    loadPolicies();
+  }, []);
+
+  const updateRule = (index, changes) => {
+    setRules(prev => prev.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const addRule = () => {
+    setRules(prev => [...prev, { content_type: null, match_type: 'tag', match_value: '', expiry_seconds: 86400 }]);
+  };
+
+  const removeRule = (index) => {
+    setRules(prev => prev.filter((_, i) => i !== index));
+  };
 
   const handleSave = async () => {
     setIsSaving(true);
     setSaveMessage('');
-    
+
     try {
-      await updateAutoDeleteSettings(settings);
-      setSaveMessage('Settings saved successfully!');
-      
+      const defaultPolicies = Object.entries(defaults)
+        .filter(([, seconds]) => seconds)
+        .map(([contentType, seconds]) => ({
+          content_type: contentType,
+          match_type: 'default',
+          expiry_seconds: seconds,
+        }));
+
+      await updateRetentionPolicies([...defaultPolicies, ...rules]);
+      setSaveMessage('Retention settings saved successfully!');
+
       // Clear success message after 3 seconds
       setTimeout(() => {
         setSaveMessage('');
       }, 3000);
     } catch (error) {
-      console.error('Error saving auto-delete settings:', error);
-      setSaveMessage('Error saving settings. Please try again.');
+      console.error('Error saving retention policies:', error);
+      setSaveMessage(`Error: ${error.message}`);
     } finally {
       setIsSaving(false);
     }
   };
 
-  const handleChange = (field, value) => {
-    // Convert to number and ensure it's positive
-    const numValue = Math.max(1, parseInt(value, 10) || 0);
-    setSettings(prev => ({
-      ...prev,
-      [field]: numValue
-    }));
-  };
-
-  // Predefined timeout options in seconds
-  const timeoutOptions = {
-    documents: [
-      { label: '1 hour', value: 3600 },
-      { label: '12 hours', value: 43200 },
-      { label: '1 day', value: 86400 },
-      { label: '3 days', value: 259200 },
-      { label: '7 days', value: 604800 },
-    ],
-    notes: [
-      { label: '10 seconds', value: 10 },
-      { label: '1 minute', value: 60 },
-      { label: '10 minutes', value: 600 },
-      { label: '1 hour', value: 3600 },
-      { label: '1 day', value: 86400 },
-    ],
-    images: [
-      { label: '1 hour', value: 3600 },
-      { label: '6 hours', value: 21600 },
-      { label: '12 hours', value: 43200 },
-      { label: '1 day', value: 86400 },
-      { label: '3 days', value: 259200 },
-    ],
-  };
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-[var(--primary-blue)]"></div>
+      </div>
+    );
+  }
 
   return (
-    <div className="relative">
-      <button
-        onClick={() => setIsOpen(!isOpen)}
-        className="text-sm px-3 py-1.5 bg-[var(--primary-blue)] hover:bg-[var(--primary-blue-dark)] text-white rounded-md transition-colors"
-      >
-        Auto-Delete Settings
-      </button>
-
-      {isOpen && (
-        <div className="absolute z-50 right-0 mt-2 w-80 sm:w-96 max-w-[calc(100vw-2rem)] bg-white dark:bg-gray-800 rounded-lg shadow-xl p-4 border border-gray-200 dark:border-gray-700">
-          <div className="flex justify-between items-center mb-4">
-            <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Auto-Delete Settings</h3>
-            <button
-              onClick={() => setIsOpen(false)}
-              className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
-            >
-              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-              </svg>
-            </button>
+    <div className="space-y-6">
+      {/* Per-type defaults */}
+      <div className="space-y-4">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">Default Retention</h3>
+        {CONTENT_TYPES.map(({ value, label }) => (
+          <div key={value} className="flex items-center justify-between p-4 border border-gray-200 dark:border-gray-600 rounded-lg">
+            <div>
+              <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300">{label}</h4>
+              <p className="text-xs text-gray-500 dark:text-gray-400">How long auto-deleting {label.toLowerCase()} are kept</p>
+            </div>
+            <DurationSelect
+              value={defaults[value]}
+              onChange={(seconds) => setDefaults(prev => ({ ...prev, [value]: seconds }))}
+              emptyLabel={appDefaults[value] ? `App default (${formatDuration(appDefaults[value])})` : 'App default'}
+              disabled={isSaving}
+            />
           </div>
+        ))}
+      </div>
 
-          {isLoading ? (
-            <div className="flex justify-center py-8">
-              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-[var(--primary-blue)]"></div>
-            </div>
-          ) : (
-            <div className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                  Document Auto-Delete Timeout
-                </label>
-                <div className="flex items-center">
-                  <select
-                    value={settings.document_timeout_seconds}
-                    onChange={(e) => handleChange('document_timeout_seconds', e.target.value)}
-                    className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
-                  >
-                    {timeoutOptions.documents.map((option) => (
-                      <option key={option.value} value={option.value}>
-                        {option.label}
-                      </option>
-                    ))}
-                    <option value={settings.document_timeout_seconds}>
-                      {!timeoutOptions.documents.some(opt => opt.value === settings.document_timeout_seconds) 
-                        ? formatDuration(settings.document_timeout_seconds) + ' (custom)'
-                        : null}
-                    </option>
-                  </select>
-                </div>
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                  Note Auto-Delete Timeout
-                </label>
-                <div className="flex items-center">
-                  <select
-                    value={settings.note_timeout_seconds}
-                    onChange={(e) => handleChange('note_timeout_seconds', e.target.value)}
-                    className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
-                  >
-                    {timeoutOptions.notes.map((option) => (
-                      <option key={option.value} value={option.value}>
-                        {option.label}
-                      </option>
-                    ))}
-                    <option value={settings.note_timeout_seconds}>
-                      {!timeoutOptions.notes.some(opt => opt.value === settings.note_timeout_seconds) 
-                        ? formatDuration(settings.note_timeout_seconds) + ' (custom)'
-                        : null}
-                    </option>
-                  </select>
-                </div>
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                  Image Auto-Delete Timeout
-                </label>
-                <div className="flex items-center">
-                  <select
-                    value={settings.image_timeout_seconds}
-                    onChange={(e) => handleChange('image_timeout_seconds', e.target.value)}
-                    className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
-                  >
-                    {timeoutOptions.images.map((option) => (
-                      <option key={option.value} value={option.value}>
-                        {option.label}
-                      </option>
-                    ))}
-                    <option value={settings.image_timeout_seconds}>
-                      {!timeoutOptions.images.some(opt => opt.value === settings.image_timeout_seconds) 
-                        ? formatDuration(settings.image_timeout_seconds) + ' (custom)'
-                        : null}
-                    </option>
-                  </select>
-                </div>
-              </div>
-
-              <div className="flex justify-between items-center pt-2">
-                {saveMessage && (
-                  <span className={`text-sm ${saveMessage.includes('Error') ? 'text-red-500' : 'text-green-500'}`}>
-                    {saveMessage}
-                  </span>
-                )}
-                <button
-                  onClick={handleSave}
-                  disabled={isSaving}
-                  className={`px-4 py-2 ${
-                    isSaving ? 'bg-gray-400 cursor-not-allowed' : 'bg-[var(--primary-blue)] hover:bg-[var(--primary-blue-dark)]'
-                  } text-white rounded-md transition-colors ml-auto`}
-                >
-                  {isSaving ? 'Saving...' : 'Save Settings'}
-                </button>
-              </div>
-            </div>
-          )}
+      {/* Tag and category rules */}
+      <div className="space-y-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">Rules</h3>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Override the default for files with a tag or category. When several tags match, the shortest retention wins.
+            </p>
+          </div>
+          <button
+            onClick={addRule}
+            disabled={isSaving}
+            className="text-sm px-3 py-1.5 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 rounded-md transition-colors"
+          >
+            Add rule
+          </button>
         </div>
-      )}
+
+        {rules.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No rules yet.</p>
+        ) : (
+          rules.map((rule, index) => (
+            <div key={index} className="flex flex-wrap items-center gap-2 p-3 border border-gray-200 dark:border-gray-600 rounded-lg">
+              <select
+                value={rule.content_type || ''}
+                onChange={(e) => updateRule(index, { content_type: e.target.value || null })}
+                disabled={isSaving}
+                className={selectClassName}
+                aria-label="Applies to"
+              >
+                <option value="">Any content</option>
+                {CONTENT_TYPES.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <select
+                value={rule.match_type}
+                onChange={(e) => updateRule(index, { match_type: e.target.value })}
+                disabled={isSaving}
+                className={selectClassName}
+                aria-label="Match by"
+              >
+                <option value="tag">with tag</option>
+                <option value="category">in category</option>
+              </select>
+              <input
+                type="text"
+                value={rule.match_value || ''}
+                onChange={(e) => updateRule(index, { match_value: e.target.value })}
+                placeholder={rule.match_type === 'tag' ? 'e.g. temporary' : 'e.g. receipts'}
+                disabled={isSaving}
+                className="flex-1 min-w-[8rem] rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 text-sm"
+              />
+              <DurationSelect
+                value={rule.expiry_seconds}
+                onChange={(seconds) => updateRule(index, { expiry_seconds: seconds })}
+                disabled={isSaving}
+              />
+              <button
+                onClick={() => removeRule(index)}
+                disabled={isSaving}
+                className="text-gray-400 hover:text-red-600 dark:hover:text-red-400 p-1"
+                aria-label="Remove rule"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+          ))
+        )}
+      </div>
+
+      <div className="flex justify-between items-center">
+        {saveMessage && (
+          <span className={`text-sm ${saveMessage.startsWith('Error') ? 'text-red-500' : 'text-green-500'}`}>
+            {saveMessage}
+          </span>
+        )}
+        <button
+          onClick={handleSave}
+          disabled={isSaving}
+          className={`px-4 py-2 ${
+            isSaving ? 'bg-gray-400 cursor-not-allowed' : 'bg-[var(--primary-blue)] hover:bg-[var(--primary-blue-dark)]'
+          } text-white rounded-md transition-colors ml-auto`}
+        >
+          {isSaving ? 'Saving...' : 'Save Retention Settings'}
+        </button>
+      </div>
     </div>
   );
-} 
\ No newline at end of file
+}
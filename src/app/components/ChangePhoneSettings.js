@@ -0,0 +1,250 @@
+"use client";
+
+import { useState, useEffect, useCallback } from 'react';
+import supabase from '../../../lib/supabase';
+import {
+  fetchPhoneChange,
+  startPhoneChange,
+  verifyPhoneChangeCode,
+  completePhoneChange,
+  resendPhoneChangeCodes,
+  cancelPhoneChange,
+} from '../../../lib/phoneChangeService';
+import { getPinPolicy } from '../../../lib/core/utils/pinPolicy';
+import { sanitizeOTPInput, otpInputMode } from '../../../lib/core/utils/otpFormat';
+
+const { maxLength: PIN_MAX_LENGTH } = getPinPolicy();
+
+// Same Uganda number handling as sign-up
+const formatPhoneNumber = (phone) => {
+  const cleaned = phone.replace(/\D/g, '');
+
+  if (cleaned.startsWith('0')) {
+    return '+256' + cleaned.substring(1);
+  }
+
+  if (cleaned.startsWith('256')) {
+    return '+' + cleaned;
+  }
+
+  return '+256' + cleaned;
+};
+
+const inputClassName = "w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-800 dark:border-gray-600 dark:placeholder-gray-500 dark:text-white dark:focus:ring-blue-400 dark:focus:border-blue-400";
+const codeInputClassName = "w-40 px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-800 dark:border-gray-600 dark:placeholder-gray-500 dark:text-white text-center tracking-widest";
+const buttonClassName = "px-4 py-2 rounded-lg font-medium text-sm border bg-blue-200 dark:bg-[#1a2655] border-blue-400 dark:border-blue-600 text-blue-800 dark:text-blue-200 hover:bg-blue-300 dark:hover:bg-[#1e2a5a] disabled:opacity-50 disabled:cursor-not-allowed transition";
+const secondaryButtonClassName = "px-4 py-2 rounded-lg font-medium text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-50 transition";
+
+const CodeForm = ({ label, onSubmit, isBusy }) => {
+  const [code, setCode] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(code);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex items-end gap-2">
+      <label className="block">
+        <span className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">{label}</span>
+        <input
+          type="text"
+          inputMode={otpInputMode()}
+          value={code}
+          onChange={(e) => setCode(sanitizeOTPInput(e.target.value))}
+          placeholder="123456"
+          className={codeInputClassName}
+          autoComplete="one-time-code"
+          required
+        />
+      </label>
+      <button type="submit" disabled={isBusy || !code} className={buttonClassName}>
+        Verify
+      </button>
+    </form>
+  );
+};
+
+export default function ChangePhoneSettings({ phoneNumber }) {
+  const [change, setChange] = useState(undefined); // undefined while loading
+  const [newPhoneNumber, setNewPhoneNumber] = useState('');
+  const [pin, setPin] = useState('');
+  const [oldNumberLost, setOldNumberLost] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const loadChange = useCallback(async () => {
+    try {
+      setChange(await fetchPhoneChange());
+    } catch (err) {
+      console.error('Error loading phone change:', err);
+      setError(err.message);
+      setChange(null);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadChange();
+  }, [loadChange]);
+
+  const run = async (action) => {
+    setIsBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  // Pick up the new number in the signed-in user
+  const handleUpdated = async (updated) => {
+    if (updated.status !== 'completed') {
+      setChange(updated);
+      return;
+    }
+    setChange(null);
+    setMessage(`Your number is now ${updated.newPhoneNumber}. Sign in with its last four digits, ${updated.newPhoneNumber.slice(-4)}, from now on.`);
+    await supabase.auth.refreshSession();
+  };
+
+  const handleStart = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const started = await startPhoneChange({
+        pin,
+        newPhoneNumber: formatPhoneNumber(newPhoneNumber),
+        oldNumberLost,
+      });
+      setPin('');
+      setChange(started);
+    });
+  };
+
+  const handleVerify = (target) => (code) => run(async () => {
+    await handleUpdated(await verifyPhoneChangeCode(target, code));
+  });
+
+  const handleComplete = () => run(async () => {
+    await handleUpdated(await completePhoneChange());
+  });
+
+  const handleResend = () => run(async () => {
+    setChange(await resendPhoneChangeCodes());
+    setMessage('Codes sent again.');
+  });
+
+  const handleCancel = () => run(async () => {
+    await cancelPhoneChange();
+    setChange(null);
+    setMessage('Phone number change cancelled.');
+  });
+
+  if (change === undefined) {
+    return <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>;
+  }
+
+  return (
+    <div className="space-y-4 max-w-md">
+      {error && (
+        <p className="p-2 text-sm rounded-lg bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300">{error}</p>
+      )}
+      {message && (
+        <p className="p-2 text-sm rounded-lg bg-green-50 dark:bg-green-900/20 text-green-800 dark:text-green-200">{message}</p>
+      )}
+
+      {change ? (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-700 dark:text-gray-300">
+            Moving your account to <span className="font-medium">{change.newPhoneNumber}</span>.
+          </p>
+
+          {!change.newNumberVerified && (
+            <CodeForm label="Code sent to your new number" onSubmit={handleVerify('new')} isBusy={isBusy} />
+          )}
+          {!change.oldNumberLost && !change.oldNumberVerified && (
+            <CodeForm label={`Code sent to ${phoneNumber || 'your current number'}`} onSubmit={handleVerify('old')} isBusy={isBusy} />
+          )}
+
+          {change.oldNumberLost && change.newNumberVerified && (
+            change.readyToComplete ? (
+              <button type="button" onClick={handleComplete} disabled={isBusy} className={buttonClassName}>
+                Finish changing number
+              </button>
+            ) : (
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                Because your old number can&apos;t confirm this, the change can be finished here on {new Date(change.availableAt).toLocaleDateString()}.
+              </p>
+            )
+          )}
+
+          <div className="flex gap-2">
+            {(!change.newNumberVerified || (!change.oldNumberLost && !change.oldNumberVerified)) && (
+              <button type="button" onClick={handleResend} disabled={isBusy} className={secondaryButtonClassName}>
+                Send codes again
+              </button>
+            )}
+            <button type="button" onClick={handleCancel} disabled={isBusy} className={secondaryButtonClassName}>
+              Cancel change
+            </button>
+          </div>
+        </div>
+      ) : (
+        <form onSubmit={handleStart} className="space-y-4">
+          <div>
+            <label htmlFor="newPhoneNumber" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              New phone number
+            </label>
+            <input
+              id="newPhoneNumber"
+              type="tel"
+              inputMode="numeric"
+              value={newPhoneNumber}
+              onChange={(e) => setNewPhoneNumber(e.target.value.replace(/\D/g, '').slice(0, 12))}
+              placeholder="0772345678"
+              className={inputClassName}
+              autoComplete="off"
+              required
+            />
+          </div>
+
+          <div>
+            <label htmlFor="phoneChangePin" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Current PIN
+            </label>
+            <input
+              id="phoneChangePin"
+              type="password"
+              inputMode="numeric"
+              value={pin}
+              onChange={(e) => setPin(e.target.value.replace(/\D/g, '').slice(0, PIN_MAX_LENGTH))}
+              className={inputClassName}
+              autoComplete="off"
+              required
+            />
+          </div>
+
+          <label className="flex items-start gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={oldNumberLost}
+              onChange={(e) => setOldNumberLost(e.target.checked)}
+              className="mt-1"
+            />
+            <span>
+              I no longer have my current number. The change then takes effect after a waiting period, and your current number is told about it.
+            </span>
+          </label>
+
+          <button type="submit" disabled={isBusy || !newPhoneNumber || !pin} className={buttonClassName}>
+            {isBusy ? 'Sending codes...' : 'Change phone number'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+"use client";
+
+import { useState } from 'react';
+import { checkPin, getPinPolicy } from '../../../lib/core/utils/pinPolicy';
+import { setPinLength } from '../../../lib/services/userPreferences';
+import { authHeaders } from '../../../lib/apiAuth';
+import PinStrengthMeter from './auth/PinStrengthMeter';
+
+const { minLength: PIN_MIN_LENGTH, maxLength: PIN_MAX_LENGTH } = getPinPolicy();
+
+const inputClassName = "w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-800 dark:border-gray-600 dark:placeholder-gray-500 dark:text-white dark:focus:ring-blue-400 dark:focus:border-blue-400";
+
+const digitsOnly = (value) => value.replace(/\D/g, '').slice(0, PIN_MAX_LENGTH);
+
+export default function ChangePinSettings({ phoneNumber }) {
+  const [currentPin, setCurrentPin] = useState('');
+  const [newPin, setNewPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+
+    const pinCheck = checkPin(newPin, { phoneNumber });
+    if (!pinCheck.valid) {
+      setError(pinCheck.error);
+      return;
+    }
+    if (newPin !== confirmPin) {
+      setError('New PINs do not match');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const response = await fetch('/api/user/pin', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          ...authHeaders(),
+        },
+        body: JSON.stringify({ currentPin, newPin }),
+      });
+      const body = await response.json();
+
+      if (!response.ok) {
+        throw new Error(body.error?.message || 'Failed to update PIN');
+      }
+
+      setPinLength(body.data.pinLength);
+      setMessage(`PIN updated. Sign in with your new ${body.data.pinLength}-digit PIN from now on.`);
+      setCurrentPin('');
+      setNewPin('');
+      setConfirmPin('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 max-w-sm">
+      {error && (
+        <p className="p-2 text-sm rounded-lg bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300">{error}</p>
+      )}
+      {message && (
+        <p className="p-2 text-sm rounded-lg bg-green-50 dark:bg-green-900/20 text-green-800 dark:text-green-200">{message}</p>
+      )}
+
+      <div>
+        <label htmlFor="currentPin" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          Current PIN
+        </label>
+        <input
+          id="currentPin"
+          type="password"
+          inputMode="numeric"
+          value={currentPin}
+          onChange={(e) => setCurrentPin(digitsOnly(e.target.value))}
+          className={inputClassName}
+          autoComplete="off"
+          required
+        />
+      </div>
+
+      <div>
+        <label htmlFor="newPin" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          New PIN ({PIN_MIN_LENGTH}–{PIN_MAX_LENGTH} digits)
+        </label>
+        <input
+          id="newPin"
+          type="password"
+          inputMode="numeric"
+          value={newPin}
+          onChange={(e) => setNewPin(digitsOnly(e.target.value))}
+          className={inputClassName}
+          autoComplete="new-password"
+          required
+        />
+        <PinStrengthMeter pin={newPin} phoneNumber={phoneNumber} />
+      </div>
+
+      <div>
+        <label htmlFor="confirmPin" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          Confirm new PIN
+        </label>
+        <input
+          id="confirmPin"
+          type="password"
+          inputMode="numeric"
+          value={confirmPin}
+          onChange={(e) => setConfirmPin(digitsOnly(e.target.value))}
+          className={inputClassName}
+          autoComplete="new-password"
+          required
+        />
+      </div>
+
+      <button
+        type="submit"
+        disabled={isSaving || !currentPin || !newPin || !confirmPin}
+        className="px-4 py-2 rounded-lg font-medium text-sm border bg-blue-200 dark:bg-[#1a2655] border-blue-400 dark:border-blue-600 text-blue-800 dark:text-blue-200 hover:bg-blue-300 dark:hover:bg-[#1e2a5a] disabled:opacity-50 disabled:cursor-not-allowed transition"
+      >
+        {isSaving ? 'Saving...' : 'Change PIN'}
+      </button>
+    </form>
+  );
+}
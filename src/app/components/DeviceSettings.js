@@ -0,0 +1,140 @@
+"use client";
+
+import { useState, useEffect, useCallback } from 'react';
+import { formatDistanceToNow, parseISO } from 'date-fns';
+import { fetchDevices, revokeDevice, revokeOtherDevices } from '../../../lib/deviceService';
+
+const buttonClassName = "px-4 py-2 rounded-lg font-medium text-sm border bg-blue-200 dark:bg-[#1a2655] border-blue-400 dark:border-blue-600 text-blue-800 dark:text-blue-200 hover:bg-blue-300 dark:hover:bg-[#1e2a5a] disabled:opacity-50 disabled:cursor-not-allowed transition";
+const secondaryButtonClassName = "px-3 py-1 rounded-lg font-medium text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-50 transition";
+
+const DEVICE_ICONS = {
+  mobile: 'M10.5 1.5H8.25A2.25 2.25 0 006 3.75v16.5a2.25 2.25 0 002.25 2.25h7.5A2.25 2.25 0 0018 20.25V3.75a2.25 2.25 0 00-2.25-2.25H13.5m-3 0V3h3V1.5m-3 0h3m-3 18.75h3',
+  tablet: 'M10.5 19.5h3m-6.75 2.25h10.5a2.25 2.25 0 002.25-2.25v-15a2.25 2.25 0 00-2.25-2.25H6.75A2.25 2.25 0 004.5 4.5v15a2.25 2.25 0 002.25 2.25z',
+  desktop: 'M9 17.25v1.007a3 3 0 01-.879 2.122L7.5 21h9l-.621-.621A3 3 0 0115 18.257V17.25m6-12V15a2.25 2.25 0 01-2.25 2.25H5.25A2.25 2.25 0 013 15V5.25m18 0A2.25 2.25 0 0018.75 3H5.25A2.25 2.25 0 003 5.25m18 0V12a2.25 2.25 0 01-2.25 2.25H5.25A2.25 2.25 0 013 12V5.25',
+};
+
+const lastActive = (device) => {
+  if (device.isCurrent) return 'active now';
+  const timestamp = device.lastActivity || device.signedInAt;
+  return timestamp ? `active ${formatDistanceToNow(parseISO(timestamp), { addSuffix: true })}` : null;
+};
+
+export default function DeviceSettings() {
+  const [devices, setDevices] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const loadDevices = useCallback(async () => {
+    try {
+      setDevices(await fetchDevices());
+    } catch (err) {
+      console.error('Error loading devices:', err);
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDevices();
+  }, [loadDevices]);
+
+  const handleRevoke = async (device) => {
+    if (!window.confirm(`Sign out ${device.name}? It will have to sign in again.`)) {
+      return;
+    }
+    setIsBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      await revokeDevice(device.sessionId);
+      setMessage(`${device.name} was signed out.`);
+      await loadDevices();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out every other device? This device stays signed in.')) {
+      return;
+    }
+    setIsBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      const { revokedCount } = await revokeOtherDevices();
+      setMessage(revokedCount === 1 ? 'Signed out 1 other device.' : `Signed out ${revokedCount} other devices.`);
+      await loadDevices();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (!devices) {
+    return error
+      ? <p className="text-sm text-red-700 dark:text-red-300">{error}</p>
+      : <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>;
+  }
+
+  const otherDevices = devices.filter(device => !device.isCurrent);
+
+  return (
+    <div className="space-y-4 max-w-md">
+      {error && (
+        <p className="p-2 text-sm rounded-lg bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300">{error}</p>
+      )}
+      {message && (
+        <p className="p-2 text-sm rounded-lg bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300">{message}</p>
+      )}
+
+      {devices.length > 0 ? (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700 rounded-lg border border-gray-200 dark:border-gray-700">
+          {devices.map(device => (
+            <li key={device.sessionId} className="flex items-center justify-between gap-3 p-3">
+              <div className="flex items-start gap-3 min-w-0">
+                <svg className="w-6 h-6 mt-0.5 shrink-0 text-gray-500 dark:text-gray-400" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" aria-hidden="true">
+                  <path strokeLinecap="round" strokeLinejoin="round" d={DEVICE_ICONS[device.deviceType] || DEVICE_ICONS.desktop} />
+                </svg>
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                    {device.name}
+                    {device.isCurrent && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 dark:bg-green-900/40 text-green-800 dark:text-green-200">
+                        This device
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                    {[device.location || 'Unknown location', device.ipAddress, lastActive(device)].filter(Boolean).join(' · ')}
+                  </p>
+                  {device.signedInAt && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      Signed in {new Date(device.signedInAt).toLocaleDateString()}
+                    </p>
+                  )}
+                </div>
+              </div>
+              {!device.isCurrent && (
+                <button type="button" onClick={() => handleRevoke(device)} disabled={isBusy} className={secondaryButtonClassName}>
+                  Sign out
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No signed-in devices found.</p>
+      )}
+
+      {otherDevices.length > 0 && (
+        <button type="button" onClick={handleRevokeOthers} disabled={isBusy} className={buttonClassName}>
+          {isBusy ? 'Signing out...' : 'Sign out all other devices'}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -2,6 +2,14 @@ import React, { useState, useEffect } from 'react';
 import { formatDistanceToNow, parseISO } from 'date-fns';
 import { useAuth } from '../../../lib/AuthProvider';
 
+// Content types whose extracted text is previewed instead of an embedded viewer
+const TEXT_PREVIEW_TYPES = [
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain',
+  'text/csv',
+  'application/rtf',
+];
+
 const DocumentCard = ({ 
   doc, 
   onToggleAutoDelete, 
@@ -15,6 +23,11 @@ const DocumentCard = ({
   const [showTimeoutOptions, setShowTimeoutOptions] = useState(false);
   const [selectedExpiryDays, setSelectedExpiryDays] = useState(null);
   const [remainingTime, setRemainingTime] = useState('');
+  const [showVersions, setShowVersions] = useState(false);
+  const [versions, setVersions] = useState(null);
+  const [versionsError, setVersionsError] = useState(null);
+  const [textPreview, setTextPreview] = useState(null);
+  const [textPreviewError, setTextPreviewError] = useState(null);
 
   const formatRemainingTime = (expiryDate) => {
     if (!expiryDate) return '';
@@ -62,8 +75,10 @@ const DocumentCard = ({
   const fileExtension = getFileExtension(doc.file_name);
 
   const isPdf = fileExtension === 'pdf';
-  const isOfficeDoc = ['doc', 'docx', 'ppt', 'pptx', 'xls', 'xlsx'].includes(fileExtension);
-  const canPreviewInModal = isPdf || isOfficeDoc;
+  // Formats the server extracts text from are shown as text (or a table for CSV)
+  const hasTextPreview = TEXT_PREVIEW_TYPES.includes(doc.content_type);
+  const isOfficeDoc = !hasTextPreview && ['doc', 'docx', 'ppt', 'pptx', 'xls', 'xlsx'].includes(fileExtension);
+  const canPreviewInModal = isPdf || isOfficeDoc || hasTextPreview;
 
   const handleOpenClick = () => {
     console.log('Opening document:', {
@@ -78,6 +93,9 @@ const DocumentCard = ({
     
     if (canPreviewInModal) {
       setIsPreviewModalOpen(true);
+      if (hasTextPreview && !textPreview) {
+        loadTextPreview();
+      }
     } else if (doc.content) {
       window.open(doc.content, '_blank', 'noopener,noreferrer');
     } else {
@@ -85,6 +103,25 @@ const DocumentCard = ({
     }
   };
 
+  const loadTextPreview = async () => {
+    setTextPreviewError(null);
+    try {
+      const response = await fetch(`/api/files/${doc.id}/preview`, {
+        headers: { 'x-user-id': session?.user?.id },
+      });
+      const body = await response.json();
+
+      if (!response.ok) {
+        throw new Error(body.error?.message || 'Failed to load preview');
+      }
+
+      setTextPreview(body.data.preview);
+    } catch (error) {
+      console.error('Error loading document preview:', error);
+      setTextPreviewError(error.message);
+    }
+  };
+
   const closeModal = () => {
     setIsPreviewModalOpen(false);
   };
@@ -133,9 +170,8 @@ const DocumentCard = ({
     setIsInteracting(true);
 
     try {
-      // Default to 1 hour (1/24 days) when enabling auto-delete
-      const defaultExpiryHours = 1/24; // 1 hour in days
-      await onToggleAutoDelete(doc.id, !doc.auto_delete, !doc.auto_delete ? defaultExpiryHours : undefined);
+      // Without an explicit duration the user's retention policy for documents applies
+      await onToggleAutoDelete(doc.id, !doc.auto_delete);
     } catch (error) {
       console.error("Failed to toggle auto delete:", error);
     } finally {
@@ -175,8 +211,40 @@ const DocumentCard = ({
     setSelectedExpiryDays(null);
   };
 
+  const toggleVersions = async () => {
+    const opening = !showVersions;
+    setShowVersions(opening);
+
+    // Versions are fetched once per card, the first time the list is opened
+    if (!opening || versions) return;
+
+    setVersionsError(null);
+    try {
+      const response = await fetch(`/api/files/${doc.id}/versions`, {
+        headers: { 'x-user-id': session?.user?.id },
+      });
+      const body = await response.json();
+
+      if (!response.ok) {
+        throw new Error(body.error?.message || 'Failed to load versions');
+      }
+
+      setVersions(body.data.versions);
+    } catch (error) {
+      console.error('Error loading document versions:', error);
+      setVersionsError(error.message);
+    }
+  };
+
+  const formatFileSize = (bytes) => {
+    if (!bytes) return '';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  };
+
   const handleDelete = () => {
-    if (window.confirm(`Are you sure you want to delete "${doc.file_name}"?`)) {
+    if (window.confirm(`Move "${doc.file_name}" to the trash?`)) {
       onDeleteDocument(doc.id);
     }
   };
@@ -340,6 +408,7 @@ const DocumentCard = ({
           <div className="flex justify-between items-center mb-2">
             <span className="text-sm text-gray-600 dark:text-gray-400">
               {formatLastEdited ? formatLastEdited(doc.updated_at || doc.created_at) : 'Recently added'}
+              {doc.page_count ? ` · ${doc.page_count} ${doc.page_count === 1 ? 'page' : 'pages'}` : ''}
             </span>
             <button 
               onClick={handleOpenClick}
@@ -355,9 +424,63 @@ const DocumentCard = ({
               </svg>
             </button>
           </div>
+          {doc.text_preview && (
+            <p className="text-xs text-gray-600 dark:text-gray-300 whitespace-pre-line line-clamp-3 break-words">
+              {doc.text_preview.slice(0, 300)}
+            </p>
+          )}
         </div>
         
+        {showVersions && (
+          <div className="mt-3 p-2 rounded-md bg-blue-50/70 dark:bg-blue-950/40 text-xs">
+            {versionsError ? (
+              <p className="text-red-600 dark:text-red-400">{versionsError}</p>
+            ) : !versions ? (
+              <p className="text-gray-500 dark:text-gray-400">Loading versions...</p>
+            ) : versions.length === 0 ? (
+              <p className="text-gray-500 dark:text-gray-400">Only the current version is stored.</p>
+            ) : (
+              <ul className="space-y-1">
+                {versions.map((version) => (
+                  <li key={version.version} className="flex items-center justify-between gap-2">
+                    <span className="text-blue-800 dark:text-blue-200">
+                      v{version.version}
+                      {version.isCurrent && <span className="ml-1 text-green-600 dark:text-green-400">(current)</span>}
+                    </span>
+                    <span className="flex-1 text-gray-500 dark:text-gray-400 truncate">
+                      {formatDistanceToNow(parseISO(version.uploadedAt), { addSuffix: true })}
+                      {version.fileSize ? ` · ${formatFileSize(version.fileSize)}` : ''}
+                    </span>
+                    <a
+                      href={version.publicUrl}
+                      download={doc.file_name}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300"
+                    >
+                      Download
+                    </a>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+        
         <div className="flex justify-end mt-3 space-x-2">
+          <button 
+            onClick={toggleVersions}
+            className={`flex-shrink-0 text-blue-600 hover:text-blue-500 rounded-md p-2 transition-colors ${
+              showVersions ? 'bg-blue-100 dark:bg-blue-800/40' : 'bg-blue-50 dark:bg-blue-900/30 hover:bg-blue-100 dark:hover:bg-blue-800/40'
+            }`}
+            aria-label="Show document versions"
+            aria-expanded={showVersions}
+            title="Versions"
+          >
+            <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+            </svg>
+          </button>
           <button 
             onClick={handleDownload}
             className="flex-shrink-0 text-blue-600 hover:text-blue-500 bg-blue-50 dark:bg-blue-900/30 hover:bg-blue-100 dark:hover:bg-blue-800/40 rounded-md p-2 transition-colors"
@@ -400,17 +523,68 @@ const DocumentCard = ({
                 <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg"><path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd"></path></svg>
               </button>
             </div>
-            <iframe
-              src={previewUrl}
-              width="100%"
-              height="100%" 
-              title={doc.file_name || 'Document Preview'}
-              className="flex-grow border-none"
-              onError={handleIframeError}
-              onLoad={handleIframeLoad}
-            >
-              Your browser does not support iframes or the content cannot be displayed. You can try to <a href={doc.content} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">download the document here</a>.
-            </iframe>
+            {hasTextPreview ? (
+              <div className="flex-grow overflow-auto p-4 text-sm text-gray-800 dark:text-gray-200">
+                {textPreviewError ? (
+                  <p className="text-red-600 dark:text-red-400">{textPreviewError}</p>
+                ) : !textPreview ? (
+                  <p className="text-gray-500 dark:text-gray-400">Loading preview...</p>
+                ) : textPreview.table ? (
+                  <>
+                    <table className="min-w-full text-left text-xs border-collapse">
+                      <thead>
+                        <tr>
+                          {textPreview.table.columns.map((column, index) => (
+                            <th key={index} className="sticky top-0 bg-gray-100 dark:bg-gray-700 px-2 py-1 font-semibold border border-gray-200 dark:border-gray-600">
+                              {column}
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {textPreview.table.rows.map((row, rowIndex) => (
+                          <tr key={rowIndex} className="odd:bg-white even:bg-gray-50 dark:odd:bg-gray-800 dark:even:bg-gray-700/50">
+                            {textPreview.table.columns.map((_, index) => (
+                              <td key={index} className="px-2 py-1 border border-gray-200 dark:border-gray-600 whitespace-pre-wrap">
+                                {row[index]}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    {textPreview.table.truncated && (
+                      <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                        Showing the first {textPreview.table.rows.length} rows. Download the file to see the rest.
+                      </p>
+                    )}
+                  </>
+                ) : textPreview.textPreview ? (
+                  <>
+                    <pre className="whitespace-pre-wrap break-words font-sans">{textPreview.textPreview}</pre>
+                    {textPreview.truncated && (
+                      <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                        Preview shortened. Download the file to read all of it.
+                      </p>
+                    )}
+                  </>
+                ) : (
+                  <p className="text-gray-500 dark:text-gray-400">No text could be extracted from this document.</p>
+                )}
+              </div>
+            ) : (
+              <iframe
+                src={previewUrl}
+                width="100%"
+                height="100%" 
+                title={doc.file_name || 'Document Preview'}
+                className="flex-grow border-none"
+                onError={handleIframeError}
+                onLoad={handleIframeLoad}
+              >
+                Your browser does not support iframes or the content cannot be displayed. You can try to <a href={doc.content} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">download the document here</a>.
+              </iframe>
+            )}
           </div>
         </div>
       )}
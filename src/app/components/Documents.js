@@ -1,11 +1,16 @@
 import React, { useState, useRef, useEffect } from 'react';
 import DocumentCard from './DocumentCard';
 import { ContentSkeleton } from './Skeletons';
+import { createStorageConfig } from '../../../lib/core/config/storage.config';
+
+// Large documents are uploaded in resumable chunks, so the bucket limit applies
+const MAX_DOCUMENT_SIZE = createStorageConfig().buckets.documents.maxFileSize;
 
 const Documents = ({ 
   documents, 
   isLoadingDocuments, 
   onAddDocument, 
+  uploadProgress: transferProgress,
   onDeleteDocument, 
   onToggleAutoDelete,
   formatLastEdited,
@@ -33,9 +38,9 @@ const Documents = ({
       return;
     }
 
-    // Check file size (max 10MB)
-    if (file.size > 10 * 1024 * 1024) {
-      alert('File size must be less than 10MB');
+    // Check file size
+    if (file.size > MAX_DOCUMENT_SIZE) {
+      alert(`File size must be less than ${Math.round(MAX_DOCUMENT_SIZE / 1024 / 1024)}MB`);
       return;
     }
 
@@ -81,6 +86,9 @@ const Documents = ({
       });
   };
 
+  // Chunked uploads report real progress; small uploads keep the simulated bar
+  const displayedProgress = transferProgress ? transferProgress.percent : uploadProgress;
+
   return (
     <div 
       id="documents-container"
@@ -115,11 +123,11 @@ const Documents = ({
           <div className="w-full bg-gray-200 rounded-full h-2.5 dark:bg-gray-700">
             <div 
               className="bg-[var(--primary-blue)] h-2.5 rounded-full transition-all duration-300" 
-              style={{ width: `${uploadProgress}%` }}
+              style={{ width: `${displayedProgress}%` }}
             ></div>
           </div>
           <p className="text-sm text-blue-600 dark:text-blue-400 mt-2">
-            Uploading document... {uploadProgress}%
+            Uploading document... {displayedProgress}%
           </p>
         </div>
       )}
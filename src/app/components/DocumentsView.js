@@ -6,6 +6,7 @@ export default function DocumentsView({
   documents,
   isLoading,
   onAddDocument,
+  uploadProgress,
   onDeleteDocument,
   onToggleAutoDelete,
   formatLastEdited
@@ -16,6 +17,7 @@ export default function DocumentsView({
         documents={documents}
         isLoading={isLoading}
         onAddDocument={onAddDocument}
+        uploadProgress={uploadProgress}
         onDeleteDocument={onDeleteDocument}
         onToggleAutoDelete={onToggleAutoDelete}
         formatLastEdited={formatLastEdited}
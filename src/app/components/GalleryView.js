@@ -6,6 +6,7 @@ export default function GalleryView({
   images,
   isLoading,
   onImageUpload,
+  uploadProgress,
   onImageDelete,
   onToggleImageAutoDelete,
   onRefresh
@@ -16,6 +17,7 @@ export default function GalleryView({
         images={images} 
         isLoading={isLoading} 
         onImageUpload={onImageUpload} 
+        uploadProgress={uploadProgress}
         onImageDelete={onImageDelete}
         onToggleImageAutoDelete={onToggleImageAutoDelete}
         onRefresh={onRefresh}
@@ -13,6 +13,14 @@ const ImageItem = ({ image, onDelete, onToggleAutoDelete }) => {
   const [imageError, setImageError] = useState(false);
   const [retryCount, setRetryCount] = useState(0);
   const [imageUrl, setImageUrl] = useState(image.url);
+  const [showPreview, setShowPreview] = useState(false);
+
+  // Let the browser pick the smallest variant that fills the grid cell
+  const { thumbnail, medium, large } = image.variants || {};
+  const srcSet = [thumbnail, medium]
+    .filter(Boolean)
+    .map(variant => `${variant.url} ${variant.width}w`)
+    .join(', ') || undefined;
 
   // Format remaining time like the text notes component
   const formatRemainingTime = (isoString) => {
@@ -72,6 +80,15 @@ const ImageItem = ({ image, onDelete, onToggleAutoDelete }) => {
     }
   }, [imageError, image.isRecent, image.url, image.file_name, retryCount]);
 
+  useEffect(() => {
+    if (!showPreview) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setShowPreview(false);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [showPreview]);
+
   const handleImageLoad = () => {
     setImageLoading(false);
     setImageError(false);
@@ -96,8 +113,8 @@ const ImageItem = ({ image, onDelete, onToggleAutoDelete }) => {
     setIsInteracting(true);
     
     if (!image.auto_delete) {
-      // Auto-enable with 1 hour (1/24 days)
-      onToggleAutoDelete(image.id, true, 1/24).finally(() => setIsInteracting(false));
+      // Expiry comes from the user's retention policy for images
+      onToggleAutoDelete(image.id, true).finally(() => setIsInteracting(false));
     } else {
       // Turn off auto-delete
       onToggleAutoDelete(image.id, false).finally(() => setIsInteracting(false));
@@ -105,7 +122,7 @@ const ImageItem = ({ image, onDelete, onToggleAutoDelete }) => {
   };
   
   const handleDelete = () => {
-    if (window.confirm(`Are you sure you want to delete "${image.alt || image.file_name}"?`)) {
+    if (window.confirm(`Move "${image.alt || image.file_name}" to the trash?`)) {
       onDelete(image.id); // Pass only ID, path is fetched in service
     }
   };
@@ -155,6 +172,8 @@ const ImageItem = ({ image, onDelete, onToggleAutoDelete }) => {
       
       <img 
         src={imageUrl} 
+        srcSet={srcSet}
+        sizes="(min-width: 1024px) 20vw, (min-width: 768px) 25vw, (min-width: 640px) 33vw, 50vw"
         alt={image.alt || image.file_name || 'Gallery image'}
         className={`w-full h-full object-cover transition-transform duration-300 group-hover:scale-105 ${
           imageLoading ? 'opacity-0' : 'opacity-100'
@@ -173,7 +192,13 @@ const ImageItem = ({ image, onDelete, onToggleAutoDelete }) => {
         </div>
       )}
       
-      <div className="absolute inset-0 bg-gradient-to-t from-black/90 via-black/50 to-transparent opacity-100 transition-opacity duration-300 flex flex-col justify-between p-3">
+      <div
+        className="absolute inset-0 bg-gradient-to-t from-black/90 via-black/50 to-transparent opacity-100 transition-opacity duration-300 flex flex-col justify-between p-3 cursor-zoom-in"
+        onClick={(e) => {
+          // Only clicks on the image itself, not on the controls layered over it
+          if (e.target === e.currentTarget) setShowPreview(true);
+        }}
+      >
         {/* Top section for auto-delete controls */}
         <div className="flex justify-end items-start">
           {/* Auto-delete status and toggle */}
@@ -186,7 +211,7 @@ const ImageItem = ({ image, onDelete, onToggleAutoDelete }) => {
               onClick={handleToggleClick}
               className={`w-8 h-4 flex items-center rounded-full p-0.5 transition-colors duration-300 ${image.auto_delete ? 'bg-green-500' : 'bg-gray-500 hover:bg-gray-400'} ${isInteracting ? 'opacity-70' : ''}`}
               aria-pressed={image.auto_delete}
-              aria-label="Toggle auto-delete for image (1 hour)"
+              aria-label="Toggle auto-delete for image"
               disabled={isInteracting}
             >
               <span className={`bg-white dark:bg-gray-100 w-3 h-3 rounded-full shadow-md transform transition-transform duration-300 ${image.auto_delete ? 'translate-x-4' : 'translate-x-0'}`} />
@@ -203,7 +228,8 @@ const ImageItem = ({ image, onDelete, onToggleAutoDelete }) => {
                 onClick={async () => {
                   try {
                     // Use fetch to download the image as blob for better cross-browser support
-                    const response = await fetch(imageUrl);
+                    // Always the original upload, never a resized variant
+                    const response = await fetch(image.url);
                     const blob = await response.blob();
                     const url = window.URL.createObjectURL(blob);
                     const link = document.createElement('a');
@@ -217,7 +243,7 @@ const ImageItem = ({ image, onDelete, onToggleAutoDelete }) => {
                     console.error('Error downloading image:', error);
                     // Fallback to direct link if fetch fails
                     const link = document.createElement('a');
-                    link.href = imageUrl;
+                    link.href = image.url;
                     link.download = image.file_name || `image_${Date.now()}`;
                     document.body.appendChild(link);
                     link.click();
@@ -247,6 +273,28 @@ const ImageItem = ({ image, onDelete, onToggleAutoDelete }) => {
             </div>
         </div>
       </div>
+
+      {/* Full-size preview */}
+      {showPreview && (
+        <div
+          className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 backdrop-blur-sm p-4 cursor-zoom-out"
+          onClick={() => setShowPreview(false)}
+          role="dialog"
+          aria-label={image.alt || image.file_name || 'Image preview'}
+        >
+          {/* The large variant is already sized for a screen, so it skips the optimizer */}
+          <div className="relative w-full h-full">
+            <Image
+              src={large?.url || image.url}
+              alt={image.alt || image.file_name || 'Gallery image'}
+              fill
+              sizes="100vw"
+              unoptimized
+              className="object-contain"
+            />
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -255,6 +303,7 @@ export default function ImageGallery({
   images = [], 
   isLoading = false, 
   onImageUpload,
+  uploadProgress,
   onImageDelete,
   onToggleImageAutoDelete,
   onRefresh
@@ -312,8 +361,8 @@ export default function ImageGallery({
           }
         }
         
-        // Use 1/24 days (1 hour) as the default expiry when auto-delete is enabled
-        await onImageUpload(fileToUpload, altText, uploadAutoDelete, uploadAutoDelete ? 1/24 : undefined);
+        // Expiry comes from the user's retention policy for images
+        await onImageUpload(fileToUpload, altText, uploadAutoDelete);
         setSelectedFile(null);
         setAltText("");
         setUploadAutoDelete(false);
@@ -436,7 +485,7 @@ export default function ImageGallery({
                 className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500 mr-2"
               />
               <label htmlFor="upload-auto-delete" className="text-sm text-blue-700 dark:text-blue-300">
-                Auto-delete this image in 1 hour?
+                Auto-delete this image?
               </label>
             </div>
             
@@ -453,7 +502,7 @@ export default function ImageGallery({
               ) : isUploading ? (
                 <>
                   <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-current"></div>
-                  Uploading...
+                  {uploadProgress ? `Uploading ${uploadProgress.percent}%` : 'Uploading...'}
                 </>
               ) : (
                 <>
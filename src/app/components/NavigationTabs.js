@@ -34,6 +34,7 @@ const MobileNavButton = ({ isActive, onClick, label, hasNewContent }) => (
 // SVG Icon Components (can be inlined or imported from separate files if preferred)
 const NotesIcon = () => <svg className="h-5 w-5 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"></path></svg>;
 const GalleryIcon = () => <svg className="h-5 w-5 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z"></path></svg>;
+const TrashIcon = () => <svg className="h-5 w-5 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path></svg>;
 const DocumentsIcon = () => <svg className="h-5 w-5 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path></svg>;
 
 export default function NavigationTabs({ activeSection, onSetSection, newContentBadges = {} }) {
@@ -62,6 +63,12 @@ export default function NavigationTabs({ activeSection, onSetSection, newContent
           label="Documents"
           hasNewContent={newContentBadges.documents || false}
         />
+        <NavButton 
+          isActive={activeSection === "trash"}
+          onClick={() => onSetSection("trash")}
+          SvgIcon={TrashIcon}
+          label="Trash"
+        />
       </nav>
       {/* Mobile Navigation */}
       <div className="md:hidden flex justify-center border border-slate-200 dark:border-blue-900 bg-slate-50/80 dark:bg-blue-950/80 rounded-xl mb-4 overflow-x-hidden">
@@ -84,6 +91,11 @@ export default function NavigationTabs({ activeSection, onSetSection, newContent
             label="Docs"
             hasNewContent={newContentBadges.documents || false}
           />
+          <MobileNavButton 
+            isActive={activeSection === "trash"}
+            onClick={() => onSetSection("trash")}
+            label="Trash"
+          />
         </div>
       </div>
     </>
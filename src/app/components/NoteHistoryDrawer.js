@@ -0,0 +1,186 @@
+"use client";
+import { useState, useEffect, useCallback } from "react";
+
+const DIFF_LINE_STYLES = {
+  added: "bg-green-50 dark:bg-green-900/30 text-green-800 dark:text-green-300",
+  removed: "bg-red-50 dark:bg-red-900/30 text-red-800 dark:text-red-300 line-through",
+  equal: "text-slate-600 dark:text-slate-300",
+};
+
+const DIFF_LINE_PREFIX = { added: "+", removed: "-", equal: " " };
+
+const formatRevisionDate = (isoDate) => new Date(isoDate).toLocaleString();
+
+export default function NoteHistoryDrawer({ note, onClose, onRestored }) {
+  const [revisions, setRevisions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [error, setError] = useState(null);
+
+  const requestJson = useCallback(async (path, options = {}) => {
+    const response = await fetch(path, {
+      ...options,
+      headers: { "x-user-id": note.user_id, ...options.headers },
+    });
+    const body = await response.json();
+
+    if (!response.ok) {
+      throw new Error(body.error?.message || "Request failed");
+    }
+
+    return body.data;
+  }, [note.user_id]);
+
+  const loadRevisions = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const data = await requestJson(`/api/notes/${note.id}/revisions`);
+      setRevisions(data.revisions);
+      setSelected(data.revisions[0]?.revision ?? null);
+    } catch (err) {
+      console.error("Error loading note history:", err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [note.id, requestJson]);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [loadRevisions]);
+
+  // Each revision is compared with the one saved just before it
+  useEffect(() => {
+    const index = revisions.findIndex((rev) => rev.revision === selected);
+    const previous = revisions[index + 1];
+
+    if (index === -1 || !previous) {
+      setDiff(null);
+      return;
+    }
+
+    let cancelled = false;
+    requestJson(`/api/notes/${note.id}/revisions/diff?from=${previous.revision}&to=${selected}`)
+      .then((data) => !cancelled && setDiff(data.diff))
+      .catch((err) => !cancelled && setError(err.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selected, revisions, note.id, requestJson]);
+
+  const handleRestore = async () => {
+    if (selected === null) return;
+
+    setIsRestoring(true);
+    setError(null);
+    try {
+      await requestJson(`/api/notes/${note.id}/revisions/${selected}/restore`, { method: "POST" });
+      if (onRestored) {
+        onRestored();
+      }
+      await loadRevisions();
+    } catch (err) {
+      console.error("Error restoring note revision:", err);
+      setError(err.message);
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  const selectedRevision = revisions.find((rev) => rev.revision === selected);
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black/40" onClick={onClose}>
+      <aside
+        className="w-full max-w-lg h-full bg-white dark:bg-gray-800 shadow-xl flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Note history"
+      >
+        <header className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="text-lg font-semibold text-slate-800 dark:text-blue-100">Note history</h2>
+          <button
+            onClick={onClose}
+            className="p-1 rounded-lg text-slate-500 hover:bg-slate-100 dark:hover:bg-gray-700"
+            aria-label="Close history"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </header>
+
+        {error && (
+          <p className="mx-4 mt-4 p-2 text-sm rounded-lg bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300">{error}</p>
+        )}
+
+        {isLoading ? (
+          <p className="p-4 text-sm text-slate-500 dark:text-slate-400">Loading history...</p>
+        ) : revisions.length === 0 ? (
+          <p className="p-4 text-sm text-slate-500 dark:text-slate-400">No earlier versions of this note yet.</p>
+        ) : (
+          <div className="flex flex-1 min-h-0">
+            <ul className="w-40 flex-shrink-0 overflow-auto border-r border-gray-200 dark:border-gray-700">
+              {revisions.map((rev) => (
+                <li key={rev.revision}>
+                  <button
+                    onClick={() => setSelected(rev.revision)}
+                    className={`w-full text-left px-3 py-2 text-sm transition ${
+                      rev.revision === selected
+                        ? "bg-blue-100 dark:bg-blue-900/50 text-blue-800 dark:text-blue-100"
+                        : "text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-gray-700"
+                    }`}
+                  >
+                    <div className="font-medium">
+                      Revision {rev.revision}
+                      {rev.isCurrent && <span className="ml-1 text-xs text-green-600 dark:text-green-400">(current)</span>}
+                    </div>
+                    <div className="text-xs text-slate-500 dark:text-slate-400">{formatRevisionDate(rev.createdAt)}</div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <div className="flex-1 min-w-0 flex flex-col">
+              <div className="flex-1 overflow-auto p-3 font-mono text-xs">
+                {diff ? (
+                  <>
+                    <p className="mb-2 text-slate-500 dark:text-slate-400">
+                      +{diff.stats.added} / -{diff.stats.removed} lines since revision {diff.from}
+                      {diff.formatChanged && " (format changed)"}
+                    </p>
+                    {diff.changes.map((change, index) => (
+                      <div key={index} className={`whitespace-pre-wrap break-words px-1 ${DIFF_LINE_STYLES[change.type]}`}>
+                        {DIFF_LINE_PREFIX[change.type]} {change.text}
+                      </div>
+                    ))}
+                  </>
+                ) : (
+                  <div className="whitespace-pre-wrap break-words text-slate-600 dark:text-slate-300">
+                    {selectedRevision?.text}
+                  </div>
+                )}
+              </div>
+
+              {selectedRevision && !selectedRevision.isCurrent && (
+                <div className="p-3 border-t border-gray-200 dark:border-gray-700">
+                  <button
+                    onClick={handleRestore}
+                    disabled={isRestoring}
+                    className="w-full py-2 rounded-lg text-sm font-medium bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-60"
+                  >
+                    {isRestoring ? "Restoring..." : `Restore revision ${selectedRevision.revision}`}
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </aside>
+    </div>
+  );
+}
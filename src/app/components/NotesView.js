@@ -8,7 +8,8 @@ export default function NotesView({
   onSaveText, 
   onToggleAutoDelete, 
   onNoteCreated, 
-  onDeleteNote
+  onDeleteNote,
+  onNoteRestored
 }) {
   return (
     <div className="flex flex-col gap-4 md:gap-6 flex-1">
@@ -16,7 +17,7 @@ export default function NotesView({
         <TextInput onSaveText={onSaveText} onNoteCreated={onNoteCreated} />
       </div>
       <div className="w-full">
-        <StoredTexts texts={storedTexts} onToggleAutoDelete={onToggleAutoDelete} onDeleteNote={onDeleteNote} />
+        <StoredTexts texts={storedTexts} onToggleAutoDelete={onToggleAutoDelete} onDeleteNote={onDeleteNote} onNoteRestored={onNoteRestored} />
       </div>
     </div>
   );
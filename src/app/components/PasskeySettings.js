@@ -0,0 +1,137 @@
+"use client";
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  isPasskeySupported,
+  fetchPasskeys,
+  registerPasskey,
+  removePasskey,
+} from '../../../lib/passkeyService';
+
+const inputClassName = "flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-800 dark:border-gray-600 dark:placeholder-gray-500 dark:text-white";
+const buttonClassName = "px-4 py-2 rounded-lg font-medium text-sm border bg-blue-200 dark:bg-[#1a2655] border-blue-400 dark:border-blue-600 text-blue-800 dark:text-blue-200 hover:bg-blue-300 dark:hover:bg-[#1e2a5a] disabled:opacity-50 disabled:cursor-not-allowed transition";
+const secondaryButtonClassName = "px-3 py-1 rounded-lg font-medium text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-50 transition";
+
+export default function PasskeySettings() {
+  const [passkeys, setPasskeys] = useState(null);
+  const [name, setName] = useState('');
+  const [pin, setPin] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [supported, setSupported] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadPasskeys = useCallback(async () => {
+    try {
+      setPasskeys(await fetchPasskeys());
+    } catch (err) {
+      console.error('Error loading passkeys:', err);
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    setSupported(isPasskeySupported());
+    loadPasskeys();
+  }, [loadPasskeys]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    setError('');
+    try {
+      const saved = await registerPasskey(pin, name);
+      if (saved) {
+        setName('');
+        await loadPasskeys();
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPin('');
+      setIsBusy(false);
+    }
+  };
+
+  const handleRemove = async (passkey) => {
+    if (!window.confirm(`Remove "${passkey.name}"? You won't be able to sign in with it any more.`)) {
+      return;
+    }
+    setIsBusy(true);
+    setError('');
+    try {
+      await removePasskey(passkey.id);
+      await loadPasskeys();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (!passkeys) {
+    return error
+      ? <p className="text-sm text-red-700 dark:text-red-300">{error}</p>
+      : <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>;
+  }
+
+  return (
+    <div className="space-y-4 max-w-md">
+      {error && (
+        <p className="p-2 text-sm rounded-lg bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300">{error}</p>
+      )}
+
+      {passkeys.length > 0 ? (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700 rounded-lg border border-gray-200 dark:border-gray-700">
+          {passkeys.map(passkey => (
+            <li key={passkey.id} className="flex items-center justify-between gap-3 p-3">
+              <div>
+                <p className="text-sm font-medium text-gray-900 dark:text-gray-100">{passkey.name}</p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Added {new Date(passkey.createdAt).toLocaleDateString()}
+                  {' · '}
+                  {passkey.lastUsedAt ? `last used ${new Date(passkey.lastUsedAt).toLocaleDateString()}` : 'never used'}
+                  {passkey.backedUp && ' · synced'}
+                </p>
+              </div>
+              <button type="button" onClick={() => handleRemove(passkey)} disabled={isBusy} className={secondaryButtonClassName}>
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No passkeys yet.</p>
+      )}
+
+      {supported ? (
+        <form onSubmit={handleAdd} className="flex flex-wrap gap-2 items-center">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Name, e.g. My laptop"
+            aria-label="Passkey name"
+            maxLength={60}
+            className={inputClassName}
+          />
+          {/* Adding a way to sign in asks for the PIN again */}
+          <input
+            type="password"
+            inputMode="numeric"
+            value={pin}
+            onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+            placeholder="PIN"
+            aria-label="Current PIN"
+            autoComplete="off"
+            className={`${inputClassName} max-w-[7rem] flex-none`}
+          />
+          <button type="submit" disabled={isBusy || !pin} className={buttonClassName}>
+            {isBusy ? 'Waiting...' : 'Add passkey'}
+          </button>
+        </form>
+      ) : (
+        <p className="text-sm text-gray-500 dark:text-gray-400">This browser doesn&apos;t support passkeys.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+"use client";
+import { useSearch } from "../../../lib/hooks/useSearch";
+
+const RESULT_GROUPS = [
+  { key: "notes", label: "Notes", section: "notes" },
+  { key: "images", label: "Images", section: "gallery" },
+  { key: "documents", label: "Documents", section: "documents" },
+];
+
+const Highlighted = ({ segments }) => (
+  <>
+    {segments.map((segment, index) => (
+      segment.match ? (
+        <mark key={index} className="bg-amber-200 dark:bg-amber-500/40 text-inherit rounded px-0.5">
+          {segment.text}
+        </mark>
+      ) : (
+        <span key={index}>{segment.text}</span>
+      )
+    ))}
+  </>
+);
+
+export default function SearchBar({ userId, onSelectResult }) {
+  const { query, setQuery, results, isSearching, searchError, clearSearch } = useSearch(userId);
+  const showResults = query.trim().length >= 2;
+
+  const handleSelect = (section, hit) => {
+    clearSearch();
+    if (onSelectResult) {
+      onSelectResult(section, hit);
+    }
+  };
+
+  return (
+    <div className="relative w-full mb-4">
+      <div className="flex items-center bg-white dark:bg-blue-900/40 border border-slate-300 dark:border-blue-800 rounded-xl px-3 shadow-sm focus-within:ring-2 focus-within:ring-blue-500">
+        <svg className="h-5 w-5 text-slate-400 dark:text-blue-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M21 21l-4.35-4.35M17 11A6 6 0 115 11a6 6 0 0112 0z" />
+        </svg>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => e.key === "Escape" && clearSearch()}
+          placeholder="Search notes, images and documents"
+          aria-label="Search notes, images and documents"
+          className="flex-1 bg-transparent px-2 py-2.5 outline-none text-sm text-slate-900 dark:text-blue-50 placeholder-slate-400 dark:placeholder-blue-300/70"
+        />
+        {isSearching && (
+          <svg className="animate-spin h-4 w-4 text-blue-500" fill="none" viewBox="0 0 24 24">
+            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z"></path>
+          </svg>
+        )}
+      </div>
+
+      {showResults && (
+        <div className="absolute left-0 right-0 mt-2 max-h-96 overflow-auto bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-600 rounded-xl shadow-lg z-40 p-3 text-sm">
+          {searchError && (
+            <p className="text-red-600 dark:text-red-400">{searchError}</p>
+          )}
+          {!searchError && !isSearching && results.total === 0 && (
+            <p className="text-slate-500 dark:text-slate-400">No matches for &quot;{query.trim()}&quot;</p>
+          )}
+          {RESULT_GROUPS.map(({ key, label, section }) => {
+            const hits = results.groups?.[key] || [];
+            if (hits.length === 0) return null;
+
+            return (
+              <div key={key} className="mb-3 last:mb-0">
+                <h3 className="text-xs font-semibold uppercase tracking-wide text-slate-500 dark:text-slate-400 mb-1">
+                  {label} ({hits.length})
+                </h3>
+                <ul className="space-y-1">
+                  {hits.map((hit) => (
+                    <li key={hit.id}>
+                      <button
+                        onClick={() => handleSelect(section, hit)}
+                        className="w-full text-left p-2 rounded-lg hover:bg-blue-50 dark:hover:bg-blue-900/40 transition"
+                      >
+                        {hit.type !== "note" && (
+                          <div className="font-medium text-slate-800 dark:text-blue-100 truncate">{hit.title}</div>
+                        )}
+                        <div className="text-slate-600 dark:text-slate-300 line-clamp-2">
+                          <Highlighted segments={hit.highlights} />
+                        </div>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+"use client";
+
+import { useState, useEffect, useCallback } from 'react';
+import { formatDistanceToNow, parseISO } from 'date-fns';
+import { fetchNotifications, markNotificationRead, denyLogin } from '../../../lib/notificationService';
+
+const confirmButtonClassName = "px-3 py-1 rounded-lg font-medium text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-50 transition";
+const denyButtonClassName = "px-3 py-1 rounded-lg font-medium text-sm border border-red-300 dark:border-red-700 text-red-700 dark:text-red-300 hover:bg-red-100 dark:hover:bg-red-900/40 disabled:opacity-50 transition";
+
+/**
+ * Unread sign-in alerts, shown above the dashboard until answered
+ */
+export default function SecurityAlerts() {
+  const [alerts, setAlerts] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const loadAlerts = useCallback(async () => {
+    try {
+      const notifications = await fetchNotifications({ unreadOnly: true });
+      setAlerts(notifications.filter(notification => notification.type === 'login_alert'));
+    } catch (err) {
+      // Alerts are a nicety here; the dashboard works without them
+      console.error('Error loading security alerts:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAlerts();
+  }, [loadAlerts]);
+
+  const handleConfirm = async (alert) => {
+    setBusyId(alert.id);
+    setError('');
+    try {
+      await markNotificationRead(alert.id);
+      setAlerts(current => current.filter(item => item.id !== alert.id));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDeny = async (alert) => {
+    if (!window.confirm(`Sign out ${alert.data.device || 'that device'}? You will also have to set a new PIN before you can sign in again.`)) {
+      return;
+    }
+    setBusyId(alert.id);
+    setError('');
+    try {
+      await denyLogin(alert.data.denyToken);
+      setMessage('That device was signed out. Set a new PIN the next time you sign in.');
+      await loadAlerts();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (alerts.length === 0 && !message && !error) {
+    return null;
+  }
+
+  return (
+    <div className="space-y-3 mb-4">
+      {error && (
+        <p className="p-2 text-sm rounded-lg bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300">{error}</p>
+      )}
+      {message && (
+        <p className="p-2 text-sm rounded-lg bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300">{message}</p>
+      )}
+
+      {alerts.map(alert => (
+        <div key={alert.id} role="alert" className="p-4 rounded-lg border border-amber-300 dark:border-amber-700 bg-amber-50 dark:bg-amber-900/20">
+          <p className="text-sm font-medium text-amber-900 dark:text-amber-100">
+            {alert.title}
+            <span className="ml-2 text-xs font-normal text-amber-700 dark:text-amber-300">
+              {formatDistanceToNow(parseISO(alert.createdAt), { addSuffix: true })}
+            </span>
+          </p>
+          {alert.body && (
+            <p className="mt-1 text-sm text-amber-800 dark:text-amber-200">{alert.body}</p>
+          )}
+          <div className="mt-3 flex gap-2">
+            <button type="button" onClick={() => handleConfirm(alert)} disabled={busyId === alert.id} className={confirmButtonClassName}>
+              This was me
+            </button>
+            <button type="button" onClick={() => handleDeny(alert)} disabled={busyId === alert.id} className={denyButtonClassName}>
+              This wasn&apos;t me
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,13 +1,17 @@
 "use client";
 import { useState, useEffect, useRef } from "react";
+import { renderMarkdown } from "../../../lib/core/utils/markdown";
+import NoteHistoryDrawer from "./NoteHistoryDrawer";
 
-export default function StoredTexts({ texts, onToggleAutoDelete, onDeleteNote }) {
+export default function StoredTexts({ texts, onToggleAutoDelete, onDeleteNote, onNoteRestored }) {
   const [isExpanded, setIsExpanded] = useState(true);
   const [isInteractingMap, setIsInteractingMap] = useState({});
   const [copiedItemId, setCopiedItemId] = useState(null);
   const [copyFallbackUsed, setCopyFallbackUsed] = useState(false);
   const [showMobileClipboardInfo, setShowMobileClipboardInfo] = useState(false);
   const [hoveredButton, setHoveredButton] = useState(null);
+  const [rawViewMap, setRawViewMap] = useState({});
+  const [historyNote, setHistoryNote] = useState(null);
 
   // Check if we're in development and not using HTTPS
   const isDevelopment = process.env.NODE_ENV === 'development';
@@ -143,6 +147,15 @@ export default function StoredTexts({ texts, onToggleAutoDelete, onDeleteNote })
     }
   };
 
+  // Markdown notes show their rendered form unless switched to raw
+  const toggleRawView = (itemId) => {
+    setRawViewMap(prev => ({ ...prev, [itemId]: !prev[itemId] }));
+  };
+
+  // Always rendered here from the text: the stored rendered_html is writable
+  // by the browser, so it is never put into the page as it is
+  const getRenderedHtml = (item) => renderMarkdown(item.text);
+
   const handleToggleClick = (itemId) => {
     if (isInteractingMap[itemId]) return;
 
@@ -229,7 +242,27 @@ export default function StoredTexts({ texts, onToggleAutoDelete, onDeleteNote })
                       : 'border-slate-300 dark:border-blue-700'
                   }`}
                 >
-                  <span className="flex-1 min-w-0 break-words overflow-wrap-anywhere text-slate-500 dark:text-slate-400 sm:pr-4">{item.text}</span>
+                  {item.format === 'markdown' ? (
+                    <div className="flex-1 min-w-0 sm:pr-4">
+                      {rawViewMap[item.id] ? (
+                        <span className="block break-words overflow-wrap-anywhere text-slate-500 dark:text-slate-400 font-mono text-sm">{item.text}</span>
+                      ) : (
+                        <div
+                          className="note-markdown whitespace-normal break-words overflow-wrap-anywhere text-slate-600 dark:text-slate-300"
+                          dangerouslySetInnerHTML={{ __html: getRenderedHtml(item) }}
+                        />
+                      )}
+                      <button
+                        onClick={() => toggleRawView(item.id)}
+                        className="mt-2 text-xs font-medium text-blue-600 dark:text-blue-300 hover:underline"
+                        aria-pressed={!!rawViewMap[item.id]}
+                      >
+                        {rawViewMap[item.id] ? 'Show rendered' : 'Show raw'}
+                      </button>
+                    </div>
+                  ) : (
+                    <span className="flex-1 min-w-0 break-words overflow-wrap-anywhere text-slate-500 dark:text-slate-400 sm:pr-4">{item.text}</span>
+                  )}
                   <div className="flex items-center flex-shrink-0 justify-end sm:justify-start">
                     <button 
                       onClick={() => handleCopyText(item.text, item.id)}
@@ -261,6 +294,22 @@ export default function StoredTexts({ texts, onToggleAutoDelete, onDeleteNote })
                         </svg>
                       )}
                     </button>
+                    <button
+                      onClick={() => setHistoryNote(item)}
+                      onMouseEnter={() => setHoveredButton(`history-${item.id}`)}
+                      onMouseLeave={() => setHoveredButton(null)}
+                      title="View note history"
+                      className={`p-2 mr-2 rounded-lg shadow-lg hover:shadow-xl transition-all duration-150 ease-in-out border font-medium
+                        bg-slate-100 dark:bg-[#152047] border-slate-300 dark:border-blue-700 text-slate-700 dark:text-blue-300 
+                        hover:bg-slate-200 dark:hover:bg-[#1a2655] hover:border-slate-400 dark:hover:border-blue-600
+                        ${hoveredButton === `history-${item.id}` ? 'transform -translate-y-0.5' : ''}
+                      `}
+                      aria-label="View note history"
+                    >
+                      <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                      </svg>
+                    </button>
                     <button
                       onClick={() => onDeleteNote(item.id)}
                       onMouseEnter={() => setHoveredButton(`delete-${item.id}`)}
@@ -336,6 +385,14 @@ export default function StoredTexts({ texts, onToggleAutoDelete, onDeleteNote })
           )}
         </div>
       </div>
+
+      {historyNote && (
+        <NoteHistoryDrawer
+          note={historyNote}
+          onClose={() => setHistoryNote(null)}
+          onRestored={onNoteRestored}
+        />
+      )}
     </div>
   );
 } 
\ No newline at end of file
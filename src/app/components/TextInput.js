@@ -4,6 +4,7 @@ import { createNote } from "../../../lib/notesService";
 
 export default function TextInput({ onNoteCreated }) {
   const [text, setText] = useState("");
+  const [format, setFormat] = useState("plain");
   const [isAutosaving, setIsAutosaving] = useState(false);
   const [autosaveComplete, setAutosaveComplete] = useState(false);
   const [error, setError] = useState(null);
@@ -21,8 +22,8 @@ export default function TextInput({ onNoteCreated }) {
       autosaveTimerRef.current = setTimeout(() => {
         setIsAutosaving(true);
         
-        // Save the text to Supabase (createNote defaults to autoDelete=true)
-        createNote(text)
+        // Save the note (createNote defaults to autoDelete=true)
+        createNote(text, true, format)
           .then(newNoteFromDb => { // newNoteFromDb has id, text, autoDelete, created_at, expiry_date
             // DO NOT call onSaveText here as useNotes will handle updates from DB
             // Instead, signal that a note was created so parent can reload
@@ -52,11 +53,17 @@ export default function TextInput({ onNoteCreated }) {
         clearTimeout(autosaveTimerRef.current);
       }
     };
-  }, [text, onNoteCreated]);
+  }, [text, format, onNoteCreated]);
 
   // Handle key press in textarea
+  // Markdown needs real line breaks, so it submits on Ctrl/Cmd+Enter instead
   const handleKeyDown = (e) => {
-    if (e.key === 'Enter' && !e.shiftKey) {
+    const isMarkdown = format === "markdown";
+    const shouldSubmit = isMarkdown
+      ? e.key === 'Enter' && (e.ctrlKey || e.metaKey)
+      : e.key === 'Enter' && !e.shiftKey;
+
+    if (shouldSubmit) {
       e.preventDefault(); // Prevent default to avoid new line
       handleSaveText();
     }
@@ -69,8 +76,8 @@ export default function TextInput({ onNoteCreated }) {
       setIsAutosaving(true);
       
       try {
-        // Save to Supabase (createNote defaults to autoDelete=true)
-        const newNoteFromDb = await createNote(text); // newNoteFromDb has id, text, autoDelete, created_at, expiry_date
+        // Save the note (createNote defaults to autoDelete=true)
+        const newNoteFromDb = await createNote(text, true, format); // newNoteFromDb has id, text, autoDelete, created_at, expiry_date
         
         // DO NOT call onSaveText here as useNotes will handle updates from DB
         // Instead, signal that a note was created so parent can reload
@@ -133,10 +140,21 @@ export default function TextInput({ onNoteCreated }) {
         value={text}
         onChange={(e) => setText(e.target.value)}
         onKeyDown={handleKeyDown}
-        placeholder="Text to paste (press Enter to submit)"
+        placeholder={format === "markdown"
+          ? "Markdown to paste (press Ctrl+Enter to submit)"
+          : "Text to paste (press Enter to submit)"}
         className="w-full mt-3 sm:mt-4 p-3 sm:p-4 rounded-xl bg-white dark:bg-blue-900/40 border border-slate-300 dark:border-blue-800 focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 focus:border-transparent outline-none resize-none text-slate-900 dark:text-blue-50 placeholder-slate-400 dark:placeholder-blue-300/70 transition-all duration-300 min-h-[100px] sm:min-h-[120px]"
       />
-      <div className="flex justify-end mt-3 sm:mt-4">
+      <div className="flex justify-between items-center mt-3 sm:mt-4">
+        <label className="flex items-center gap-2 text-sm text-slate-600 dark:text-blue-300 cursor-pointer select-none">
+          <input
+            type="checkbox"
+            checked={format === "markdown"}
+            onChange={(e) => setFormat(e.target.checked ? "markdown" : "plain")}
+            className="h-4 w-4 rounded border-slate-300 dark:border-blue-700 text-blue-600 focus:ring-blue-500"
+          />
+          Markdown
+        </label>
         <button 
           className="bg-blue-100 dark:bg-[#152047] border border-blue-300 dark:border-blue-700 hover:bg-blue-200 dark:hover:bg-[#1a2655] hover:border-blue-400 dark:hover:border-blue-600 text-blue-700 dark:text-blue-300 font-semibold py-2 px-4 sm:px-6 rounded-xl shadow transition text-sm sm:text-base disabled:opacity-50 disabled:cursor-not-allowed"
           disabled={!text.trim() || isAutosaving}
@@ -0,0 +1,179 @@
+"use client";
+import { useState, useEffect, useCallback } from "react";
+import {
+  fetchTrash,
+  restoreTrashItem,
+  purgeTrashItem,
+  emptyTrash,
+} from "../../../lib/trashService";
+
+const TYPE_LABELS = {
+  note: "Note",
+  image: "Image",
+  document: "Document",
+};
+
+const TYPE_BADGE_STYLES = {
+  note: "bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300",
+  image: "bg-emerald-100 dark:bg-emerald-900/40 text-emerald-700 dark:text-emerald-300",
+  document: "bg-amber-100 dark:bg-amber-900/40 text-amber-700 dark:text-amber-300",
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatPurgeCountdown = (purgeAt) => {
+  const days = Math.ceil((new Date(purgeAt) - Date.now()) / DAY_MS);
+  if (days <= 0) return "Deleted at next cleanup";
+  return days === 1 ? "Deleted forever in 1 day" : `Deleted forever in ${days} days`;
+};
+
+export default function TrashView({ userId, onRestored }) {
+  const [items, setItems] = useState([]);
+  const [gracePeriodDays, setGracePeriodDays] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadTrash = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const data = await fetchTrash(userId);
+      setItems(data.items);
+      setGracePeriodDays(data.gracePeriodDays);
+    } catch (err) {
+      console.error("Error loading trash:", err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  const handleRestore = async (item) => {
+    setBusyId(item.id);
+    setError(null);
+    try {
+      await restoreTrashItem(item.type, item.id, userId);
+      setItems(prev => prev.filter(i => i.id !== item.id));
+      if (onRestored) {
+        onRestored(item.type);
+      }
+    } catch (err) {
+      console.error("Error restoring item:", err);
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async (item) => {
+    if (!window.confirm(`Permanently delete "${item.title}"? This cannot be undone.`)) return;
+
+    setBusyId(item.id);
+    setError(null);
+    try {
+      await purgeTrashItem(item.type, item.id, userId);
+      setItems(prev => prev.filter(i => i.id !== item.id));
+    } catch (err) {
+      console.error("Error purging item:", err);
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleEmptyTrash = async () => {
+    if (!window.confirm(`Permanently delete all ${items.length} item(s) in the trash? This cannot be undone.`)) return;
+
+    setBusyId("all");
+    setError(null);
+    try {
+      await emptyTrash(userId);
+      await loadTrash();
+    } catch (err) {
+      console.error("Error emptying trash:", err);
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="w-full flex flex-col bg-slate-50/90 dark:bg-blue-950/70 rounded-2xl shadow-lg border border-slate-300 dark:border-blue-800">
+      <div className="flex justify-between items-center p-6">
+        <div>
+          <h2 className="text-xl font-semibold text-slate-800 dark:text-blue-100">Trash</h2>
+          {gracePeriodDays && (
+            <p className="text-sm text-slate-500 dark:text-slate-400">
+              Items are permanently deleted {gracePeriodDays} days after they are moved here.
+            </p>
+          )}
+        </div>
+        {items.length > 0 && (
+          <button
+            onClick={handleEmptyTrash}
+            disabled={busyId !== null}
+            className="px-3 py-1.5 text-sm rounded-lg border bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800 text-red-800 dark:text-red-200 hover:bg-red-100 dark:hover:bg-red-900/30 disabled:opacity-50 transition"
+          >
+            {busyId === "all" ? "Emptying..." : "Empty trash"}
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <p className="mx-6 mb-4 p-2 text-sm rounded-lg bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300">{error}</p>
+      )}
+
+      <div className="p-6 pt-0">
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-[var(--primary-blue)]"></div>
+          </div>
+        ) : items.length === 0 ? (
+          <p className="text-center py-8 text-slate-500 dark:text-slate-400">Trash is empty.</p>
+        ) : (
+          <ul className="space-y-3">
+            {items.map(item => (
+              <li
+                key={`${item.type}-${item.id}`}
+                className="p-3 bg-white dark:bg-blue-900/40 rounded-lg border border-slate-200 dark:border-blue-800 flex flex-col sm:flex-row sm:justify-between sm:items-center shadow-sm gap-3"
+              >
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className={`text-xs font-semibold rounded-full px-2 py-0.5 ${TYPE_BADGE_STYLES[item.type]}`}>
+                      {TYPE_LABELS[item.type]}
+                    </span>
+                    <span className="truncate text-slate-800 dark:text-blue-100">{item.title}</span>
+                  </div>
+                  <p className="mt-1 text-xs text-slate-500 dark:text-slate-400">
+                    {item.expired ? "Expired" : "Deleted"} {new Date(item.deletedAt).toLocaleString()} · {formatPurgeCountdown(item.purgeAt)}
+                  </p>
+                </div>
+                <div className="flex gap-2 shrink-0">
+                  <button
+                    onClick={() => handleRestore(item)}
+                    disabled={busyId !== null}
+                    className="px-3 py-1.5 text-sm rounded-lg border bg-blue-100 dark:bg-[#152047] border-blue-300 dark:border-blue-700 text-blue-700 dark:text-blue-300 hover:bg-blue-200 dark:hover:bg-[#1a2655] disabled:opacity-50 transition"
+                  >
+                    {busyId === item.id ? "Working..." : "Restore"}
+                  </button>
+                  <button
+                    onClick={() => handlePurge(item)}
+                    disabled={busyId !== null}
+                    className="px-3 py-1.5 text-sm rounded-lg border border-red-200 dark:border-red-800 text-red-700 dark:text-red-300 hover:bg-red-50 dark:hover:bg-red-900/30 disabled:opacity-50 transition"
+                  >
+                    Delete forever
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,236 @@
+"use client";
+
+import { useState, useEffect, useCallback } from 'react';
+import Image from 'next/image';
+import QRCode from 'qrcode';
+import {
+  fetchTwoFactorStatus,
+  beginTwoFactorSetup,
+  confirmTwoFactorSetup,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from '../../../lib/twoFactorService';
+
+const inputClassName = "w-40 px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-800 dark:border-gray-600 dark:placeholder-gray-500 dark:text-white text-center tracking-widest";
+const buttonClassName = "px-4 py-2 rounded-lg font-medium text-sm border bg-blue-200 dark:bg-[#1a2655] border-blue-400 dark:border-blue-600 text-blue-800 dark:text-blue-200 hover:bg-blue-300 dark:hover:bg-[#1e2a5a] disabled:opacity-50 disabled:cursor-not-allowed transition";
+const secondaryButtonClassName = "px-4 py-2 rounded-lg font-medium text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-50 transition";
+
+const RecoveryCodeList = ({ codes, onDone }) => (
+  <div className="space-y-3">
+    <p className="text-sm text-gray-700 dark:text-gray-300">
+      Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator app. They won&apos;t be shown again.
+    </p>
+    <ul className="grid grid-cols-2 gap-2 font-mono text-sm p-3 rounded-lg bg-gray-50 dark:bg-gray-800 text-gray-900 dark:text-gray-100">
+      {codes.map(code => <li key={code}>{code}</li>)}
+    </ul>
+    <div className="flex gap-2">
+      <button
+        type="button"
+        onClick={() => navigator.clipboard?.writeText(codes.join('\n'))}
+        className={secondaryButtonClassName}
+      >
+        Copy
+      </button>
+      <button type="button" onClick={onDone} className={buttonClassName}>
+        I&apos;ve saved them
+      </button>
+    </div>
+  </div>
+);
+
+const PinInput = ({ value, onChange }) => (
+  <input
+    type="password"
+    inputMode="numeric"
+    value={value}
+    onChange={(e) => onChange(e.target.value.replace(/\D/g, ''))}
+    placeholder="PIN"
+    aria-label="Current PIN"
+    autoComplete="off"
+    className={inputClassName}
+  />
+);
+
+export default function TwoFactorSettings() {
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null); // { secret, otpauthUri, qrDataUrl }
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  // Setting up and replacing recovery codes ask for the PIN again
+  const [pin, setPin] = useState('');
+  const [code, setCode] = useState('');
+  const [pendingAction, setPendingAction] = useState(null); // 'setup' | 'disable' | 'regenerate'
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setStatus(await fetchTwoFactorStatus());
+    } catch (err) {
+      console.error('Error loading two-factor status:', err);
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const run = async (action) => {
+    setIsBusy(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const resetForm = () => {
+    setPendingAction(null);
+    setEnrollment(null);
+    setPin('');
+    setCode('');
+  };
+
+  // The PIN is kept until the first code confirms the setup
+  const handleStartSetup = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await beginTwoFactorSetup(pin);
+      const qrDataUrl = await QRCode.toDataURL(data.otpauthUri, { margin: 1, width: 200 });
+      setPendingAction(null);
+      setEnrollment({ ...data, qrDataUrl });
+      setCode('');
+    });
+  };
+
+  const handleConfirmSetup = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await confirmTwoFactorSetup(pin, code);
+      resetForm();
+      setRecoveryCodes(data.recoveryCodes);
+      await loadStatus();
+    });
+  };
+
+  const handleCodeAction = (e) => {
+    e.preventDefault();
+    run(async () => {
+      if (pendingAction === 'disable') {
+        await disableTwoFactor(code);
+      } else {
+        const data = await regenerateRecoveryCodes(pin, code);
+        setRecoveryCodes(data.recoveryCodes);
+      }
+      resetForm();
+      await loadStatus();
+    });
+  };
+
+  if (!status) {
+    return error
+      ? <p className="text-sm text-red-700 dark:text-red-300">{error}</p>
+      : <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>;
+  }
+
+  return (
+    <div className="space-y-4 max-w-md">
+      {error && (
+        <p className="p-2 text-sm rounded-lg bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300">{error}</p>
+      )}
+
+      {recoveryCodes ? (
+        <RecoveryCodeList codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+      ) : enrollment ? (
+        <form onSubmit={handleConfirmSetup} className="space-y-4">
+          <p className="text-sm text-gray-700 dark:text-gray-300">
+            Scan this QR code with an authenticator app, then enter the 6-digit code it shows.
+          </p>
+          {/* A data URL, so there is nothing for the optimizer to fetch */}
+          <Image src={enrollment.qrDataUrl} alt="QR code for your authenticator app" width={200} height={200} unoptimized className="rounded-lg bg-white p-2" />
+          <p className="text-xs text-gray-500 dark:text-gray-400 break-all">
+            Can&apos;t scan it? Enter this key instead: <span className="font-mono">{enrollment.secret}</span>
+          </p>
+          <div className="flex gap-2 items-center">
+            <input
+              type="text"
+              inputMode="numeric"
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+              placeholder="123456"
+              aria-label="Authentication code"
+              autoComplete="one-time-code"
+              className={inputClassName}
+            />
+            <button type="submit" disabled={isBusy || code.length !== 6} className={buttonClassName}>
+              {isBusy ? 'Verifying...' : 'Turn on'}
+            </button>
+            <button type="button" onClick={resetForm} className={secondaryButtonClassName}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : status.enabled ? (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-700 dark:text-gray-300">
+            <span className="font-medium text-green-700 dark:text-green-300">On</span>
+            {status.enabledAt && ` since ${new Date(status.enabledAt).toLocaleDateString()}`}
+            {' · '}{status.recoveryCodesRemaining} recovery code(s) left
+          </p>
+
+          {pendingAction ? (
+            <form onSubmit={handleCodeAction} className="flex flex-wrap gap-2 items-center">
+              {pendingAction === 'regenerate' && <PinInput value={pin} onChange={setPin} />}
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value.trim())}
+                placeholder={pendingAction === 'disable' ? 'Code or recovery code' : '123456'}
+                aria-label="Authentication code"
+                autoComplete="one-time-code"
+                className={inputClassName}
+              />
+              <button type="submit" disabled={isBusy || !code || (pendingAction === 'regenerate' && !pin)} className={buttonClassName}>
+                {pendingAction === 'disable' ? 'Turn off' : 'New codes'}
+              </button>
+              <button type="button" onClick={resetForm} className={secondaryButtonClassName}>
+                Cancel
+              </button>
+            </form>
+          ) : (
+            <div className="flex gap-2">
+              <button type="button" onClick={() => setPendingAction('regenerate')} className={secondaryButtonClassName}>
+                New recovery codes
+              </button>
+              <button type="button" onClick={() => setPendingAction('disable')} className={secondaryButtonClassName}>
+                Turn off
+              </button>
+            </div>
+          )}
+        </div>
+      ) : pendingAction === 'setup' ? (
+        <form onSubmit={handleStartSetup} className="space-y-3">
+          <p className="text-sm text-gray-700 dark:text-gray-300">
+            Enter your PIN to set up an authenticator app.
+          </p>
+          <div className="flex gap-2 items-center">
+            <PinInput value={pin} onChange={setPin} />
+            <button type="submit" disabled={isBusy || !pin} className={buttonClassName}>
+              {isBusy ? 'Preparing...' : 'Continue'}
+            </button>
+            <button type="button" onClick={resetForm} className={secondaryButtonClassName}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button type="button" onClick={() => setPendingAction('setup')} className={buttonClassName}>
+          Set up authenticator app
+        </button>
+      )}
+    </div>
+  );
+}
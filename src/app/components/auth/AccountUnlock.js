@@ -0,0 +1,136 @@
+"use client";
+
+import { useState } from 'react';
+import { sanitizeOTPInput, otpInputMode } from '../../../../lib/core/utils/otpFormat';
+
+// Same Uganda number handling as sign-up
+const formatPhoneNumber = (phone) => {
+  const cleaned = phone.replace(/\D/g, '');
+
+  if (cleaned.startsWith('0')) {
+    return '+256' + cleaned.substring(1);
+  }
+
+  if (cleaned.startsWith('256')) {
+    return '+' + cleaned;
+  }
+
+  return '+256' + cleaned;
+};
+
+const inputClassName = "w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-800 dark:border-gray-600 dark:placeholder-gray-500 dark:text-white dark:focus:ring-blue-400 dark:focus:border-blue-400";
+const buttonClassName = "w-full px-4 py-3 rounded-xl font-semibold text-sm shadow transition border bg-blue-200 dark:bg-[#1a2655] border-blue-400 dark:border-blue-600 text-blue-800 dark:text-blue-200 hover:bg-blue-300 dark:hover:bg-[#1e2a5a] hover:border-blue-500 dark:hover:border-blue-500 disabled:opacity-50 disabled:cursor-not-allowed";
+
+/**
+ * Unlock a PIN-locked account with an SMS code
+ * Login only asks for the last four digits, so the full number is needed here.
+ */
+export default function AccountUnlock({ onUnlocked }) {
+  const [step, setStep] = useState(1); // 1: Enter phone, 2: Enter code
+  const [phoneNumber, setPhoneNumber] = useState('');
+  const [otp, setOtp] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const post = async (path, body) => {
+    const response = await fetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Unlock request failed');
+    }
+    return data;
+  };
+
+  const handleSendCode = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+    setMessage('');
+    try {
+      const data = await post('/api/auth/unlock/request', {
+        phoneNumber: formatPhoneNumber(phoneNumber),
+      });
+      setMessage(data.message);
+      setStep(2);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+    setMessage('');
+    try {
+      const data = await post('/api/auth/unlock/verify', {
+        phoneNumber: formatPhoneNumber(phoneNumber),
+        otp,
+      });
+      onUnlocked?.(data.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="mb-6 p-4 rounded-lg border border-slate-200 dark:border-blue-800 space-y-4">
+      <p className="text-sm font-semibold text-gray-700 dark:text-gray-300 text-center">
+        Unlock with SMS code
+      </p>
+
+      {error && (
+        <p className="text-sm text-red-800 dark:text-red-200 text-center">{error}</p>
+      )}
+      {message && (
+        <p className="text-sm text-green-800 dark:text-green-200 text-center">{message}</p>
+      )}
+
+      {step === 1 ? (
+        <form onSubmit={handleSendCode} className="space-y-4">
+          <input
+            type="tel"
+            inputMode="numeric"
+            pattern="[0-9]*"
+            value={phoneNumber}
+            onChange={(e) => setPhoneNumber(e.target.value.replace(/\D/g, '').slice(0, 10))}
+            placeholder="0772345678"
+            aria-label="Full phone number"
+            className={inputClassName}
+            autoComplete="off"
+            required
+          />
+          <button type="submit" disabled={isLoading || !phoneNumber} className={buttonClassName}>
+            {isLoading ? 'Sending code...' : 'Send unlock code'}
+          </button>
+        </form>
+      ) : (
+        <form onSubmit={handleVerifyCode} className="space-y-4">
+          <input
+            type="text"
+            inputMode={otpInputMode()}
+            value={otp}
+            onChange={(e) => setOtp(sanitizeOTPInput(e.target.value))}
+            placeholder="123456"
+            aria-label="Unlock code"
+            className={`${inputClassName} text-center text-lg tracking-widest`}
+            autoComplete="one-time-code"
+            required
+          />
+          <button type="submit" disabled={isLoading || !otp} className={buttonClassName}>
+            {isLoading ? 'Unlocking...' : 'Unlock account'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
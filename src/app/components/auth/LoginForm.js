@@ -2,15 +2,36 @@
 
 import { useState, useRef, useEffect } from 'react';
 import supabase from '../../../../lib/supabase';
+import AccountUnlock from './AccountUnlock';
+import PinReset from './PinReset';
+import { isPasskeySupported, signInWithPasskey } from '../../../../lib/passkeyService';
+import { saveAccessToken } from '../../../../lib/apiAuth';
+import { getPinPolicy } from '../../../../lib/core/utils/pinPolicy';
+import { getPinLength, setPinLength as savePinLength } from '../../../../lib/services/userPreferences';
+
+const { minLength: PIN_MIN_LENGTH, maxLength: PIN_MAX_LENGTH } = getPinPolicy();
+const PIN_LENGTH_OPTIONS = Array.from({ length: PIN_MAX_LENGTH - PIN_MIN_LENGTH + 1 }, (_, i) => PIN_MIN_LENGTH + i);
+
+const emptyPin = (length) => Array(length).fill('');
 
 export default function LoginForm({ onStepChange }) {
-  const [pin, setPin] = useState(['', '', '', '']);
+  const [pinLength, setPinLength] = useState(PIN_MIN_LENGTH);
+  const [showPinLengthOptions, setShowPinLengthOptions] = useState(false);
+  const [pin, setPin] = useState(emptyPin(PIN_MIN_LENGTH));
   const [phoneSuffix, setPhoneSuffix] = useState(['', '', '', '']);
   const [showPhoneSuffix, setShowPhoneSuffix] = useState(false);
   const [message, setMessage] = useState('');
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [hasAttemptedAutoSubmit, setHasAttemptedAutoSubmit] = useState(false);
+  const [isLocked, setIsLocked] = useState(false);
+  const [showPinReset, setShowPinReset] = useState(false);
+  // Why the reset was opened for the user, e.g. after "this wasn't me"
+  const [pinResetReason, setPinResetReason] = useState(null);
+  // Set once the PIN is accepted for an account with an authenticator app
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [totpCode, setTotpCode] = useState('');
+  const [passkeySupported, setPasskeySupported] = useState(false);
   
   // Refs for input boxes
   const pinRefs = useRef([]);
@@ -20,6 +41,27 @@ export default function LoginForm({ onStepChange }) {
   const isPinComplete = pin.every(digit => digit !== '');
   const isPhoneSuffixComplete = phoneSuffix.every(digit => digit !== '');
 
+  // Use the PIN length this device last signed in or set up with
+  useEffect(() => {
+    const stored = getPinLength();
+    if (PIN_LENGTH_OPTIONS.includes(stored) && stored !== PIN_MIN_LENGTH) {
+      setPinLength(stored);
+      setPin(emptyPin(stored));
+    }
+  }, []);
+
+  useEffect(() => {
+    setPasskeySupported(isPasskeySupported());
+  }, []);
+
+  const handlePinLengthChange = (length) => {
+    setPinLength(length);
+    setPin(emptyPin(length));
+    setShowPinLengthOptions(false);
+    setHasAttemptedAutoSubmit(false);
+    pinRefs.current[0]?.focus();
+  };
+
   // Show phone suffix boxes when PIN is complete
   useEffect(() => {
     if (isPinComplete && !showPhoneSuffix) {
@@ -63,7 +105,7 @@ export default function LoginForm({ onStepChange }) {
     setHasAttemptedAutoSubmit(false);
 
     // Auto-focus next box
-    if (value && index < 3) {
+    if (value && index < pin.length - 1) {
       pinRefs.current[index + 1]?.focus();
     }
   };
@@ -110,105 +152,132 @@ export default function LoginForm({ onStepChange }) {
     event.target.setAttribute('autocomplete', 'nope-' + Math.random());
   };
 
+  // Hands the Supabase session from a successful sign-in (PIN or passkey) to the client
+  const establishSession = async (data) => {
+    // Settings such as two-factor and passkeys check this token, not the Supabase session
+    saveAccessToken(data.accessToken);
+
+    if (data.session) {
+      // Instead of manually setting session, try a more robust approach
+      try {
+        // First approach: Set the session
+        const { error: sessionError } = await supabase.auth.setSession(data.session);
+        
+        if (sessionError) {
+          console.error("Primary session setting failed:", sessionError);
+          
+          // Fallback: Try direct authentication with credentials (mobile-friendly)
+          if (data.credentials?.phone && data.credentials?.password) {
+            console.log("Attempting fallback authentication with credentials...");
+            try {
+              const { data: fallbackAuth, error: fallbackError } = await supabase.auth.signInWithPassword({
+                phone: data.credentials.phone,
+                password: data.credentials.password,
+              });
+              
+              if (fallbackError) {
+                console.error("Fallback authentication failed:", fallbackError);
+                setError("Login successful, but session update failed. Please try again or refresh the page.");
+              } else if (fallbackAuth?.session) {
+                console.log("Fallback authentication successful!");
+                setMessage("Welcome back!");
+                // Reset form
+                setPin(emptyPin(pinLength));
+                setPhoneSuffix(['', '', '', '']);
+                setShowPhoneSuffix(false);
+                onStepChange?.(1);
+              } else {
+                setError("Login successful, but failed to establish session. Please try again.");
+              }
+            } catch (fallbackException) {
+              console.error("Fallback authentication exception:", fallbackException);
+              setError("Login successful, but session update failed. Please refresh the page.");
+            }
+          } else {
+            // Original retry logic as final fallback
+            setTimeout(async () => {
+              try {
+                const { data: refreshedSession, error: refreshError } = await supabase.auth.getSession();
+                if (refreshError) {
+                  console.error("Session refresh failed:", refreshError);
+                  setError("Login successful, but session update failed. Please refresh the page.");
+                } else if (refreshedSession?.session) {
+                  setMessage("Welcome back!");
+                  // Reset form
+                  setPin(emptyPin(pinLength));
+                  setPhoneSuffix(['', '', '', '']);
+                  setShowPhoneSuffix(false);
+                  onStepChange?.(1);
+                } else {
+                  setError("Login successful, but session not found. Please try logging in again.");
+                }
+              } catch (retryError) {
+                console.error("Session retry failed:", retryError);
+                setError("Login successful, but session update failed. Please refresh the page.");
+              }
+            }, 1000); // Wait 1 second before retry
+          }
+          
+        } else {
+          setMessage("Welcome back!");
+          // Reset form immediately on success
+          setPin(emptyPin(pinLength));
+          setPhoneSuffix(['', '', '', '']);
+          setShowPhoneSuffix(false);
+          onStepChange?.(1);
+        }
+      } catch (sessionSetError) {
+        console.error("Exception during session setting:", sessionSetError);
+        setError("Login successful, but failed to update client session. Please refresh the page.");
+      }
+    } else {
+      setError("Login successful, but no session data received. Please try again.");
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!isPinComplete || !isPhoneSuffixComplete) return;
+    if (challengeToken ? !totpCode : (!isPinComplete || !isPhoneSuffixComplete)) return;
 
     setIsLoading(true);
     setError('');
     setMessage('');
+    setIsLocked(false);
 
     try {
       const response = await fetch('/api/auth/login-with-pin', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
-          lastFourDigits: phoneSuffix.join(''), 
-          pin: pin.join('') 
-        }),
+        body: JSON.stringify(challengeToken
+          ? { challengeToken, totpCode }
+          : { lastFourDigits: phoneSuffix.join(''), pin: pin.join('') }
+        ),
       });
       
       const data = await response.json();
       if (!response.ok) {
+        if (data.code === 'PIN_RESET_REQUIRED') {
+          openPinReset(data.error);
+          return;
+        }
+        // 423: this account is locked out (unlockable by SMS); 429: too many attempts from this network
+        if (response.status === 423) {
+          setIsLocked(true);
+        }
         throw new Error(data.error || 'Login failed');
       }
+
+      if (data.mfaRequired) {
+        setChallengeToken(data.challengeToken);
+        setTotpCode('');
+        return;
+      }
       
       if (data.session) {
-        // Instead of manually setting session, try a more robust approach
-        try {
-          // First approach: Set the session
-          const { error: sessionError } = await supabase.auth.setSession(data.session);
-          
-          if (sessionError) {
-            console.error("Primary session setting failed:", sessionError);
-            
-            // Fallback: Try direct authentication with credentials (mobile-friendly)
-            if (data.credentials?.phone && data.credentials?.password) {
-              console.log("Attempting fallback authentication with credentials...");
-              try {
-                const { data: fallbackAuth, error: fallbackError } = await supabase.auth.signInWithPassword({
-                  phone: data.credentials.phone,
-                  password: data.credentials.password,
-                });
-                
-                if (fallbackError) {
-                  console.error("Fallback authentication failed:", fallbackError);
-                  setError("Login successful, but session update failed. Please try again or refresh the page.");
-                } else if (fallbackAuth?.session) {
-                  console.log("Fallback authentication successful!");
-                  setMessage("Welcome back!");
-                  // Reset form
-                  setPin(['', '', '', '']);
-                  setPhoneSuffix(['', '', '', '']);
-                  setShowPhoneSuffix(false);
-                  onStepChange?.(1);
-                } else {
-                  setError("Login successful, but failed to establish session. Please try again.");
-                }
-              } catch (fallbackException) {
-                console.error("Fallback authentication exception:", fallbackException);
-                setError("Login successful, but session update failed. Please refresh the page.");
-              }
-            } else {
-              // Original retry logic as final fallback
-              setTimeout(async () => {
-                try {
-                  const { data: refreshedSession, error: refreshError } = await supabase.auth.getSession();
-                  if (refreshError) {
-                    console.error("Session refresh failed:", refreshError);
-                    setError("Login successful, but session update failed. Please refresh the page.");
-                  } else if (refreshedSession?.session) {
-                    setMessage("Welcome back!");
-                    // Reset form
-                    setPin(['', '', '', '']);
-                    setPhoneSuffix(['', '', '', '']);
-                    setShowPhoneSuffix(false);
-                    onStepChange?.(1);
-                  } else {
-                    setError("Login successful, but session not found. Please try logging in again.");
-                  }
-                } catch (retryError) {
-                  console.error("Session retry failed:", retryError);
-                  setError("Login successful, but session update failed. Please refresh the page.");
-                }
-              }, 1000); // Wait 1 second before retry
-            }
-            
-          } else {
-            setMessage("Welcome back!");
-            // Reset form immediately on success
-            setPin(['', '', '', '']);
-            setPhoneSuffix(['', '', '', '']);
-            setShowPhoneSuffix(false);
-            onStepChange?.(1);
-          }
-        } catch (sessionSetError) {
-          console.error("Exception during session setting:", sessionSetError);
-          setError("Login successful, but failed to update client session. Please refresh the page.");
-        }
-      } else {
-        setError("Login successful, but no session data received. Please try again.");
+        setChallengeToken(null);
+        savePinLength(pinLength);
       }
+      await establishSession(data);
 
     } catch (err) {
       console.error("Login error:", err);
@@ -218,6 +287,71 @@ export default function LoginForm({ onStepChange }) {
     }
   };
 
+  const handlePasskeySignIn = async () => {
+    setIsLoading(true);
+    setError('');
+    setMessage('');
+    setIsLocked(false);
+
+    try {
+      const data = await signInWithPasskey();
+      // Closing the browser's passkey prompt just leaves the form as it was
+      if (data) {
+        await establishSession(data);
+      }
+    } catch (err) {
+      console.error("Passkey login error:", err);
+      if (err.code === 'PIN_RESET_REQUIRED') {
+        openPinReset(err.message);
+      } else {
+        setError(err.message);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCancelTotp = () => {
+    setChallengeToken(null);
+    setTotpCode('');
+    setError('');
+    setPin(emptyPin(pinLength));
+    setPhoneSuffix(['', '', '', '']);
+    setShowPhoneSuffix(false);
+    onStepChange?.(1);
+  };
+
+  const openPinReset = (reason = null) => {
+    setShowPinReset(true);
+    setPinResetReason(reason);
+    setIsLocked(false);
+    setError('');
+    setMessage('');
+  };
+
+  const handlePinReset = (resetMessage, newPinLength) => {
+    setShowPinReset(false);
+    setPinResetReason(null);
+    setMessage(resetMessage);
+    setPinLength(newPinLength);
+    savePinLength(newPinLength);
+    setPin(emptyPin(newPinLength));
+    setPhoneSuffix(['', '', '', '']);
+    setShowPhoneSuffix(false);
+    setHasAttemptedAutoSubmit(false);
+    onStepChange?.(1);
+  };
+
+  const handleUnlocked = (unlockMessage) => {
+    setIsLocked(false);
+    setError('');
+    setMessage(unlockMessage);
+    setPin(emptyPin(pinLength));
+    setPhoneSuffix(['', '', '', '']);
+    setShowPhoneSuffix(false);
+    onStepChange?.(1);
+  };
+
   return (
     <div className="max-w-md mx-auto">
       <div className="max-w-md mx-auto">
@@ -232,7 +366,55 @@ export default function LoginForm({ onStepChange }) {
             <p className="text-sm text-green-800 dark:text-green-200 text-center">{message}</p>
           </div>
         )}
+        {isLocked && !showPinReset && <AccountUnlock onUnlocked={handleUnlocked} />}
+        {showPinReset && (
+          <PinReset
+            reason={pinResetReason}
+            onReset={handlePinReset}
+            onCancel={() => setShowPinReset(false)}
+          />
+        )}
 
+        {challengeToken ? (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div className="flex flex-col items-center">
+              <label htmlFor="totpCode" className="text-lg font-bold text-gray-700 dark:text-gray-300 mb-2 text-center">
+                Authentication Code
+              </label>
+              <p className="text-sm text-gray-600 dark:text-gray-400 mb-4 text-center">
+                Enter the code from your authenticator app, or one of your recovery codes.
+              </p>
+              <input
+                id="totpCode"
+                type="text"
+                value={totpCode}
+                onChange={(e) => setTotpCode(e.target.value.trim())}
+                autoFocus
+                autoComplete="one-time-code"
+                autoCapitalize="characters"
+                spellCheck="false"
+                placeholder="123456"
+                className="w-56 px-3 py-3 text-center text-xl font-semibold tracking-widest border-2 border-blue-300 rounded-xl focus:border-blue-500 focus:outline-none focus:ring-3 focus:ring-blue-200 dark:border-blue-600 dark:bg-gray-800 dark:text-white dark:focus:border-blue-400 dark:focus:ring-blue-800 transition-all bg-white"
+              />
+            </div>
+            <div className="flex space-x-3">
+              <button
+                type="button"
+                onClick={handleCancelTotp}
+                className="flex-1 px-4 py-4 rounded-xl font-semibold text-base shadow transition border bg-blue-100 dark:bg-[#152047] border-blue-300 dark:border-blue-700 text-blue-700 dark:text-blue-300 hover:bg-blue-200 dark:hover:bg-[#1a2655]"
+              >
+                Back
+              </button>
+              <button
+                type="submit"
+                disabled={isLoading || !totpCode}
+                className="flex-1 px-4 py-4 rounded-xl font-semibold text-base shadow transition border bg-blue-200 dark:bg-[#1a2655] border-blue-400 dark:border-blue-600 text-blue-800 dark:text-blue-200 hover:bg-blue-300 dark:hover:bg-[#1e2a5a] disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isLoading ? 'Verifying...' : 'Verify'}
+              </button>
+            </div>
+          </form>
+        ) : (
         <form onSubmit={handleSubmit} className="space-y-8">
           {/* PIN Input Boxes */}
           <div className="flex flex-col items-center space-y-6">
@@ -241,7 +423,7 @@ export default function LoginForm({ onStepChange }) {
               <label className="text-lg font-bold text-gray-700 dark:text-gray-300 mb-4 text-center">
                 PIN
               </label>
-              <div className="flex space-x-3">
+              <div className={`flex ${pinLength > 6 ? 'space-x-1.5' : 'space-x-3'}`}>
                 {pin.map((digit, index) => (
                   <div key={`pin-container-${index}`} className="relative">
                     <input
@@ -253,7 +435,7 @@ export default function LoginForm({ onStepChange }) {
                       onChange={(e) => handlePinChange(index, e.target.value)}
                       onKeyDown={(e) => handleKeyDown(e, 'pin', index)}
                       onFocus={(e) => handleFocus(e)}
-                      className="w-14 h-14 text-center text-xl font-semibold border-2 border-blue-300 rounded-xl focus:border-blue-500 focus:outline-none focus:ring-3 focus:ring-blue-200 dark:border-blue-600 dark:bg-gray-800 dark:focus:border-blue-400 dark:focus:ring-blue-800 transition-all bg-white"
+                      className={`${pinLength > 6 ? 'w-10 h-12' : 'w-14 h-14'} text-center text-xl font-semibold border-2 border-blue-300 rounded-xl focus:border-blue-500 focus:outline-none focus:ring-3 focus:ring-blue-200 dark:border-blue-600 dark:bg-gray-800 dark:focus:border-blue-400 dark:focus:ring-blue-800 transition-all bg-white`}
                       maxLength={1}
                       autoComplete="off"
                       autoCorrect="off"
@@ -282,6 +464,35 @@ export default function LoginForm({ onStepChange }) {
                   </div>
                 ))}
               </div>
+              {!showPhoneSuffix && (
+                showPinLengthOptions ? (
+                  <div className="mt-3 flex items-center space-x-2 text-sm text-gray-600 dark:text-gray-400">
+                    <span>PIN length:</span>
+                    {PIN_LENGTH_OPTIONS.map(length => (
+                      <button
+                        key={length}
+                        type="button"
+                        onClick={() => handlePinLengthChange(length)}
+                        className={`w-7 h-7 rounded-full border ${
+                          length === pinLength
+                            ? 'bg-blue-600 border-blue-600 text-white'
+                            : 'border-blue-300 dark:border-blue-600 text-blue-700 dark:text-blue-300'
+                        }`}
+                      >
+                        {length}
+                      </button>
+                    ))}
+                  </div>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => setShowPinLengthOptions(true)}
+                    className="mt-3 text-sm text-blue-700 dark:text-blue-300 hover:underline"
+                  >
+                    {pinLength === PIN_MIN_LENGTH ? 'Using a longer PIN?' : `${pinLength}-digit PIN · Change`}
+                  </button>
+                )
+              )}
             </div>
             
             {/* Phone Suffix Boxes - Animated with visible digits */}
@@ -350,6 +561,32 @@ export default function LoginForm({ onStepChange }) {
             </div>
           )}
         </form>
+        )}
+
+        {!challengeToken && !showPinReset && (
+          <div className="mt-6 text-center">
+            <button
+              type="button"
+              onClick={() => openPinReset()}
+              className="text-sm text-blue-700 dark:text-blue-300 hover:underline"
+            >
+              Forgot PIN?
+            </button>
+          </div>
+        )}
+
+        {!challengeToken && passkeySupported && (
+          <div className="mt-8 text-center">
+            <button
+              type="button"
+              onClick={handlePasskeySignIn}
+              disabled={isLoading}
+              className="text-sm font-medium text-blue-700 dark:text-blue-300 hover:underline disabled:opacity-50"
+            >
+              Sign in with a passkey
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,226 @@
+"use client";
+
+import { useState } from 'react';
+import { checkPin, getPinPolicy } from '../../../../lib/core/utils/pinPolicy';
+import { sanitizeOTPInput, otpInputMode } from '../../../../lib/core/utils/otpFormat';
+import PinStrengthMeter from './PinStrengthMeter';
+
+const { minLength: PIN_MIN_LENGTH, maxLength: PIN_MAX_LENGTH } = getPinPolicy();
+
+// Same Uganda number handling as sign-up
+const formatPhoneNumber = (phone) => {
+  const cleaned = phone.replace(/\D/g, '');
+
+  if (cleaned.startsWith('0')) {
+    return '+256' + cleaned.substring(1);
+  }
+
+  if (cleaned.startsWith('256')) {
+    return '+' + cleaned;
+  }
+
+  return '+256' + cleaned;
+};
+
+const digitsOnly = (value) => value.replace(/\D/g, '').slice(0, PIN_MAX_LENGTH);
+
+const inputClassName = "w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-800 dark:border-gray-600 dark:placeholder-gray-500 dark:text-white dark:focus:ring-blue-400 dark:focus:border-blue-400";
+const buttonClassName = "w-full px-4 py-3 rounded-xl font-semibold text-sm shadow transition border bg-blue-200 dark:bg-[#1a2655] border-blue-400 dark:border-blue-600 text-blue-800 dark:text-blue-200 hover:bg-blue-300 dark:hover:bg-[#1e2a5a] hover:border-blue-500 dark:hover:border-blue-500 disabled:opacity-50 disabled:cursor-not-allowed";
+
+/**
+ * "Forgot PIN?": SMS code to the full phone number, then a new PIN
+ * Setting it signs the account out on every device.
+ */
+export default function PinReset({ reason, onReset, onCancel }) {
+  const [step, setStep] = useState(1); // 1: Enter phone, 2: Enter code, 3: New PIN
+  const [phoneNumber, setPhoneNumber] = useState('');
+  const [otp, setOtp] = useState('');
+  const [resetToken, setResetToken] = useState(null);
+  const [newPin, setNewPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const post = async (path, body) => {
+    const response = await fetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'PIN reset failed');
+    }
+    return data;
+  };
+
+  const run = async (action) => {
+    setIsLoading(true);
+    setError('');
+    setMessage('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSendCode = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await post('/api/auth/pin-reset/request', {
+        phoneNumber: formatPhoneNumber(phoneNumber),
+      });
+      setMessage(data.message);
+      setStep(2);
+    });
+  };
+
+  const handleVerifyCode = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await post('/api/auth/pin-reset/verify', {
+        phoneNumber: formatPhoneNumber(phoneNumber),
+        otp,
+      });
+      setResetToken(data.resetToken);
+      setMessage(data.message);
+      setStep(3);
+    });
+  };
+
+  const handleSetPin = (e) => {
+    e.preventDefault();
+
+    const pinCheck = checkPin(newPin, { phoneNumber: formatPhoneNumber(phoneNumber) });
+    if (!pinCheck.valid) {
+      setError(pinCheck.error);
+      return;
+    }
+    if (newPin !== confirmPin) {
+      setError('New PINs do not match');
+      return;
+    }
+
+    run(async () => {
+      try {
+        const data = await post('/api/auth/pin-reset/complete', { resetToken, newPin });
+        onReset?.(data.message, data.pinLength);
+      } catch (err) {
+        // The token ran out while choosing a PIN; start again from the code
+        if (/expired/i.test(err.message)) {
+          setResetToken(null);
+          setOtp('');
+          setStep(1);
+        }
+        throw err;
+      }
+    });
+  };
+
+  return (
+    <div className="mb-6 p-4 rounded-lg border border-slate-200 dark:border-blue-800 space-y-4">
+      <p className="text-sm font-semibold text-gray-700 dark:text-gray-300 text-center">
+        Reset your PIN
+      </p>
+      {reason && step === 1 && (
+        <p className="text-sm text-gray-600 dark:text-gray-400 text-center">{reason}</p>
+      )}
+
+      {error && (
+        <p className="text-sm text-red-800 dark:text-red-200 text-center">{error}</p>
+      )}
+      {message && (
+        <p className="text-sm text-green-800 dark:text-green-200 text-center">{message}</p>
+      )}
+
+      {step === 1 && (
+        <form onSubmit={handleSendCode} className="space-y-4">
+          <input
+            type="tel"
+            inputMode="numeric"
+            pattern="[0-9]*"
+            value={phoneNumber}
+            onChange={(e) => setPhoneNumber(e.target.value.replace(/\D/g, '').slice(0, 10))}
+            placeholder="0772345678"
+            aria-label="Full phone number"
+            className={inputClassName}
+            autoComplete="off"
+            required
+          />
+          <button type="submit" disabled={isLoading || !phoneNumber} className={buttonClassName}>
+            {isLoading ? 'Sending code...' : 'Send reset code'}
+          </button>
+        </form>
+      )}
+
+      {step === 2 && (
+        <form onSubmit={handleVerifyCode} className="space-y-4">
+          <input
+            type="text"
+            inputMode={otpInputMode()}
+            value={otp}
+            onChange={(e) => setOtp(sanitizeOTPInput(e.target.value))}
+            placeholder="123456"
+            aria-label="Reset code"
+            className={`${inputClassName} text-center text-lg tracking-widest`}
+            autoComplete="one-time-code"
+            required
+          />
+          <button type="submit" disabled={isLoading || !otp} className={buttonClassName}>
+            {isLoading ? 'Checking...' : 'Continue'}
+          </button>
+        </form>
+      )}
+
+      {step === 3 && (
+        <form onSubmit={handleSetPin} className="space-y-4">
+          <div>
+            <input
+              type="password"
+              inputMode="numeric"
+              value={newPin}
+              onChange={(e) => setNewPin(digitsOnly(e.target.value))}
+              placeholder={`New PIN (${PIN_MIN_LENGTH}–${PIN_MAX_LENGTH} digits)`}
+              aria-label="New PIN"
+              className={inputClassName}
+              autoComplete="new-password"
+              required
+            />
+            <PinStrengthMeter pin={newPin} phoneNumber={formatPhoneNumber(phoneNumber)} />
+          </div>
+          <input
+            type="password"
+            inputMode="numeric"
+            value={confirmPin}
+            onChange={(e) => setConfirmPin(digitsOnly(e.target.value))}
+            placeholder="Confirm new PIN"
+            aria-label="Confirm new PIN"
+            className={inputClassName}
+            autoComplete="new-password"
+            required
+          />
+          <p className="text-xs text-gray-500 dark:text-gray-400 text-center">
+            Every device signed in to your account will be signed out.
+          </p>
+          <button type="submit" disabled={isLoading || !newPin || !confirmPin} className={buttonClassName}>
+            {isLoading ? 'Saving...' : 'Set new PIN'}
+          </button>
+        </form>
+      )}
+
+      {onCancel && (
+        <button
+          type="button"
+          onClick={onCancel}
+          className="w-full text-sm text-gray-600 dark:text-gray-400 hover:underline"
+        >
+          Cancel
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+"use client";
+
+import { getPinStrength } from '../../../../lib/core/utils/pinPolicy';
+
+const BAR_COLORS = ['bg-red-500', 'bg-orange-400', 'bg-yellow-400', 'bg-lime-500', 'bg-green-600'];
+
+/**
+ * Strength bar for a PIN being chosen, with the policy's reason when it's rejected
+ */
+export default function PinStrengthMeter({ pin, phoneNumber }) {
+  if (!pin) return null;
+
+  const { score, label, valid, error } = getPinStrength(pin, { phoneNumber });
+
+  return (
+    <div className="mt-2" aria-live="polite">
+      <div className="flex gap-1">
+        {[1, 2, 3, 4].map(level => (
+          <div
+            key={level}
+            className={`h-1.5 flex-1 rounded-full ${
+              valid && score >= level ? BAR_COLORS[score] : 'bg-gray-200 dark:bg-gray-700'
+            }`}
+          />
+        ))}
+      </div>
+      <p className={`mt-1 text-xs ${valid ? 'text-gray-500 dark:text-gray-400' : 'text-red-700 dark:text-red-300'}`}>
+        {valid ? `PIN strength: ${label}` : error}
+      </p>
+    </div>
+  );
+}
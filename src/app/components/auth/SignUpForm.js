@@ -1,7 +1,32 @@
 "use client";
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import supabase from '../../../../lib/supabase'; // Main Supabase client
+import { checkPin, getPinPolicy } from '../../../../lib/core/utils/pinPolicy';
+import { sanitizeOTPInput, otpInputMode } from '../../../../lib/core/utils/otpFormat';
+import PinStrengthMeter from './PinStrengthMeter';
+import { setPinLength } from '../../../../lib/services/userPreferences';
+
+const { minLength: PIN_MIN_LENGTH, maxLength: PIN_MAX_LENGTH } = getPinPolicy();
+
+// How the code reached the user, as shown on step 2
+const DELIVERY_TEXT = {
+  sms: 'We sent a verification code to',
+  whatsapp: 'We sent a verification code on WhatsApp to',
+  voice: "We're calling you with a verification code at",
+};
+
+const CHANNEL_NAMES = { sms: 'text', whatsapp: 'WhatsApp', voice: 'phone call' };
+
+// m:ss, or h:mm:ss once the daily limit pushes the wait past an hour
+const formatCountdown = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
 
 export default function SignUpForm() {
   const [step, setStep] = useState(1); // 1: Enter phone, 2: Enter OTP and PIN
@@ -11,6 +36,27 @@ export default function SignUpForm() {
   const [message, setMessage] = useState('');
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [resendAt, setResendAt] = useState(null); // ms timestamp from the server
+  const [channel, setChannel] = useState('sms'); // The channel that delivered the last code
+  const [now, setNow] = useState(() => Date.now());
+
+  const resendSeconds = resendAt ? Math.max(0, Math.ceil((resendAt - now) / 1000)) : 0;
+
+  // Tick once a second until another code may be requested
+  useEffect(() => {
+    if (!resendAt) return;
+
+    setNow(Date.now());
+    const interval = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= resendAt) {
+        clearInterval(interval);
+      }
+    }, 1000);
+
+    return () => clearInterval(interval);
+  }, [resendAt]);
 
   // Convert Uganda phone number format to international format
   const formatPhoneNumber = (phone) => {
@@ -48,6 +94,7 @@ export default function SignUpForm() {
     // Limit to 10 digits
     if (numericValue.length <= 10) {
       setPhoneNumber(numericValue);
+      setResendAt(null); // The wait belonged to the previous number
     }
   };
 
@@ -60,6 +107,24 @@ export default function SignUpForm() {
     event.target.setAttribute('autocomplete', 'nope-' + Math.random());
   };
 
+  // Both successes and 429s say when the next code may be requested
+  const requestCode = async (formattedPhone, requestedChannel = 'sms') => {
+    const response = await fetch('/api/auth/send-otp', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ phoneNumber: formattedPhone, channel: requestedChannel }),
+    });
+    const data = await response.json();
+    if (data.resendAt) {
+      setResendAt(Date.parse(data.resendAt));
+    }
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to send OTP');
+    }
+    setChannel(data.channel || requestedChannel);
+    return data;
+  };
+
   const handleSendOtp = async (e) => {
     e.preventDefault();
     setIsLoading(true);
@@ -69,15 +134,7 @@ export default function SignUpForm() {
       // Format the phone number before sending
       const formattedPhone = formatPhoneNumber(phoneNumber);
       
-      const response = await fetch('/api/auth/send-otp', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ phoneNumber: formattedPhone }),
-      });
-      const data = await response.json();
-      if (!response.ok) {
-        throw new Error(data.error || 'Failed to send OTP');
-      }
+      const data = await requestCode(formattedPhone);
       setMessage(data.message || 'OTP sent successfully!');
       // Update the phone number state with the formatted version
       setPhoneNumber(formattedPhone);
@@ -89,11 +146,38 @@ export default function SignUpForm() {
     }
   };
 
+  const handleResendOtp = async (requestedChannel = 'sms') => {
+    setIsLoading(true);
+    setError('');
+    setMessage('');
+    try {
+      // phoneNumber is already formatted once on step 2
+      const data = await requestCode(phoneNumber, requestedChannel);
+      setOtp('');
+      if (data.channel && data.channel !== requestedChannel) {
+        setMessage(`We couldn't reach you by ${CHANNEL_NAMES[requestedChannel]}, so the code was sent by ${CHANNEL_NAMES[data.channel]} instead`);
+      } else {
+        setMessage(requestedChannel === 'voice' ? 'Calling you now' : data.message || 'A new code has been sent');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const handleVerifyOtpAndSignUp = async (e) => {
     e.preventDefault();
-    setIsLoading(true);
     setError('');
     setMessage('');
+
+    const pinCheck = checkPin(pin, { phoneNumber });
+    if (!pinCheck.valid) {
+      setError(pinCheck.error);
+      return;
+    }
+
+    setIsLoading(true);
     try {
       const response = await fetch('/api/auth/verify-otp-and-signup', {
         method: 'POST',
@@ -107,11 +191,13 @@ export default function SignUpForm() {
       }
       
       setMessage(data.message || 'Sign up successful!');
+      setPinLength(pin.length);
       // The AuthProvider will automatically pick up the session from signInWithPassword if successful
       // Reset form or redirect user as needed
       setPhoneNumber('');
       setOtp('');
       setPin('');
+      setResendAt(null);
       setStep(1); // Or redirect to a protected page
        // If the API returns a session, we might need to manually update the client session
       if (data.session) {
@@ -205,7 +291,7 @@ export default function SignUpForm() {
           
           <button 
             type="submit" 
-            disabled={isLoading}
+            disabled={isLoading || resendSeconds > 0}
             className="w-full px-4 py-3 rounded-xl font-semibold text-sm shadow transition border bg-blue-200 dark:bg-[#1a2655] border-blue-400 dark:border-blue-600 text-blue-800 dark:text-blue-200 hover:bg-blue-300 dark:hover:bg-[#1e2a5a] hover:border-blue-500 dark:hover:border-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
           >
             {isLoading ? (
@@ -216,6 +302,8 @@ export default function SignUpForm() {
                 </svg>
                 Sending OTP...
               </>
+            ) : resendSeconds > 0 ? (
+              `Try again in ${formatCountdown(resendSeconds)}`
             ) : (
               'Send Verification Code'
             )}
@@ -228,8 +316,34 @@ export default function SignUpForm() {
         <div className="space-y-6">
           <div className="text-center">
             <p className="text-sm text-gray-600 dark:text-gray-400">
-              We sent a verification code to <span className="font-medium">{phoneNumber}</span>
+              {DELIVERY_TEXT[channel] || DELIVERY_TEXT.sms} <span className="font-medium">{phoneNumber}</span>
             </p>
+            {resendSeconds > 0 ? (
+              <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                Resend code in {formatCountdown(resendSeconds)}
+              </p>
+            ) : (
+              <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+                Didn&apos;t get it?{' '}
+                <button
+                  type="button"
+                  onClick={() => handleResendOtp('sms')}
+                  disabled={isLoading}
+                  className="font-medium text-blue-700 dark:text-blue-300 hover:underline disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Resend code
+                </button>
+                {' '}or{' '}
+                <button
+                  type="button"
+                  onClick={() => handleResendOtp('voice')}
+                  disabled={isLoading}
+                  className="font-medium text-blue-700 dark:text-blue-300 hover:underline disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  call me instead
+                </button>
+              </p>
+            )}
           </div>
           
           <form onSubmit={handleVerifyOtpAndSignUp} className="space-y-6">
@@ -240,13 +354,11 @@ export default function SignUpForm() {
               <input
                 id="otp"
                 type="text"
-                inputMode="numeric"
-                pattern="[0-9]*"
+                inputMode={otpInputMode()}
                 value={otp}
-                onChange={(e) => setOtp(e.target.value)}
+                onChange={(e) => setOtp(sanitizeOTPInput(e.target.value))}
                 onFocus={handleFocus}
                 placeholder="123456"
-                maxLength="6"
                 className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-800 dark:border-gray-600 dark:placeholder-gray-500 dark:text-white dark:focus:ring-blue-400 dark:focus:border-blue-400 text-center text-lg tracking-widest"
                 autoComplete="new-password"
                 autoCorrect="off"
@@ -259,7 +371,7 @@ export default function SignUpForm() {
             
             <div>
               <label htmlFor="pin" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                Create a PIN (4 digits)
+                Create a PIN ({PIN_MIN_LENGTH}–{PIN_MAX_LENGTH} digits)
               </label>
               <input
                 id="pin"
@@ -268,17 +380,16 @@ export default function SignUpForm() {
                 value={pin}
                 onChange={(e) => {
                   const numericValue = e.target.value.replace(/[^0-9]/g, ''); // Allow only digits
-                  // Limit to exactly 4 digits
-                  if (numericValue.length <= 4) {
+                  if (numericValue.length <= PIN_MAX_LENGTH) {
                     setPin(numericValue);
                   }
                 }}
                 onFocus={handleFocus}
-                minLength="4"
-                maxLength="4"
-                pattern="^\d{4}$"
-                title="PIN must be exactly 4 digits"
-                placeholder="Enter your 4-digit PIN"
+                minLength={PIN_MIN_LENGTH}
+                maxLength={PIN_MAX_LENGTH}
+                pattern={`^\\d{${PIN_MIN_LENGTH},${PIN_MAX_LENGTH}}$`}
+                title={`PIN must be ${PIN_MIN_LENGTH} to ${PIN_MAX_LENGTH} digits`}
+                placeholder={`Enter a ${PIN_MIN_LENGTH}–${PIN_MAX_LENGTH} digit PIN`}
                 className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-800 dark:border-gray-600 dark:placeholder-gray-500 dark:text-white dark:focus:ring-blue-400 dark:focus:border-blue-400"
                 autoComplete="new-password"
                 autoCorrect="off"
@@ -288,11 +399,12 @@ export default function SignUpForm() {
                 data-lpignore="true"
                 data-1p-ignore="true"
                 role="textbox"
-                aria-label="Create 4-digit PIN"
+                aria-label="Create PIN"
                 required
               />
+              <PinStrengthMeter pin={pin} phoneNumber={phoneNumber} />
               <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
-                This PIN will be used for future logins
+                This PIN will be used for future logins. Longer PINs are harder to guess.
               </p>
             </div>
             
@@ -7,11 +7,14 @@ import StoredTexts from "../components/StoredTexts";
 import Documents from "../components/Documents";
 import PageHeader from "../components/PageHeader";
 import NavigationTabs from "../components/NavigationTabs";
+import SearchBar from "../components/SearchBar";
 import NotesView from "../components/NotesView";
 import GalleryView from "../components/GalleryView";
 import DocumentsView from "../components/DocumentsView";
+import TrashView from "../components/TrashView";
 import { PageLoadingSkeleton, ContentSkeleton } from "../components/Skeletons";
 import AutoSignoutTimer from "../components/AutoSignoutTimer";
+import SecurityAlerts from "../components/SecurityAlerts";
 import { useNotes } from "../../../lib/hooks/useNotes";
 import { useDocuments } from "../../../lib/hooks/useDocuments";
 import { useGalleryImages } from "../../../lib/hooks/useGalleryImages";
@@ -51,6 +54,7 @@ export default function Dashboard() {
   const {
     documents,
     isLoadingDocuments,
+    uploadProgress: documentUploadProgress,
     addDocumentHandler,
     deleteDocumentHandler,
     toggleDocAutoDeleteHandler,
@@ -61,6 +65,7 @@ export default function Dashboard() {
   const {
     galleryImages,
     isLoadingGalleryImages,
+    uploadProgress: imageUploadProgress,
     uploadImageHandler,
     deleteImageHandler,
     toggleImageAutoDeleteHandler: toggleGalleryImageAutoDeleteHandler,
@@ -317,6 +322,16 @@ export default function Dashboard() {
     return date.toLocaleDateString();
   };
 
+  const handleTrashRestored = (type) => {
+    if (type === "note") {
+      reloadNotes();
+    } else if (type === "image") {
+      reloadGalleryImages();
+    } else {
+      reloadDocuments();
+    }
+  };
+
   const renderContent = () => {
     if ((activeSection === "notes" && isLoadingNotes) || 
         (activeSection === "gallery" && isLoadingGalleryImages) || 
@@ -333,6 +348,7 @@ export default function Dashboard() {
             onToggleAutoDelete={toggleNoteAutoDeleteHandler}
             onNoteCreated={reloadNotes}
             onDeleteNote={deleteNoteHandler}
+            onNoteRestored={reloadNotes}
           />
         );
       case "gallery":
@@ -341,6 +357,7 @@ export default function Dashboard() {
             images={galleryImages}
             isLoading={isLoadingGalleryImages}
             onImageUpload={uploadImageHandler}
+            uploadProgress={imageUploadProgress}
             onImageDelete={deleteImageHandler}
             onToggleImageAutoDelete={toggleGalleryImageAutoDeleteHandler}
             onRefresh={reloadGalleryImages}
@@ -352,11 +369,19 @@ export default function Dashboard() {
             documents={documents}
             isLoading={isLoadingDocuments}
             onAddDocument={addDocumentHandler}
+            uploadProgress={documentUploadProgress}
             onDeleteDocument={deleteDocumentHandler}
             onToggleAutoDelete={toggleDocAutoDeleteHandler}
             formatLastEdited={formatLastEdited}
           />
         );
+      case "trash":
+        return (
+          <TrashView 
+            userId={user.id}
+            onRestored={handleTrashRestored}
+          />
+        );
       default:
         return <div>Select a section</div>;
     }
@@ -559,6 +584,8 @@ export default function Dashboard() {
       </div>
       <main className="flex-1 w-full px-4 sm:px-6 lg:px-8 py-4 sm:py-6 lg:py-8 flex flex-col relative z-10">
         <div className="w-full max-w-6xl mx-auto">
+          <SecurityAlerts />
+          <SearchBar userId={user.id} onSelectResult={handleSetSection} />
           <NavigationTabs 
             activeSection={activeSection} 
             onSetSection={handleSetSection}
@@ -9,6 +9,12 @@ import {
   setAutoSignoutTimeouts
 } from '../../../lib/services/userPreferences';
 import PageHeader from '../components/PageHeader';
+import AutoDeleteSettings from '../components/AutoDeleteSettings';
+import ChangePinSettings from '../components/ChangePinSettings';
+import ChangePhoneSettings from '../components/ChangePhoneSettings';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import PasskeySettings from '../components/PasskeySettings';
+import DeviceSettings from '../components/DeviceSettings';
 
 export default function PreferencesPage() {
   const { user, isLoading } = useAuth();
@@ -391,6 +397,60 @@ export default function PreferencesPage() {
             )}
           </div>
 
+          {/* PIN */}
+          <div className="border-t border-gray-200 dark:border-gray-700 pt-8">
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-4">PIN</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+              Change the PIN you sign in with. You can switch to a longer PIN of up to 8 digits.
+            </p>
+            <ChangePinSettings phoneNumber={user.phone} />
+          </div>
+
+          {/* Phone Number */}
+          <div className="border-t border-gray-200 dark:border-gray-700 pt-8">
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-4">Phone Number</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+              Move your account to a new number. You&apos;ll confirm with codes texted to your current and new numbers, then sign in with the new number&apos;s last four digits.
+            </p>
+            <ChangePhoneSettings phoneNumber={user.phone} />
+          </div>
+
+          {/* Two-Factor Authentication */}
+          <div className="border-t border-gray-200 dark:border-gray-700 pt-8">
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-4">Two-Factor Authentication</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+              Ask for a code from an authenticator app after your PIN when you sign in. Works offline; no SMS needed.
+            </p>
+            <TwoFactorSettings />
+          </div>
+
+          {/* Passkeys */}
+          <div className="border-t border-gray-200 dark:border-gray-700 pt-8">
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-4">Passkeys</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+              Sign in with your fingerprint, face or device screen lock instead of your phone digits and PIN.
+            </p>
+            <PasskeySettings />
+          </div>
+
+          {/* Devices */}
+          <div className="border-t border-gray-200 dark:border-gray-700 pt-8">
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-4">Devices</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+              Where your account is signed in. Locations are approximate, worked out from the network address. Sign out anything you don&apos;t recognize.
+            </p>
+            <DeviceSettings />
+          </div>
+
+          {/* Auto-Delete Retention */}
+          <div className="border-t border-gray-200 dark:border-gray-700 pt-8">
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-4">Auto-Delete Retention</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+              Choose how long notes, images and documents with auto-delete turned on are kept before they are removed.
+            </p>
+            <AutoDeleteSettings />
+          </div>
+
           {/* Delete Account Section */}
           <div className="border-t border-red-200 dark:border-red-700 pt-8">
             <h2 className="text-xl font-semibold text-red-600 dark:text-red-400 mb-4">Danger Zone</h2>
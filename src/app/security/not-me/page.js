@@ -0,0 +1,84 @@
+"use client";
+import { Suspense, useState } from "react";
+import { useSearchParams } from "next/navigation";
+import Link from "next/link";
+import { denyLogin } from "../../../../lib/notificationService";
+
+// Opened from the link in a sign-in alert SMS. Nothing happens until the
+// button is pressed, so link previews and scanners can't trigger it.
+function NotMe() {
+  const searchParams = useSearchParams();
+  const token = searchParams.get("token");
+  const [isLoading, setIsLoading] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+
+  const handleDeny = async () => {
+    setIsLoading(true);
+    setError("");
+    try {
+      setResult(await denyLogin(token));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <p className="text-sm text-red-800 dark:text-red-200">
+        This link is incomplete. Open it again from the message you received.
+      </p>
+    );
+  }
+
+  if (result) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-green-800 dark:text-green-200">
+          {result.sessionRevoked
+            ? "That sign-in was ended."
+            : "That sign-in had already ended."}{" "}
+          Your current PIN no longer works; you&apos;ll set a new one the next time you sign in.
+        </p>
+        <Link href="/login" className="font-medium text-blue-600 hover:text-blue-500 dark:text-blue-400 dark:hover:text-blue-300">
+          Go to sign in
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-700 dark:text-gray-300">
+        If you didn&apos;t just sign in to AeroNotes, someone else may know your PIN.
+        We&apos;ll sign that device out and ask for a new PIN before anyone can sign in again.
+      </p>
+      {error && (
+        <p className="p-2 text-sm rounded-lg bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300">{error}</p>
+      )}
+      <button
+        type="button"
+        onClick={handleDeny}
+        disabled={isLoading}
+        className="w-full py-3 px-4 rounded-lg font-medium text-white bg-red-600 hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition"
+      >
+        {isLoading ? "Signing out..." : "This wasn't me - sign it out"}
+      </button>
+    </div>
+  );
+}
+
+export default function NotMePage() {
+  return (
+    <div className="min-h-screen flex flex-col items-center justify-center bg-slate-100 dark:bg-gray-900 p-4">
+      <div className="w-full max-w-md p-8 border-2 border-blue-200 dark:border-blue-700 rounded-2xl bg-white/80 dark:bg-blue-950/70 shadow-lg">
+        <h1 className="text-2xl font-light text-gray-900 dark:text-gray-100 mb-6 text-center">Secure your account</h1>
+        <Suspense fallback={<div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600 mx-auto"></div>}>
+          <NotMe />
+        </Suspense>
+      </div>
+    </div>
+  );
+}
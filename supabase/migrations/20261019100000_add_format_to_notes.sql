@@ -0,0 +1,11 @@
+-- Add markdown support to notes
+-- format: 'plain' or 'markdown'; rendered_html holds the sanitized server render for markdown notes
+
+ALTER TABLE public.notes
+ADD COLUMN IF NOT EXISTS format TEXT NOT NULL DEFAULT 'plain';
+
+ALTER TABLE public.notes
+ADD COLUMN IF NOT EXISTS rendered_html TEXT NULL;
+
+ALTER TABLE public.notes
+ADD CONSTRAINT notes_format_check CHECK (format IN ('plain', 'markdown'));
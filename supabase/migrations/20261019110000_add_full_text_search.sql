@@ -0,0 +1,96 @@
+-- Full-text search across notes, documents and images
+-- Weighted tsvector columns are kept up to date by Postgres; search_user_content ranks and highlights hits.
+
+-- Columns the file services already write/read but the base schema never declared
+ALTER TABLE public.files
+ADD COLUMN IF NOT EXISTS description TEXT NULL;
+
+-- Plain text extracted from documents (populated by document processing)
+ALTER TABLE public.files
+ADD COLUMN IF NOT EXISTS extracted_text TEXT NULL;
+
+ALTER TABLE public.notes
+ADD COLUMN IF NOT EXISTS search_vector tsvector
+GENERATED ALWAYS AS (to_tsvector('english', coalesce(text, ''))) STORED;
+
+ALTER TABLE public.files
+ADD COLUMN IF NOT EXISTS search_vector tsvector
+GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', coalesce(file_name, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(alt, '')), 'B') ||
+  setweight(to_tsvector('english', coalesce(description, '')), 'B') ||
+  setweight(to_tsvector('english', coalesce(extracted_text, '')), 'C')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_notes_search_vector ON public.notes USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_files_search_vector ON public.files USING GIN (search_vector);
+
+-- p_query is a to_tsquery expression built by SearchService (sanitized terms with prefix matching).
+-- Highlights are delimited with chr(1)/chr(2) so the caller can split them without trusting HTML.
+CREATE OR REPLACE FUNCTION public.search_user_content(
+  p_user_id UUID,
+  p_query TEXT,
+  p_types TEXT[] DEFAULT ARRAY['note', 'image', 'document'],
+  p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE (
+  item_type TEXT,
+  item_id UUID,
+  title TEXT,
+  snippet TEXT,
+  rank REAL,
+  bucket_id TEXT,
+  file_path TEXT,
+  created_at TIMESTAMPTZ
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH q AS (
+    SELECT
+      to_tsquery('english', p_query) AS query,
+      'StartSel=' || chr(1) || ', StopSel=' || chr(2) || ', MaxWords=30, MinWords=8, MaxFragments=2, FragmentDelimiter=" … "' AS options
+  )
+  (
+    SELECT
+      'note'::TEXT,
+      n.id,
+      left(n.text, 80),
+      ts_headline('english', n.text, q.query, q.options),
+      ts_rank_cd(n.search_vector, q.query),
+      NULL::TEXT,
+      NULL::TEXT,
+      n.created_at
+    FROM public.notes n, q
+    WHERE 'note' = ANY(p_types)
+      AND n.user_id = p_user_id
+      AND (n.expiry_date IS NULL OR n.expiry_date > NOW())
+      AND n.search_vector @@ q.query
+    ORDER BY 5 DESC
+    LIMIT p_limit
+  )
+  UNION ALL
+  (
+    SELECT
+      CASE WHEN f.bucket_id = 'images' THEN 'image' ELSE 'document' END,
+      f.id,
+      f.file_name,
+      ts_headline(
+        'english',
+        coalesce(nullif(concat_ws(' — ', f.alt, f.description, f.extracted_text), ''), f.file_name),
+        q.query,
+        q.options
+      ),
+      ts_rank_cd(f.search_vector, q.query),
+      f.bucket_id,
+      f.file_path,
+      f.created_at
+    FROM public.files f, q
+    WHERE (CASE WHEN f.bucket_id = 'images' THEN 'image' ELSE 'document' END) = ANY(p_types)
+      AND f.user_id = p_user_id
+      AND (f.expiry_date IS NULL OR f.expiry_date > NOW())
+      AND f.search_vector @@ q.query
+    ORDER BY 5 DESC
+    LIMIT p_limit
+  );
+$$;
@@ -0,0 +1,29 @@
+-- Note revision history
+-- NotesService writes a revision on create and on every text/format update
+
+CREATE TABLE IF NOT EXISTS public.note_revisions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  note_id UUID NOT NULL REFERENCES public.notes(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,
+  text TEXT NOT NULL,
+  format TEXT NOT NULL DEFAULT 'plain',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (note_id, revision)
+);
+
+CREATE INDEX IF NOT EXISTS idx_note_revisions_note_id ON public.note_revisions(note_id);
+
+-- Enable Row Level Security on note_revisions table
+ALTER TABLE public.note_revisions ENABLE ROW LEVEL SECURITY;
+
+-- Revisions are append-only for users; they disappear with their note
+CREATE POLICY "Users can view their own note revisions" ON public.note_revisions
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can create their own note revisions" ON public.note_revisions
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = user_id);
@@ -0,0 +1,41 @@
+-- File versioning
+-- Re-uploading a file (same name, or an explicit `replaces` id) keeps the files row
+-- and records each stored object here. The files row always points at the newest one.
+
+ALTER TABLE public.files
+  ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS public.file_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  file_id UUID NOT NULL REFERENCES public.files(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  bucket_id TEXT NOT NULL,
+  file_path TEXT NOT NULL,
+  file_size BIGINT,
+  content_type TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (file_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_file_versions_file_id ON public.file_versions(file_id);
+CREATE INDEX IF NOT EXISTS idx_file_versions_created_at ON public.file_versions(created_at);
+
+-- Enable Row Level Security on file_versions table
+ALTER TABLE public.file_versions ENABLE ROW LEVEL SECURITY;
+
+-- Users can delete versions so retention pruning works with their own client
+CREATE POLICY "Users can view their own file versions" ON public.file_versions
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can create their own file versions" ON public.file_versions
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own file versions" ON public.file_versions
+  FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id);
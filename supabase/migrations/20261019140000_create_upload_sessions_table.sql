@@ -0,0 +1,37 @@
+-- Resumable chunked uploads
+-- A session is opened before any bytes are sent; chunks land in the private
+-- upload-chunks bucket under {user_id}/{session_id}/{index} and are assembled
+-- into a regular file on completion.
+
+CREATE TABLE IF NOT EXISTS public.upload_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  file_name TEXT NOT NULL,
+  content_type TEXT NOT NULL,
+  file_size BIGINT NOT NULL,
+  chunk_size INTEGER NOT NULL,
+  total_chunks INTEGER NOT NULL,
+  options JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed')),
+  file_id UUID REFERENCES public.files(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_user_id ON public.upload_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires_at ON public.upload_sessions(expires_at);
+
+-- Enable Row Level Security on upload_sessions table
+ALTER TABLE public.upload_sessions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own upload sessions" ON public.upload_sessions
+  FOR ALL
+  TO authenticated
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+-- Chunks are only ever touched by the server with the service role
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('upload-chunks', 'upload-chunks', false)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,6 @@
+-- Image variants
+-- Resized WebP copies (thumbnail/medium/large) stored next to the original.
+-- Shape: { "thumbnail": { "path": "...", "width": 150, "height": 100, "size": 4821 }, ... }
+
+ALTER TABLE public.files
+  ADD COLUMN IF NOT EXISTS variants JSONB;
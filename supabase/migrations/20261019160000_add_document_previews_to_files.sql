@@ -0,0 +1,8 @@
+-- Document previews
+-- DocumentService fills these (and extracted_text, which feeds search_vector)
+-- for PDF, DOCX, TXT, CSV and RTF uploads.
+
+ALTER TABLE public.files
+  ADD COLUMN IF NOT EXISTS text_preview TEXT,
+  ADD COLUMN IF NOT EXISTS page_count INTEGER,
+  ADD COLUMN IF NOT EXISTS processed_at TIMESTAMP WITH TIME ZONE;
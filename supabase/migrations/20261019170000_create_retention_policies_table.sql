@@ -0,0 +1,54 @@
+-- Retention policies
+-- Per-user rules for how long auto-deleting content lives. A rule either sets the
+-- default for a content type or matches items by tag or file category; see
+-- lib/core/utils/retention.js for how rules are resolved.
+
+CREATE TABLE IF NOT EXISTS public.retention_policies (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  content_type TEXT CHECK (content_type IN ('note', 'image', 'document')), -- NULL: applies to all content
+  match_type TEXT NOT NULL DEFAULT 'default' CHECK (match_type IN ('default', 'tag', 'category')),
+  match_value TEXT,
+  expiry_seconds INTEGER NOT NULL CHECK (expiry_seconds > 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CHECK (match_type <> 'default' OR (content_type IS NOT NULL AND match_value IS NULL)),
+  CHECK (match_type = 'default' OR match_value IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_retention_policies_rule ON public.retention_policies (
+  user_id,
+  coalesce(content_type, '*'),
+  match_type,
+  lower(coalesce(match_value, ''))
+);
+
+-- Columns the file services already write but the base schema never declared;
+-- tag and category rules match against them
+ALTER TABLE public.files
+  ADD COLUMN IF NOT EXISTS category TEXT,
+  ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS metadata JSONB;
+
+-- Enable Row Level Security on retention_policies table
+ALTER TABLE public.retention_policies ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own retention policies" ON public.retention_policies
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can create their own retention policies" ON public.retention_policies
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own retention policies" ON public.retention_policies
+  FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own retention policies" ON public.retention_policies
+  FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id);
@@ -0,0 +1,164 @@
+-- Trash
+-- Deleting a note or file (or letting it expire) sets deleted_at instead of removing it.
+-- Trashed items are hidden everywhere except the Trash view and are purged for good,
+-- storage objects included, once they have been in the trash for the grace period
+-- (storage.config.js autoDelete.gracePeriod, 7 days).
+
+ALTER TABLE public.notes
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ NULL;
+
+ALTER TABLE public.files
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notes_deleted_at ON public.notes(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_files_deleted_at ON public.files(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- The scheduled cleanup ('daily-expired-file-deletion') keeps calling this function.
+-- It now runs in two passes: expired auto-delete items move to the trash, then anything
+-- trashed longer than grace_period is removed along with its original, variant and
+-- version objects.
+DROP FUNCTION IF EXISTS public.delete_expired_files();
+
+CREATE OR REPLACE FUNCTION public.delete_expired_files(grace_period INTERVAL DEFAULT INTERVAL '7 days')
+RETURNS TABLE (item_id UUID, table_source TEXT, action TEXT)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  file_record RECORD;
+  object_paths TEXT[];
+BEGIN
+  -- 1. Expired items go to the trash
+  RETURN QUERY
+    WITH trashed AS (
+      UPDATE public.files
+      SET deleted_at = NOW()
+      WHERE auto_delete = TRUE
+        AND expiry_date IS NOT NULL
+        AND expiry_date < NOW()
+        AND deleted_at IS NULL
+      RETURNING id
+    )
+    SELECT trashed.id, 'public.files'::TEXT, 'trashed'::TEXT FROM trashed;
+
+  RETURN QUERY
+    WITH trashed AS (
+      UPDATE public.notes
+      SET deleted_at = NOW()
+      WHERE "autoDelete" = TRUE
+        AND expiry_date IS NOT NULL
+        AND expiry_date < NOW()
+        AND deleted_at IS NULL
+      RETURNING id
+    )
+    SELECT trashed.id, 'public.notes'::TEXT, 'trashed'::TEXT FROM trashed;
+
+  -- 2. Items past the grace period are purged
+  FOR file_record IN
+    SELECT id, bucket_id, file_path, variants FROM public.files
+    WHERE deleted_at IS NOT NULL AND deleted_at < NOW() - grace_period
+  LOOP
+    object_paths := ARRAY[file_record.file_path]
+      || ARRAY(SELECT value->>'path' FROM jsonb_each(coalesce(file_record.variants, '{}'::jsonb)))
+      || ARRAY(SELECT fv.file_path FROM public.file_versions fv WHERE fv.file_id = file_record.id);
+
+    BEGIN
+      DELETE FROM storage.objects
+      WHERE storage.objects.bucket_id = file_record.bucket_id
+        AND storage.objects.name = ANY(object_paths);
+    EXCEPTION
+      WHEN OTHERS THEN
+        RAISE WARNING 'delete_expired_files: Could not delete storage objects for file_id: %. Error: %', file_record.id, SQLERRM;
+    END;
+
+    -- Version rows go with the file (ON DELETE CASCADE)
+    DELETE FROM public.files WHERE id = file_record.id;
+
+    item_id := file_record.id;
+    table_source := 'public.files';
+    action := 'purged';
+    RETURN NEXT;
+  END LOOP;
+
+  RETURN QUERY
+    WITH purged AS (
+      DELETE FROM public.notes
+      WHERE deleted_at IS NOT NULL AND deleted_at < NOW() - grace_period
+      RETURNING id
+    )
+    SELECT purged.id, 'public.notes'::TEXT, 'purged'::TEXT FROM purged;
+END;
+$$;
+
+COMMENT ON FUNCTION public.delete_expired_files(INTERVAL) IS 'Moves expired auto-delete notes and files to the trash, then permanently deletes trashed items (and their storage objects) older than grace_period. Returns one row per item with the action taken.';
+
+-- Search skips trashed items
+CREATE OR REPLACE FUNCTION public.search_user_content(
+  p_user_id UUID,
+  p_query TEXT,
+  p_types TEXT[] DEFAULT ARRAY['note', 'image', 'document'],
+  p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE (
+  item_type TEXT,
+  item_id UUID,
+  title TEXT,
+  snippet TEXT,
+  rank REAL,
+  bucket_id TEXT,
+  file_path TEXT,
+  created_at TIMESTAMPTZ
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH q AS (
+    SELECT
+      to_tsquery('english', p_query) AS query,
+      'StartSel=' || chr(1) || ', StopSel=' || chr(2) || ', MaxWords=30, MinWords=8, MaxFragments=2, FragmentDelimiter=" … "' AS options
+  )
+  (
+    SELECT
+      'note'::TEXT,
+      n.id,
+      left(n.text, 80),
+      ts_headline('english', n.text, q.query, q.options),
+      ts_rank_cd(n.search_vector, q.query),
+      NULL::TEXT,
+      NULL::TEXT,
+      n.created_at
+    FROM public.notes n, q
+    WHERE 'note' = ANY(p_types)
+      AND n.user_id = p_user_id
+      AND n.deleted_at IS NULL
+      AND (n.expiry_date IS NULL OR n.expiry_date > NOW())
+      AND n.search_vector @@ q.query
+    ORDER BY 5 DESC
+    LIMIT p_limit
+  )
+  UNION ALL
+  (
+    SELECT
+      CASE WHEN f.bucket_id = 'images' THEN 'image' ELSE 'document' END,
+      f.id,
+      f.file_name,
+      ts_headline(
+        'english',
+        coalesce(nullif(concat_ws(' — ', f.alt, f.description, f.extracted_text), ''), f.file_name),
+        q.query,
+        q.options
+      ),
+      ts_rank_cd(f.search_vector, q.query),
+      f.bucket_id,
+      f.file_path,
+      f.created_at
+    FROM public.files f, q
+    WHERE (CASE WHEN f.bucket_id = 'images' THEN 'image' ELSE 'document' END) = ANY(p_types)
+      AND f.user_id = p_user_id
+      AND f.deleted_at IS NULL
+      AND (f.expiry_date IS NULL OR f.expiry_date > NOW())
+      AND f.search_vector @@ q.query
+    ORDER BY 5 DESC
+    LIMIT p_limit
+  );
+$$;
@@ -0,0 +1,42 @@
+-- PIN brute-force protection
+-- One row per account (subject = user_profiles.id) and per client IP (subject = IP).
+-- Only the service role touches this table; RLS is on with no policies.
+
+CREATE TABLE IF NOT EXISTS public.auth_lockouts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  scope TEXT NOT NULL CHECK (scope IN ('account', 'ip')),
+  subject TEXT NOT NULL,
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  lockout_count INTEGER NOT NULL DEFAULT 0, -- Consecutive lockouts; drives the progressive backoff
+  locked_until TIMESTAMPTZ,
+  last_failed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (scope, subject)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_lockouts_locked_until ON public.auth_lockouts(locked_until) WHERE locked_until IS NOT NULL;
+
+ALTER TABLE public.auth_lockouts ENABLE ROW LEVEL SECURITY;
+
+-- Count a failed attempt atomically so parallel guesses can't slip past the limit.
+-- Failures older than p_window start the count over.
+CREATE OR REPLACE FUNCTION public.record_auth_failure(
+  p_scope TEXT,
+  p_subject TEXT,
+  p_window INTERVAL
+)
+RETURNS SETOF public.auth_lockouts
+LANGUAGE sql
+AS $$
+  INSERT INTO public.auth_lockouts (scope, subject, failed_attempts, last_failed_at, updated_at)
+  VALUES (p_scope, p_subject, 1, NOW(), NOW())
+  ON CONFLICT (scope, subject) DO UPDATE SET
+    failed_attempts = CASE
+      WHEN auth_lockouts.last_failed_at < NOW() - p_window THEN 1
+      ELSE auth_lockouts.failed_attempts + 1
+    END,
+    last_failed_at = NOW(),
+    updated_at = NOW()
+  RETURNING *;
+$$;
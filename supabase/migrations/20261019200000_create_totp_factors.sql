@@ -0,0 +1,33 @@
+-- TOTP second factor (authenticator apps)
+-- Secrets are stored encrypted and recovery codes only as hashes. Both tables
+-- are server-only: RLS is on with no policies, so only the service role reads them.
+
+ALTER TABLE public.user_profiles
+  ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ;
+
+-- Lets admins find accounts with or without a second factor
+CREATE INDEX IF NOT EXISTS idx_user_profiles_totp_enabled ON public.user_profiles(totp_enabled);
+
+CREATE TABLE IF NOT EXISTS public.user_totp_factors (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  secret_encrypted TEXT NOT NULL,
+  confirmed_at TIMESTAMPTZ, -- NULL until the first code from the app is verified
+  last_used_step BIGINT, -- Time step of the last accepted code; blocks replays
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE public.user_totp_factors ENABLE ROW LEVEL SECURITY;
+
+CREATE TABLE IF NOT EXISTS public.totp_recovery_codes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_totp_recovery_codes_user_id ON public.totp_recovery_codes(user_id);
+
+ALTER TABLE public.totp_recovery_codes ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,36 @@
+-- Passkeys (WebAuthn)
+-- Credentials belong to a user profile; challenges live only for the few
+-- minutes between asking the browser for a passkey and verifying its answer.
+-- Both tables are server-only: RLS is on with no policies.
+
+CREATE TABLE IF NOT EXISTS public.webauthn_credentials (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES public.user_profiles(id) ON DELETE CASCADE,
+  credential_id TEXT NOT NULL UNIQUE, -- base64url, as sent by the browser
+  public_key TEXT NOT NULL, -- base64url COSE key
+  counter BIGINT NOT NULL DEFAULT 0,
+  transports TEXT[] DEFAULT '{}',
+  device_type TEXT, -- 'singleDevice' | 'multiDevice'
+  backed_up BOOLEAN NOT NULL DEFAULT false,
+  aaguid TEXT,
+  name TEXT NOT NULL DEFAULT 'Passkey',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_webauthn_credentials_user_id ON public.webauthn_credentials(user_id);
+
+ALTER TABLE public.webauthn_credentials ENABLE ROW LEVEL SECURITY;
+
+CREATE TABLE IF NOT EXISTS public.webauthn_challenges (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES public.user_profiles(id) ON DELETE CASCADE, -- NULL for sign-in, where the user isn't known yet
+  ceremony TEXT NOT NULL CHECK (ceremony IN ('registration', 'authentication')),
+  challenge TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webauthn_challenges_expires_at ON public.webauthn_challenges(expires_at);
+
+ALTER TABLE public.webauthn_challenges ENABLE ROW LEVEL SECURITY;
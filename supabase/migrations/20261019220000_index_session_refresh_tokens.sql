@@ -0,0 +1,3 @@
+-- Refresh looks the session up by the hash of the presented refresh token
+CREATE INDEX IF NOT EXISTS idx_sessions_refresh_token_hash ON sessions(refresh_token_hash);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
@@ -0,0 +1,26 @@
+-- In-app notifications and forced PIN resets
+-- The first notifications are sign-in alerts from an unfamiliar device or
+-- network. They are read and dismissed through the API, so the table is
+-- server-only: RLS is on with no policies.
+
+CREATE TABLE IF NOT EXISTS public.notifications (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL, -- e.g. 'login_alert'
+  title TEXT NOT NULL,
+  body TEXT,
+  data JSONB NOT NULL DEFAULT '{}'::jsonb,
+  read_at TIMESTAMPTZ, -- NULL while unread
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Unread notifications per user, newest first
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread
+  ON public.notifications(user_id, created_at DESC)
+  WHERE read_at IS NULL;
+
+ALTER TABLE public.notifications ENABLE ROW LEVEL SECURITY;
+
+-- Set by "this wasn't me" on a sign-in alert; sign-in is refused until the PIN is changed
+ALTER TABLE public.user_profiles
+  ADD COLUMN IF NOT EXISTS pin_reset_required BOOLEAN NOT NULL DEFAULT false;
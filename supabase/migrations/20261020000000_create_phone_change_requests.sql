@@ -0,0 +1,86 @@
+-- Moving an account to a new phone number
+-- A change needs the PIN and codes sent to both numbers. Users who lost the old
+-- number can skip its code but then wait until available_at. Rows are kept
+-- after completion as the record of which numbers the account has had.
+-- Only the service role touches this table; RLS is on with no policies.
+
+CREATE TABLE IF NOT EXISTS public.phone_change_requests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  old_phone_number TEXT NOT NULL,
+  new_phone_number TEXT NOT NULL,
+  old_number_lost BOOLEAN NOT NULL DEFAULT false,
+  old_verified_at TIMESTAMPTZ,
+  new_verified_at TIMESTAMPTZ,
+  available_at TIMESTAMPTZ, -- Old number lost: the change can't complete before this
+  expires_at TIMESTAMPTZ NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'cancelled')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+-- At most one change in progress per account
+CREATE UNIQUE INDEX IF NOT EXISTS idx_phone_change_requests_pending
+  ON public.phone_change_requests(user_id)
+  WHERE status = 'pending';
+
+ALTER TABLE public.phone_change_requests ENABLE ROW LEVEL SECURITY;
+
+-- Switch the profile to the new number in one transaction. Sign-in looks
+-- accounts up by the last four digits, so those must stay unique; the
+-- advisory lock stops two accounts taking the same digits at once.
+-- Returns 'ok', or why nothing changed: 'not_pending', 'phone_taken',
+-- 'suffix_taken' or 'phone_changed' (the profile no longer has the old number).
+CREATE OR REPLACE FUNCTION public.complete_phone_change(p_request_id UUID)
+RETURNS TEXT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_request public.phone_change_requests%ROWTYPE;
+  v_suffix INTEGER;
+BEGIN
+  SELECT * INTO v_request
+  FROM public.phone_change_requests
+  WHERE id = p_request_id
+  FOR UPDATE;
+
+  IF NOT FOUND OR v_request.status <> 'pending' THEN
+    RETURN 'not_pending';
+  END IF;
+
+  v_suffix := RIGHT(v_request.new_phone_number, 4)::INTEGER;
+  PERFORM pg_advisory_xact_lock(hashtext('phone_suffix:' || v_suffix));
+
+  IF EXISTS (
+    SELECT 1 FROM public.user_profiles
+    WHERE phone_number = v_request.new_phone_number AND id <> v_request.user_id
+  ) THEN
+    RETURN 'phone_taken';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM public.user_profiles
+    WHERE phone_suffix = v_suffix AND id <> v_request.user_id
+  ) THEN
+    RETURN 'suffix_taken';
+  END IF;
+
+  UPDATE public.user_profiles
+  SET phone_number = v_request.new_phone_number,
+      phone_suffix = v_suffix,
+      updated_at = NOW()
+  WHERE id = v_request.user_id
+    AND phone_number = v_request.old_phone_number;
+
+  IF NOT FOUND THEN
+    RETURN 'phone_changed';
+  END IF;
+
+  UPDATE public.phone_change_requests
+  SET status = 'completed',
+      completed_at = NOW()
+  WHERE id = p_request_id;
+
+  RETURN 'ok';
+END;
+$$;
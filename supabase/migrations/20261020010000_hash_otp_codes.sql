@@ -0,0 +1,23 @@
+-- Keep only salted hashes of one-time codes
+-- A code is bound to its phone number and purpose; the hash covers both, so a
+-- row can't be replayed for another number or flow. attempts counts wrong
+-- guesses and the row is deleted once it reaches max_attempts.
+-- Outstanding plaintext codes are discarded; they expire within minutes anyway.
+
+DELETE FROM otp_codes;
+
+DROP INDEX IF EXISTS idx_otp_codes_phone_active;
+
+ALTER TABLE otp_codes
+  DROP COLUMN IF EXISTS otp_code,
+  ADD COLUMN IF NOT EXISTS purpose TEXT NOT NULL DEFAULT 'signup'
+    CHECK (purpose IN ('signup', 'reset', 'unlock', 'phone_change')),
+  ADD COLUMN IF NOT EXISTS code_hash TEXT NOT NULL,
+  ADD COLUMN IF NOT EXISTS salt TEXT NOT NULL,
+  ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS max_attempts INTEGER NOT NULL DEFAULT 5;
+
+-- One outstanding code per number and purpose
+CREATE UNIQUE INDEX IF NOT EXISTS idx_otp_codes_phone_purpose
+  ON otp_codes(phone_number, purpose)
+  WHERE verified = FALSE;
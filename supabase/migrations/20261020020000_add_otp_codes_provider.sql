@@ -0,0 +1,6 @@
+-- Which provider delivered each code
+-- Sends fail over along a provider chain, so the code must be checked with
+-- the provider that actually sent it when that provider verifies server-side.
+
+ALTER TABLE otp_codes
+  ADD COLUMN IF NOT EXISTS provider TEXT;
@@ -0,0 +1,129 @@
+-- SMS code send quotas
+-- One row per code requested: by number, client IP and calling code (e.g. '256').
+-- Every text costs money, so sends are capped per number (cooldown and a
+-- rolling 24-hour limit), per IP and per calling code, which is where SMS
+-- pumping shows up when it is spread over many numbers.
+-- Only the service role touches this table; RLS is on with no policies.
+
+CREATE TABLE IF NOT EXISTS public.otp_send_requests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  phone_number TEXT NOT NULL,
+  ip_address TEXT,
+  calling_code TEXT NOT NULL,
+  purpose TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_otp_send_requests_phone ON public.otp_send_requests(phone_number, created_at);
+CREATE INDEX IF NOT EXISTS idx_otp_send_requests_ip ON public.otp_send_requests(ip_address, created_at) WHERE ip_address IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_otp_send_requests_calling_code ON public.otp_send_requests(calling_code, created_at);
+CREATE INDEX IF NOT EXISTS idx_otp_send_requests_created_at ON public.otp_send_requests(created_at);
+
+ALTER TABLE public.otp_send_requests ENABLE ROW LEVEL SECURITY;
+
+-- When a rolling window next has room, i.e. when the send that has to age out
+-- leaves it. NULL when there is room now.
+CREATE OR REPLACE FUNCTION public.otp_send_window_opens_at(
+  p_column TEXT,
+  p_value TEXT,
+  p_limit INTEGER,
+  p_window INTERVAL
+)
+RETURNS TIMESTAMPTZ
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_count INTEGER;
+  v_opens_at TIMESTAMPTZ;
+BEGIN
+  EXECUTE format(
+    'SELECT COUNT(*) FROM public.otp_send_requests WHERE %I = $1 AND created_at > NOW() - $2',
+    p_column
+  ) INTO v_count USING p_value, p_window;
+
+  IF v_count < p_limit THEN
+    RETURN NULL;
+  END IF;
+
+  EXECUTE format(
+    'SELECT created_at + $2 FROM public.otp_send_requests WHERE %I = $1 AND created_at > NOW() - $2 ORDER BY created_at OFFSET $3 LIMIT 1',
+    p_column
+  ) INTO v_opens_at USING p_value, p_window, v_count - p_limit;
+
+  RETURN v_opens_at;
+END;
+$$;
+
+-- Check every quota and record the send in one step; the advisory locks stop
+-- parallel requests slipping past a limit together.
+-- Refused: allowed = false, reason 'cooldown', 'daily_limit', 'ip_limit' or
+-- 'country_limit', and retry_at. Allowed: the new row's id, and retry_at is
+-- when this number may have its next code.
+CREATE OR REPLACE FUNCTION public.reserve_otp_send(
+  p_phone TEXT,
+  p_ip TEXT,
+  p_calling_code TEXT,
+  p_purpose TEXT,
+  p_cooldown INTERVAL,
+  p_daily_limit INTEGER,
+  p_ip_limit INTEGER,
+  p_ip_window INTERVAL,
+  p_country_limit INTEGER,
+  p_country_window INTERVAL
+)
+RETURNS TABLE (allowed BOOLEAN, reason TEXT, retry_at TIMESTAMPTZ, request_id UUID)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_last TIMESTAMPTZ;
+  v_opens_at TIMESTAMPTZ;
+  v_id UUID;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('otp_send:phone:' || p_phone));
+  IF p_ip IS NOT NULL THEN
+    PERFORM pg_advisory_xact_lock(hashtext('otp_send:ip:' || p_ip));
+  END IF;
+  PERFORM pg_advisory_xact_lock(hashtext('otp_send:country:' || p_calling_code));
+
+  DELETE FROM public.otp_send_requests
+  WHERE created_at < NOW() - GREATEST(INTERVAL '1 day', p_ip_window, p_country_window);
+
+  SELECT MAX(created_at) INTO v_last
+  FROM public.otp_send_requests
+  WHERE phone_number = p_phone;
+
+  IF v_last > NOW() - p_cooldown THEN
+    RETURN QUERY SELECT false, 'cooldown'::TEXT, v_last + p_cooldown, NULL::UUID;
+    RETURN;
+  END IF;
+
+  v_opens_at := public.otp_send_window_opens_at('phone_number', p_phone, p_daily_limit, INTERVAL '1 day');
+  IF v_opens_at IS NOT NULL THEN
+    RETURN QUERY SELECT false, 'daily_limit'::TEXT, v_opens_at, NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF p_ip IS NOT NULL THEN
+    v_opens_at := public.otp_send_window_opens_at('ip_address', p_ip, p_ip_limit, p_ip_window);
+    IF v_opens_at IS NOT NULL THEN
+      RETURN QUERY SELECT false, 'ip_limit'::TEXT, v_opens_at, NULL::UUID;
+      RETURN;
+    END IF;
+  END IF;
+
+  v_opens_at := public.otp_send_window_opens_at('calling_code', p_calling_code, p_country_limit, p_country_window);
+  IF v_opens_at IS NOT NULL THEN
+    RETURN QUERY SELECT false, 'country_limit'::TEXT, v_opens_at, NULL::UUID;
+    RETURN;
+  END IF;
+
+  INSERT INTO public.otp_send_requests (phone_number, ip_address, calling_code, purpose)
+  VALUES (p_phone, p_ip, p_calling_code, p_purpose)
+  RETURNING id INTO v_id;
+
+  -- Next send for this number: after the cooldown, or later if that was the day's last
+  v_opens_at := public.otp_send_window_opens_at('phone_number', p_phone, p_daily_limit, INTERVAL '1 day');
+
+  RETURN QUERY SELECT true, NULL::TEXT, GREATEST(NOW() + p_cooldown, v_opens_at), v_id;
+END;
+$$;
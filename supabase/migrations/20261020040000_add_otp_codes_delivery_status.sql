@@ -0,0 +1,14 @@
+-- Delivery receipts for one-time codes
+-- Providers that report delivery (the webhook gateway, via /api/otp/delivery)
+-- move a code from 'sent' to 'delivered' or 'failed'. Receipts are matched by
+-- provider and message_id.
+
+ALTER TABLE otp_codes
+  ADD COLUMN IF NOT EXISTS delivery_status TEXT NOT NULL DEFAULT 'sent'
+    CHECK (delivery_status IN ('sent', 'delivered', 'failed')),
+  ADD COLUMN IF NOT EXISTS delivery_error TEXT,
+  ADD COLUMN IF NOT EXISTS delivery_updated_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_otp_codes_provider_message
+  ON otp_codes(provider, message_id)
+  WHERE message_id IS NOT NULL;
@@ -0,0 +1,7 @@
+-- How each code was delivered
+-- Codes can go out by SMS, voice call, WhatsApp or email, and fall back to
+-- another channel when the requested one fails.
+
+ALTER TABLE otp_codes
+  ADD COLUMN IF NOT EXISTS channel TEXT NOT NULL DEFAULT 'sms'
+    CHECK (channel IN ('sms', 'voice', 'whatsapp', 'email'));
@@ -0,0 +1,55 @@
+-- Save a note edit and its revision in one step
+-- The note row is locked before the next revision number is read, so two
+-- concurrent edits queue up instead of both claiming the same number, and a
+-- failed revision insert rolls the edit back with it.
+
+CREATE OR REPLACE FUNCTION public.update_note_with_revision(
+  p_note_id UUID,
+  p_user_id UUID,
+  p_text TEXT,
+  p_format TEXT,
+  p_rendered_html TEXT
+)
+RETURNS SETOF public.notes
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_note public.notes%ROWTYPE;
+  v_latest INTEGER;
+BEGIN
+  SELECT * INTO v_note
+  FROM public.notes
+  WHERE id = p_note_id
+    AND user_id = p_user_id
+    AND deleted_at IS NULL
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  SELECT COALESCE(MAX(revision), 0) INTO v_latest
+  FROM public.note_revisions
+  WHERE note_id = p_note_id;
+
+  -- Notes created before versioning keep their current content as revision 1
+  IF v_latest = 0 THEN
+    INSERT INTO public.note_revisions (note_id, user_id, revision, text, format)
+    VALUES (p_note_id, p_user_id, 1, v_note.text, COALESCE(v_note.format, 'plain'));
+    v_latest := 1;
+  END IF;
+
+  UPDATE public.notes
+  SET text = p_text,
+      format = p_format,
+      rendered_html = p_rendered_html,
+      updated_at = NOW()
+  WHERE id = p_note_id
+  RETURNING * INTO v_note;
+
+  INSERT INTO public.note_revisions (note_id, user_id, revision, text, format)
+  VALUES (p_note_id, p_user_id, v_latest + 1, p_text, p_format);
+
+  RETURN NEXT v_note;
+END;
+$$;
@@ -0,0 +1,7 @@
+-- A completing upload session is claimed as 'assembling' first, so a second
+-- complete request can't put the same chunks together into another file
+
+ALTER TABLE public.upload_sessions DROP CONSTRAINT IF EXISTS upload_sessions_status_check;
+
+ALTER TABLE public.upload_sessions
+  ADD CONSTRAINT upload_sessions_status_check CHECK (status IN ('pending', 'assembling', 'completed'));
@@ -0,0 +1,85 @@
+-- Lock down delete_expired_files
+-- The function runs as its owner, so whoever can call it can purge every user's
+-- trash. It no longer takes the grace period from the caller, and only the
+-- service role and the scheduled job (run as the owner) may execute it.
+
+DROP FUNCTION IF EXISTS public.delete_expired_files(INTERVAL);
+
+CREATE OR REPLACE FUNCTION public.delete_expired_files()
+RETURNS TABLE (item_id UUID, table_source TEXT, action TEXT)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  -- Keep in step with storage.config.js autoDelete.gracePeriod
+  grace_period CONSTANT INTERVAL := INTERVAL '7 days';
+  file_record RECORD;
+  object_paths TEXT[];
+BEGIN
+  -- 1. Expired items go to the trash
+  RETURN QUERY
+    WITH trashed AS (
+      UPDATE public.files
+      SET deleted_at = NOW()
+      WHERE auto_delete = TRUE
+        AND expiry_date IS NOT NULL
+        AND expiry_date < NOW()
+        AND deleted_at IS NULL
+      RETURNING id
+    )
+    SELECT trashed.id, 'public.files'::TEXT, 'trashed'::TEXT FROM trashed;
+
+  RETURN QUERY
+    WITH trashed AS (
+      UPDATE public.notes
+      SET deleted_at = NOW()
+      WHERE "autoDelete" = TRUE
+        AND expiry_date IS NOT NULL
+        AND expiry_date < NOW()
+        AND deleted_at IS NULL
+      RETURNING id
+    )
+    SELECT trashed.id, 'public.notes'::TEXT, 'trashed'::TEXT FROM trashed;
+
+  -- 2. Items past the grace period are purged
+  FOR file_record IN
+    SELECT id, bucket_id, file_path, variants FROM public.files
+    WHERE deleted_at IS NOT NULL AND deleted_at < NOW() - grace_period
+  LOOP
+    object_paths := ARRAY[file_record.file_path]
+      || ARRAY(SELECT value->>'path' FROM jsonb_each(coalesce(file_record.variants, '{}'::jsonb)))
+      || ARRAY(SELECT fv.file_path FROM public.file_versions fv WHERE fv.file_id = file_record.id);
+
+    BEGIN
+      DELETE FROM storage.objects
+      WHERE storage.objects.bucket_id = file_record.bucket_id
+        AND storage.objects.name = ANY(object_paths);
+    EXCEPTION
+      WHEN OTHERS THEN
+        RAISE WARNING 'delete_expired_files: Could not delete storage objects for file_id: %. Error: %', file_record.id, SQLERRM;
+    END;
+
+    -- Version rows go with the file (ON DELETE CASCADE)
+    DELETE FROM public.files WHERE id = file_record.id;
+
+    item_id := file_record.id;
+    table_source := 'public.files';
+    action := 'purged';
+    RETURN NEXT;
+  END LOOP;
+
+  RETURN QUERY
+    WITH purged AS (
+      DELETE FROM public.notes
+      WHERE deleted_at IS NOT NULL AND deleted_at < NOW() - grace_period
+      RETURNING id
+    )
+    SELECT purged.id, 'public.notes'::TEXT, 'purged'::TEXT FROM purged;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.delete_expired_files() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.delete_expired_files() TO service_role;
+
+COMMENT ON FUNCTION public.delete_expired_files() IS 'Moves expired auto-delete notes and files to the trash, then permanently deletes trashed items (and their storage objects) older than the 7-day grace period. Returns one row per item with the action taken. Service role only.';
@@ -0,0 +1,58 @@
+-- Count PIN attempts before they are checked
+-- record_auth_failure counted a guess only once bcrypt had rejected it, so
+-- parallel requests all passed the lock check first and each got a guess.
+-- Now every attempt is claimed up front: a running lockout refuses it without
+-- counting, otherwise the count goes up and the caller refuses anything past
+-- its limit. A successful attempt is given back (release_auth_attempt) or the
+-- row is cleared. last_failed_at now means the last attempt claimed.
+
+CREATE OR REPLACE FUNCTION public.claim_auth_attempt(
+  p_scope TEXT,
+  p_subject TEXT,
+  p_window INTERVAL
+)
+RETURNS SETOF public.auth_lockouts
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  INSERT INTO public.auth_lockouts (scope, subject)
+  VALUES (p_scope, p_subject)
+  ON CONFLICT (scope, subject) DO NOTHING;
+
+  -- The row lock queues parallel claims, so each sees the count before it
+  RETURN QUERY
+    UPDATE public.auth_lockouts
+    SET failed_attempts = CASE
+          WHEN last_failed_at IS NULL OR last_failed_at < NOW() - p_window THEN 1
+          ELSE failed_attempts + 1
+        END,
+        last_failed_at = NOW(),
+        updated_at = NOW()
+    WHERE scope = p_scope
+      AND subject = p_subject
+      AND (locked_until IS NULL OR locked_until <= NOW())
+    RETURNING *;
+
+  -- Locked: nothing was counted, hand the row back as it is
+  IF NOT FOUND THEN
+    RETURN QUERY
+      SELECT * FROM public.auth_lockouts
+      WHERE scope = p_scope AND subject = p_subject;
+  END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.release_auth_attempt(
+  p_scope TEXT,
+  p_subject TEXT
+)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+  UPDATE public.auth_lockouts
+  SET failed_attempts = GREATEST(failed_attempts - 1, 0),
+      updated_at = NOW()
+  WHERE scope = p_scope AND subject = p_subject;
+$$;
+
+DROP FUNCTION IF EXISTS public.record_auth_failure(TEXT, TEXT, INTERVAL);
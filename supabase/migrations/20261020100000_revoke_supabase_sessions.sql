@@ -0,0 +1,47 @@
+-- End Supabase sign-ins along with app sessions
+-- Revoking a session, reporting a sign-in or resetting the PIN only ended the
+-- app session; the Supabase session made at sign-in kept working, and so did
+-- the derived Supabase password returned with it.
+--
+-- sessions.supabase_session_id links an app session to the Supabase session
+-- created with it, so revoking one ends the other. The password now also
+-- depends on user_profiles.supabase_password_version, which goes up whenever a
+-- password that went out with a sign-in must stop working. Version 0 derives
+-- the same password as before, so existing accounts keep signing in.
+
+ALTER TABLE public.sessions
+  ADD COLUMN IF NOT EXISTS supabase_session_id UUID;
+
+ALTER TABLE public.user_profiles
+  ADD COLUMN IF NOT EXISTS supabase_password_version INTEGER NOT NULL DEFAULT 0;
+
+-- Deletes the user's Supabase sessions: all of them, only p_session_ids, and
+-- never p_keep_session_id. Their refresh tokens go with them (ON DELETE
+-- CASCADE); access tokens already issued last until they expire.
+CREATE OR REPLACE FUNCTION public.end_auth_sessions(
+  p_user_id UUID,
+  p_session_ids UUID[] DEFAULT NULL,
+  p_keep_session_id UUID DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  ended INTEGER;
+BEGIN
+  DELETE FROM auth.sessions
+  WHERE user_id = p_user_id
+    AND (p_session_ids IS NULL OR id = ANY(p_session_ids))
+    AND (p_keep_session_id IS NULL OR id <> p_keep_session_id);
+
+  GET DIAGNOSTICS ended = ROW_COUNT;
+  RETURN ended;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.end_auth_sessions(UUID, UUID[], UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.end_auth_sessions(UUID, UUID[], UUID) TO service_role;
+
+COMMENT ON FUNCTION public.end_auth_sessions(UUID, UUID[], UUID) IS 'Signs a user out of Supabase: deletes their auth sessions (optionally only some, or all but one) with their refresh tokens. Returns how many ended. Service role only.';
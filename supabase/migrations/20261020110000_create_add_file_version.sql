@@ -0,0 +1,64 @@
+-- Record a new file version in one step
+-- The files row is locked before the next version number is read, so two
+-- uploads of the same file queue up instead of both claiming one number, and
+-- the row only moves to the new object together with its version record.
+
+CREATE OR REPLACE FUNCTION public.add_file_version(
+  p_file_id UUID,
+  p_user_id UUID,
+  p_file_path TEXT,
+  p_file_size BIGINT,
+  p_file_type TEXT,
+  p_public_url TEXT,
+  p_variants JSONB,
+  p_metadata JSONB
+)
+RETURNS SETOF public.files
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_file public.files%ROWTYPE;
+  v_latest INTEGER;
+BEGIN
+  SELECT * INTO v_file
+  FROM public.files
+  WHERE id = p_file_id
+    AND user_id = p_user_id
+    AND deleted_at IS NULL
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  SELECT COALESCE(MAX(version), 0) INTO v_latest
+  FROM public.file_versions
+  WHERE file_id = p_file_id;
+
+  -- Files uploaded before versioning keep their current object as a version
+  IF v_latest = 0 THEN
+    v_latest := COALESCE(v_file.current_version, 1);
+    INSERT INTO public.file_versions (file_id, user_id, version, bucket_id, file_path, file_size, content_type)
+    VALUES (p_file_id, p_user_id, v_latest, v_file.bucket_name, v_file.file_path, v_file.file_size, v_file.file_type);
+  END IF;
+
+  v_latest := GREATEST(v_latest, COALESCE(v_file.current_version, 1)) + 1;
+
+  UPDATE public.files
+  SET file_path = p_file_path,
+      file_size = p_file_size,
+      file_type = p_file_type,
+      public_url = p_public_url,
+      current_version = v_latest,
+      variants = p_variants,
+      metadata = COALESCE(metadata, '{}'::jsonb) || COALESCE(p_metadata, '{}'::jsonb),
+      updated_at = NOW()
+  WHERE id = p_file_id
+  RETURNING * INTO v_file;
+
+  INSERT INTO public.file_versions (file_id, user_id, version, bucket_id, file_path, file_size, content_type)
+  VALUES (p_file_id, p_user_id, v_latest, v_file.bucket_name, p_file_path, p_file_size, p_file_type);
+
+  RETURN NEXT v_file;
+END;
+$$;
@@ -0,0 +1,26 @@
+/**
+ * Client IP tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { clientIp } from '../../lib/core/utils/clientIp.js';
+
+describe('clientIp', () => {
+  it('takes the hop our proxy appended, not the ones the client sent', () => {
+    assert.equal(clientIp('198.51.100.1, 10.0.0.2, 203.0.113.7'), '203.0.113.7');
+  });
+
+  it('accepts a single address, as x-real-ip carries', () => {
+    assert.equal(clientIp('203.0.113.7'), '203.0.113.7');
+    assert.equal(clientIp(' 2001:db8::1 '), '2001:db8::1');
+  });
+
+  it('returns null when there is no usable address', () => {
+    assert.equal(clientIp(null), null);
+    assert.equal(clientIp(undefined), null);
+    assert.equal(clientIp(''), null);
+    assert.equal(clientIp('unknown'), null);
+    assert.equal(clientIp('198.51.100.1, '), null);
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * CSV parsing tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv } from '../../lib/core/utils/csv.js';
+
+describe('parseCsv', () => {
+  it('splits rows and fields', () => {
+    assert.deepEqual(parseCsv('name,qty\napples,3\npears,5\n'), {
+      rows: [['name', 'qty'], ['apples', '3'], ['pears', '5']],
+      truncated: false,
+    });
+  });
+
+  it('keeps delimiters, newlines and doubled quotes inside quoted fields', () => {
+    const { rows } = parseCsv('note,by\n"one, two\nthree","say ""hi"""\r\n');
+
+    assert.deepEqual(rows, [['note', 'by'], ['one, two\nthree', 'say "hi"']]);
+  });
+
+  it('detects semicolon and tab delimiters', () => {
+    assert.deepEqual(parseCsv('a;b\n1;2').rows, [['a', 'b'], ['1', '2']]);
+    assert.deepEqual(parseCsv('a\tb\n1\t2').rows, [['a', 'b'], ['1', '2']]);
+  });
+
+  it('keeps a last line without a trailing newline', () => {
+    assert.deepEqual(parseCsv('a,b\n1,').rows, [['a', 'b'], ['1', '']]);
+  });
+
+  it('stops at maxRows and says whether rows were left out', () => {
+    assert.deepEqual(parseCsv('h\n1\n2\n3\n', { maxRows: 2 }), { rows: [['h'], ['1']], truncated: true });
+    assert.equal(parseCsv('h\n1\n', { maxRows: 2 }).truncated, false);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Note revision diff tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLines } from '../../lib/core/utils/diff.js';
+
+describe('diffLines', () => {
+  it('reports identical texts as all equal', () => {
+    const { changes, stats } = diffLines('a\nb', 'a\nb');
+
+    assert.deepEqual(changes, [
+      { type: 'equal', text: 'a' },
+      { type: 'equal', text: 'b' },
+    ]);
+    assert.deepEqual(stats, { added: 0, removed: 0 });
+  });
+
+  it('shows a changed line as removed then added', () => {
+    const { changes, stats } = diffLines('one\ntwo\nthree', 'one\n2\nthree');
+
+    assert.deepEqual(changes, [
+      { type: 'equal', text: 'one' },
+      { type: 'removed', text: 'two' },
+      { type: 'added', text: '2' },
+      { type: 'equal', text: 'three' },
+    ]);
+    assert.deepEqual(stats, { added: 1, removed: 1 });
+  });
+
+  it('keeps the common lines around insertions and deletions', () => {
+    const { changes, stats } = diffLines('a\nb\nc\nd', 'a\nc\nd\ne');
+
+    assert.deepEqual(changes.map(change => `${change.type[0]} ${change.text}`), [
+      'e a',
+      'r b',
+      'e c',
+      'e d',
+      'a e',
+    ]);
+    assert.deepEqual(stats, { added: 1, removed: 1 });
+  });
+
+  it('treats a missing side as empty text', () => {
+    const { changes, stats } = diffLines(undefined, 'first line');
+
+    assert.deepEqual(changes, [
+      { type: 'removed', text: '' },
+      { type: 'added', text: 'first line' },
+    ]);
+    assert.deepEqual(stats, { added: 1, removed: 1 });
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Document text extraction tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractDocumentText } from '../../lib/core/utils/documentText.js';
+
+describe('extractDocumentText', () => {
+  it('reads RTF paragraphs, escapes and unicode, skipping font tables', async () => {
+    const rtf = String.raw`{\rtf1\ansi{\fonttbl{\f0 Arial;}}{\*\generator Word;}\f0 Caf\'e9 menu\par Price:\tab 3\u8364? \{tax\}}`;
+    const result = await extractDocumentText(Buffer.from(rtf, 'latin1'), 'application/rtf');
+
+    assert.deepEqual(result, { text: 'Café menu\nPrice:\t3€ {tax}', pageCount: null });
+  });
+
+  it('decodes plain text without its byte order mark', async () => {
+    const result = await extractDocumentText(Buffer.from('\uFEFFhello', 'utf8'), 'text/plain');
+
+    assert.deepEqual(result, { text: 'hello', pageCount: null });
+  });
+
+  it('returns null for types it has no parser for', async () => {
+    assert.equal(await extractDocumentText(Buffer.from(''), 'application/msword'), null);
+  });
+});
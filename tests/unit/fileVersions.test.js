@@ -0,0 +1,94 @@
+/**
+ * File version upload tests
+ * Storage is an in-memory bucket; add_file_version is mocked on the repository.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NEXT_PUBLIC_SUPABASE_URL ??= 'http://localhost:54321';
+process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY ??= 'test-anon-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY ??= 'test-service-role-key';
+
+// The registry first: StorageService and lib/services/index.js import each other
+await import('../../lib/services/index.js');
+const { StorageService } = await import('../../lib/services/storage/StorageService.js');
+const { DatabaseError, NotFoundError } = await import('../../lib/core/errors/index.js');
+
+const USER = 'user-1';
+
+const existingFile = {
+  id: 'file-1',
+  file_name: 'report.pdf',
+  file_path: `${USER}/1_report.pdf`,
+  bucket_name: 'documents',
+  current_version: 2,
+  variants: null,
+};
+
+const upload = new File(['new content'], 'report.pdf', { type: 'application/pdf' });
+
+/**
+ * A bucket that keeps object paths and counts removals
+ */
+const createStorage = () => {
+  const objects = new Set();
+  const bucket = {
+    upload: async (path) => { objects.add(path); return { error: null }; },
+    getPublicUrl: (path) => ({ data: { publicUrl: `https://cdn.test/${path}` } }),
+    remove: async (paths) => { paths.forEach(path => objects.delete(path)); return { error: null }; },
+  };
+  return { objects, storage: { from: () => bucket } };
+};
+
+describe('StorageService.uploadFileVersion', () => {
+  let service;
+  let objects;
+
+  beforeEach(() => {
+    service = new StorageService();
+    const bucket = createStorage();
+    objects = bucket.objects;
+    service.client = { storage: bucket.storage };
+    mock.method(service, 'pruneFileVersions', async () => 0);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('records the upload as the version the database hands out', async () => {
+    const addVersion = mock.method(service.fileRepository, 'addVersion', async (fileId, userId, fields) => ({
+      ...existingFile,
+      file_path: fields.filePath,
+      public_url: fields.publicUrl,
+      current_version: 3,
+    }));
+
+    const uploaded = await service.uploadFileVersion(existingFile, upload, USER, 'documents');
+
+    assert.equal(uploaded.version, 3);
+    const [fileId, userId, fields] = addVersion.mock.calls[0].arguments;
+    assert.deepEqual([fileId, userId], ['file-1', USER]);
+    assert.equal(fields.filePath, uploaded.filePath);
+    assert.ok(objects.has(uploaded.filePath));
+  });
+
+  it('removes the uploaded object when the version can\'t be recorded', async () => {
+    mock.method(service.fileRepository, 'addVersion', async () => {
+      throw new DatabaseError('duplicate key value violates unique constraint');
+    });
+
+    await assert.rejects(service.uploadFileVersion(existingFile, upload, USER, 'documents'), DatabaseError);
+
+    assert.equal(objects.size, 0);
+  });
+
+  it('removes the uploaded object when the file went to the trash meanwhile', async () => {
+    mock.method(service.fileRepository, 'addVersion', async () => null);
+
+    await assert.rejects(service.uploadFileVersion(existingFile, upload, USER, 'documents'), NotFoundError);
+
+    assert.equal(objects.size, 0);
+  });
+});
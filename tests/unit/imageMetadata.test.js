@@ -0,0 +1,66 @@
+/**
+ * Image metadata tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { readImageMetadata, canStripMetadata, stripSensitiveMetadata } from '../../lib/core/utils/imageMetadata.js';
+
+// A phone photo: camera, capture time, location and a serial number
+const taggedPhoto = () => sharp({
+  create: { width: 64, height: 48, channels: 3, background: { r: 200, g: 120, b: 30 } },
+})
+  .withExif({
+    IFD0: { Make: 'Pixel', Model: 'Pixel 8' },
+    IFD2: { DateTimeOriginal: '2026:10:01 09:30:00', BodySerialNumber: 'SN-1234' },
+    IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '0/1 20/1 0/1', GPSLongitudeRef: 'E', GPSLongitude: '32/1 35/1 0/1' },
+  })
+  .jpeg()
+  .toBuffer();
+
+describe('readImageMetadata', () => {
+  it('reads the camera, capture time, location and identifiers', async () => {
+    const details = await readImageMetadata(await taggedPhoto());
+
+    assert.equal(details.width, 64);
+    assert.equal(details.height, 48);
+    assert.deepEqual(details.camera, { make: 'Pixel', model: 'Pixel 8', lens: undefined });
+    assert.equal(details.capturedAt, '2026-10-01T09:30:00.000Z');
+    assert.equal(details.hasLocation, true);
+    assert.equal(details.hasDeviceIdentifiers, true);
+  });
+
+  it('reports nothing for an image without EXIF', async () => {
+    const plain = await sharp({
+      create: { width: 10, height: 10, channels: 3, background: { r: 0, g: 0, b: 0 } },
+    }).png().toBuffer();
+    const details = await readImageMetadata(plain);
+
+    assert.equal(details.camera, null);
+    assert.equal(details.capturedAt, null);
+    assert.equal(details.hasLocation, false);
+    assert.equal(details.hasDeviceIdentifiers, false);
+  });
+});
+
+describe('stripSensitiveMetadata', () => {
+  it('drops location and serial numbers but keeps the camera and date', async () => {
+    const source = await taggedPhoto();
+    const stripped = await stripSensitiveMetadata(source, 'image/jpeg', await readImageMetadata(source));
+    const details = await readImageMetadata(stripped);
+
+    assert.equal(details.hasLocation, false);
+    assert.equal(details.hasDeviceIdentifiers, false);
+    assert.equal(details.camera.model, 'Pixel 8');
+    assert.equal(details.capturedAt, '2026-10-01T09:30:00.000Z');
+    assert.equal((await sharp(stripped).metadata()).format, 'jpeg');
+  });
+});
+
+describe('canStripMetadata', () => {
+  it('only strips formats it can re-encode as the same type', () => {
+    assert.equal(canStripMetadata('image/png'), true);
+    assert.equal(canStripMetadata('image/gif'), false);
+  });
+});
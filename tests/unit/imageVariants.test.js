@@ -0,0 +1,47 @@
+/**
+ * Image variant tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { getVariantPath, generateImageVariants } from '../../lib/core/utils/imageVariants.js';
+
+const solidImage = (width, height) => sharp({
+  create: { width, height, channels: 3, background: { r: 40, g: 90, b: 160 } },
+}).png().toBuffer();
+
+describe('getVariantPath', () => {
+  it('puts the variant next to the original as webp', () => {
+    assert.equal(getVariantPath('u1/1700000000_photo.jpg', 'thumbnail'), 'u1/1700000000_photo_thumbnail.webp');
+  });
+
+  it('only replaces the file extension', () => {
+    assert.equal(getVariantPath('u1.d/scan', 'medium'), 'u1.d/scan_medium.webp');
+  });
+});
+
+describe('generateImageVariants', () => {
+  it('scales to fit inside each size, keeping the aspect ratio', async () => {
+    const variants = await generateImageVariants(await solidImage(1200, 800), {
+      thumbnail: { width: 300, height: 300, quality: 70 },
+      medium: { width: 800, height: 600, quality: 80 },
+    });
+
+    assert.deepEqual(variants.map(({ name, width, height }) => ({ name, width, height })), [
+      { name: 'thumbnail', width: 300, height: 200 },
+      { name: 'medium', width: 800, height: 533 },
+    ]);
+    assert.equal((await sharp(variants[0].buffer).metadata()).format, 'webp');
+    assert.equal(variants[0].size, variants[0].buffer.length);
+  });
+
+  it('never enlarges a small image', async () => {
+    const [large] = await generateImageVariants(await solidImage(200, 100), {
+      large: { width: 1920, height: 1080, quality: 85 },
+    });
+
+    assert.equal(large.width, 200);
+    assert.equal(large.height, 100);
+  });
+});
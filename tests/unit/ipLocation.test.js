@@ -0,0 +1,77 @@
+/**
+ * IP location tests
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { lookupIpLocation, networkPrefix } from '../../lib/core/utils/ipLocation.js';
+
+describe('lookupIpLocation', () => {
+  let dir;
+
+  // A DB-IP country file in miniature; the database loads once, on first lookup
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'iplocation-'));
+    const file = path.join(dir, 'dbip-country-lite.csv');
+    await writeFile(file, [
+      '1.0.0.0,1.0.0.255,AU',
+      '203.0.113.0,203.0.113.255,UG',
+      '198.51.100.0,198.51.100.255,ZZ',
+      '2001:db8::,2001:db8:ffff:ffff:ffff:ffff:ffff:ffff,DE',
+    ].join('\n'));
+    process.env.IP_LOCATION_DB = file;
+  });
+
+  after(async () => {
+    delete process.env.IP_LOCATION_DB;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('labels private and loopback addresses without a lookup', async () => {
+    for (const ip of ['127.0.0.1', '10.1.2.3', '192.168.0.10', '172.20.0.1', '::1', '::ffff:192.168.1.1']) {
+      assert.equal((await lookupIpLocation(ip))?.label, 'Local network', ip);
+    }
+  });
+
+  it('finds IPv4 and IPv6 addresses in their ranges', async () => {
+    assert.deepEqual(await lookupIpLocation('203.0.113.7'), {
+      countryCode: 'UG',
+      region: null,
+      city: null,
+      country: 'Uganda',
+      label: 'Uganda',
+    });
+    assert.equal((await lookupIpLocation('2001:db8::1'))?.countryCode, 'DE');
+  });
+
+  it('uses the hop our proxy appended', async () => {
+    assert.equal((await lookupIpLocation('1.0.0.1, 203.0.113.7'))?.countryCode, 'UG');
+  });
+
+  it('returns null for unassigned, unknown and missing addresses', async () => {
+    assert.equal(await lookupIpLocation('198.51.100.4'), null);
+    assert.equal(await lookupIpLocation('8.8.8.8'), null);
+    assert.equal(await lookupIpLocation('unknown'), null);
+    assert.equal(await lookupIpLocation(null), null);
+  });
+});
+
+describe('networkPrefix', () => {
+  it('gives addresses in the same network the same key', () => {
+    assert.equal(networkPrefix('203.0.113.7'), networkPrefix('203.0.113.200'));
+    assert.notEqual(networkPrefix('203.0.113.7'), networkPrefix('203.0.114.7'));
+    assert.equal(networkPrefix('2001:db8:1:2::1'), networkPrefix('2001:db8:1:ffff::1'));
+  });
+
+  it('honours the prefix lengths', () => {
+    assert.equal(networkPrefix('203.0.113.7', 16), networkPrefix('203.0.114.7', 16));
+  });
+
+  it('returns null for addresses it can\'t read', () => {
+    assert.equal(networkPrefix('not-an-ip'), null);
+    assert.equal(networkPrefix(undefined), null);
+  });
+});
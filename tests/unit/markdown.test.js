@@ -0,0 +1,52 @@
+/**
+ * Markdown rendering tests
+ * Note HTML is built from the note text on every render, so the renderer
+ * itself has to keep user markup out.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown, renderNoteHtml } from '../../lib/core/utils/markdown.js';
+
+describe('renderMarkdown', () => {
+  it('escapes raw HTML', () => {
+    const html = renderMarkdown('<script>alert(1)</script>\n\n<img src=x onerror=alert(1)>');
+
+    assert.ok(!html.includes('<script>'));
+    assert.ok(!html.includes('<img'));
+    assert.ok(html.includes('&lt;script&gt;'));
+  });
+
+  it('refuses javascript: link targets', () => {
+    const html = renderMarkdown('[click](javascript:alert(1))');
+
+    assert.ok(!html.includes('href="javascript:'));
+  });
+
+  it('opens links in a new tab without the opener', () => {
+    const html = renderMarkdown('[docs](https://example.com)');
+
+    assert.match(html, /<a href="https:\/\/example\.com" target="_blank" rel="noopener noreferrer nofollow">docs<\/a>/);
+  });
+
+  it('renders task list items as read-only checkboxes', () => {
+    const html = renderMarkdown('- [ ] todo\n- [x] done');
+
+    assert.ok(html.includes('<input type="checkbox" disabled> todo'));
+    assert.ok(html.includes('<input type="checkbox" disabled checked> done'));
+  });
+
+  it('returns an empty string for empty input', () => {
+    assert.equal(renderMarkdown(''), '');
+  });
+});
+
+describe('renderNoteHtml', () => {
+  it('has no rendered form for plain notes', () => {
+    assert.equal(renderNoteHtml('**bold**', 'plain'), null);
+  });
+
+  it('renders markdown notes', () => {
+    assert.equal(renderNoteHtml('**bold**', 'markdown'), '<p><strong>bold</strong></p>\n');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * OTP delivery channel tests
+ */
+
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { BaseOTPProvider, OTP_CHANNELS } from '../../lib/otp/BaseOTPProvider.js';
+import { MockOTPProvider } from '../../lib/otp/providers/MockOTPProvider.js';
+import { TwilioOTPProvider } from '../../lib/otp/providers/TwilioOTPProvider.js';
+import { InfobipOTPProvider } from '../../lib/otp/providers/InfobipOTPProvider.js';
+import { WebhookOTPProvider } from '../../lib/otp/providers/WebhookOTPProvider.js';
+import { SmtpOTPProvider } from '../../lib/otp/providers/SmtpOTPProvider.js';
+
+const PHONE = '+256772345678';
+
+const twilio = (config = {}) =>
+  new TwilioOTPProvider({ accountSid: 'AC123', authToken: 'token', fromPhoneNumber: '+15005550006', ...config });
+
+describe('BaseOTPProvider.codeMessage', () => {
+  const provider = new BaseOTPProvider({});
+
+  it('puts the code in a text as it is', () => {
+    assert.equal(provider.codeMessage('123456'), 'Your AeroNotes verification code is: 123456');
+    assert.equal(provider.codeMessage('123456', 'whatsapp'), 'Your AeroNotes verification code is: 123456');
+  });
+
+  it('spells the code out twice for a call', () => {
+    assert.equal(
+      provider.codeMessage('4K7Q', 'voice'),
+      'Your AeroNotes verification code is 4, K, 7, Q. Again, 4, K, 7, Q.'
+    );
+  });
+});
+
+describe('getSupportedChannels', () => {
+  it('defaults to SMS', () => {
+    assert.deepEqual(new BaseOTPProvider({}).getSupportedChannels(), ['sms']);
+  });
+
+  it('lets the mock deliver on every channel', () => {
+    assert.deepEqual(new MockOTPProvider().getSupportedChannels(), OTP_CHANNELS);
+  });
+
+  it('follows the Twilio API in use', () => {
+    assert.deepEqual(twilio().getSupportedChannels(), ['sms', 'voice']);
+    assert.deepEqual(twilio({ serviceSid: 'VA123' }).getSupportedChannels(), ['sms', 'voice', 'whatsapp']);
+  });
+
+  it('covers SMS and voice on Infobip, email on SMTP and the configured webhook channels', () => {
+    assert.deepEqual(new InfobipOTPProvider({}).getSupportedChannels(), ['sms', 'voice']);
+    assert.deepEqual(new SmtpOTPProvider({}).getSupportedChannels(), ['email']);
+    assert.deepEqual(new WebhookOTPProvider({}).getSupportedChannels(), ['sms']);
+    assert.deepEqual(new WebhookOTPProvider({ channels: ['sms', 'whatsapp'] }).getSupportedChannels(), ['sms', 'whatsapp']);
+  });
+});
+
+describe('sendOTP channels', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('refuses channels a provider doesn\'t support', async () => {
+    assert.deepEqual(await twilio().sendOTP(PHONE, '123456', { channel: 'whatsapp' }), {
+      success: false,
+      error: 'Twilio cannot send codes by whatsapp in this mode'
+    });
+    assert.deepEqual(await new InfobipOTPProvider({}).sendOTP(PHONE, '123456', { channel: 'email' }), {
+      success: false,
+      error: 'Infobip cannot send codes by email'
+    });
+    assert.deepEqual(await new WebhookOTPProvider({ url: 'https://gateway.test' }).sendOTP(PHONE, '123456', { channel: 'voice' }), {
+      success: false,
+      error: 'Webhook gateway does not deliver by voice'
+    });
+  });
+
+  it('only emails codes over SMTP, and only with an address', async () => {
+    const provider = new SmtpOTPProvider({ host: 'localhost', from: 'codes@aeronotes.test' });
+
+    assert.deepEqual(await provider.sendOTP(PHONE, '123456', { channel: 'sms' }), {
+      success: false,
+      error: 'SMTP provider cannot send codes by sms'
+    });
+    assert.deepEqual(await provider.sendOTP(PHONE, '123456'), {
+      success: false,
+      error: 'An email address is required for the email channel'
+    });
+  });
+
+  it('reads the code out on a Twilio call', async () => {
+    const provider = twilio();
+    const placeCall = mock.method(provider, 'placeCall', async () => ({ success: true, messageId: 'CA1' }));
+    const sendSms = mock.method(provider, 'sendSms', async () => ({ success: true, messageId: 'SM1' }));
+
+    await provider.sendOTP(PHONE, '123', { channel: 'voice' });
+    await provider.sendOTP(PHONE, '123');
+
+    assert.deepEqual(placeCall.mock.calls[0].arguments, [PHONE, 'Your AeroNotes verification code is 1, 2, 3. Again, 1, 2, 3.']);
+    assert.deepEqual(sendSms.mock.calls[0].arguments, [PHONE, 'Your AeroNotes verification code is: 123']);
+  });
+
+  it('spells the code for webhook calls and fills the template otherwise', async () => {
+    const provider = new WebhookOTPProvider({
+      url: 'https://gateway.test/send',
+      channels: ['sms', 'voice'],
+      body: { to: '{phone}', text: '{message}', via: '{channel}' },
+      messageTemplate: 'AeroNotes code {otp}'
+    });
+    const fetch = mock.method(globalThis, 'fetch', async () => new Response('{"id":"g1"}'));
+
+    await provider.sendOTP(PHONE, '42', { channel: 'voice' });
+    await provider.sendOTP(PHONE, '42');
+
+    const [voice, sms] = fetch.mock.calls.map(call => JSON.parse(call.arguments[1].body));
+    assert.deepEqual(voice, { to: PHONE, text: 'Your AeroNotes verification code is 4, 2. Again, 4, 2.', via: 'voice' });
+    assert.deepEqual(sms, { to: PHONE, text: 'AeroNotes code 42', via: 'sms' });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * One-time code format tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  otpAlphabet,
+  normalizeOTP,
+  sanitizeOTPInput,
+  isValidOTPFormat,
+  otpInputMode
+} from '../../lib/core/utils/otpFormat.js';
+
+const numeric = { format: 'numeric', caseInsensitive: false };
+const alphanumeric = { format: 'alphanumeric', caseInsensitive: true };
+const caseSensitiveAlpha = { format: 'alpha', caseInsensitive: false };
+
+describe('otpAlphabet', () => {
+  it('draws case-insensitive codes from upper case only', () => {
+    assert.equal(otpAlphabet(numeric), '0123456789');
+    assert.equal(otpAlphabet(alphanumeric), '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ');
+    assert.equal(otpAlphabet(caseSensitiveAlpha).length, 52);
+  });
+});
+
+describe('normalizeOTP', () => {
+  it('drops spaces and dashes', () => {
+    assert.equal(normalizeOTP(' 123-456 ', numeric), '123456');
+  });
+
+  it('upper-cases only when case doesn\'t matter', () => {
+    assert.equal(normalizeOTP('ab12-cd', alphanumeric), 'AB12CD');
+    assert.equal(normalizeOTP('abCD', caseSensitiveAlpha), 'abCD');
+  });
+
+  it('treats a missing code as empty', () => {
+    assert.equal(normalizeOTP(undefined, numeric), '');
+  });
+});
+
+describe('sanitizeOTPInput', () => {
+  it('keeps only characters the format can contain, up to the longest code', () => {
+    assert.equal(sanitizeOTPInput('12a3 4-5b678901', numeric), '12345678');
+    assert.equal(sanitizeOTPInput('ab-1!2c', alphanumeric), 'AB12C');
+  });
+});
+
+describe('isValidOTPFormat', () => {
+  it('accepts codes of 4 to 8 characters from the alphabet', () => {
+    assert.equal(isValidOTPFormat('1234', numeric), true);
+    assert.equal(isValidOTPFormat('12345678', numeric), true);
+    assert.equal(isValidOTPFormat('AB12CD', alphanumeric), true);
+  });
+
+  it('refuses other lengths, characters and types', () => {
+    assert.equal(isValidOTPFormat('123', numeric), false);
+    assert.equal(isValidOTPFormat('123456789', numeric), false);
+    assert.equal(isValidOTPFormat('12a456', numeric), false);
+    assert.equal(isValidOTPFormat('ab12cd', alphanumeric), false);
+    assert.equal(isValidOTPFormat(123456, numeric), false);
+  });
+});
+
+describe('otpInputMode', () => {
+  it('shows the number pad for numeric codes only', () => {
+    assert.equal(otpInputMode(numeric), 'numeric');
+    assert.equal(otpInputMode(alphanumeric), 'text');
+  });
+});
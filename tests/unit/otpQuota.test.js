@@ -0,0 +1,98 @@
+/**
+ * OTP send quota tests
+ * The reserve_otp_send call is stubbed; these cover what the service makes of
+ * its answer and which limits it asks for.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NEXT_PUBLIC_SUPABASE_URL ??= 'http://localhost:54321';
+process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY ??= 'test-anon-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY ??= 'test-service-role-key';
+
+const { OTPQuotaService } = await import('../../lib/services/otp/OTPQuotaService.js');
+const { RateLimitError, ValidationError } = await import('../../lib/core/errors/index.js');
+
+const PHONE = '+256772345678';
+const NOW = Date.parse('2026-10-20T12:00:00.000Z');
+
+const createService = (answer) => {
+  const service = new OTPQuotaService();
+  service.sendRequestRepository = { reserve: mock.fn(async () => answer) };
+  service.otpConfig = {
+    ...service.otpConfig,
+    validation: { phoneNumber: { allowedCountries: [], blockedCountries: ['882'] } },
+  };
+  return service;
+};
+
+describe('OTPQuotaService.reserveSend', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('returns when the next code may be sent', async () => {
+    const service = createService({ allowed: true, reason: null, retry_at: '2026-10-20T12:05:00Z', request_id: 'r1' });
+
+    const result = await service.reserveSend(PHONE, { purpose: 'signup' });
+
+    assert.deepEqual(result, { reservationId: 'r1', resendAt: '2026-10-20T12:05:00.000Z', retryAfter: 300 });
+  });
+
+  it('rounds part seconds up and never answers less than one', async () => {
+    const later = createService({ allowed: true, retry_at: new Date(NOW + 1500).toISOString(), request_id: 'r1' });
+    const past = createService({ allowed: true, retry_at: new Date(NOW - 60000).toISOString(), request_id: 'r2' });
+
+    assert.equal((await later.reserveSend(PHONE, { purpose: 'signup' })).retryAfter, 2);
+    assert.equal((await past.reserveSend(PHONE, { purpose: 'signup' })).retryAfter, 1);
+  });
+
+  it('refuses with the wait in seconds and whole minutes', async () => {
+    const service = createService({ allowed: false, reason: 'daily_limit', retry_at: new Date(NOW + 61000).toISOString() });
+
+    await assert.rejects(service.reserveSend(PHONE, { purpose: 'signup' }), (error) => {
+      assert.ok(error instanceof RateLimitError);
+      assert.equal(error.message, 'Too many codes have been sent to this number today. Try again in 2 minute(s).');
+      assert.deepEqual(error.details, { retryAfter: 61, retryAt: '2026-10-20T12:01:01.000Z' });
+      return true;
+    });
+  });
+
+  it('keys the IP limit on the hop the proxy saw', async () => {
+    const service = createService({ allowed: true, retry_at: new Date(NOW).toISOString(), request_id: 'r1' });
+
+    await service.reserveSend(PHONE, { purpose: 'signup', ipAddress: '198.51.100.1, 203.0.113.7' });
+    await service.reserveSend(PHONE, { purpose: 'signup', ipAddress: 'unknown' });
+
+    assert.equal(service.sendRequestRepository.reserve.mock.calls[0].arguments[0].p_ip, '203.0.113.7');
+    assert.equal(service.sendRequestRepository.reserve.mock.calls[1].arguments[0].p_ip, null);
+  });
+
+  it('applies the country override for the calling code', async () => {
+    const service = createService({ allowed: true, retry_at: new Date(NOW).toISOString(), request_id: 'r1' });
+
+    await service.reserveSend(PHONE, { purpose: 'signup' });
+    await service.reserveSend('+447911123456', { purpose: 'signup' });
+
+    const [home, abroad] = service.sendRequestRepository.reserve.mock.calls.map(call => call.arguments[0]);
+    assert.equal(home.p_calling_code, '256');
+    assert.equal(home.p_country_limit, 1000);
+    assert.equal(abroad.p_calling_code, '44');
+    assert.equal(abroad.p_country_limit, 50);
+    assert.equal(home.p_cooldown, '5 minutes');
+  });
+
+  it('turns blocked countries away before reserving', async () => {
+    const service = createService({ allowed: true });
+
+    await assert.rejects(service.reserveSend('+882123456789', { purpose: 'signup' }), ValidationError);
+    assert.equal(service.sendRequestRepository.reserve.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * OTP provider chain tests
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NEXT_PUBLIC_SUPABASE_URL ??= 'http://localhost:54321';
+process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY ??= 'test-anon-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY ??= 'test-service-role-key';
+
+const { OTPService } = await import('../../lib/otp/OTPService.js');
+const { MockOTPProvider } = await import('../../lib/otp/providers/MockOTPProvider.js');
+const { ScriptedOTPProvider } = await import('../../lib/otp/providers/ScriptedOTPProvider.js');
+
+class UnconfiguredProvider extends ScriptedOTPProvider {
+  isConfigured() {
+    return false;
+  }
+}
+
+const createService = (providers) => {
+  const service = new OTPService();
+  service.sleep = async () => {};
+  service.registerProvider('mock', new MockOTPProvider());
+  for (const [name, provider] of Object.entries(providers)) {
+    service.registerProvider(name, provider);
+  }
+  return service;
+};
+
+const sendCode = (service) =>
+  service.deliver('otp', provider => provider.sendOTP('+256772345678', '123456', { channel: 'sms' }), { channel: 'sms' });
+
+describe('OTPService.setProviderChain', () => {
+  const nodeEnv = process.env.NODE_ENV;
+
+  beforeEach(() => {
+    delete process.env.OTP_FALLBACK_PROVIDER;
+  });
+
+  afterEach(() => {
+    if (nodeEnv === undefined) {
+      delete process.env.NODE_ENV;
+    } else {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  });
+
+  it('skips unknown and unconfigured providers and repeats', () => {
+    process.env.NODE_ENV = 'development';
+    const service = createService({ primary: new ScriptedOTPProvider(), broken: new UnconfiguredProvider() });
+
+    service.setProviderChain(['missing', 'broken', 'primary', 'primary']);
+
+    assert.deepEqual(service.providerChain, ['primary', 'mock']);
+  });
+
+  it('falls back to the mock outside production', () => {
+    process.env.NODE_ENV = 'development';
+    const service = createService({ broken: new UnconfiguredProvider() });
+
+    service.setProviderChain(['broken']);
+
+    assert.deepEqual(service.providerChain, ['mock']);
+  });
+
+  it('never falls back to the mock in production', async () => {
+    process.env.NODE_ENV = 'production';
+    const service = createService({ broken: new UnconfiguredProvider() });
+
+    service.setProviderChain(['broken']);
+
+    assert.deepEqual(service.providerChain, []);
+    assert.equal(service.activeProvider, null);
+    assert.deepEqual(await sendCode(service), { success: false, error: 'No OTP provider available', attempts: [] });
+  });
+
+  it('still uses a mock the production chain names', () => {
+    process.env.NODE_ENV = 'production';
+    const service = createService({});
+
+    service.setProviderChain(['mock']);
+
+    assert.deepEqual(service.providerChain, ['mock']);
+  });
+});
+
+describe('OTPService.deliver', () => {
+  it('retries a failing provider, then moves down the chain', async () => {
+    const primary = new ScriptedOTPProvider({ then: 'fail' });
+    const backup = new ScriptedOTPProvider();
+    const service = createService({ primary, backup });
+    service.providerChain = ['primary', 'backup'];
+
+    const result = await sendCode(service);
+
+    assert.equal(result.success, true);
+    assert.equal(result.provider, 'backup');
+    assert.equal(primary.sent.length, 2); // One try and one retry
+    assert.equal(backup.sent.length, 1);
+  });
+
+  it('reports every provider that failed', async () => {
+    const service = createService({
+      primary: new ScriptedOTPProvider({ then: 'fail' }),
+      backup: new ScriptedOTPProvider({ then: 'throw' }),
+    });
+    service.providerChain = ['primary', 'backup'];
+
+    const result = await sendCode(service);
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.attempts.map(attempt => attempt.provider), ['primary', 'backup']);
+    assert.match(result.error, /^All OTP providers failed: primary \(.+\), backup \(.+threw\)$/);
+  });
+
+  it('skips providers that can\'t send on the channel', async () => {
+    const voiceOnly = new ScriptedOTPProvider({ channels: ['voice'] });
+    const service = createService({ voiceOnly, sms: new ScriptedOTPProvider() });
+    service.providerChain = ['voiceOnly', 'sms'];
+
+    const result = await sendCode(service);
+
+    assert.equal(result.provider, 'sms');
+    assert.equal(voiceOnly.sent.length, 0);
+  });
+});
+
+describe('OTPService.deliverCode', () => {
+  const sendBy = (service, channel, options = {}) =>
+    service.deliverCode('+256772345678', '123456', { channel, fallback: true, ...options });
+
+  it('falls back to the next channel when every provider fails', async () => {
+    const sms = new ScriptedOTPProvider({ channels: ['sms'], then: 'fail' });
+    const whatsapp = new ScriptedOTPProvider({ channels: ['whatsapp'] });
+    const service = createService({ sms, whatsapp });
+    service.providerChain = ['sms', 'whatsapp'];
+
+    const result = await sendBy(service, 'sms');
+
+    assert.equal(result.success, true);
+    assert.equal(result.channel, 'whatsapp');
+    assert.equal(whatsapp.sent[0].channel, 'whatsapp');
+  });
+
+  it('sticks to the requested channel without fallback', async () => {
+    const service = createService({
+      sms: new ScriptedOTPProvider({ channels: ['sms'], then: 'fail' }),
+      voice: new ScriptedOTPProvider({ channels: ['voice'] }),
+    });
+    service.providerChain = ['sms', 'voice'];
+
+    const result = await sendBy(service, 'sms', { fallback: false });
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /^sms: All OTP providers failed/);
+  });
+
+  it('only falls back to email with an address', async () => {
+    const email = new ScriptedOTPProvider({ channels: ['email'] });
+    const service = createService({ voice: new ScriptedOTPProvider({ channels: ['voice'], then: 'fail' }), email });
+    service.providerChain = ['voice', 'email'];
+
+    const without = await sendBy(service, 'voice');
+    const withAddress = await sendBy(service, 'voice', { email: 'user@aeronotes.test' });
+
+    assert.equal(without.success, false);
+    assert.equal(withAddress.channel, 'email');
+    assert.equal(email.sent.length, 1);
+  });
+
+  it('says so when no provider can send on any channel tried', async () => {
+    const service = createService({ sms: new ScriptedOTPProvider({ channels: ['sms'] }) });
+    service.providerChain = ['sms'];
+
+    assert.deepEqual(await sendBy(service, 'voice', { fallback: false }), {
+      success: false,
+      error: 'No OTP provider can send by voice'
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * OTP storage tests
+ * The Supabase client is swapped for an in-memory table so the hashing and
+ * attempt counting run as they do against the database.
+ */
+
+import { describe, it, before, beforeEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NEXT_PUBLIC_SUPABASE_URL ??= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY ??= 'test-service-role-key';
+process.env.OTP_HASH_SECRET = 'test-otp-hash-secret';
+
+const { default: supabaseAdmin } = await import('../../lib/supabaseAdmin.js');
+const { OTPStorage } = await import('../../lib/otp/OTPStorage.js');
+
+const PHONE = '+256772345678';
+
+/**
+ * Just enough of the query builder for OTPStorage: filters, select,
+ * insert, update and delete, awaited directly or through maybeSingle()
+ */
+const createTable = (rows) => () => {
+  let operation = 'select';
+  let values = null;
+  const filters = [];
+
+  const run = () => {
+    if (operation === 'insert') {
+      rows.push({ id: crypto.randomUUID(), ...values });
+      return [];
+    }
+    const matched = rows.filter(row => filters.every(test => test(row)));
+    if (operation === 'update') {
+      matched.forEach(row => Object.assign(row, values));
+    } else if (operation === 'delete') {
+      matched.forEach(row => rows.splice(rows.indexOf(row), 1));
+    }
+    return matched.map(row => ({ ...row }));
+  };
+
+  const builder = {
+    select: () => builder,
+    insert: (row) => { operation = 'insert'; values = row; return builder; },
+    update: (changes) => { operation = 'update'; values = changes; return builder; },
+    delete: () => { operation = 'delete'; return builder; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    lt: (column, value) => { filters.push(row => row[column] < value); return builder; },
+    maybeSingle: async () => ({ data: run()[0] ?? null, error: null }),
+    then: (resolve, reject) => Promise.resolve({ data: run(), error: null }).then(resolve, reject),
+  };
+  return builder;
+};
+
+describe('OTPStorage.hashCode', () => {
+  it('is a stable hex HMAC', () => {
+    const hash = OTPStorage.hashCode(PHONE, 'signup', '123456', 'salt');
+    assert.match(hash, /^[0-9a-f]{64}$/);
+    assert.equal(OTPStorage.hashCode(PHONE, 'signup', '123456', 'salt'), hash);
+  });
+
+  it('binds the code to the number, purpose and salt', () => {
+    const hash = OTPStorage.hashCode(PHONE, 'signup', '123456', 'salt');
+    assert.notEqual(OTPStorage.hashCode('+256772345679', 'signup', '123456', 'salt'), hash);
+    assert.notEqual(OTPStorage.hashCode(PHONE, 'reset', '123456', 'salt'), hash);
+    assert.notEqual(OTPStorage.hashCode(PHONE, 'signup', '123457', 'salt'), hash);
+    assert.notEqual(OTPStorage.hashCode(PHONE, 'signup', '123456', 'pepper'), hash);
+  });
+});
+
+describe('OTPStorage.verifyOTP', () => {
+  let rows;
+
+  before(() => {
+    mock.method(supabaseAdmin, 'from', (...args) => createTable(rows)(...args));
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  beforeEach(async () => {
+    rows = [];
+    const stored = await OTPStorage.storeOTP(PHONE, '123456', { purpose: 'signup', maxAttempts: 3 });
+    assert.deepEqual(stored, { success: true });
+  });
+
+  it('stores a salted hash, never the code', () => {
+    assert.equal(rows.length, 1);
+    assert.equal(JSON.stringify(rows[0]).includes('123456'), false);
+    assert.equal(rows[0].code_hash, OTPStorage.hashCode(PHONE, 'signup', '123456', rows[0].salt));
+  });
+
+  it('accepts the right code once', async () => {
+    assert.equal((await OTPStorage.verifyOTP(PHONE, '123456', { purpose: 'signup' })).success, true);
+    assert.equal(rows.length, 0);
+    assert.equal((await OTPStorage.verifyOTP(PHONE, '123456', { purpose: 'signup' })).success, false);
+  });
+
+  it('only checks codes sent for the same purpose', async () => {
+    const result = await OTPStorage.verifyOTP(PHONE, '123456', { purpose: 'reset' });
+    assert.equal(result.success, false);
+    assert.equal(rows.length, 1);
+  });
+
+  it('counts wrong guesses and discards the code at the limit', async () => {
+    assert.deepEqual(await OTPStorage.verifyOTP(PHONE, '000000', { purpose: 'signup' }), {
+      success: false,
+      error: 'Invalid OTP code',
+    });
+    assert.equal(rows[0].attempts, 1);
+
+    await OTPStorage.verifyOTP(PHONE, '000000', { purpose: 'signup' });
+    const last = await OTPStorage.verifyOTP(PHONE, '000000', { purpose: 'signup' });
+    assert.equal(last.attemptsExhausted, true);
+    assert.equal(rows.length, 0);
+
+    // The right code is no good once the guesses are used up
+    assert.equal((await OTPStorage.verifyOTP(PHONE, '123456', { purpose: 'signup' })).success, false);
+  });
+
+  it('refuses a code whose attempts were already used', async () => {
+    rows[0].attempts = 3;
+    const result = await OTPStorage.verifyOTP(PHONE, '123456', { purpose: 'signup' });
+    assert.equal(result.attemptsExhausted, true);
+    assert.equal(rows.length, 0);
+  });
+
+  it('refuses and removes an expired code', async () => {
+    rows[0].expires_at = new Date(Date.now() - 1000).toISOString();
+    const result = await OTPStorage.verifyOTP(PHONE, '123456', { purpose: 'signup' });
+    assert.equal(result.expired, true);
+    assert.equal(rows.length, 0);
+  });
+
+  it('lets only one of two simultaneous checks use an attempt', async () => {
+    const results = await Promise.all([
+      OTPStorage.verifyOTP(PHONE, '123456', { purpose: 'signup' }),
+      OTPStorage.verifyOTP(PHONE, '123456', { purpose: 'signup' }),
+    ]);
+    assert.deepEqual(results.map(result => result.success).sort(), [false, true]);
+  });
+});
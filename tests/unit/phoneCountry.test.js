@@ -0,0 +1,33 @@
+/**
+ * Calling code tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { callingCode } from '../../lib/core/utils/phoneCountry.js';
+
+describe('callingCode', () => {
+  it('reads one-digit codes', () => {
+    assert.equal(callingCode('+14155550123'), '1');
+    assert.equal(callingCode('+79161234567'), '7');
+  });
+
+  it('reads two-digit codes', () => {
+    assert.equal(callingCode('+447911123456'), '44');
+    assert.equal(callingCode('+919812345678'), '91');
+  });
+
+  it('reads everything else as a three-digit code', () => {
+    assert.equal(callingCode('+256772345678'), '256');
+    assert.equal(callingCode('+254712345678'), '254');
+    assert.equal(callingCode('+3531234567'), '353');
+  });
+
+  it('rejects numbers that aren\'t E.164', () => {
+    assert.equal(callingCode('256772345678'), null);
+    assert.equal(callingCode('+0772345678'), null);
+    assert.equal(callingCode('+25677234567890123'), null);
+    assert.equal(callingCode(''), null);
+    assert.equal(callingCode(undefined), null);
+  });
+});
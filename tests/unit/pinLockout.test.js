@@ -0,0 +1,177 @@
+/**
+ * PIN lockout tests
+ * The lockout table is swapped for an in-memory one that claims attempts the
+ * way claim_auth_attempt does.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NEXT_PUBLIC_SUPABASE_URL ??= 'http://localhost:54321';
+process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY ??= 'test-anon-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY ??= 'test-service-role-key';
+
+const { PinLockoutService } = await import('../../lib/services/auth/PinLockoutService.js');
+const { default: DatabaseSessionService } = await import('../../lib/services/auth/DatabaseSessionService.js');
+const { AccountLockedError, RateLimitError } = await import('../../lib/core/errors/index.js');
+
+const USER = 'user-1';
+const IP = '203.0.113.7';
+
+/**
+ * auth_lockouts in memory; every call yields first, like a round trip
+ */
+const createLockoutTable = () => {
+  const rows = new Map();
+  const key = (scope, subject) => `${scope}:${subject}`;
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  return {
+    rows,
+    get: (scope, subject) => rows.get(key(scope, subject)),
+    async find(scope, subject) {
+      await tick();
+      return rows.get(key(scope, subject)) ? { ...rows.get(key(scope, subject)) } : null;
+    },
+    async claim(scope, subject) {
+      await tick();
+      const row = rows.get(key(scope, subject)) || { id: key(scope, subject), scope, subject, failed_attempts: 0, lockout_count: 0, locked_until: null };
+      rows.set(row.id, row);
+      if (!(row.locked_until && new Date(row.locked_until) > Date.now())) {
+        row.failed_attempts += 1;
+      }
+      return { ...row };
+    },
+    async release(scope, subject) {
+      await tick();
+      const row = rows.get(key(scope, subject));
+      if (row) {
+        row.failed_attempts = Math.max(row.failed_attempts - 1, 0);
+      }
+    },
+    async lock(id, lockedUntil, lockoutCount) {
+      await tick();
+      Object.assign(rows.get(id), { failed_attempts: 0, lockout_count: lockoutCount, locked_until: lockedUntil });
+    },
+    async reset(scope, subject) {
+      await tick();
+      rows.delete(key(scope, subject));
+    },
+  };
+};
+
+const createService = () => {
+  const service = new PinLockoutService();
+  service.lockoutRepository = createLockoutTable();
+  service.attemptsConfig = {
+    ...service.attemptsConfig,
+    max: 5,
+    lockoutMinutes: 30,
+    backoffMultiplier: 2,
+    perIp: { max: 20 },
+  };
+  return service;
+};
+
+/**
+ * One sign-in attempt with a PIN check that takes a while, like bcrypt
+ * @returns {Promise<{checked: boolean, error?: Error}>} Whether the PIN was checked, and what was thrown
+ */
+const attempt = async (service, { correct = false, userIds = [USER], ipAddress = IP } = {}) => {
+  let claim;
+  try {
+    claim = await service.claimAttempt({ userIds, ipAddress });
+  } catch (error) {
+    return { checked: false, error };
+  }
+
+  await new Promise(resolve => setTimeout(resolve, 5));
+
+  try {
+    if (correct) {
+      await service.recordSuccess(userIds[0], claim);
+    } else {
+      await service.recordFailure(claim);
+    }
+    return { checked: true };
+  } catch (error) {
+    return { checked: true, error };
+  }
+};
+
+describe('PinLockoutService', () => {
+  beforeEach(() => {
+    mock.method(DatabaseSessionService, 'logAuditEvent', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('lets no more parallel guesses through than the limit', async () => {
+    const service = createService();
+
+    const results = await Promise.all(Array.from({ length: 12 }, () => attempt(service)));
+
+    assert.equal(results.filter(result => result.checked).length, 5);
+    assert.ok(results.every(result => result.checked || result.error instanceof AccountLockedError));
+    assert.ok(service.lockoutRepository.get('account', USER).locked_until);
+  });
+
+  it('refuses a locked account without counting the attempt', async () => {
+    const service = createService();
+    for (let i = 0; i < 5; i++) {
+      await attempt(service);
+    }
+    const ipAttempts = service.lockoutRepository.get('ip', IP).failed_attempts;
+
+    const { checked, error } = await attempt(service);
+
+    assert.equal(checked, false);
+    assert.ok(error instanceof AccountLockedError);
+    assert.ok(error.details.retryAfter > 29 * 60);
+    assert.equal(service.lockoutRepository.get('account', USER).failed_attempts, 0);
+    assert.equal(service.lockoutRepository.get('ip', IP).failed_attempts, ipAttempts);
+  });
+
+  it('starts the account over on success and gives the IP only that attempt back', async () => {
+    const service = createService();
+    await attempt(service);
+    await attempt(service);
+
+    assert.deepEqual(await attempt(service, { correct: true }), { checked: true });
+
+    assert.equal(service.lockoutRepository.get('account', USER), undefined);
+    assert.equal(service.lockoutRepository.get('ip', IP).failed_attempts, 2);
+  });
+
+  it('counts a shared-suffix guess against every candidate account', async () => {
+    const service = createService();
+
+    await attempt(service, { userIds: ['user-1', 'user-2'] });
+    await attempt(service, { correct: true, userIds: ['user-2', 'user-1'] });
+
+    assert.equal(service.lockoutRepository.get('account', 'user-1').failed_attempts, 1);
+    assert.equal(service.lockoutRepository.get('account', 'user-2'), undefined);
+  });
+
+  it('gives the accounts their attempts back when the IP is out of them', async () => {
+    const service = createService();
+    for (let i = 0; i < 20; i++) {
+      await attempt(service, { userIds: [`user-${i}`] });
+    }
+
+    const { error } = await attempt(service, { userIds: ['fresh'] });
+
+    assert.ok(error instanceof RateLimitError);
+    assert.equal(service.lockoutRepository.get('account', 'fresh').failed_attempts, 0);
+  });
+
+  it('doesn\'t track clients without an address', async () => {
+    const service = createService();
+
+    await attempt(service, { ipAddress: 'unknown' });
+
+    assert.deepEqual([...service.lockoutRepository.rows.keys()], [`account:${USER}`]);
+  });
+});
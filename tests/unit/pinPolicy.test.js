@@ -0,0 +1,98 @@
+/**
+ * PIN policy tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkPin, getPinStrength, isRepeatingPin, isSequentialPin } from '../../lib/core/utils/pinPolicy.js';
+
+const policy = {
+  minLength: 4,
+  maxLength: 8,
+  blockedPatterns: ['2580', '1004'],
+  rejectRepeats: true,
+  rejectSequences: true,
+  minDistinctDigits: 3
+};
+
+describe('isRepeatingPin', () => {
+  it('spots a repeated digit or run', () => {
+    for (const pin of ['1111', '1212', '123123', '12341234']) {
+      assert.equal(isRepeatingPin(pin), true, pin);
+    }
+  });
+
+  it('leaves other PINs alone', () => {
+    for (const pin of ['1213', '12312', '4721']) {
+      assert.equal(isRepeatingPin(pin), false, pin);
+    }
+  });
+});
+
+describe('isSequentialPin', () => {
+  it('spots runs up and down, wrapping 9 to 0', () => {
+    for (const pin of ['3456', '98765', '7890', '1098']) {
+      assert.equal(isSequentialPin(pin), true, pin);
+    }
+  });
+
+  it('leaves other PINs alone', () => {
+    for (const pin of ['3457', '1357', '4721']) {
+      assert.equal(isSequentialPin(pin), false, pin);
+    }
+  });
+});
+
+describe('checkPin', () => {
+  const errorFor = (pin, options) => checkPin(pin, options, policy).error;
+
+  it('accepts a PIN that passes every rule', () => {
+    assert.deepEqual(checkPin('4721', {}, policy), { valid: true });
+  });
+
+  it('rejects missing, non-digit and out-of-range PINs', () => {
+    assert.equal(errorFor(''), 'PIN is required');
+    assert.equal(errorFor('47a1'), 'PIN must contain only digits');
+    assert.equal(errorFor('472'), 'PIN must be 4 to 8 digits');
+    assert.equal(errorFor('472193581'), 'PIN must be 4 to 8 digits');
+  });
+
+  it('rejects blocked, repeated and sequential PINs', () => {
+    assert.match(errorFor('2580'), /too common/);
+    assert.match(errorFor('4747'), /repeated/);
+    assert.match(errorFor('6543'), /consecutive/);
+  });
+
+  it('requires enough distinct digits', () => {
+    assert.equal(errorFor('4774'), 'PIN must use at least 3 different digits');
+  });
+
+  it('rejects the end of the phone number', () => {
+    assert.match(errorFor('4721', { phoneNumber: '+1 (555) 012-4721' }), /phone number/);
+    assert.equal(errorFor('4721', { phoneNumber: '+15550124722' }), undefined);
+  });
+
+  it('skips the pattern checks the policy turns off', () => {
+    const lenient = { ...policy, rejectRepeats: false, rejectSequences: false, minDistinctDigits: 1 };
+    assert.equal(checkPin('4747', {}, lenient).valid, true);
+    assert.equal(checkPin('6543', {}, lenient).valid, true);
+  });
+});
+
+describe('getPinStrength', () => {
+  it('scores rejected PINs 0 and passes the error on', () => {
+    assert.deepEqual(getPinStrength('1111', {}, policy), {
+      score: 0,
+      label: 'Too weak',
+      valid: false,
+      error: 'PIN can\'t be a repeated digit or pattern'
+    });
+  });
+
+  it('scores longer PINs with more distinct digits higher', () => {
+    assert.equal(getPinStrength('4774', {}, { ...policy, minDistinctDigits: 2 }).score, 1);
+    assert.equal(getPinStrength('4721', {}, policy).score, 2);
+    assert.equal(getPinStrength('472195', {}, policy).score, 3);
+    assert.deepEqual(getPinStrength('47219538', {}, policy), { score: 4, label: 'Strong', valid: true });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Refresh token rotation tests
+ * Sessions live in a MemorySessionStore; the user lookup and audit log are mocked.
+ */
+
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NEXT_PUBLIC_SUPABASE_URL ??= 'http://localhost:54321';
+process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY ??= 'test-anon-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY ??= 'test-service-role-key';
+process.env.JWT_SECRET ??= 'test-jwt-secret';
+
+const { default: AuthService } = await import('../../lib/services/auth/AuthService.js');
+const { default: DatabaseSessionService } = await import('../../lib/services/auth/DatabaseSessionService.js');
+const { MemorySessionStore } = await import('../../lib/services/auth/sessionStores/index.js');
+const { AuthenticationError } = await import('../../lib/core/errors/index.js');
+
+const USER = { id: 'user-1', phone_number: '+256772345678' };
+
+// A sign-in as the login routes do it
+const signIn = async () => {
+  const { accessToken, refreshToken, sessionId } = AuthService.buildAuthResult(USER);
+  await DatabaseSessionService.createSession(USER.id, { sessionId, accessToken, refreshToken });
+  return { accessToken, refreshToken, sessionId };
+};
+
+describe('refresh token rotation', () => {
+  let logAuditEvent;
+
+  before(() => {
+    DatabaseSessionService.useStore(new MemorySessionStore({ cleanupIntervalMs: 0 }));
+  });
+
+  beforeEach(() => {
+    logAuditEvent = mock.method(DatabaseSessionService, 'logAuditEvent', async () => {});
+    mock.method(AuthService, 'getUserById', async (id) => ({ id, phone: USER.phone_number }));
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('swaps the token pair and keeps the session', async () => {
+    const signedIn = await signIn();
+
+    const refreshed = await AuthService.refreshSession(signedIn.refreshToken);
+
+    assert.equal(refreshed.sessionId, signedIn.sessionId);
+    assert.notEqual(refreshed.refreshToken, signedIn.refreshToken);
+    assert.notEqual(refreshed.accessToken, signedIn.accessToken);
+
+    const session = await DatabaseSessionService.getSessionRecord(signedIn.sessionId);
+    assert.equal(session.isActive, true);
+    assert.equal(DatabaseSessionService.holdsRefreshToken(session, refreshed.refreshToken), true);
+
+    // The new token rotates in turn
+    const again = await AuthService.refreshSession(refreshed.refreshToken);
+    assert.equal(again.sessionId, signedIn.sessionId);
+  });
+
+  it('revokes the family when an old token comes back', async () => {
+    const signedIn = await signIn();
+    const refreshed = await AuthService.refreshSession(signedIn.refreshToken);
+
+    await assert.rejects(AuthService.refreshSession(signedIn.refreshToken), /already used/);
+
+    assert.equal((await DatabaseSessionService.getSessionRecord(signedIn.sessionId)).isActive, false);
+    assert.equal(await DatabaseSessionService.isTokenBlacklisted(signedIn.refreshToken), true);
+    assert.equal(await DatabaseSessionService.isTokenBlacklisted(refreshed.refreshToken), true);
+    assert.equal(await DatabaseSessionService.isTokenBlacklisted(refreshed.accessToken), true);
+    await assert.rejects(AuthService.refreshSession(refreshed.refreshToken), AuthenticationError);
+
+    const reuse = logAuditEvent.mock.calls.find(call => call.arguments[1] === 'refresh_token_reuse');
+    assert.deepEqual(reuse.arguments.slice(0, 4), [
+      USER.id, 'refresh_token_reuse', 'security', { session_id: signedIn.sessionId, family_revoked: true },
+    ]);
+  });
+
+  it('lets only one of two refreshes with the same token through', async () => {
+    const signedIn = await signIn();
+
+    const results = await Promise.allSettled([
+      AuthService.refreshSession(signedIn.refreshToken),
+      AuthService.refreshSession(signedIn.refreshToken),
+    ]);
+
+    const [won] = results.filter(result => result.status === 'fulfilled');
+    const [lost] = results.filter(result => result.status === 'rejected');
+    assert.ok(won && lost);
+    assert.match(lost.reason.message, /already used/);
+
+    // The second use looks like a replay, so the winner's tokens go with the family
+    assert.equal((await DatabaseSessionService.getSessionRecord(signedIn.sessionId)).isActive, false);
+    assert.equal(await DatabaseSessionService.isTokenBlacklisted(won.value.refreshToken), true);
+  });
+});
+
+describe('DatabaseSessionService.rotateRefreshToken', () => {
+  before(() => {
+    DatabaseSessionService.useStore(new MemorySessionStore({ cleanupIntervalMs: 0 }));
+  });
+
+  beforeEach(() => {
+    mock.method(DatabaseSessionService, 'logAuditEvent', async () => {});
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('only replaces the token the session still holds', async () => {
+    const signedIn = await signIn();
+    const pair = (n) => ({ accessToken: `access-${n}`, refreshToken: `refresh-${n}` });
+
+    const results = await Promise.all([
+      DatabaseSessionService.rotateRefreshToken(signedIn.sessionId, signedIn.refreshToken, pair('a')),
+      DatabaseSessionService.rotateRefreshToken(signedIn.sessionId, signedIn.refreshToken, pair('b')),
+    ]);
+
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(await DatabaseSessionService.rotateRefreshToken(signedIn.sessionId, signedIn.refreshToken, pair('c')), null);
+  });
+
+  it('refuses to rotate a revoked session', async () => {
+    const signedIn = await signIn();
+    await DatabaseSessionService.invalidateSession(signedIn.sessionId);
+
+    const rotated = await DatabaseSessionService.rotateRefreshToken(signedIn.sessionId, signedIn.refreshToken, {
+      accessToken: 'access-new',
+      refreshToken: 'refresh-new',
+    });
+
+    assert.equal(rotated, null);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Retention policy tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveRetention, getExpiryDate, validateRetentionPolicies } from '../../lib/core/utils/retention.js';
+
+const DAY = 24 * 60 * 60;
+const defaults = { note: 7 * DAY, image: 30 * DAY, document: 90 * DAY };
+
+const policies = [
+  { content_type: 'note', match_type: 'default', match_value: null, expiry_seconds: 2 * DAY },
+  { content_type: null, match_type: 'tag', match_value: 'Receipts', expiry_seconds: 365 * DAY },
+  { content_type: null, match_type: 'tag', match_value: 'temp', expiry_seconds: DAY },
+  { content_type: 'document', match_type: 'category', match_value: 'work', expiry_seconds: 180 * DAY },
+];
+
+describe('resolveRetention', () => {
+  it('uses an explicitly requested duration first', () => {
+    assert.deepEqual(
+      resolveRetention(policies, { contentType: 'note', tags: ['temp'], requestedSeconds: 3600 }, defaults),
+      { seconds: 3600, source: 'requested' }
+    );
+  });
+
+  it('picks the shortest matching tag rule, ignoring case', () => {
+    assert.deepEqual(
+      resolveRetention(policies, { contentType: 'image', tags: ['receipts', 'TEMP'] }, defaults),
+      { seconds: DAY, source: 'tag' }
+    );
+  });
+
+  it('falls back to a category rule for the content type', () => {
+    assert.deepEqual(
+      resolveRetention(policies, { contentType: 'document', category: 'Work' }, defaults),
+      { seconds: 180 * DAY, source: 'category' }
+    );
+    assert.deepEqual(
+      resolveRetention(policies, { contentType: 'image', category: 'work' }, defaults),
+      { seconds: 30 * DAY, source: 'app' }
+    );
+  });
+
+  it("uses the user's default before the app default", () => {
+    assert.deepEqual(resolveRetention(policies, { contentType: 'note' }, defaults), { seconds: 2 * DAY, source: 'default' });
+    assert.deepEqual(resolveRetention([], { contentType: 'note' }, defaults), { seconds: 7 * DAY, source: 'app' });
+  });
+});
+
+describe('getExpiryDate', () => {
+  it('adds the retention period to the start time', () => {
+    assert.equal(getExpiryDate(DAY, new Date('2026-10-19T12:00:00Z')), '2026-10-20T12:00:00.000Z');
+  });
+});
+
+describe('validateRetentionPolicies', () => {
+  it('accepts a valid set of rules', () => {
+    assert.equal(validateRetentionPolicies(policies), null);
+  });
+
+  it('reports the first problem found', () => {
+    assert.equal(
+      validateRetentionPolicies([{ content_type: 'video', match_type: 'default', expiry_seconds: DAY }]),
+      'Unknown content type "video"'
+    );
+    assert.equal(
+      validateRetentionPolicies([{ content_type: null, match_type: 'default', expiry_seconds: DAY }]),
+      'Default rules need a content type'
+    );
+    assert.equal(
+      validateRetentionPolicies([{ content_type: 'note', match_type: 'tag', match_value: ' ', expiry_seconds: DAY }]),
+      'Tag rules need a value'
+    );
+    assert.equal(
+      validateRetentionPolicies([{ content_type: 'note', match_type: 'default', expiry_seconds: 1.5 }]),
+      'Retention must be a positive number of seconds'
+    );
+  });
+
+  it('refuses the same rule twice, ignoring case and spacing', () => {
+    assert.equal(validateRetentionPolicies([
+      { content_type: null, match_type: 'tag', match_value: 'Temp', expiry_seconds: DAY },
+      { content_type: null, match_type: 'tag', match_value: ' temp ', expiry_seconds: 2 * DAY },
+    ]), 'Each rule can only be defined once');
+  });
+});
@@ -0,0 +1,292 @@
+/**
+ * Session store tests
+ * Every store runs the same cases. Redis is an in-memory server behind a
+ * mocked fetch; there is no Lua here, so its EVAL follows the store's update
+ * script step by step. Supabase gets an in-memory sessions table.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NEXT_PUBLIC_SUPABASE_URL ??= 'http://localhost:54321';
+process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY ??= 'test-anon-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY ??= 'test-service-role-key';
+
+const { default: supabaseAdmin } = await import('../../lib/supabaseAdmin.js');
+const { MemorySessionStore, RedisSessionStore, SupabaseSessionStore } =
+  await import('../../lib/services/auth/sessionStores/index.js');
+
+const HOUR = 60 * 60 * 1000;
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const createSession = (overrides = {}) => ({
+  sessionId: 'session-1',
+  userId: 'user-1',
+  accessTokenHash: 'access-1',
+  refreshTokenHash: 'refresh-1',
+  deviceInfo: { userAgent: 'test' },
+  ipAddress: '203.0.113.7',
+  userAgent: 'test',
+  isActive: true,
+  createdAt: new Date().toISOString(),
+  lastActivity: new Date().toISOString(),
+  expiresAt: new Date(Date.now() + HOUR).toISOString(),
+  ...overrides,
+});
+
+/**
+ * The commands RedisSessionStore sends, over the REST protocol
+ */
+const createRedisServer = () => {
+  const keys = new Map(); // key -> { value, expiresAt }
+  const commands = [];
+
+  const read = (key) => {
+    const entry = keys.get(key);
+    if (entry?.expiresAt && entry.expiresAt <= Date.now()) {
+      keys.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  const set = (key, value, options = []) => {
+    const expiry = options[0];
+    const expiresAt = expiry === 'PXAT' ? Number(options[1])
+      : expiry === 'PX' ? Date.now() + Number(options[1])
+      : expiry === 'KEEPTTL' ? read(key)?.expiresAt
+      : null;
+    keys.set(key, { value, expiresAt });
+    return 'OK';
+  };
+
+  const evalUpdate = ([sessionKey, fields, expectedHash, refreshPrefix, expiresAt]) => {
+    const value = read(sessionKey)?.value;
+    if (!value) return null;
+
+    const session = JSON.parse(value);
+    if (expectedHash !== '' && (session.isActive !== true || session.refreshTokenHash !== expectedHash)) {
+      return null;
+    }
+
+    const previousHash = session.refreshTokenHash;
+    Object.assign(session, JSON.parse(fields));
+    const encoded = JSON.stringify(session);
+    set(sessionKey, encoded, expiresAt !== '' ? ['PXAT', expiresAt] : ['KEEPTTL']);
+
+    const currentHash = session.refreshTokenHash;
+    if (typeof previousHash === 'string' && (previousHash !== currentHash || session.isActive !== true)) {
+      keys.delete(refreshPrefix + previousHash);
+    }
+    if (session.isActive === true && typeof currentHash === 'string' && currentHash !== previousHash) {
+      set(refreshPrefix + currentHash, session.sessionId, ['PXAT', read(sessionKey).expiresAt]);
+    }
+    return encoded;
+  };
+
+  const run = ([name, ...args]) => {
+    commands.push(name);
+    switch (name) {
+      case 'GET': return read(args[0])?.value ?? null;
+      case 'SET': return set(args[0], args[1], args.slice(2));
+      case 'DEL': return args.filter(key => read(key) && keys.delete(key)).length;
+      case 'EXISTS': return read(args[0]) ? 1 : 0;
+      case 'MGET': return args.map(key => read(key)?.value ?? null);
+      case 'SADD': {
+        const members = new Set(JSON.parse(read(args[0])?.value || '[]'));
+        args.slice(1).forEach(member => members.add(member));
+        return set(args[0], JSON.stringify([...members]));
+      }
+      case 'SMEMBERS': return JSON.parse(read(args[0])?.value || '[]');
+      case 'SREM': {
+        const members = JSON.parse(read(args[0])?.value || '[]');
+        set(args[0], JSON.stringify(members.filter(member => !args.includes(member))));
+        return 1;
+      }
+      case 'EVAL': return evalUpdate(args.slice(2));
+      default: throw new Error(`Unsupported command ${name}`);
+    }
+  };
+
+  const fetch = async (url, { body }) => {
+    await tick();
+    const payload = JSON.parse(body);
+    const result = url.endsWith('/pipeline')
+      ? payload.map(command => ({ result: run(command) }))
+      : { result: run(payload) };
+    return new Response(JSON.stringify(result));
+  };
+
+  return { keys, commands, fetch };
+};
+
+/**
+ * Just enough of the query builder for SupabaseSessionStore
+ */
+const createTable = (rows) => () => {
+  let operation = 'select';
+  let values = null;
+  let single = false;
+  const filters = [];
+
+  const run = () => {
+    if (operation === 'insert') {
+      const inserted = values.map(row => ({ ...row }));
+      rows.push(...inserted);
+      return inserted;
+    }
+    if (operation === 'upsert') {
+      values.filter(row => !rows.some(existing => existing.token_hash === row.token_hash))
+        .forEach(row => rows.push({ id: crypto.randomUUID(), ...row }));
+      return [];
+    }
+    const matched = rows.filter(row => filters.every(test => test(row)));
+    if (operation === 'update') {
+      matched.forEach(row => Object.assign(row, values));
+    }
+    return matched.map(row => ({ ...row }));
+  };
+
+  const result = async () => {
+    await tick();
+    const data = run();
+    return { data: single ? data[0] ?? null : data, error: null };
+  };
+
+  const builder = {
+    select: () => builder,
+    insert: (inserted) => { operation = 'insert'; values = inserted; return builder; },
+    upsert: (upserted) => { operation = 'upsert'; values = upserted; return builder; },
+    update: (changes) => { operation = 'update'; values = changes; return builder; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+    neq: (column, value) => { filters.push(row => row[column] !== value); return builder; },
+    gte: (column, value) => { filters.push(row => row[column] >= value); return builder; },
+    order: () => builder,
+    limit: () => builder,
+    single: () => { single = true; return result(); },
+    maybeSingle: () => { single = true; return result(); },
+    then: (resolve, reject) => result().then(resolve, reject),
+  };
+  return builder;
+};
+
+const stores = {
+  MemorySessionStore: () => new MemorySessionStore({ cleanupIntervalMs: 0 }),
+  RedisSessionStore: () => {
+    const server = createRedisServer();
+    mock.method(globalThis, 'fetch', server.fetch);
+    return new RedisSessionStore({ url: 'https://redis.test/', token: 'token', keyPrefix: 'test:' });
+  },
+  SupabaseSessionStore: () => {
+    const tables = { sessions: [], token_blacklist: [] };
+    mock.method(supabaseAdmin, 'from', (name) => createTable(tables[name])());
+    return new SupabaseSessionStore();
+  },
+};
+
+for (const [name, createStore] of Object.entries(stores)) {
+  describe(name, () => {
+    let store;
+
+    beforeEach(async () => {
+      store = createStore();
+      await store.create(createSession());
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    it('finds a session by ID and by its refresh token', async () => {
+      assert.equal((await store.get('session-1')).userId, 'user-1');
+      assert.equal((await store.findByRefreshTokenHash('refresh-1')).sessionId, 'session-1');
+      assert.equal(await store.get('unknown'), null);
+      assert.equal(await store.findByRefreshTokenHash('unknown'), null);
+    });
+
+    it('changes only the fields it is given', async () => {
+      const updated = await store.update('session-1', { lastActivity: '2026-10-20T12:00:00.000Z' });
+
+      assert.equal(updated.lastActivity, '2026-10-20T12:00:00.000Z');
+      assert.equal(updated.refreshTokenHash, 'refresh-1');
+      assert.equal(updated.isActive, true);
+      assert.equal(await store.update('unknown', { lastActivity: updated.lastActivity }), null);
+    });
+
+    it('doesn\'t bring a revoked session back with a later activity update', async () => {
+      await Promise.all([
+        store.update('session-1', { isActive: false }),
+        store.update('session-1', { lastActivity: new Date().toISOString() }),
+      ]);
+
+      assert.equal((await store.get('session-1')).isActive, false);
+      assert.equal(await store.findByRefreshTokenHash('refresh-1'), null);
+      assert.deepEqual(await store.listByUser('user-1'), []);
+    });
+
+    it('doesn\'t put an old refresh token back with a later activity update', async () => {
+      await Promise.all([
+        store.swapRefreshToken('session-1', 'refresh-1', { accessTokenHash: 'access-2', refreshTokenHash: 'refresh-2' }),
+        store.update('session-1', { lastActivity: new Date().toISOString() }),
+      ]);
+
+      assert.equal((await store.get('session-1')).refreshTokenHash, 'refresh-2');
+      assert.equal(await store.findByRefreshTokenHash('refresh-1'), null);
+      assert.equal((await store.findByRefreshTokenHash('refresh-2')).sessionId, 'session-1');
+    });
+
+    it('lets only one of two swaps with the same refresh token through', async () => {
+      const results = await Promise.all([
+        store.swapRefreshToken('session-1', 'refresh-1', { refreshTokenHash: 'refresh-a' }),
+        store.swapRefreshToken('session-1', 'refresh-1', { refreshTokenHash: 'refresh-b' }),
+      ]);
+
+      const winners = results.filter(Boolean);
+      assert.equal(winners.length, 1);
+      assert.equal((await store.get('session-1')).refreshTokenHash, winners[0].refreshTokenHash);
+    });
+
+    it('doesn\'t swap the tokens of a revoked session', async () => {
+      await store.update('session-1', { isActive: false });
+
+      assert.equal(await store.swapRefreshToken('session-1', 'refresh-1', { refreshTokenHash: 'refresh-2' }), null);
+    });
+
+    it('deactivates every session of a user but the one kept', async () => {
+      await store.create(createSession({ sessionId: 'session-2', refreshTokenHash: 'refresh-s2' }));
+      await store.create(createSession({ sessionId: 'session-3', refreshTokenHash: 'refresh-s3' }));
+
+      assert.equal(await store.deactivateUser('user-1', 'session-2'), 2);
+
+      assert.deepEqual((await store.listByUser('user-1')).map(session => session.sessionId), ['session-2']);
+      assert.equal((await store.listByUser('user-1', { includeInactive: true })).length, 3);
+    });
+
+    it('remembers blacklisted tokens', async () => {
+      await store.blacklist('token-1', 'access', new Date(Date.now() + HOUR));
+
+      assert.equal(await store.isBlacklisted('token-1'), true);
+      assert.equal(await store.isBlacklisted('token-2'), false);
+    });
+  });
+}
+
+describe('RedisSessionStore updates', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('sends the changed fields in one script, never a record it read', async () => {
+    const server = createRedisServer();
+    mock.method(globalThis, 'fetch', server.fetch);
+    const store = new RedisSessionStore({ url: 'https://redis.test', token: 'token' });
+    await store.create(createSession());
+    server.commands.length = 0;
+
+    await store.update('session-1', { lastActivity: '2026-10-20T12:00:00.000Z' });
+
+    assert.deepEqual(server.commands, ['EVAL']);
+    const [, { body }] = globalThis.fetch.mock.calls.at(-1).arguments;
+    assert.equal(JSON.parse(body)[4], '{"lastActivity":"2026-10-20T12:00:00.000Z"}');
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Supabase sign-out tests
+ * Sessions live in a MemorySessionStore; the end_auth_sessions RPC is mocked.
+ */
+
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+process.env.NEXT_PUBLIC_SUPABASE_URL ??= 'http://localhost:54321';
+process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY ??= 'test-anon-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY ??= 'test-service-role-key';
+process.env.APP_SECRET ??= 'test-app-secret';
+
+const { default: supabaseAdmin } = await import('../../lib/supabaseAdmin.js');
+const { default: DatabaseSessionService } = await import('../../lib/services/auth/DatabaseSessionService.js');
+const { MemorySessionStore } = await import('../../lib/services/auth/sessionStores/index.js');
+const { deriveSupabasePassword } = await import('../../lib/core/utils/supabasePassword.js');
+
+const USER = 'user-1';
+
+// What signInWithPassword returns, as far as the session service reads it
+const supabaseSession = (sessionId) => ({ access_token: jwt.sign({ session_id: sessionId }, 'supabase-jwt-secret') });
+
+describe('deriveSupabasePassword', () => {
+  it('derives the original password at version 0', () => {
+    const original = crypto.createHmac('sha256', process.env.APP_SECRET).update('+256772345678').digest('hex') + 'P!';
+
+    assert.equal(deriveSupabasePassword('+256772345678'), original);
+    assert.equal(deriveSupabasePassword('+256772345678', 0), original);
+  });
+
+  it('gives every version its own password', () => {
+    const passwords = new Set([0, 1, 2].map(version => deriveSupabasePassword('+256772345678', version)));
+
+    assert.equal(passwords.size, 3);
+  });
+});
+
+describe('DatabaseSessionService Supabase sign-out', () => {
+  let rpc;
+
+  before(() => {
+    DatabaseSessionService.useStore(new MemorySessionStore({ cleanupIntervalMs: 0 }));
+  });
+
+  beforeEach(() => {
+    mock.method(DatabaseSessionService, 'logAuditEvent', async () => {});
+    mock.method(console, 'log', () => {});
+    rpc = mock.method(supabaseAdmin, 'rpc', async () => ({ data: 1, error: null }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('links a session to the Supabase session signed in with it', async () => {
+    const linked = await DatabaseSessionService.createSession(USER, { supabaseSession: supabaseSession('sb-1') });
+    const unlinked = await DatabaseSessionService.createSession(USER);
+
+    assert.equal(linked.supabaseSessionId, 'sb-1');
+    assert.equal(unlinked.supabaseSessionId, null);
+  });
+
+  it('signs the linked Supabase session out with its session', async () => {
+    const session = await DatabaseSessionService.createSession(USER, { supabaseSession: supabaseSession('sb-2') });
+
+    assert.equal(await DatabaseSessionService.invalidateSession(session.sessionId), true);
+
+    assert.deepEqual(rpc.mock.calls.map(call => call.arguments), [[
+      'end_auth_sessions',
+      { p_user_id: USER, p_session_ids: ['sb-2'], p_keep_session_id: null },
+    ]]);
+  });
+
+  it('keeps only the current Supabase session when revoking the others', async () => {
+    const current = await DatabaseSessionService.createSession(USER, { supabaseSession: supabaseSession('sb-current') });
+    await DatabaseSessionService.createSession(USER, { supabaseSession: supabaseSession('sb-other') });
+
+    await DatabaseSessionService.invalidateUserSessions(USER, current.sessionId);
+
+    assert.deepEqual(rpc.mock.calls.at(-1).arguments[1], { p_user_id: USER, p_session_ids: null, p_keep_session_id: 'sb-current' });
+    assert.equal((await DatabaseSessionService.getSessionRecord(current.sessionId)).isActive, true);
+  });
+
+  it('still revokes the session when Supabase can\'t be reached', async () => {
+    rpc.mock.mockImplementation(async () => ({ data: null, error: { message: 'offline' } }));
+    mock.method(console, 'error', () => {});
+    const session = await DatabaseSessionService.createSession(USER, { supabaseSession: supabaseSession('sb-3') });
+
+    assert.equal(await DatabaseSessionService.invalidateSession(session.sessionId), true);
+    assert.equal((await DatabaseSessionService.getSessionRecord(session.sessionId)).isActive, false);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * TOTP tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  getTotpCounter,
+  verifyTotp,
+  buildOtpauthUri
+} from '../../lib/core/utils/totp.js';
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890"
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+  it('encodes the RFC 6238 secret the way authenticator apps expect', () => {
+    assert.equal(SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  it('decodes lower case, padding and spaces', () => {
+    assert.equal(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString(), '12345678901234567890');
+    assert.equal(base32Decode('MZXW6===').toString(), 'foo');
+  });
+
+  it('refuses characters outside the alphabet', () => {
+    assert.throws(() => base32Decode('GEZD1'), /Invalid base32 character: 1/);
+  });
+});
+
+describe('generateTotp', () => {
+  it('matches the RFC 6238 SHA-1 test vectors', () => {
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+    ];
+    for (const [seconds, expected] of vectors) {
+      assert.equal(generateTotp(SECRET, { time: seconds * 1000, digits: 8 }), expected, `at ${seconds}s`);
+    }
+  });
+
+  it('keeps leading zeros in 6-digit codes', () => {
+    assert.equal(generateTotp(SECRET, { time: 1111111109 * 1000 }), '081804');
+  });
+});
+
+describe('verifyTotp', () => {
+  const time = 1111111109 * 1000;
+  const counter = getTotpCounter(time);
+  const codeAt = (step) => generateTotp(SECRET, { time: time + step * 30000 });
+
+  it('returns the time step the code belongs to', () => {
+    assert.equal(verifyTotp(SECRET, codeAt(0), { time }), counter);
+  });
+
+  it('allows one step of clock drift either way by default', () => {
+    assert.equal(verifyTotp(SECRET, codeAt(-1), { time }), counter - 1);
+    assert.equal(verifyTotp(SECRET, codeAt(1), { time }), counter + 1);
+  });
+
+  it('refuses codes outside the window', () => {
+    assert.equal(verifyTotp(SECRET, codeAt(-2), { time }), null);
+    assert.equal(verifyTotp(SECRET, codeAt(2), { time }), null);
+    assert.equal(verifyTotp(SECRET, codeAt(2), { time, window: 2 }), counter + 2);
+    assert.equal(verifyTotp(SECRET, codeAt(1), { time, window: 0 }), null);
+  });
+
+  it('refuses anything that isn\'t a code of the right length', () => {
+    assert.equal(verifyTotp(SECRET, '', { time }), null);
+    assert.equal(verifyTotp(SECRET, undefined, { time }), null);
+    assert.equal(verifyTotp(SECRET, '08180', { time }), null);
+    assert.equal(verifyTotp(SECRET, '08180a', { time }), null);
+    assert.equal(verifyTotp(SECRET, ` ${codeAt(0)}`, { time }), null);
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('labels the account with the issuer and lists the parameters', () => {
+    const uri = buildOtpauthUri({ secret: SECRET, accountName: '+15550124721', issuer: 'AeroNotes' });
+    const [path, query] = uri.split('?');
+    assert.equal(path, 'otpauth://totp/AeroNotes%3A%2B15550124721');
+    assert.deepEqual(Object.fromEntries(new URLSearchParams(query)), {
+      secret: SECRET,
+      issuer: 'AeroNotes',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+  });
+});
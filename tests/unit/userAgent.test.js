@@ -0,0 +1,74 @@
+/**
+ * User-agent parsing tests
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseUserAgent, describeUserAgent } from '../../lib/core/utils/userAgent.js';
+
+const UA = {
+  chromeWindows: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36',
+  edgeWindows: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.2592.68',
+  safariIphone: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1',
+  safariMac: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15',
+  chromeAndroidTablet: 'Mozilla/5.0 (Linux; Android 14; SM-X710) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36',
+  firefoxLinux: 'Mozilla/5.0 (X11; Linux x86_64; rv:128.0) Gecko/20100101 Firefox/128.0',
+};
+
+describe('parseUserAgent', () => {
+  it('names Chrome on Windows with major versions only', () => {
+    assert.deepEqual(parseUserAgent(UA.chromeWindows), {
+      browser: 'Chrome',
+      browserVersion: '126',
+      os: 'Windows',
+      osVersion: '10',
+      deviceType: 'desktop',
+    });
+  });
+
+  it('tells Edge apart from the Chrome it also claims to be', () => {
+    assert.equal(parseUserAgent(UA.edgeWindows).browser, 'Edge');
+  });
+
+  it('reads iOS versions and marks phones as mobile', () => {
+    assert.deepEqual(parseUserAgent(UA.safariIphone), {
+      browser: 'Safari',
+      browserVersion: '17',
+      os: 'iOS',
+      osVersion: '17',
+      deviceType: 'mobile',
+    });
+  });
+
+  it('drops the frozen macOS version', () => {
+    assert.equal(parseUserAgent(UA.safariMac).osVersion, null);
+  });
+
+  it('treats Android without "Mobile" as a tablet, not Linux', () => {
+    const parsed = parseUserAgent(UA.chromeAndroidTablet);
+    assert.equal(parsed.os, 'Android');
+    assert.equal(parsed.deviceType, 'tablet');
+  });
+
+  it('returns all nulls for a missing user agent', () => {
+    assert.deepEqual(parseUserAgent(''), {
+      browser: null,
+      browserVersion: null,
+      os: null,
+      osVersion: null,
+      deviceType: null,
+    });
+  });
+});
+
+describe('describeUserAgent', () => {
+  it('joins browser and OS', () => {
+    assert.equal(describeUserAgent(parseUserAgent(UA.chromeWindows)), 'Chrome 126 on Windows 10');
+    assert.equal(describeUserAgent(parseUserAgent(UA.firefoxLinux)), 'Firefox 128 on Linux');
+    assert.equal(describeUserAgent(parseUserAgent(UA.safariMac)), 'Safari 17 on macOS');
+  });
+
+  it('falls back when nothing is known', () => {
+    assert.equal(describeUserAgent(parseUserAgent('curl/8.5.0')), 'Unknown browser');
+  });
+});
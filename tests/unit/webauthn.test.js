@@ -0,0 +1,277 @@
+/**
+ * Passkey ceremony tests
+ * A software authenticator (P-256 key, "none" attestation) answers the real
+ * options, so @simplewebauthn/server checks genuine responses. The challenge,
+ * credential and profile tables are kept in memory.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { isoCBOR } from '@simplewebauthn/server/helpers';
+
+process.env.NEXT_PUBLIC_SUPABASE_URL ??= 'http://localhost:54321';
+process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY ??= 'test-anon-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY ??= 'test-service-role-key';
+
+const { WebAuthnService } = await import('../../lib/services/auth/WebAuthnService.js');
+const { default: DatabaseSessionService } = await import('../../lib/services/auth/DatabaseSessionService.js');
+const { AuthenticationError, ValidationError } = await import('../../lib/core/errors/index.js');
+
+const RP_ID = 'aeronotes.test';
+const ORIGIN = 'https://aeronotes.test';
+const USER = { id: 'user-1', phone_number: '+256772345678', pin_reset_required: false };
+
+// Authenticator data flags
+const USER_PRESENT = 0x01;
+const USER_VERIFIED = 0x04;
+const ATTESTED_CREDENTIAL = 0x40;
+
+// Refused with this error class, for the given reason
+const rejectsFor = (promise, ErrorClass, reason) =>
+  assert.rejects(promise, error => error instanceof ErrorClass && reason.test(error.message));
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+const base64Url = (bytes) => Buffer.from(bytes).toString('base64url');
+
+/**
+ * A platform authenticator holding one ES256 credential
+ */
+const createAuthenticator = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const { x, y } = publicKey.export({ format: 'jwk' });
+  const credentialId = crypto.randomBytes(16);
+  const id = base64Url(credentialId);
+
+  const authenticatorData = ({ userVerified, counter, attested }) => {
+    const flags = USER_PRESENT | (userVerified ? USER_VERIFIED : 0) | (attested ? ATTESTED_CREDENTIAL : 0);
+    const signCount = Buffer.alloc(4);
+    signCount.writeUInt32BE(counter);
+
+    const parts = [sha256(RP_ID), Buffer.from([flags]), signCount];
+    if (attested) {
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      const coseKey = isoCBOR.encode(new Map([
+        [1, 2], // kty: EC2
+        [3, -7], // alg: ES256
+        [-1, 1], // crv: P-256
+        [-2, Buffer.from(x, 'base64url')],
+        [-3, Buffer.from(y, 'base64url')],
+      ]));
+      parts.push(Buffer.alloc(16), idLength, credentialId, Buffer.from(coseKey));
+    }
+    return Buffer.concat(parts);
+  };
+
+  const clientData = (type, challenge, origin) =>
+    Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }));
+
+  return {
+    id,
+
+    register(challenge, { origin = ORIGIN, userVerified = true } = {}) {
+      const attestationObject = isoCBOR.encode(new Map([
+        ['fmt', 'none'],
+        ['attStmt', new Map()],
+        ['authData', authenticatorData({ userVerified, counter: 0, attested: true })],
+      ]));
+
+      return {
+        id,
+        rawId: id,
+        type: 'public-key',
+        response: {
+          clientDataJSON: base64Url(clientData('webauthn.create', challenge, origin)),
+          attestationObject: base64Url(attestationObject),
+          transports: ['internal'],
+        },
+        clientExtensionResults: {},
+      };
+    },
+
+    authenticate(challenge, { origin = ORIGIN, userVerified = true, counter = 1 } = {}) {
+      const data = authenticatorData({ userVerified, counter });
+      const clientDataJSON = clientData('webauthn.get', challenge, origin);
+      const signature = crypto.sign('sha256', Buffer.concat([data, sha256(clientDataJSON)]), privateKey);
+
+      return {
+        id,
+        rawId: id,
+        type: 'public-key',
+        response: {
+          clientDataJSON: base64Url(clientDataJSON),
+          authenticatorData: base64Url(data),
+          signature: base64Url(signature),
+          userHandle: base64Url(Buffer.from(USER.id)),
+        },
+        clientExtensionResults: {},
+      };
+    },
+  };
+};
+
+const createService = () => {
+  const service = new WebAuthnService();
+  service.webauthnConfig = { ...service.webauthnConfig, rpId: RP_ID, origin: ORIGIN, userVerification: 'required' };
+
+  const challenges = new Map();
+  const credentials = [];
+
+  mock.method(service.challengeRepository, 'deleteExpired', async () => {});
+  mock.method(service.challengeRepository, 'create', async (row) => {
+    const id = crypto.randomUUID();
+    challenges.set(id, { id, ...row });
+    return id;
+  });
+  mock.method(service.challengeRepository, 'consume', async (id, ceremony) => {
+    const row = challenges.get(id);
+    challenges.delete(id);
+    return row?.ceremony === ceremony ? row : null;
+  });
+
+  mock.method(service.credentialRepository, 'findAllForUser', async (userId) =>
+    credentials.filter(credential => credential.user_id === userId));
+  mock.method(service.credentialRepository, 'findByCredentialId', async (credentialId) =>
+    credentials.find(credential => credential.credential_id === credentialId) || null);
+  mock.method(service.credentialRepository, 'insert', async (row) => {
+    const saved = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...row };
+    credentials.push(saved);
+    return saved;
+  });
+  mock.method(service.credentialRepository, 'recordUse', async (id, counter) => {
+    credentials.find(credential => credential.id === id).counter = counter;
+  });
+
+  mock.method(service.profileRepository, 'findById', async () => ({ ...USER }));
+
+  return { service, credentials };
+};
+
+describe('WebAuthnService registration', () => {
+  let service;
+  let credentials;
+  let authenticator;
+
+  beforeEach(() => {
+    ({ service, credentials } = createService());
+    authenticator = createAuthenticator();
+    mock.method(DatabaseSessionService, 'logAuditEvent', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('stores a passkey from a genuine attestation', async () => {
+    const { options, challengeId } = await service.getRegistrationOptions(USER.id);
+
+    const saved = await service.verifyRegistration(USER.id, challengeId, authenticator.register(options.challenge), { name: 'Laptop' });
+
+    assert.equal(saved.name, 'Laptop');
+    assert.equal(credentials.length, 1);
+    assert.equal(credentials[0].credential_id, authenticator.id);
+    assert.equal(credentials[0].counter, 0);
+  });
+
+  it('refuses an answer to another challenge', async () => {
+    const { challengeId } = await service.getRegistrationOptions(USER.id);
+
+    await rejectsFor(
+      service.verifyRegistration(USER.id, challengeId, authenticator.register(base64Url(crypto.randomBytes(32)))),
+      ValidationError,
+      /challenge/
+    );
+    assert.equal(credentials.length, 0);
+  });
+
+  it('refuses an answer made for another site', async () => {
+    const { options, challengeId } = await service.getRegistrationOptions(USER.id);
+
+    await rejectsFor(
+      service.verifyRegistration(USER.id, challengeId, authenticator.register(options.challenge, { origin: 'https://evil.test' })),
+      ValidationError,
+      /origin/
+    );
+  });
+
+  it('refuses a passkey that didn\'t verify the user', async () => {
+    const { options, challengeId } = await service.getRegistrationOptions(USER.id);
+
+    await rejectsFor(
+      service.verifyRegistration(USER.id, challengeId, authenticator.register(options.challenge, { userVerified: false })),
+      ValidationError,
+      /User verification/
+    );
+  });
+});
+
+describe('WebAuthnService sign-in', () => {
+  let service;
+  let credentials;
+  let authenticator;
+
+  // Sign in once with the given authenticator options
+  const signIn = async (options) => {
+    const { options: { challenge }, challengeId } = await service.getAuthenticationOptions();
+    return await service.verifyAuthentication(challengeId, authenticator.authenticate(options.challenge ?? challenge, options));
+  };
+
+  // Why the last sign-in failed, as written to the audit log
+  const failureReason = () => DatabaseSessionService.logAuditEvent.mock.calls.at(-1).arguments[3].reason;
+
+  beforeEach(async () => {
+    ({ service, credentials } = createService());
+    authenticator = createAuthenticator();
+    mock.method(DatabaseSessionService, 'logAuditEvent', async () => {});
+
+    const { options, challengeId } = await service.getRegistrationOptions(USER.id);
+    await service.verifyRegistration(USER.id, challengeId, authenticator.register(options.challenge));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('signs the owner in and remembers the counter', async () => {
+    const profile = await signIn({ counter: 5 });
+
+    assert.equal(profile.id, USER.id);
+    assert.equal(credentials[0].counter, 5);
+  });
+
+  it('refuses an assertion for another challenge', async () => {
+    await assert.rejects(signIn({ challenge: base64Url(crypto.randomBytes(32)) }), AuthenticationError);
+    assert.match(failureReason(), /challenge/);
+  });
+
+  it('refuses an assertion made for another site', async () => {
+    await assert.rejects(signIn({ origin: 'https://evil.test' }), AuthenticationError);
+    assert.match(failureReason(), /origin/);
+  });
+
+  it('refuses an assertion without user verification', async () => {
+    await assert.rejects(signIn({ userVerified: false }), AuthenticationError);
+    assert.match(failureReason(), /User verification/);
+  });
+
+  it('refuses a counter that didn\'t go up, as from a cloned key', async () => {
+    await signIn({ counter: 5 });
+
+    await assert.rejects(signIn({ counter: 5 }), AuthenticationError);
+    assert.match(failureReason(), /counter/);
+    await assert.rejects(signIn({ counter: 3 }), AuthenticationError);
+    assert.match(failureReason(), /counter/);
+    assert.equal(credentials[0].counter, 5);
+  });
+
+  it('refuses a challenge answered before', async () => {
+    const { options: { challenge }, challengeId } = await service.getAuthenticationOptions();
+    await service.verifyAuthentication(challengeId, authenticator.authenticate(challenge, { counter: 1 }));
+
+    await assert.rejects(
+      service.verifyAuthentication(challengeId, authenticator.authenticate(challenge, { counter: 2 })),
+      AuthenticationError
+    );
+  });
+});
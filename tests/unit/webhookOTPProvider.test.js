@@ -0,0 +1,182 @@
+/**
+ * Webhook OTP provider tests
+ */
+
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebhookOTPProvider, SIGNATURE_HEADER } from '../../lib/otp/providers/WebhookOTPProvider.js';
+
+const SECRET = 'test-webhook-secret';
+const NOW = Date.parse('2026-10-20T12:00:00.000Z');
+const NOW_SECONDS = NOW / 1000;
+
+const createProvider = (config = {}) =>
+  new WebhookOTPProvider({ url: 'https://gateway.test/send', secret: SECRET, ...config });
+
+const variables = {
+  phone: '+256772345678',
+  phoneDigits: '256772345678',
+  message: 'Your code is 123456',
+  otp: '123456',
+  reference: 'ref-1',
+  callbackUrl: 'https://app.test/api/otp/delivery',
+  type: 'otp',
+  channel: 'sms',
+  email: ''
+};
+
+describe('WebhookOTPProvider signatures', () => {
+  const body = JSON.stringify({ messageId: 'm1', status: 'delivered' });
+
+  it('accepts a receipt it signed', () => {
+    const provider = createProvider();
+    const header = provider.sign(body, NOW_SECONDS);
+
+    assert.match(header, /^t=\d+,v1=[0-9a-f]{64}$/);
+    assert.equal(provider.verifySignature(body, header, NOW), true);
+  });
+
+  it('accepts receipts up to five minutes either side', () => {
+    const provider = createProvider();
+
+    assert.equal(provider.verifySignature(body, provider.sign(body, NOW_SECONDS - 300), NOW), true);
+    assert.equal(provider.verifySignature(body, provider.sign(body, NOW_SECONDS + 300), NOW), true);
+    assert.equal(provider.verifySignature(body, provider.sign(body, NOW_SECONDS - 301), NOW), false);
+    assert.equal(provider.verifySignature(body, provider.sign(body, NOW_SECONDS + 301), NOW), false);
+  });
+
+  it('refuses a tampered body, timestamp or secret', () => {
+    const provider = createProvider();
+    const header = provider.sign(body, NOW_SECONDS);
+    const [, signature] = header.split(',');
+
+    assert.equal(provider.verifySignature(body.replace('delivered', 'failed'), header, NOW), false);
+    assert.equal(provider.verifySignature(body, `t=${NOW_SECONDS - 1},${signature}`, NOW), false);
+    assert.equal(createProvider({ secret: 'other' }).verifySignature(body, header, NOW), false);
+  });
+
+  it('refuses everything without a secret or header', () => {
+    const header = createProvider().sign(body, NOW_SECONDS);
+
+    assert.equal(createProvider({ secret: undefined }).verifySignature(body, header, NOW), false);
+    assert.equal(createProvider().verifySignature(body, '', NOW), false);
+    assert.equal(createProvider().verifySignature(body, 't=soon,v1=abc', NOW), false);
+  });
+});
+
+describe('WebhookOTPProvider.parseDeliveryReceipt', () => {
+  it('reads JSON receipts', () => {
+    const receipt = createProvider().parseDeliveryReceipt(JSON.stringify({ messageId: 42, status: 'DELIVRD' }));
+
+    assert.deepEqual(receipt, { messageId: '42', status: 'delivered', error: null });
+  });
+
+  it('reads form encoded receipts', () => {
+    const receipt = createProvider().parseDeliveryReceipt(
+      'messageId=m1&status=undelivered&error=Absent+subscriber',
+      'application/x-www-form-urlencoded; charset=utf-8'
+    );
+
+    assert.deepEqual(receipt, { messageId: 'm1', status: 'failed', error: 'Absent subscriber' });
+  });
+
+  it('only keeps the error of a failed delivery', () => {
+    const receipt = createProvider().parseDeliveryReceipt(JSON.stringify({ messageId: 'm1', status: 'delivered', error: 'none' }));
+
+    assert.equal(receipt.error, null);
+  });
+
+  it('follows configured fields and extra statuses', () => {
+    const provider = createProvider({
+      receipt: { messageIdField: 'data.id', statusField: 'data.state', statusMap: { ok: 'delivered' } }
+    });
+
+    assert.deepEqual(
+      provider.parseDeliveryReceipt(JSON.stringify({ data: { id: 'm1', state: 'ok' } })),
+      { messageId: 'm1', status: 'delivered', error: null }
+    );
+    assert.equal(provider.parseDeliveryReceipt(JSON.stringify({ data: { id: 'm2', state: 'failed' } })).status, 'failed');
+  });
+
+  it('ignores receipts it can\'t read or doesn\'t track', () => {
+    const provider = createProvider();
+
+    assert.equal(provider.parseDeliveryReceipt('not json'), null);
+    assert.equal(provider.parseDeliveryReceipt(JSON.stringify({ messageId: 'm1', status: 'queued' })), null);
+    assert.equal(provider.parseDeliveryReceipt(JSON.stringify({ messageId: 'm1' })), null);
+    assert.equal(provider.parseDeliveryReceipt(JSON.stringify({ status: 'delivered' })), null);
+  });
+});
+
+describe('WebhookOTPProvider.buildRequest', () => {
+  it('fills the JSON body and signs it', () => {
+    const provider = createProvider({
+      headers: { Authorization: 'Bearer key', 'X-Ref': '{reference}' },
+      body: { to: '{phone}', text: '{message}', tags: ['{type}'], unknown: '{nope}', retries: 2 }
+    });
+
+    const request = provider.buildRequest(variables);
+
+    assert.equal(request.url, 'https://gateway.test/send');
+    assert.deepEqual(JSON.parse(request.body), {
+      to: '+256772345678', text: 'Your code is 123456', tags: ['otp'], unknown: '{nope}', retries: 2
+    });
+    assert.equal(request.headers['X-Ref'], 'ref-1');
+    assert.equal(request.headers['Content-Type'], 'application/json');
+    assert.equal(provider.verifySignature(request.body, request.headers[SIGNATURE_HEADER]), true);
+  });
+
+  it('form encodes the body when asked', () => {
+    const provider = createProvider({ secret: undefined, bodyFormat: 'form', body: { to: '{phoneDigits}', text: '{message}' } });
+
+    const request = provider.buildRequest(variables);
+
+    assert.equal(request.body, 'to=256772345678&text=Your+code+is+123456');
+    assert.equal(request.headers['Content-Type'], 'application/x-www-form-urlencoded');
+    assert.equal(request.headers[SIGNATURE_HEADER], undefined);
+  });
+
+  it('encodes URL placeholders and signs the URL of a GET', () => {
+    const provider = createProvider({ method: 'get', url: 'https://gateway.test/send?to={phone}&text={message}' });
+
+    const request = provider.buildRequest(variables);
+
+    assert.equal(request.url, 'https://gateway.test/send?to=%2B256772345678&text=Your%20code%20is%20123456');
+    assert.equal(request.body, undefined);
+    assert.equal(provider.verifySignature(request.url, request.headers[SIGNATURE_HEADER]), true);
+  });
+});
+
+describe('WebhookOTPProvider.readResponse', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('uses the gateway\'s message ID, or our reference without one', async () => {
+    const provider = createProvider();
+
+    assert.deepEqual(await provider.readResponse(new Response('{"id":7}'), 'ref-1'), { success: true, messageId: '7' });
+    assert.deepEqual(await provider.readResponse(new Response('OK'), 'ref-1'), { success: true, messageId: 'ref-1' });
+  });
+
+  it('checks the success field when one is configured', async () => {
+    const provider = createProvider({ success: { field: 'status', value: 'queued' } });
+    mock.method(console, 'error', () => {});
+
+    assert.equal((await provider.readResponse(new Response('{"status":"queued"}'), 'ref-1')).success, true);
+    assert.deepEqual(
+      await provider.readResponse(new Response('{"status":"rejected","error":"Bad number"}'), 'ref-1'),
+      { success: false, error: 'Bad number' }
+    );
+  });
+
+  it('reports the status of a refused request', async () => {
+    const provider = createProvider();
+    mock.method(console, 'error', () => {});
+
+    assert.deepEqual(
+      await provider.readResponse(new Response('Service Unavailable', { status: 503 }), 'ref-1'),
+      { success: false, error: 'Webhook gateway error: 503' }
+    );
+  });
+});